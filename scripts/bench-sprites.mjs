@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Sprite drawing benchmark for Banana Runner
+ *
+ * Plays a seeded run in the headless simulation and draws every frame's
+ * sprites (runner and entities, with the renderer's outlines) twice: pixel
+ * by pixel (drawSprite / drawSpriteWithOutline in core/utils) and through
+ * the sprite atlas cache (ui/spriteCache). Canvas calls go to a counting
+ * context, so it needs no browser and no npm dependencies:
+ *
+ *   node scripts/bench-sprites.mjs [--frames 1800] [--seed 42] [--land snow]
+ *
+ * Draw calls per frame are exact; the ms/frame column only measures the
+ * JavaScript side of issuing them (a real canvas adds rasterization cost
+ * per call, which is what the cache saves).
+ *
+ * @module scripts/bench-sprites
+ */
+
+import { createSimulation } from '../src/game/simulation.js';
+import { lands } from '../src/game/lands.js';
+import { drawSprite, drawSpriteWithOutline } from '../src/core/utils.js';
+import { createSpriteCache } from '../src/ui/spriteCache.js';
+
+// Outline colors (the renderer takes these from the design system)
+const OUTLINES = {
+    player: '#000000',
+    obstacle: '#1A1A1A',
+    banana: '#5D4037',
+    powerup: '#FFD700'
+};
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+/**
+ * Parse --flag value pairs from argv
+ *
+ * @param {Array<string>} argv - Process arguments (without node and script)
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { frames: 1800, seed: 42, land: 'snow' };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--frames':
+                options.frames = parseInt(argv[++i], 10) || options.frames;
+                break;
+            case '--seed':
+                options.seed = parseInt(argv[++i], 10) || options.seed;
+                break;
+            case '--land':
+                options.land = argv[++i];
+                break;
+            default:
+                console.warn(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================
+// COUNTING CANVAS
+// ============================================
+
+/**
+ * A 2D context that only counts draw calls
+ * @returns {Object} Context with a `calls` counter
+ */
+function createCountingContext() {
+    return {
+        calls: { fillRect: 0, drawImage: 0 },
+        fillStyle: '#000',
+        imageSmoothingEnabled: false,
+        fillRect() {
+            this.calls.fillRect++;
+        },
+        drawImage() {
+            this.calls.drawImage++;
+        }
+    };
+}
+
+// ============================================
+// BENCHMARK
+// ============================================
+
+/**
+ * Draw one frame's sprites the way the game renderer does
+ *
+ * @param {Object} ctx - Canvas context
+ * @param {Object} state - Simulation state
+ * @param {Object} land - Land definition
+ * @param {Object} draw - {sprite, outlined} drawing functions
+ */
+function drawFrame(ctx, state, land, draw) {
+    for (const ent of state.entities) {
+        if (!ent || !ent.pixels) continue;
+        const outline = OUTLINES[ent.type];
+        if (outline) {
+            draw.outlined(ctx, ent.x, ent.y, ent.pixels, ent.scale, ent.colors, outline, 1);
+        } else {
+            draw.sprite(ctx, ent.x, ent.y, ent.pixels, ent.scale, ent.colors);
+        }
+    }
+
+    const { player } = state;
+    draw.outlined(ctx, player.x, player.y, land.runner, player.scale, land.runnerColors, OUTLINES.player, 1);
+}
+
+/**
+ * Play the run and draw every frame with one drawing method
+ *
+ * @param {Object} options - Parsed arguments
+ * @param {Object} draw - {sprite, outlined} drawing functions
+ * @returns {Object} {perFrame, maxPerFrame, msPerFrame}
+ */
+function runBenchmark(options, draw) {
+    const land = lands[options.land];
+    // The world keeps running after a crash, so every run lasts the full length
+    const sim = createSimulation({ seed: options.seed, land: options.land, ghostOnDeath: true });
+    const ctx = createCountingContext();
+
+    let maxPerFrame = 0;
+    let drawTime = 0;
+
+    for (let frame = 0; frame < options.frames; frame++) {
+        if (frame % 40 === 0) sim.jump();
+        sim.step();
+
+        const before = ctx.calls.fillRect + ctx.calls.drawImage;
+        const start = performance.now();
+        drawFrame(ctx, sim.state, land, draw);
+        drawTime += performance.now() - start;
+        maxPerFrame = Math.max(maxPerFrame, ctx.calls.fillRect + ctx.calls.drawImage - before);
+    }
+
+    return {
+        perFrame: (ctx.calls.fillRect + ctx.calls.drawImage) / options.frames,
+        maxPerFrame,
+        msPerFrame: drawTime / options.frames
+    };
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+const options = parseArgs(process.argv.slice(2));
+
+if (!lands[options.land]) {
+    console.error(`Unknown land: ${options.land} (one of ${Object.keys(lands).join(', ')})`);
+    process.exitCode = 1;
+} else {
+    const direct = runBenchmark(options, { sprite: drawSprite, outlined: drawSpriteWithOutline });
+
+    // Atlas pages count the one-time rasterization calls separately
+    const atlasContexts = [];
+    const spriteCache = createSpriteCache({
+        createCanvas: () => {
+            const pageCtx = createCountingContext();
+            atlasContexts.push(pageCtx);
+            return { getContext: () => pageCtx };
+        }
+    });
+    const cached = runBenchmark(options, {
+        sprite: (ctx, x, y, pixels, scale, colorMap) => spriteCache.draw(ctx, x, y, pixels, scale, colorMap),
+        outlined: (ctx, x, y, pixels, scale, colorMap, color, width) =>
+            spriteCache.draw(ctx, x, y, pixels, scale, colorMap, { color, width })
+    });
+    const rasterCalls = atlasContexts.reduce((total, pageCtx) => total + pageCtx.calls.fillRect, 0);
+    const stats = spriteCache.getStats();
+
+    console.log(`[Bench] ${options.frames} frames, ${lands[options.land].name}, seed ${options.seed}`);
+    console.log('');
+    console.log('Method        Draw calls/frame   Max/frame   JS ms/frame');
+    for (const [name, result] of [['Per-pixel', direct], ['Sprite cache', cached]]) {
+        console.log(`${name.padEnd(14)}${result.perFrame.toFixed(1).padStart(16)}${String(result.maxPerFrame).padStart(12)}${result.msPerFrame.toFixed(3).padStart(14)}`);
+    }
+    console.log('');
+    console.log(`Sprite cache: ${stats.entries} rasters on ${stats.pages} atlas page(s), ${rasterCalls} one-time fillRect calls, `
+        + `${stats.hits} hits / ${stats.misses} misses, ${(direct.perFrame / cached.perFrame).toFixed(0)}x fewer draw calls`);
+}
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Season rollover for Banana Runner
+ *
+ * Finalizes every season that has ended (finalize_season() archives the
+ * standings and grants the rewards) and, with --next, starts the next
+ * season when none is running or scheduled. Standings only count verified
+ * runs, so a season that still has sessions waiting for the score verifier
+ * is left for a later run - run scripts/verify-scores.mjs first. Talks to Supabase over its
+ * REST API with the service role key, like scripts/verify-scores.mjs - run
+ * it from a daily cron job or by hand:
+ *
+ *   SUPABASE_SERVICE_ROLE_KEY=... node scripts/end-season.mjs [--next] [--days 28] [--dry-run]
+ *
+ * @module scripts/end-season
+ */
+
+import { SUPABASE_URL, SEASON_LENGTH_DAYS } from '../src/core/config.js';
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+/**
+ * Parse --flag value pairs from argv
+ *
+ * @param {Array<string>} argv - Process arguments (without node and script)
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { next: false, days: SEASON_LENGTH_DAYS, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--next':
+                options.next = true;
+                break;
+            case '--days':
+                options.days = parseInt(argv[++i], 10) || options.days;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            default:
+                console.warn(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================
+// SUPABASE REST HELPERS
+// ============================================
+
+/**
+ * Call the Supabase REST API with the service role key
+ *
+ * @param {string} path - Path under /rest/v1/
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<*>} Parsed JSON (null for empty responses)
+ */
+async function rest(path, init = {}) {
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const baseUrl = process.env.SUPABASE_URL || SUPABASE_URL;
+
+    const response = await fetch(`${baseUrl}/rest/v1/${path}`, {
+        ...init,
+        headers: {
+            apikey: key,
+            Authorization: `Bearer ${key}`,
+            'Content-Type': 'application/json',
+            ...init.headers
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`${init.method || 'GET'} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+// ============================================
+// ROLLOVER
+// ============================================
+
+/**
+ * Count a season's sessions the score verifier hasn't checked yet
+ *
+ * @param {number} seasonId - Season id
+ * @returns {Promise<number>} Sessions with a replay and no verified_at
+ */
+async function countPendingSessions(seasonId) {
+    const pending = await rest(`game_sessions?${new URLSearchParams({
+        select: 'id',
+        season_id: `eq.${seasonId}`,
+        replay: 'not.is.null',
+        verified_at: 'is.null'
+    })}`) || [];
+    return pending.length;
+}
+
+/**
+ * Finalize ended seasons, then start the next one if asked
+ *
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<boolean>} True if the rollover completed
+ */
+async function rollOver(options) {
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('SUPABASE_SERVICE_ROLE_KEY is required to end seasons');
+        return false;
+    }
+
+    const now = new Date();
+    const ended = await rest(`seasons?${new URLSearchParams({
+        select: 'id,name,ends_at',
+        finalized_at: 'is.null',
+        ends_at: `lte.${now.toISOString()}`,
+        order: 'ends_at.asc'
+    })}`) || [];
+
+    for (const season of ended) {
+        const pending = await countPendingSessions(season.id);
+        if (pending > 0) {
+            console.log(`[Season] ${season.name} deferred: ${pending} sessions still waiting for the verifier`);
+            continue;
+        }
+        if (options.dryRun) {
+            console.log(`[Season] ${season.name} would be finalized (dry run)`);
+            continue;
+        }
+        const ranked = await rest('rpc/finalize_season', {
+            method: 'POST',
+            body: JSON.stringify({ p_season_id: season.id })
+        });
+        console.log(`[Season] ${season.name} finalized: ${ranked} players ranked`);
+    }
+
+    if (!options.next) return true;
+
+    const upcoming = await rest(`seasons?${new URLSearchParams({
+        select: 'id',
+        ends_at: `gt.${now.toISOString()}`,
+        limit: '1'
+    })}`) || [];
+    if (upcoming.length > 0) {
+        console.log('[Season] A season is already running or scheduled');
+        return true;
+    }
+
+    const seasons = await rest('seasons?select=id') || [];
+    const next = {
+        name: `Season ${seasons.length + 1}`,
+        starts_at: now.toISOString(),
+        ends_at: new Date(now.getTime() + options.days * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    if (options.dryRun) {
+        console.log(`[Season] ${next.name} would start, ending ${next.ends_at} (dry run)`);
+        return true;
+    }
+
+    await rest('seasons', {
+        method: 'POST',
+        headers: { Prefer: 'return=minimal' },
+        body: JSON.stringify(next)
+    });
+    console.log(`[Season] ${next.name} started, ends ${next.ends_at}`);
+    return true;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+const options = parseArgs(process.argv.slice(2));
+
+try {
+    const ok = await rollOver(options);
+    process.exitCode = ok ? 0 : 1;
+} catch (error) {
+    console.error('Error ending seasons:', error);
+    process.exitCode = 1;
+}
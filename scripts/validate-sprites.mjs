@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Sprite validator for Banana Runner
+ *
+ * Checks the sprite pack (assets/sprites/, see game/spriteFormat) and the
+ * built-in sprites, then makes sure everything that draws a sprite can
+ * find one: every skin's customSprite and every land's runner, obstacles
+ * and hazards (land definitions are checked with game/landSchema too). Run it before committing sprite changes (no npm dependencies):
+ *
+ *   node scripts/validate-sprites.mjs [--pack assets/sprites/manifest.json]
+ *
+ * Any sprite (built-in or from the pack) can be printed as a sprite file,
+ * as a starting point for a new one:
+ *
+ *   node scripts/validate-sprites.mjs --export runnerSnow > assets/sprites/skins/mySkin.json
+ *
+ * @module scripts/validate-sprites
+ */
+
+import { readFile } from 'node:fs/promises';
+import { sprites, colors } from '../src/game/sprites.js';
+import { loadSpritePack } from '../src/game/spriteLoader.js';
+import { encodeSprite, MAX_PALETTE_INDEX } from '../src/game/spriteFormat.js';
+import { SKINS } from '../src/game/skins.js';
+import { lands, landDefinitions } from '../src/game/lands.js';
+import { validateLand } from '../src/game/landSchema.js';
+
+// Built-in sprites drawn with another sprite's palette (see spawn() in game/simulation)
+const PALETTE_ALIASES = {
+    bananaBundle: 'banana'
+};
+
+// Skins replace the runner, so their sprites must be as wide as it is
+const RUNNER_WIDTH = sprites.runnerSnow[0].length;
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+/**
+ * Parse --flag value pairs from argv
+ *
+ * @param {Array<string>} argv - Process arguments (without node and script)
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { pack: 'assets/sprites/manifest.json', exportId: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--pack':
+                options.pack = argv[++i];
+                break;
+            case '--export':
+                options.exportId = argv[++i];
+                break;
+            default:
+                console.warn(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Check that a pixel matrix is rectangular and its palette covers it
+ *
+ * @param {number[][]} pixels - 2D array of color indices
+ * @param {Object<number, string>} colorMap - Maps indices to CSS colors
+ * @returns {Array<string>} Problems found
+ */
+function checkPixels(pixels, colorMap) {
+    if (!Array.isArray(pixels) || pixels.length === 0) return ['no pixel rows'];
+    if (!colorMap) return ['no palette'];
+
+    const errors = [];
+    const width = pixels[0].length;
+    const missing = new Set();
+
+    pixels.forEach((row, y) => {
+        if (row.length !== width) errors.push(`row ${y} is ${row.length} pixels, expected ${width}`);
+        for (const index of row) {
+            if (!Number.isInteger(index) || index < 0 || index > MAX_PALETTE_INDEX) {
+                errors.push(`row ${y} has invalid index ${index}`);
+            } else if (index > 0 && !colorMap[index]) {
+                missing.add(index);
+            }
+        }
+    });
+    for (const index of missing) {
+        errors.push(`palette index ${index} is used but not defined`);
+    }
+
+    return errors;
+}
+
+/**
+ * Check every sprite in `sprites` (built-in and loaded)
+ * @returns {Array<string>} Problems found, prefixed with the sprite id
+ */
+function checkSprites() {
+    const errors = [];
+    for (const [id, pixels] of Object.entries(sprites)) {
+        const colorMap = colors[PALETTE_ALIASES[id] || id];
+        for (const error of checkPixels(pixels, colorMap)) {
+            errors.push(`sprite ${id}: ${error}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check that every skin's customSprite exists and fits the runner
+ * @returns {Array<string>} Problems found
+ */
+function checkSkins() {
+    const errors = [];
+    for (const [skinId, skin] of Object.entries(SKINS)) {
+        if (!skin.customSprite) continue;
+
+        const pixels = sprites[skin.customSprite];
+        if (!pixels) {
+            errors.push(`skin ${skinId}: customSprite "${skin.customSprite}" not found`);
+        } else if (pixels[0].length !== RUNNER_WIDTH) {
+            errors.push(`skin ${skinId}: customSprite "${skin.customSprite}" is ${pixels[0].length} pixels wide, expected ${RUNNER_WIDTH}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check every land definition, and that the palettes of the sprites
+ * each land draws cover them
+ * @returns {Array<string>} Problems found
+ */
+function checkLands() {
+    const errors = [];
+    for (const [landId, definition] of Object.entries(landDefinitions)) {
+        const definitionErrors = validateLand(definition);
+        if (definitionErrors.length > 0) {
+            errors.push(...definitionErrors.map(error => `land ${landId}: ${error}`));
+            continue;
+        }
+
+        const land = lands[landId];
+        const drawn = [
+            ['runner', land.runner, land.runnerColors],
+            ...Object.entries(land.obstacles).map(([id, obstacle]) => [`obstacle ${id}`, obstacle.pixels, obstacle.colors]),
+            ...land.hazards.map(hazard => [`hazard ${hazard.id}`, hazard.pixels, hazard.colors])
+        ];
+        for (const [label, pixels, colorMap] of drawn) {
+            for (const error of checkPixels(pixels, colorMap)) {
+                errors.push(`land ${landId}: ${label}: ${error}`);
+            }
+        }
+    }
+    return errors;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+const options = parseArgs(process.argv.slice(2));
+const readJson = async (path) => JSON.parse(await readFile(path, 'utf8'));
+
+try {
+    const pack = await loadSpritePack(options.pack, { readJson });
+
+    if (options.exportId) {
+        const pixels = sprites[options.exportId];
+        if (!pixels) {
+            console.error(`Unknown sprite: ${options.exportId}`);
+            process.exitCode = 1;
+        } else {
+            const colorMap = colors[PALETTE_ALIASES[options.exportId] || options.exportId] || {};
+            console.log(JSON.stringify(encodeSprite(options.exportId, pixels, colorMap), null, 4));
+        }
+    } else {
+        const errors = [
+            ...pack.errors.flatMap(({ path, errors: fileErrors }) => fileErrors.map(error => `${path}: ${error}`)),
+            ...checkSprites(),
+            ...checkSkins(),
+            ...checkLands()
+        ];
+
+        console.log(`[Sprites] ${pack.loaded.length} sprite(s) loaded from ${options.pack}, `
+            + `${Object.keys(sprites).length} total, ${Object.keys(SKINS).length} skins, ${Object.keys(lands).length} lands`);
+
+        if (errors.length > 0) {
+            for (const error of errors) console.error(`  ✗ ${error}`);
+            console.error(`[Sprites] ${errors.length} problem(s) found`);
+            process.exitCode = 1;
+        } else {
+            console.log('[Sprites] All sprites valid');
+        }
+    }
+} catch (error) {
+    console.error('Error validating sprites:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Score verifier for Banana Runner
+ *
+ * Re-simulates submitted runs and marks game_sessions rows as verified
+ * when the recomputed result matches every stat the session claims and the
+ * run used a skin the player owns (which credits the run's bananas).
+ * Achievements are then re-evaluated from each player's verified sessions
+ * and newly earned rewards paid. Talks to Supabase over its REST API
+ * with the service role key (which bypasses RLS), so it has no npm
+ * dependencies - run it from a cron job or by hand:
+ *
+ *   SUPABASE_SERVICE_ROLE_KEY=... node scripts/verify-scores.mjs [--limit 100] [--dry-run]
+ *
+ * A single replay file can be checked offline (no database needed):
+ *
+ *   node scripts/verify-scores.mjs --file run.replay [--score 1520 --bananas 12]
+ *
+ * @module scripts/verify-scores
+ */
+
+import { readFile } from 'node:fs/promises';
+import { SUPABASE_URL } from '../src/core/config.js';
+import { decodeReplay } from '../src/game/replay.js';
+import { verifyRun } from '../src/game/verification.js';
+import { ACHIEVEMENTS } from '../src/game/achievementCatalog.js';
+import { advanceStreaks, buildStatsSnapshot, evaluateRules } from '../src/game/achievements.js';
+import { POWERUP_COLUMNS, applySessionStats } from '../src/game/stats.js';
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+/**
+ * Parse --flag value pairs from argv
+ *
+ * @param {Array<string>} argv - Process arguments (without node and script)
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = { limit: 100, dryRun: false, file: null, score: null, bananas: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--limit':
+                options.limit = parseInt(argv[++i], 10) || options.limit;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--file':
+                options.file = argv[++i];
+                break;
+            case '--score':
+                options.score = parseInt(argv[++i], 10);
+                break;
+            case '--bananas':
+                options.bananas = parseInt(argv[++i], 10);
+                break;
+            default:
+                console.warn(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+// ============================================
+// SUPABASE REST HELPERS
+// ============================================
+
+/**
+ * Call the Supabase REST API with the service role key
+ *
+ * @param {string} path - Path under /rest/v1/
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Array|null>} Parsed JSON rows (null for empty responses)
+ */
+async function rest(path, init = {}) {
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const baseUrl = process.env.SUPABASE_URL || SUPABASE_URL;
+
+    const response = await fetch(`${baseUrl}/rest/v1/${path}`, {
+        ...init,
+        headers: {
+            apikey: key,
+            Authorization: `Bearer ${key}`,
+            'Content-Type': 'application/json',
+            ...init.headers
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`${init.method || 'GET'} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * game_sessions columns the profile totals are built from (and the verifier checks)
+ * @constant {string}
+ */
+const SESSION_STAT_COLUMNS = [
+    'score', 'bananas_collected', 'land_played', 'game_mode', 'duration', 'highest_level', 'did_win', 'created_at',
+    ...Object.values(POWERUP_COLUMNS).map(([sessionColumn]) => sessionColumn)
+].join(',');
+
+/**
+ * Fetch sessions that have a replay and haven't been checked yet, with
+ * every run stat the replay has to back up
+ *
+ * @param {number} limit - Max sessions to fetch
+ * @returns {Promise<Array>} game_sessions rows
+ */
+function fetchPendingSessions(limit) {
+    const query = new URLSearchParams({
+        select: `id,player_id,seed,challenge_date,replay,${SESSION_STAT_COLUMNS}`,
+        replay: 'not.is.null',
+        verified_at: 'is.null',
+        order: 'created_at.asc',
+        limit: String(limit)
+    });
+    return rest(`game_sessions?${query}`);
+}
+
+/**
+ * Fetch the skins each player owns
+ *
+ * @param {Array<string>} playerIds - Player ids
+ * @returns {Promise<Map<string, Array<string>>>} player id -> owned skin ids
+ */
+async function fetchOwnedSkins(playerIds) {
+    const owned = new Map(playerIds.map(playerId => [playerId, []]));
+    if (playerIds.length === 0) return owned;
+
+    const rows = await rest(`player_skins?${new URLSearchParams({
+        select: 'player_id,skin_id',
+        player_id: `in.(${playerIds.join(',')})`
+    })}`) || [];
+    for (const row of rows) {
+        owned.get(row.player_id)?.push(row.skin_id);
+    }
+    return owned;
+}
+
+/**
+ * Record the verification outcome on a session
+ *
+ * @param {string} sessionId - game_sessions.id
+ * @param {Object} outcome - Result from verifyRun()
+ * @returns {Promise<void>}
+ */
+async function markSession(sessionId, outcome) {
+    await rest(`game_sessions?id=eq.${encodeURIComponent(sessionId)}`, {
+        method: 'PATCH',
+        headers: { Prefer: 'return=minimal' },
+        body: JSON.stringify({
+            verified: outcome.verified,
+            verified_at: new Date().toISOString(),
+            verification_error: outcome.reason
+        })
+    });
+}
+
+// ============================================
+// ACHIEVEMENT REWARDS
+// ============================================
+
+/**
+ * Achievements earned by a player's verified sessions
+ *
+ * Plays the sessions back in order through the game's own rules (profile
+ * totals, streaks and each single run), so nothing the client reported
+ * outside verified runs counts.
+ *
+ * @param {Array<Object>} sessions - Verified game_sessions rows, oldest first
+ * @param {Object} [extras] - Profile values not built from sessions (total_purchases, times_reached_rank_one)
+ * @param {Array<string>} [owned] - Achievement ids already rewarded (skipped)
+ * @returns {Array<string>} Newly earned achievement ids
+ */
+function evaluateVerifiedAchievements(sessions, extras = {}, owned = []) {
+    const earned = [];
+    let profile = { ...extras };
+    let streaks = {};
+
+    for (const session of sessions) {
+        profile = applySessionStats(profile, session, session.created_at);
+
+        const run = {
+            score: session.score,
+            bananas: session.bananas_collected,
+            timeSeconds: session.duration,
+            level: session.highest_level,
+            land: String(session.land_played || '').toLowerCase(),
+            isMultiplayer: session.game_mode === 'multiplayer',
+            didWin: session.did_win
+        };
+        streaks = advanceStreaks(streaks, run, session.created_at.slice(0, 10));
+
+        const snapshot = buildStatsSnapshot(profile, run, { streaks });
+        for (const { id } of evaluateRules(ACHIEVEMENTS, snapshot, { owned: [...owned, ...earned] }).earned) {
+            earned.push(id);
+        }
+    }
+
+    return earned;
+}
+
+/**
+ * Pay the achievement rewards a player's verified sessions have earned
+ *
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Array<string>>} Achievement ids paid
+ */
+async function rewardAchievements(playerId) {
+    const player = encodeURIComponent(playerId);
+    const [sessions, profiles, leader, rewarded] = await Promise.all([
+        rest(`game_sessions?select=${SESSION_STAT_COLUMNS}&player_id=eq.${player}&verified=is.true&order=created_at.asc`),
+        rest(`profiles?select=total_purchases&id=eq.${player}`),
+        rest('verified_leaderboard?select=player_id&limit=1'),
+        rest(`player_achievements?select=achievement_id&player_id=eq.${player}&rewarded_at=not.is.null`)
+    ]);
+
+    // Purchases are kept by purchase_skin(); rank one is judged on verified runs
+    const extras = {
+        total_purchases: profiles?.[0]?.total_purchases || 0,
+        times_reached_rank_one: leader?.[0]?.player_id === playerId ? 1 : 0
+    };
+    const earned = evaluateVerifiedAchievements(sessions || [], extras, (rewarded || []).map(row => row.achievement_id));
+
+    for (const achievementId of earned) {
+        await rest('rpc/reward_achievement', {
+            method: 'POST',
+            body: JSON.stringify({ p_player_id: playerId, p_achievement_id: achievementId })
+        });
+    }
+
+    return earned;
+}
+
+// ============================================
+// MODES
+// ============================================
+
+/**
+ * Verify a single replay file
+ *
+ * Without --score/--bananas the replay's own recorded result is checked.
+ *
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<boolean>} True if verified
+ */
+async function verifyFile(options) {
+    const text = await readFile(options.file, 'utf8');
+    const replay = decodeReplay(text);
+    if (!replay) return false;
+
+    const outcome = verifyRun({
+        score: Number.isFinite(options.score) ? options.score : replay.score,
+        bananas_collected: Number.isFinite(options.bananas) ? options.bananas : replay.bananas,
+        land_played: replay.land,
+        seed: replay.seed,
+        replay: text
+    });
+
+    const result = outcome.result;
+    console.log(outcome.verified ? 'VERIFIED' : `REJECTED: ${outcome.reason}`);
+    if (result) {
+        console.log(`  score ${result.score}, bananas ${result.bananas}, frames ${result.frames}, level ${result.highestLevel}`);
+    }
+    return outcome.verified;
+}
+
+/**
+ * Verify pending sessions in the database
+ *
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<boolean>} True if the batch completed
+ */
+async function verifyPendingSessions(options) {
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('SUPABASE_SERVICE_ROLE_KEY is required to verify sessions');
+        return false;
+    }
+
+    const sessions = await fetchPendingSessions(options.limit) || [];
+    const ownedSkins = await fetchOwnedSkins([...new Set(sessions.map(session => session.player_id))]);
+    const verifiedPlayers = new Set();
+    let verifiedCount = 0;
+
+    for (const session of sessions) {
+        const outcome = verifyRun(session, { ownedSkins: ownedSkins.get(session.player_id) || [] });
+        if (outcome.verified) {
+            verifiedCount++;
+            verifiedPlayers.add(session.player_id);
+        }
+
+        console.log(`[Verify] ${session.id} (${session.score}): ${outcome.verified ? 'verified' : outcome.reason}`);
+
+        if (!options.dryRun) {
+            await markSession(session.id, outcome);
+        }
+    }
+
+    console.log(`[Verify] ${verifiedCount}/${sessions.length} sessions verified${options.dryRun ? ' (dry run)' : ''}`);
+
+    // A dry run marks nothing verified, so there is nothing new to reward
+    if (options.dryRun) return true;
+
+    for (const playerId of verifiedPlayers) {
+        const earned = await rewardAchievements(playerId);
+        if (earned.length > 0) {
+            console.log(`[Rewards] ${playerId}: ${earned.join(', ')}`);
+        }
+    }
+
+    return true;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+const options = parseArgs(process.argv.slice(2));
+
+try {
+    const ok = options.file ? await verifyFile(options) : await verifyPendingSessions(options);
+    process.exitCode = ok ? 0 : 1;
+} catch (error) {
+    console.error('Error verifying scores:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Supabase access token checks for the room server
+ *
+ * Verifies the HS256 JSON Web Tokens Supabase Auth issues (signed with the
+ * project's JWT secret), so the room server can take a player's id from
+ * their session instead of from what the client says. Keeps the room
+ * server free of npm dependencies.
+ *
+ * @module server/jwt
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Decode a base64url JSON segment
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {Object|null} Parsed object or null if malformed
+ */
+function decodeSegment(segment) {
+    try {
+        const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+        return value && typeof value === 'object' ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Verify a Supabase access token
+ *
+ * Checks the HS256 signature against the project's JWT secret and the
+ * expiry, and that the token belongs to a signed-in user.
+ *
+ * @param {string} token - Access token (session.access_token)
+ * @param {string} secret - Supabase project JWT secret
+ * @param {number} [now] - Current time in ms (for tests)
+ * @returns {Object|null} Token claims ({sub, exp, role, ...}) or null if invalid
+ *
+ * @example
+ * const claims = verifyAccessToken(payload.accessToken, process.env.SUPABASE_JWT_SECRET);
+ * if (claims) playerId = claims.sub;
+ */
+export function verifyAccessToken(token, secret, now = Date.now()) {
+    if (typeof token !== 'string' || !secret) return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [encodedHeader, encodedClaims, signature] = parts;
+    const header = decodeSegment(encodedHeader);
+    if (!header || header.alg !== 'HS256') return null;
+
+    const expected = createHmac('sha256', secret).update(`${encodedHeader}.${encodedClaims}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    const claims = decodeSegment(encodedClaims);
+    if (!claims || typeof claims.sub !== 'string' || !claims.sub) return null;
+    if (claims.role !== 'authenticated') return null;
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) return null;
+
+    return claims;
+}
+
+export default verifyAccessToken;
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Authoritative multiplayer room server for Banana Runner
+ *
+ * A small WebSocket server that owns lobby state instead of trusting every
+ * client: ready checks, seed assignment, the start countdown and the final
+ * ranking all happen here (see src/multiplayer/room.js and
+ * src/multiplayer/lobbyDirectory.js). It speaks the same
+ * event names as the `game:${lobbyId}` broadcast channel, so clients use it
+ * through createMultiplayerService's websocket transport. No npm
+ * dependencies:
+ *
+ *   SUPABASE_JWT_SECRET=... node server/room-server.mjs [--port 8787]
+ *
+ * The first message on a connection must be `join`, carrying the player's
+ * Supabase access token. The player id and username are taken from the
+ * token (or the player's profile), never from the payload:
+ *   { event: 'join', payload: { accessToken, create: true, land, code } }  - new lobby
+ *   { event: 'join', payload: { accessToken, code } }                      - join by code
+ *   { event: 'join', payload: { accessToken, land } }                      - matchmaking queue
+ *
+ * A dropped connection keeps its place in the lobby for RECONNECT_GRACE_MS;
+ * joining again as the same player with the same code resumes it.
+ *
+ * With SUPABASE_SERVICE_ROLE_KEY set, matchmaking and lobbies use each
+ * player's stored rating, and every finished round is rated here (see
+ * src/multiplayer/rating.js) and saved to their profiles. Clients can't
+ * write their own rating (protect_profile_rating in supabase-schema.sql).
+ * The scores in a round's ranking are only what each client reported, so a
+ * round is settled on the runs whose replay (sent with the player's death
+ * update) re-simulates to the reported result - see verifyRun() in
+ * src/game/verification.js. Those runs are saved as multiplayer sessions
+ * (with the round's winner) and rated; the rest count for nothing.
+ *
+ * @module server/room-server
+ */
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { acceptUpgrade } from './websocket.mjs';
+import { verifyAccessToken } from './jwt.mjs';
+import { SUPABASE_URL } from '../src/core/config.js';
+import { createLobbyDirectory } from '../src/multiplayer/lobbyDirectory.js';
+import { getProfileRating, updateRatings } from '../src/multiplayer/rating.js';
+import { rankPlayers } from '../src/multiplayer/room.js';
+import { verifyRun } from '../src/game/verification.js';
+import { buildSessionStats } from '../src/game/stats.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, encodeMessage, decodeMessage } from '../src/multiplayer/protocol.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const portArg = process.argv.indexOf('--port');
+const PORT = Number(portArg !== -1 ? process.argv[portArg + 1] : process.env.PORT) || 8787;
+
+// Supabase project JWT secret - access tokens are checked against it
+const JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+if (!JWT_SECRET) {
+    console.error('SUPABASE_JWT_SECRET is required to authenticate players');
+    process.exit(1);
+}
+
+if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    console.warn('[RoomServer] SUPABASE_SERVICE_ROLE_KEY is not set - rounds will not be saved or rated');
+}
+
+// ============================================
+// RATINGS
+// ============================================
+
+/**
+ * Call the Supabase REST API with the service role key
+ *
+ * @param {string} path - Path under /rest/v1/
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Array|null>} Parsed JSON rows (null for empty responses)
+ */
+async function rest(path, init = {}) {
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    const baseUrl = process.env.SUPABASE_URL || SUPABASE_URL;
+
+    const response = await fetch(`${baseUrl}/rest/v1/${path}`, {
+        ...init,
+        headers: {
+            apikey: key,
+            Authorization: `Bearer ${key}`,
+            'Content-Type': 'application/json',
+            ...init.headers
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`${init.method || 'GET'} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Fetch players' usernames and stored ratings
+ *
+ * @param {Array<string>} playerIds - Player ids
+ * @returns {Promise<Array>} profiles rows with the username and rating columns ([] without a service key or on error)
+ */
+async function fetchProfileRows(playerIds) {
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY || playerIds.length === 0) return [];
+
+    const query = new URLSearchParams({
+        select: 'id,username,rating,rating_deviation,rating_updated_at,rated_games',
+        id: `in.(${playerIds.join(',')})`
+    });
+    try {
+        return await rest(`profiles?${query}`) || [];
+    } catch (error) {
+        console.error('[RoomServer] Error loading profiles:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Fetch the skins each player owns
+ *
+ * @param {Array<string>} playerIds - Player ids
+ * @returns {Promise<Map<string, Array<string>>>} player id -> owned skin ids (empty without a service key or on error)
+ */
+async function fetchOwnedSkins(playerIds) {
+    const owned = new Map();
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY || playerIds.length === 0) return owned;
+
+    const query = new URLSearchParams({
+        select: 'player_id,skin_id',
+        player_id: `in.(${playerIds.join(',')})`
+    });
+    try {
+        for (const playerId of playerIds) owned.set(playerId, []);
+        for (const row of await rest(`player_skins?${query}`) || []) {
+            owned.get(row.player_id)?.push(row.skin_id);
+        }
+    } catch (error) {
+        console.error('[RoomServer] Error loading skins:', error.message);
+        owned.clear();
+    }
+    return owned;
+}
+
+/**
+ * The part of a round's ranking backed by a verified replay
+ *
+ * Re-simulates each player's replay on the round's seed and land; players
+ * without a replay, or whose replay doesn't reproduce their reported score
+ * and bananas, are left out and the rest re-ranked.
+ *
+ * @param {Object} room - Room that finished the round
+ * @param {Object} result - {round, seed, ranking, replays} from the room
+ * @returns {Promise<Object>} {ranking, results} - the verified ranking
+ *     [{playerId, username, score, bananas, rank}] and playerId -> simulation summary
+ */
+async function verifyRanking(room, { round, seed, ranking, replays }) {
+    const ownedSkins = await fetchOwnedSkins(ranking.map(entry => entry.playerId));
+    const results = new Map();
+
+    const verified = ranking.filter((entry) => {
+        const outcome = verifyRun({
+            score: entry.score,
+            bananas_collected: entry.bananas,
+            land_played: room.land,
+            seed,
+            game_mode: 'multiplayer',
+            replay: replays[entry.playerId]
+        }, { ownedSkins: ownedSkins.get(entry.playerId) });
+
+        if (!outcome.verified) {
+            console.log(`[RoomServer] Round ${round} of lobby ${room.code}: ${entry.playerId} not counted (${outcome.reason})`);
+            return false;
+        }
+        results.set(entry.playerId, outcome.result);
+        return true;
+    });
+
+    return {
+        ranking: rankPlayers(verified.map(entry => ({ ...entry, id: entry.playerId }))),
+        results
+    };
+}
+
+/**
+ * Save each verified run of a round as a multiplayer game session
+ *
+ * Clients can't save multiplayer sessions (the game_sessions insert
+ * policy), so wins are only ever recorded here. The rows keep their replay
+ * and go through scripts/verify-scores.mjs like any other run, which
+ * credits their bananas.
+ *
+ * @param {Object} room - Room that finished the round
+ * @param {Object} result - {round, seed, ranking, replays} from the room
+ * @param {Object} verified - {ranking, results} from verifyRanking()
+ */
+async function saveSessions(room, { seed, ranking: reported, replays }, { ranking, results }) {
+    // A win needs an opponent and a clear first place (ties don't win)
+    const leaders = ranking.filter(entry => entry.rank === 1);
+    const winnerId = reported.length >= 2 && leaders.length === 1 ? leaders[0].playerId : null;
+
+    for (const entry of ranking) {
+        const row = {
+            player_id: entry.playerId,
+            ...buildSessionStats({
+                ...results.get(entry.playerId),
+                land: room.land,
+                mode: 'multiplayer',
+                didWin: entry.playerId === winnerId
+            }),
+            seed,
+            replay: replays[entry.playerId]
+        };
+        try {
+            await rest('game_sessions', {
+                method: 'POST',
+                headers: { Prefer: 'return=minimal' },
+                body: JSON.stringify(row)
+            });
+        } catch (error) {
+            console.error(`[RoomServer] Error saving session for ${entry.playerId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Save a finished round's verified runs, then rate the round on them
+ *
+ * @param {Object} room - Room that finished the round
+ * @param {Object} result - {round, seed, ranking, replays} from the room
+ */
+async function settleRound(room, result) {
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY) return;
+
+    const verified = await verifyRanking(room, result);
+    await saveSessions(room, result, verified);
+
+    if (result.ranking.length >= 2 && verified.ranking.length >= 2) {
+        await rateRound(room, result.round, verified.ranking);
+    }
+}
+
+/**
+ * Rate a round and save everyone's new rating
+ *
+ * @param {Object} room - Room that finished the round
+ * @param {number} round - Round number
+ * @param {Array<Object>} ranking - Verified ranking [{playerId, rank}]
+ */
+async function rateRound(room, round, ranking) {
+    const rows = await fetchProfileRows(ranking.map(entry => entry.playerId));
+    if (rows.length === 0) return;
+
+    const ratings = {};
+    for (const row of rows) {
+        ratings[row.id] = getProfileRating(row);
+    }
+    const updated = updateRatings(ranking, ratings);
+    const ratedAt = new Date().toISOString();
+
+    for (const row of rows) {
+        const { rating, deviation } = updated[row.id];
+        try {
+            await rest(`profiles?id=eq.${row.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    rating,
+                    rating_deviation: deviation,
+                    rated_games: (row.rated_games || 0) + 1,
+                    rating_updated_at: ratedAt
+                })
+            });
+            room.setPlayerRating(row.id, { rating, deviation });
+        } catch (error) {
+            console.error(`[RoomServer] Error saving rating for ${row.id}:`, error.message);
+        }
+    }
+    console.log(`[RoomServer] Rated round ${round} of lobby ${room.code} (${rows.length} players)`);
+}
+
+// ============================================
+// ROOMS
+// ============================================
+
+const connections = new Map();  // playerId -> connection
+
+/**
+ * Deliver a room message to a player's connection
+ */
+function sendToPlayer(playerId, event, payload) {
+    const connection = connections.get(playerId);
+    if (connection) {
+        connection.send(encodeMessage(event, payload));
+    }
+}
+
+const directory = createLobbyDirectory({ generateId: randomUUID }, {
+    send: sendToPlayer,
+    onRoomOpened: room => console.log(`[RoomServer] Opened lobby ${room.code} (${room.land})`),
+    onRoomClosed: room => console.log(`[RoomServer] Closed lobby ${room.code}`),
+    onRoundOver: settleRound
+});
+
+// ============================================
+// CONNECTIONS
+// ============================================
+
+/**
+ * Handle a new WebSocket connection
+ */
+function handleConnection(connection) {
+    let playerId = null;
+    let joining = false;
+    let closed = false;
+
+    function detach() {
+        closed = true;
+        if (!playerId || connections.get(playerId) !== connection) return;
+
+        connections.delete(playerId);
+        directory.disconnect(playerId);
+    }
+
+    async function handleJoin(payload) {
+        if (playerId || joining) return;
+
+        // Who the player is comes from their signed session, not the payload
+        const { accessToken, ...joinPayload } = payload;
+        const claims = verifyAccessToken(accessToken, JWT_SECRET);
+        if (!claims) {
+            connection.send(encodeMessage(SERVER_EVENTS.ERROR, { message: 'Please sign in to play online' }));
+            connection.close(4001);
+            return;
+        }
+
+        // Matchmaking and the lobby use the stored username and rating, not
+        // ones the client sends
+        joining = true;
+        const [row] = await fetchProfileRows([claims.sub]);
+        const { rating, deviation } = getProfileRating(row);
+        const username = row?.username || claims.user_metadata?.username || 'Player';
+        joining = false;
+        if (closed) return;
+
+        // A player reconnecting from a new tab replaces their old connection
+        const previous = connections.get(claims.sub);
+        if (previous && previous !== connection) {
+            previous.close(4000);
+        }
+
+        playerId = claims.sub;
+        connections.set(playerId, connection);
+
+        if (!directory.join({ ...joinPayload, playerId, username, rating, deviation })) {
+            connections.delete(playerId);
+            playerId = null;
+        }
+    }
+
+    connection.on('message', (data) => {
+        const message = decodeMessage(data);
+        if (!message) return;
+
+        if (message.event === CLIENT_EVENTS.JOIN) {
+            handleJoin(message.payload);
+            return;
+        }
+        if (!playerId) return;
+
+        directory.handleMessage(playerId, message.event, message.payload);
+
+        if (message.event === CLIENT_EVENTS.LEAVE) {
+            connections.delete(playerId);
+            playerId = null;
+        }
+    });
+
+    connection.on('close', detach);
+    connection.on('error', (error) => console.error('[RoomServer] Connection error:', error.message));
+}
+
+// ============================================
+// HTTP SERVER
+// ============================================
+
+const server = createServer((request, response) => {
+    if (request.url === '/health') {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ rooms: directory.getRoomCount(), players: connections.size, queued: directory.getQueueSize() }));
+        return;
+    }
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Banana Runner room server - connect with a WebSocket');
+});
+
+server.on('upgrade', (request, socket) => {
+    const connection = acceptUpgrade(request, socket);
+    if (connection) {
+        handleConnection(connection);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`[RoomServer] Listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Minimal WebSocket (RFC 6455) support for the room server
+ *
+ * Just enough of the protocol for small JSON text messages: the HTTP
+ * upgrade handshake, masked client frames, fragmentation, ping/pong and
+ * close. Keeps the room server free of npm dependencies.
+ *
+ * @module server/websocket
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+/**
+ * Largest message we accept (game messages are tiny)
+ * @constant {number}
+ */
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// ============================================
+// FRAMES
+// ============================================
+
+/**
+ * Build an unmasked server frame
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse one frame from the front of a buffer
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} {fin, opcode, payload, length} or null if incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (payloadLength > MAX_MESSAGE_BYTES) {
+        throw new Error('Frame too large');
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + maskLength + payloadLength };
+}
+
+// ============================================
+// CONNECTION
+// ============================================
+
+/**
+ * Wrap an upgraded socket as a WebSocket connection
+ *
+ * Emits 'message' (string), 'close' and 'error'.
+ *
+ * @param {import('node:net').Socket} socket - Upgraded TCP socket
+ * @returns {EventEmitter} Connection with send(text) and close()
+ */
+function createConnection(socket) {
+    const connection = new EventEmitter();
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let closed = false;
+
+    function write(opcode, payload) {
+        if (!closed && socket.writable) {
+            socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    function close(code = 1000) {
+        if (closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        write(OPCODES.CLOSE, payload);
+        closed = true;
+        socket.end();
+    }
+
+    function handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+            case OPCODES.CONTINUATION:
+                // The per-frame limit alone doesn't bound a fragmented message
+                fragmentBytes += frame.payload.length;
+                if (fragmentBytes > MAX_MESSAGE_BYTES) {
+                    throw new Error('Message too large');
+                }
+                fragments.push(frame.payload);
+                if (frame.fin) {
+                    const message = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    fragmentBytes = 0;
+                    connection.emit('message', message);
+                }
+                break;
+            case OPCODES.PING:
+                write(OPCODES.PONG, frame.payload);
+                break;
+            case OPCODES.CLOSE:
+                close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    socket.on('data', (chunk) => {
+        if (closed) return;
+        buffered = Buffer.concat([buffered, chunk]);
+        try {
+            let frame;
+            while ((frame = decodeFrame(buffered))) {
+                buffered = buffered.subarray(frame.length);
+                handleFrame(frame);
+            }
+        } catch (error) {
+            connection.emit('error', error);
+            close(1009);
+        }
+    });
+
+    socket.on('close', () => {
+        closed = true;
+        connection.emit('close');
+    });
+    socket.on('error', (error) => connection.emit('error', error));
+
+    connection.send = (text) => write(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    connection.close = close;
+    return connection;
+}
+
+/**
+ * Complete the WebSocket handshake for an HTTP upgrade request
+ *
+ * @param {import('node:http').IncomingMessage} request - Upgrade request
+ * @param {import('node:net').Socket} socket - Request socket
+ * @returns {EventEmitter|null} Connection, or null if the request isn't a valid upgrade
+ */
+export function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '\r\n'
+    ].join('\r\n'));
+
+    socket.setNoDelay(true);
+    return createConnection(socket);
+}
+
+export default acceptUpgrade;
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Procedural audio engine for Banana Runner
+ *
+ * Plays the generated sound effects and land music from audio/sounds with
+ * the Web Audio API. Everything runs through one gain graph:
+ *
+ *   sfx gain ──┐
+ *              ├── master gain ── speakers
+ *   music gain ┘
+ *
+ * Browsers only allow audio after a user gesture, so the AudioContext is
+ * created by unlock() (call it from a click or key handler). Until then,
+ * and in browsers without Web Audio, every method is a harmless no-op.
+ *
+ * Music is scheduled ahead on the audio clock by a short timer (the usual
+ * Web Audio lookahead pattern), so notes stay in time even when frames drop.
+ *
+ * @module audio/audioEngine
+ */
+
+import { MUSIC_SCHEDULER_INTERVAL_MS, MUSIC_SCHEDULE_AHEAD_S } from '../core/config.js';
+import {
+    SOUND_EFFECTS,
+    normalizeAudioSettings,
+    getMusicTempo,
+    getMusicStep,
+    midiToFrequency
+} from './sounds.js';
+
+/**
+ * Create the audio engine
+ *
+ * @param {Object} [options] - Engine options
+ * @param {Function} [options.AudioContextClass] - AudioContext constructor (defaults to the browser's)
+ * @param {Object} [options.settings] - Initial volume settings (see normalizeAudioSettings)
+ * @returns {Object} Audio engine
+ *
+ * @example
+ * const audio = createAudioEngine({ settings: profile.audio_settings });
+ * canvas.addEventListener('pointerdown', () => audio.unlock());
+ * audio.startMusic(lands.snow.music);
+ * audio.play('jump');
+ */
+export function createAudioEngine(options = {}) {
+    const {
+        AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext
+    } = options;
+
+    let settings = normalizeAudioSettings(options.settings);
+    let context = null;
+    let masterGain = null;
+    let musicGain = null;
+    let sfxGain = null;
+    let noiseBuffer = null;
+
+    // Music state
+    let theme = null;
+    let tempo = 0;
+    let step = 0;
+    let nextStepTime = 0;
+    let schedulerTimer = null;
+
+    // ============================================
+    // SETUP
+    // ============================================
+
+    /**
+     * Create (or resume) the AudioContext - call from a user gesture
+     * @returns {boolean} True if audio is available
+     */
+    function unlock() {
+        if (!AudioContextClass) return false;
+
+        if (!context) {
+            try {
+                context = new AudioContextClass();
+            } catch (err) {
+                console.error('Error creating audio context:', err);
+                return false;
+            }
+            masterGain = context.createGain();
+            musicGain = context.createGain();
+            sfxGain = context.createGain();
+            musicGain.connect(masterGain);
+            sfxGain.connect(masterGain);
+            masterGain.connect(context.destination);
+            noiseBuffer = createNoiseBuffer();
+            applyVolumes();
+            if (theme) startScheduler();
+        }
+
+        if (context.state === 'suspended') {
+            context.resume().catch(err => console.error('Error resuming audio:', err));
+        }
+        return true;
+    }
+
+    // Half a second of white noise, shared by every noise tone
+    function createNoiseBuffer() {
+        const buffer = context.createBuffer(1, Math.floor(context.sampleRate / 2), context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    function applyVolumes() {
+        if (!context) return;
+        const now = context.currentTime;
+        masterGain.gain.setValueAtTime(settings.muted ? 0 : settings.master, now);
+        musicGain.gain.setValueAtTime(settings.music, now);
+        sfxGain.gain.setValueAtTime(settings.sfx, now);
+    }
+
+    // ============================================
+    // TONES
+    // ============================================
+
+    /**
+     * Schedule one tone
+     * @param {Object} tone - {wave, freq, to, duration, volume}
+     * @param {number} time - Audio clock time to start at
+     * @param {Object} destination - Gain node to play through
+     */
+    function playTone(tone, time, destination) {
+        const { wave, freq, to = freq, duration, volume = 0.3 } = tone;
+
+        let source;
+        if (wave === 'noise') {
+            source = context.createBufferSource();
+            source.buffer = noiseBuffer;
+        } else {
+            source = context.createOscillator();
+            source.type = wave;
+            source.frequency.setValueAtTime(freq, time);
+            if (to !== freq) {
+                source.frequency.exponentialRampToValueAtTime(Math.max(1, to), time + duration);
+            }
+        }
+
+        // Short attack and decay so notes don't click
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.exponentialRampToValueAtTime(volume, time + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        source.connect(envelope);
+        envelope.connect(destination);
+        source.start(time);
+        source.stop(time + duration + 0.02);
+    }
+
+    /**
+     * Play a sound effect
+     * @param {string} name - Key of SOUND_EFFECTS ('jump', 'banana', ...)
+     * @param {Object} [playOptions] - Playback options
+     * @param {number} [playOptions.intensity=1] - Volume scale (0-1), e.g. for lighter screen shakes
+     * @returns {boolean} True if the sound was played
+     */
+    function play(name, { intensity = 1 } = {}) {
+        const tones = SOUND_EFFECTS[name];
+        if (!context || !tones || settings.muted || settings.sfx === 0 || !(intensity > 0)) return false;
+
+        const now = context.currentTime;
+        const scale = Math.min(1, intensity);
+        for (const tone of tones) {
+            playTone({ ...tone, volume: tone.volume * scale }, now + (tone.start || 0), sfxGain);
+        }
+        return true;
+    }
+
+    // ============================================
+    // MUSIC
+    // ============================================
+
+    function playStep(time) {
+        const notes = getMusicStep(theme, step);
+        const stepLength = 60 / tempo / 4;
+
+        if (notes.lead !== null) {
+            playTone({ wave: theme.lead, freq: midiToFrequency(notes.lead), duration: stepLength * 1.8, volume: 0.12 }, time, musicGain);
+        }
+        if (notes.bass !== null) {
+            playTone({ wave: theme.bass, freq: midiToFrequency(notes.bass), duration: stepLength * 3, volume: 0.2 }, time, musicGain);
+        }
+        if (notes.drum === 'kick') {
+            playTone({ wave: 'sine', freq: 150, to: 50, duration: 0.15, volume: 0.35 }, time, musicGain);
+        } else if (notes.drum === 'snare') {
+            playTone({ wave: 'noise', duration: 0.1, volume: 0.15 }, time, musicGain);
+        } else if (notes.drum === 'hat') {
+            playTone({ wave: 'noise', duration: 0.03, volume: 0.05 }, time, musicGain);
+        }
+    }
+
+    // Schedule every step that starts before the lookahead window ends
+    function schedule() {
+        if (!context || !theme) return;
+
+        // After the tab was hidden (timers throttled), pick up from now
+        // instead of playing the missed steps all at once
+        if (nextStepTime < context.currentTime - MUSIC_SCHEDULE_AHEAD_S) {
+            nextStepTime = context.currentTime + 0.05;
+        }
+
+        while (nextStepTime < context.currentTime + MUSIC_SCHEDULE_AHEAD_S) {
+            playStep(nextStepTime);
+            nextStepTime += 60 / tempo / 4;
+            step++;
+        }
+    }
+
+    function startScheduler() {
+        if (schedulerTimer || !context) return;
+        nextStepTime = context.currentTime + 0.05;
+        schedulerTimer = setInterval(schedule, MUSIC_SCHEDULER_INTERVAL_MS);
+        schedule();
+    }
+
+    /**
+     * Loop a land's music from the start (no-op if it's already playing)
+     * @param {Object} musicTheme - Land music theme (lands[id].music)
+     */
+    function startMusic(musicTheme) {
+        if (!musicTheme || musicTheme === theme) return;
+
+        stopMusic();
+        theme = musicTheme;
+        tempo = musicTheme.bpm;
+        step = 0;
+        startScheduler();
+    }
+
+    /**
+     * Stop the music (notes already scheduled fade out on their own)
+     */
+    function stopMusic() {
+        if (schedulerTimer) {
+            clearInterval(schedulerTimer);
+            schedulerTimer = null;
+        }
+        theme = null;
+    }
+
+    /**
+     * Match the music tempo to the game speed
+     * @param {number} speed - Game scroll speed (world.speed)
+     */
+    function setGameSpeed(speed) {
+        if (theme) {
+            tempo = getMusicTempo(theme, speed);
+        }
+    }
+
+    // ============================================
+    // SETTINGS
+    // ============================================
+
+    /**
+     * Change volume settings
+     * @param {Object} changes - Any of {master, music, sfx, muted}
+     * @returns {Object} The new settings
+     */
+    function setSettings(changes) {
+        settings = normalizeAudioSettings({ ...settings, ...changes });
+        applyVolumes();
+        return { ...settings };
+    }
+
+    /**
+     * Mute or unmute everything
+     * @returns {boolean} True if now muted
+     */
+    function toggleMute() {
+        setSettings({ muted: !settings.muted });
+        return settings.muted;
+    }
+
+    return {
+        unlock,
+        play,
+        startMusic,
+        stopMusic,
+        setGameSpeed,
+        setSettings,
+        toggleMute,
+        getSettings: () => ({ ...settings }),
+        isMuted: () => settings.muted,
+        isMusicPlaying: () => theme !== null,
+        getTempo: () => tempo
+    };
+}
+
+export default createAudioEngine;
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Sound definitions for Banana Runner
+ *
+ * Everything the audio engine plays is generated, nothing is loaded:
+ * - Sound effects are short lists of tones (oscillator or noise bursts)
+ * - Music is built step by step from a land's theme (lands[id].music):
+ *   a chord progression over a scale, a bass line on the beat, a lead
+ *   melody picked from the chord and simple drums
+ *
+ * Melodies come from a hash of the step number rather than Math.random(),
+ * so a land's track loops the same way every run. This module has no Web
+ * Audio code, so the music and settings logic can run (and be tested)
+ * without a browser.
+ *
+ * @module audio/sounds
+ */
+
+import { INITIAL_SPEED, MUSIC_MAX_TEMPO_SCALE } from '../core/config.js';
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Volume settings for a new player (volumes 0-1)
+ * @constant {Object}
+ */
+export const DEFAULT_AUDIO_SETTINGS = {
+    master: 0.8,
+    music: 0.5,
+    sfx: 0.8,
+    muted: false
+};
+
+/**
+ * Fill in and clamp stored audio settings
+ *
+ * Volumes are rounded to 2 decimals so repeated +/- steps don't drift.
+ *
+ * @param {Object} [settings] - Stored settings (profiles.audio_settings), possibly partial
+ * @returns {Object} {master, music, sfx, muted}
+ */
+export function normalizeAudioSettings(settings) {
+    const normalized = { ...DEFAULT_AUDIO_SETTINGS };
+    if (!settings || typeof settings !== 'object') return normalized;
+
+    for (const key of ['master', 'music', 'sfx']) {
+        const volume = Number(settings[key]);
+        if (Number.isFinite(volume)) {
+            normalized[key] = Math.round(Math.min(1, Math.max(0, volume)) * 100) / 100;
+        }
+    }
+    normalized.muted = Boolean(settings.muted);
+    return normalized;
+}
+
+// ============================================
+// SOUND EFFECTS
+// ============================================
+
+/**
+ * Sound effects as tones: {wave, freq, to, start, duration, volume}
+ * - wave: oscillator type, or 'noise' for a noise burst
+ * - freq/to: start and end frequency in Hz (slides when they differ)
+ * - start/duration: seconds from when the effect plays
+ * @constant {Object}
+ */
+export const SOUND_EFFECTS = {
+    jump: [
+        { wave: 'square', freq: 260, to: 520, start: 0, duration: 0.12, volume: 0.25 }
+    ],
+    banana: [
+        { wave: 'square', freq: 988, start: 0, duration: 0.06, volume: 0.2 },
+        { wave: 'square', freq: 1319, start: 0.06, duration: 0.1, volume: 0.2 }
+    ],
+    powerUp: [
+        { wave: 'square', freq: 523, start: 0, duration: 0.08, volume: 0.22 },
+        { wave: 'square', freq: 659, start: 0.08, duration: 0.08, volume: 0.22 },
+        { wave: 'square', freq: 784, start: 0.16, duration: 0.08, volume: 0.22 },
+        { wave: 'square', freq: 1047, start: 0.24, duration: 0.16, volume: 0.22 }
+    ],
+    bubblePop: [
+        { wave: 'sine', freq: 900, to: 200, start: 0, duration: 0.08, volume: 0.4 },
+        { wave: 'noise', start: 0, duration: 0.05, volume: 0.15 }
+    ],
+    hit: [
+        { wave: 'noise', start: 0, duration: 0.25, volume: 0.5 },
+        { wave: 'square', freq: 110, to: 40, start: 0, duration: 0.2, volume: 0.3 }
+    ],
+    levelUp: [
+        { wave: 'triangle', freq: 523, start: 0, duration: 0.1, volume: 0.3 },
+        { wave: 'triangle', freq: 784, start: 0.1, duration: 0.1, volume: 0.3 },
+        { wave: 'triangle', freq: 1047, start: 0.2, duration: 0.3, volume: 0.3 },
+        { wave: 'square', freq: 1568, start: 0.2, duration: 0.3, volume: 0.1 }
+    ],
+    death: [
+        { wave: 'square', freq: 440, to: 110, start: 0, duration: 0.5, volume: 0.3 },
+        { wave: 'noise', start: 0, duration: 0.3, volume: 0.25 }
+    ]
+};
+
+// ============================================
+// MUSIC
+// ============================================
+
+/**
+ * Scales as semitone offsets from the root
+ * @constant {Object}
+ */
+export const SCALES = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    minor: [0, 2, 3, 5, 7, 8, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    phrygianDominant: [0, 1, 4, 5, 7, 8, 10],
+    majorPentatonic: [0, 2, 4, 7, 9],
+    minorPentatonic: [0, 3, 5, 7, 10]
+};
+
+/**
+ * Steps per bar (sixteenth notes)
+ * @constant {number}
+ */
+export const STEPS_PER_BAR = 16;
+
+/**
+ * Frequency of a MIDI note
+ *
+ * @param {number} note - MIDI note number (69 = A4)
+ * @returns {number} Frequency in Hz
+ */
+export function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+/**
+ * Music tempo for the current game speed
+ *
+ * The track speeds up with the run, from the theme's bpm at the starting
+ * speed up to MUSIC_MAX_TEMPO_SCALE times it.
+ *
+ * @param {Object} theme - Land music theme
+ * @param {number} speed - Game scroll speed (world.speed)
+ * @returns {number} Beats per minute
+ */
+export function getMusicTempo(theme, speed) {
+    const scale = Math.min(MUSIC_MAX_TEMPO_SCALE, Math.max(1, (Number(speed) || INITIAL_SPEED) / INITIAL_SPEED));
+    return theme.bpm * scale;
+}
+
+// Small integer hash, so melodies are random-looking but repeatable
+function hashStep(a, b) {
+    let h = Math.imul(a ^ 0x9E3779B9, 0x85EBCA6B) ^ Math.imul(b + 0x632BE5AB, 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 15), 0x2C1B3C6D);
+    h = Math.imul(h ^ (h >>> 12), 0x297A2D39);
+    return ((h ^ (h >>> 15)) >>> 0) / 4294967296;
+}
+
+// MIDI note for a scale degree (degrees past the scale wrap into higher octaves)
+function scaleNote(theme, degree) {
+    const scale = SCALES[theme.scale] || SCALES.major;
+    const octave = Math.floor(degree / scale.length);
+    const index = ((degree % scale.length) + scale.length) % scale.length;
+    return theme.root + octave * 12 + scale[index];
+}
+
+/**
+ * Notes for one step of a land's track
+ *
+ * Each bar plays one chord of the progression (a scale degree). The bass
+ * plays the chord root on the beat, the lead picks chord and passing
+ * tones at the theme's density, the kick lands on beats 1 and 3, the snare
+ * on 2 and 4 and the hi-hat on the offbeats.
+ *
+ * @param {Object} theme - Land music theme {bpm, root, scale, progression, lead, bass, density}
+ * @param {number} step - Step number since the track started
+ * @returns {Object} {lead, bass, drum} - MIDI notes (or null) and 'kick'/'snare'/'hat'/null
+ */
+export function getMusicStep(theme, step) {
+    const progression = theme.progression && theme.progression.length > 0 ? theme.progression : [0];
+    const bar = Math.floor(step / STEPS_PER_BAR);
+    const position = step % STEPS_PER_BAR;
+    const chord = progression[bar % progression.length];
+
+    // The melody repeats every two passes of the progression
+    const phraseBar = bar % (progression.length * 2);
+
+    let lead = null;
+    if (position % 2 === 0 && hashStep(phraseBar, position) < (theme.density ?? 0.5)) {
+        // Chord tones (root, third, fifth) most of the time, passing tones otherwise
+        const offsets = [0, 2, 4, 7, 0, 2, 4, 1, 3, 5];
+        const degree = chord + offsets[Math.floor(hashStep(position, phraseBar + 101) * offsets.length)];
+        lead = scaleNote(theme, degree);
+    }
+
+    const bass = position % 4 === 0 ? scaleNote(theme, chord) - 12 : null;
+
+    let drum = null;
+    if (position % 8 === 0) drum = 'kick';
+    else if (position % 4 === 0) drum = 'snare';
+    else if (position % 2 === 0) drum = 'hat';
+
+    return { lead, bass, drum };
+}
+
+export default SOUND_EFFECTS;
@@ -99,6 +99,12 @@ export const BANANA_SPAWN_CHANCE = 0.35;
  */
 export const BANANA_POINTS = 100;
 
+/**
+ * Gameplay modifier applied by special skins (20% gravity/speed/points)
+ * @constant {number}
+ */
+export const SKIN_MODIFIER = 0.20;
+
 /**
  * Ground height as fraction of canvas height
  * @constant {number}
@@ -119,7 +125,8 @@ export const GAME_STATES = {
     PLAYING: 'playing',
     GAMEOVER: 'gameover',
     LEADERBOARD: 'leaderboard',
-    LOBBY: 'lobby'
+    LOBBY: 'lobby',
+    REPLAY: 'replay'
 };
 
 /**
@@ -128,5 +135,211 @@ export const GAME_STATES = {
  */
 export const GAME_MODES = {
     SOLO: 'solo',
-    MULTIPLAYER: 'multiplayer'
+    MULTIPLAYER: 'multiplayer',
+    GHOST_RACE: 'ghost_race',
+    DAILY_CHALLENGE: 'daily_challenge'
 };
+
+// ============================================
+// MULTIPLAYER CONSTANTS
+// ============================================
+
+/**
+ * Maximum players in one lobby
+ * @constant {number}
+ */
+export const MAX_LOBBY_PLAYERS = 7;
+
+/**
+ * Minimum players needed to start a round
+ * @constant {number}
+ */
+export const MIN_LOBBY_PLAYERS = 2;
+
+/**
+ * Countdown (seconds) between the host starting a round and play beginning
+ * @constant {number}
+ */
+export const ROUND_COUNTDOWN_SECONDS = 3;
+
+/**
+ * URL of the deployed room server (server/room-server.mjs) for the
+ * websocket transport, e.g. 'wss://rooms.example.com' (pages served over
+ * HTTPS can only open wss:// URLs). While it's null the game plays online
+ * through the supabase transport.
+ * @constant {string|null}
+ */
+export const ROOM_SERVER_URL = null;
+
+/**
+ * How long a lobby invite from a friend stays joinable
+ * @constant {number}
+ */
+export const LOBBY_INVITE_TTL_MS = 10 * 60 * 1000;
+
+// ============================================
+// PRESENCE & RECONNECT CONSTANTS
+// ============================================
+
+/**
+ * How often a client in a lobby tells the others it is still there
+ * @constant {number}
+ */
+export const PRESENCE_HEARTBEAT_MS = 2000;
+
+/**
+ * Silence after which a player is shown as disconnected (3 missed heartbeats)
+ * @constant {number}
+ */
+export const PRESENCE_TIMEOUT_MS = 6000;
+
+/**
+ * How long a disconnected player keeps their place (and their run) before
+ * they are forfeited and removed from the lobby
+ * @constant {number}
+ */
+export const RECONNECT_GRACE_MS = 30000;
+
+// ============================================
+// RATING & MATCHMAKING CONSTANTS
+// ============================================
+
+/**
+ * Rating and rating deviation of a new player (Glicko)
+ * @constant {Object}
+ */
+export const DEFAULT_RATING = { rating: 1500, deviation: 350 };
+
+/**
+ * Half-width of the rating window when a player joins the queue
+ * @constant {number}
+ */
+export const MATCHMAKING_BASE_WINDOW = 100;
+
+/**
+ * Rating points the window widens by per second of waiting
+ * @constant {number}
+ */
+export const MATCHMAKING_WINDOW_GROWTH = 10;
+
+/**
+ * Widest the window gets (after ~50s anyone on the land is a match)
+ * @constant {number}
+ */
+export const MATCHMAKING_MAX_WINDOW = 600;
+
+/**
+ * How often a queued client asks for a match (Supabase transport)
+ * @constant {number}
+ */
+export const MATCHMAKING_POLL_MS = 2000;
+
+// ============================================
+// OFFLINE SYNC CONSTANTS
+// ============================================
+
+/**
+ * How often queued offline writes are retried while the game is open
+ * (they are also retried as soon as the browser reports it is online)
+ * @constant {number}
+ */
+export const SYNC_RETRY_MS = 15000;
+
+/**
+ * localStorage key prefix for offline data (sync queue, cached profile)
+ * @constant {string}
+ */
+export const OFFLINE_STORAGE_PREFIX = 'banana-runner';
+
+// ============================================
+// LEADERBOARD CONSTANTS
+// ============================================
+
+/**
+ * Entries per leaderboard page
+ * @constant {number}
+ */
+export const LEADERBOARD_PAGE_SIZE = 10;
+
+/**
+ * Entries shown above and below the player in a "your rank" lookup
+ * @constant {number}
+ */
+export const LEADERBOARD_RANK_NEIGHBORS = 2;
+
+// ============================================
+// SEASON CONSTANTS
+// ============================================
+
+/**
+ * Length of a new season (scripts/end-season.mjs --next)
+ * @constant {number}
+ */
+export const SEASON_LENGTH_DAYS = 28;
+
+// ============================================
+// AUDIO CONSTANTS
+// ============================================
+
+/**
+ * How often the music scheduler runs (ms)
+ * @constant {number}
+ */
+export const MUSIC_SCHEDULER_INTERVAL_MS = 25;
+
+/**
+ * How far ahead of the audio clock music notes are scheduled (seconds)
+ * @constant {number}
+ */
+export const MUSIC_SCHEDULE_AHEAD_S = 0.1;
+
+/**
+ * Fastest the music gets relative to a land's base tempo (at high game speed)
+ * @constant {number}
+ */
+export const MUSIC_MAX_TEMPO_SCALE = 1.5;
+
+/**
+ * Volume change per tap on the sound settings screen
+ * @constant {number}
+ */
+export const AUDIO_VOLUME_STEP = 0.1;
+
+// ============================================
+// RENDERING CONSTANTS
+// ============================================
+
+/**
+ * Width and height of a sprite atlas page (px)
+ * @constant {number}
+ */
+export const SPRITE_ATLAS_SIZE = 1024;
+
+/**
+ * Atlas pages the sprite cache may fill before it starts over
+ * @constant {number}
+ */
+export const SPRITE_ATLAS_MAX_PAGES = 4;
+
+// ============================================
+// SPRITE EDITOR CONSTANTS
+// ============================================
+
+/**
+ * Sprite editor grid size in pixels (a runner is 32 wide; skins may be up to 48 tall)
+ * @constant {number}
+ */
+export const SPRITE_EDITOR_WIDTH = 32;
+export const SPRITE_EDITOR_HEIGHT = 48;
+
+/**
+ * Undo steps the sprite editor keeps (one per stroke, fill or clear)
+ * @constant {number}
+ */
+export const SPRITE_EDITOR_UNDO_LIMIT = 50;
+
+/**
+ * Frames the editor preview runs in each land before moving to the next (6s at 60fps)
+ * @constant {number}
+ */
+export const SPRITE_EDITOR_PREVIEW_FRAMES = 360;
@@ -49,6 +49,41 @@ export function drawSprite(ctx, x, y, pixels, scale, colorMap) {
     }
 }
 
+/**
+ * Draws a pixel art sprite with a colored outline (for accessibility)
+ *
+ * The outline is drawn by filling a slightly larger square under every
+ * opaque pixel, then the sprite on top.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context
+ * @param {number} x - X position to draw at
+ * @param {number} y - Y position to draw at
+ * @param {number[][]} pixels - 2D array of color indices
+ * @param {number} scale - Scale multiplier for pixel size
+ * @param {Object<number, string>} colorMap - Maps indices to CSS colors
+ * @param {string} outlineColor - Outline CSS color
+ * @param {number} [outlineWidth=1] - Outline width in sprite pixels
+ */
+export function drawSpriteWithOutline(ctx, x, y, pixels, scale, colorMap, outlineColor, outlineWidth = 1) {
+    const ow = outlineWidth * scale;
+
+    ctx.fillStyle = outlineColor;
+    for (let row = 0; row < pixels.length; row++) {
+        for (let col = 0; col < pixels[row].length; col++) {
+            if (pixels[row][col]) {
+                ctx.fillRect(
+                    x + col * scale - ow,
+                    y + row * scale - ow,
+                    scale + ow * 2,
+                    scale + ow * 2
+                );
+            }
+        }
+    }
+
+    drawSprite(ctx, x, y, pixels, scale, colorMap);
+}
+
 // ============================================
 // GEOMETRY HELPERS
 // ============================================
@@ -0,0 +1,584 @@
+/**
+ * @fileoverview Achievement definitions for Banana Runner
+ *
+ * Each achievement has:
+ * - name: Display name
+ * - description: Kid-friendly description
+ * - reward: Banana reward for unlocking (mirrored in the achievement_rewards table)
+ * - requirement: Declarative unlock rule (see game/achievements)
+ * - category: Section on the achievements page (ACHIEVEMENT_CATEGORIES)
+ *
+ * @module game/achievementCatalog
+ */
+
+/**
+ * Achievement definitions keyed by id
+ * @constant {Object}
+ */
+export const ACHIEVEMENTS = {
+    // =====================================
+    // GETTING STARTED (Games Played)
+    // =====================================
+    first_game: {
+        name: 'First Steps',
+        description: 'Play your very first game!',
+        reward: 5,
+        requirement: { type: 'total_games', value: 1 },
+        category: 'games'
+    },
+    getting_started: {
+        name: 'Getting Started',
+        description: 'Play 5 games total',
+        reward: 10,
+        requirement: { type: 'total_games', value: 5 },
+        category: 'games'
+    },
+    regular_player: {
+        name: 'Regular Player',
+        description: 'Play 10 games total',
+        reward: 15,
+        requirement: { type: 'total_games', value: 10 },
+        category: 'games'
+    },
+    dedicated_runner: {
+        name: 'Dedicated Runner',
+        description: 'Play 25 games total',
+        reward: 25,
+        requirement: { type: 'total_games', value: 25 },
+        category: 'games'
+    },
+    banana_master: {
+        name: 'Banana Master',
+        description: 'Play 50 games total',
+        reward: 50,
+        requirement: { type: 'total_games', value: 50 },
+        category: 'games'
+    },
+    true_champion: {
+        name: 'True Champion',
+        description: 'Play 100 games total!',
+        reward: 100,
+        requirement: { type: 'total_games', value: 100 },
+        category: 'games'
+    },
+    daily_runner: {
+        name: 'Daily Runner',
+        description: 'Play on 3 days in a row',
+        reward: 20,
+        requirement: { type: 'play_streak', scope: 'streak', value: 3 },
+        category: 'games'
+    },
+    weekly_habit: {
+        name: 'Weekly Habit',
+        description: 'Play 7 days in a row!',
+        reward: 75,
+        requirement: { type: 'play_streak', scope: 'streak', value: 7 },
+        category: 'games'
+    },
+
+    // =====================================
+    // SCORE ACHIEVEMENTS
+    // =====================================
+    first_hundred: {
+        name: 'First Hundred',
+        description: 'Score 100 points in one game',
+        reward: 5,
+        requirement: { type: 'high_score', value: 100 },
+        category: 'score'
+    },
+    making_progress: {
+        name: 'Making Progress',
+        description: 'Score 500 points in one game',
+        reward: 10,
+        requirement: { type: 'high_score', value: 500 },
+        category: 'score'
+    },
+    breaking_through: {
+        name: 'Breaking Through',
+        description: 'Score 1000 points in one game',
+        reward: 15,
+        requirement: { type: 'high_score', value: 1000 },
+        category: 'score'
+    },
+    skilled_runner: {
+        name: 'Skilled Runner',
+        description: 'Score 2500 points in one game',
+        reward: 25,
+        requirement: { type: 'high_score', value: 2500 },
+        category: 'score'
+    },
+    expert_runner: {
+        name: 'Expert Runner',
+        description: 'Score 5000 points in one game',
+        reward: 50,
+        requirement: { type: 'high_score', value: 5000 },
+        category: 'score'
+    },
+    master_runner: {
+        name: 'Master Runner',
+        description: 'Score 10000 points in one game!',
+        reward: 100,
+        requirement: { type: 'high_score', value: 10000 },
+        category: 'score'
+    },
+    legendary_runner: {
+        name: 'Legendary Runner',
+        description: 'Score 25000 points in one game!',
+        reward: 250,
+        requirement: { type: 'high_score', value: 25000 },
+        category: 'score'
+    },
+
+    // =====================================
+    // BANANA COLLECTION
+    // =====================================
+    first_banana: {
+        name: 'First Banana',
+        description: 'Collect your first banana!',
+        reward: 1,
+        requirement: { type: 'total_bananas', value: 1 },
+        category: 'bananas'
+    },
+    banana_bunch: {
+        name: 'Banana Bunch',
+        description: 'Collect 10 bananas total',
+        reward: 5,
+        requirement: { type: 'total_bananas', value: 10 },
+        category: 'bananas'
+    },
+    banana_collector: {
+        name: 'Banana Collector',
+        description: 'Collect 50 bananas total',
+        reward: 15,
+        requirement: { type: 'total_bananas', value: 50 },
+        category: 'bananas'
+    },
+    banana_hoarder: {
+        name: 'Banana Hoarder',
+        description: 'Collect 100 bananas total',
+        reward: 25,
+        requirement: { type: 'total_bananas', value: 100 },
+        category: 'bananas'
+    },
+    banana_baron: {
+        name: 'Banana Baron',
+        description: 'Collect 500 bananas total',
+        reward: 75,
+        requirement: { type: 'total_bananas', value: 500 },
+        category: 'bananas'
+    },
+    banana_billionaire: {
+        name: 'Banana Billionaire',
+        description: 'Collect 1000 bananas total!',
+        reward: 150,
+        requirement: { type: 'total_bananas', value: 1000 },
+        category: 'bananas'
+    },
+    banana_haul: {
+        name: 'Banana Haul',
+        description: 'Collect 25 bananas in one game',
+        reward: 25,
+        requirement: { type: 'bananas', scope: 'run', value: 25 },
+        category: 'bananas'
+    },
+    banana_feast: {
+        name: 'Banana Feast',
+        description: 'Collect 50 bananas in one game!',
+        reward: 75,
+        requirement: { type: 'bananas', scope: 'run', value: 50 },
+        category: 'bananas'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (Jetpack)
+    // =====================================
+    first_flight: {
+        name: 'First Flight',
+        description: 'Use a jetpack for the first time!',
+        reward: 10,
+        requirement: { type: 'jetpacks_collected', value: 1 },
+        category: 'powerups'
+    },
+    sky_high: {
+        name: 'Sky High',
+        description: 'Use 10 jetpacks total',
+        reward: 25,
+        requirement: { type: 'jetpacks_collected', value: 10 },
+        category: 'powerups'
+    },
+    rocket_man: {
+        name: 'Rocket Man',
+        description: 'Use 25 jetpacks total',
+        reward: 50,
+        requirement: { type: 'jetpacks_collected', value: 25 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (T-Rex)
+    // =====================================
+    first_stomp: {
+        name: 'First Stomp',
+        description: 'Use a Dino Stomp for the first time!',
+        reward: 10,
+        requirement: { type: 'dino_stomps_collected', value: 1 },
+        category: 'powerups'
+    },
+    dino_power: {
+        name: 'Dino Power',
+        description: 'Use 10 Dino Stomps total',
+        reward: 25,
+        requirement: { type: 'dino_stomps_collected', value: 10 },
+        category: 'powerups'
+    },
+    trex_king: {
+        name: 'T-Rex King',
+        description: 'Use 25 Dino Stomps total!',
+        reward: 50,
+        requirement: { type: 'dino_stomps_collected', value: 25 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (Bubble Shield)
+    // =====================================
+    bubble_first: {
+        name: 'Protected',
+        description: 'Collect your first Bubble Shield',
+        reward: 10,
+        requirement: { type: 'bubbles_collected', value: 1 },
+        category: 'powerups'
+    },
+    bubble_collector: {
+        name: 'Bubble Master',
+        description: 'Collect 10 Bubble Shields (total)',
+        reward: 25,
+        requirement: { type: 'bubbles_collected', value: 10 },
+        category: 'powerups'
+    },
+    bubble_savior: {
+        name: 'Life Saver',
+        description: 'Have bubbles absorb 5 hits (total)',
+        reward: 50,
+        requirement: { type: 'bubble_hits_absorbed', value: 5 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (Pogo Stick)
+    // =====================================
+    pogo_first: {
+        name: 'Bouncy!',
+        description: 'Collect your first Pogo Stick',
+        reward: 10,
+        requirement: { type: 'pogos_collected', value: 1 },
+        category: 'powerups'
+    },
+    pogo_collector: {
+        name: 'Spring Loaded',
+        description: 'Collect 10 Pogo Sticks (total)',
+        reward: 25,
+        requirement: { type: 'pogos_collected', value: 10 },
+        category: 'powerups'
+    },
+    pogo_master: {
+        name: 'Pogo Pro',
+        description: 'Collect 25 Pogo Sticks (total)',
+        reward: 50,
+        requirement: { type: 'pogos_collected', value: 25 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (Lion Roar)
+    // =====================================
+    lion_first: {
+        name: 'King of Jungle',
+        description: 'Use Lion Roar for the first time',
+        reward: 15,
+        requirement: { type: 'lions_collected', value: 1 },
+        category: 'powerups'
+    },
+    lion_collector: {
+        name: 'Mighty Roar',
+        description: 'Use Lion Roar 10 times',
+        reward: 35,
+        requirement: { type: 'lions_collected', value: 10 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (Turtle)
+    // =====================================
+    turtle_first: {
+        name: 'Slow Down',
+        description: 'Collect your first Turtle',
+        reward: 10,
+        requirement: { type: 'turtles_collected', value: 1 },
+        category: 'powerups'
+    },
+    turtle_collector: {
+        name: 'Slow and Steady',
+        description: 'Collect 10 Turtles',
+        reward: 25,
+        requirement: { type: 'turtles_collected', value: 10 },
+        category: 'powerups'
+    },
+    turtle_master: {
+        name: 'Time Bender',
+        description: 'Collect 25 Turtles',
+        reward: 50,
+        requirement: { type: 'turtles_collected', value: 25 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // POWER-UP ACHIEVEMENTS (Star)
+    // =====================================
+    star_first: {
+        name: 'Superstar',
+        description: 'Collect your first Star',
+        reward: 10,
+        requirement: { type: 'stars_collected', value: 1 },
+        category: 'powerups'
+    },
+    star_collector: {
+        name: 'Star Power',
+        description: 'Collect 10 Stars',
+        reward: 25,
+        requirement: { type: 'stars_collected', value: 10 },
+        category: 'powerups'
+    },
+    star_master: {
+        name: 'Invincible',
+        description: 'Collect 25 Stars',
+        reward: 50,
+        requirement: { type: 'stars_collected', value: 25 },
+        category: 'powerups'
+    },
+
+    // =====================================
+    // LEVEL ACHIEVEMENTS
+    // =====================================
+    level_one: {
+        name: 'Level One',
+        description: 'Reach Level 1 (score 1000)',
+        reward: 10,
+        requirement: { type: 'highest_level_reached', value: 1 },
+        category: 'levels'
+    },
+    level_five: {
+        name: 'Level Five',
+        description: 'Reach Level 5 (score 5000)',
+        reward: 35,
+        requirement: { type: 'highest_level_reached', value: 5 },
+        category: 'levels'
+    },
+    level_ten: {
+        name: 'Level Ten',
+        description: 'Reach Level 10 (score 10000)!',
+        reward: 75,
+        requirement: { type: 'highest_level_reached', value: 10 },
+        category: 'levels'
+    },
+    level_master: {
+        name: 'Level Master',
+        description: 'Reach Level 25 (score 25000)!',
+        reward: 200,
+        requirement: { type: 'highest_level_reached', value: 25 },
+        category: 'levels'
+    },
+
+    // =====================================
+    // LAND/BIOME EXPLORATION
+    // =====================================
+    snow_explorer: {
+        name: 'Snow Explorer',
+        description: 'Play a game in Snow Land',
+        reward: 5,
+        requirement: { type: 'games_played', land: 'snow', value: 1 },
+        category: 'lands'
+    },
+    desert_explorer: {
+        name: 'Desert Explorer',
+        description: 'Play a game in Desert Land',
+        reward: 5,
+        requirement: { type: 'games_played', land: 'desert', value: 1 },
+        category: 'lands'
+    },
+    jungle_explorer: {
+        name: 'Jungle Explorer',
+        description: 'Play a game in Jungle Land',
+        reward: 5,
+        requirement: { type: 'games_played', land: 'jungle', value: 1 },
+        category: 'lands'
+    },
+    ocean_explorer: {
+        name: 'Ocean Explorer',
+        description: 'Play a game in Ocean Land',
+        reward: 5,
+        requirement: { type: 'games_played', land: 'ocean', value: 1 },
+        category: 'lands'
+    },
+    world_traveler: {
+        name: 'World Traveler',
+        description: 'Play on all 4 different lands!',
+        reward: 25,
+        requirement: { type: 'games_played', lands: ['snow', 'desert', 'jungle', 'ocean'], value: 1 },
+        category: 'lands'
+    },
+    snow_master: {
+        name: 'Snow Master',
+        description: 'Play 10 games in Snow Land',
+        reward: 20,
+        requirement: { type: 'games_played', land: 'snow', value: 10 },
+        category: 'lands'
+    },
+    desert_master: {
+        name: 'Desert Master',
+        description: 'Play 10 games in Desert Land',
+        reward: 20,
+        requirement: { type: 'games_played', land: 'desert', value: 10 },
+        category: 'lands'
+    },
+    jungle_master: {
+        name: 'Jungle Master',
+        description: 'Play 10 games in Jungle Land',
+        reward: 20,
+        requirement: { type: 'games_played', land: 'jungle', value: 10 },
+        category: 'lands'
+    },
+    ocean_master: {
+        name: 'Ocean Master',
+        description: 'Play 10 games in Ocean Land',
+        reward: 20,
+        requirement: { type: 'games_played', land: 'ocean', value: 10 },
+        category: 'lands'
+    },
+
+    // =====================================
+    // TIME PLAYED
+    // =====================================
+    warming_up: {
+        name: 'Warming Up',
+        description: 'Play for 5 minutes total',
+        reward: 10,
+        requirement: { type: 'total_time_played', value: 300 },
+        category: 'time'
+    },
+    getting_comfortable: {
+        name: 'Getting Comfortable',
+        description: 'Play for 15 minutes total',
+        reward: 25,
+        requirement: { type: 'total_time_played', value: 900 },
+        category: 'time'
+    },
+    time_flies: {
+        name: 'Time Flies',
+        description: 'Play for 30 minutes total',
+        reward: 50,
+        requirement: { type: 'total_time_played', value: 1800 },
+        category: 'time'
+    },
+    dedicated_player: {
+        name: 'Dedicated Player',
+        description: 'Play for 1 hour total!',
+        reward: 100,
+        requirement: { type: 'total_time_played', value: 3600 },
+        category: 'time'
+    },
+    hardcore_gamer: {
+        name: 'Hardcore Gamer',
+        description: 'Play for 2 hours total!',
+        reward: 200,
+        requirement: { type: 'total_time_played', value: 7200 },
+        category: 'time'
+    },
+
+    // =====================================
+    // LEADERBOARD
+    // =====================================
+    top_banana: {
+        name: 'Top Banana',
+        description: 'Reach #1 on the leaderboard!',
+        reward: 100,
+        requirement: { type: 'times_reached_rank_one', value: 1 },
+        category: 'leaderboard'
+    },
+
+    // =====================================
+    // SHOP/PURCHASES
+    // =====================================
+    first_purchase: {
+        name: 'First Purchase',
+        description: 'Buy your first item from the shop!',
+        reward: 10,
+        requirement: { type: 'total_purchases', value: 1 },
+        category: 'shop'
+    },
+    collector: {
+        name: 'Collector',
+        description: 'Buy 5 items from the shop',
+        reward: 25,
+        requirement: { type: 'total_purchases', value: 5 },
+        category: 'shop'
+    },
+    shopaholic: {
+        name: 'Shopaholic',
+        description: 'Buy 10 items from the shop!',
+        reward: 75,
+        requirement: { type: 'total_purchases', value: 10 },
+        category: 'shop'
+    },
+
+    // =====================================
+    // MULTIPLAYER
+    // =====================================
+    social_butterfly: {
+        name: 'Social Butterfly',
+        description: 'Play your first multiplayer game!',
+        reward: 15,
+        requirement: { type: 'multiplayer_games', value: 1 },
+        category: 'multiplayer'
+    },
+    first_win: {
+        name: 'Victory!',
+        description: 'Win your first multiplayer game!',
+        reward: 25,
+        requirement: { type: 'multiplayer_wins', value: 1 },
+        category: 'multiplayer'
+    },
+    champion: {
+        name: 'Champion',
+        description: 'Win 10 multiplayer games!',
+        reward: 100,
+        requirement: { type: 'multiplayer_wins', value: 10 },
+        category: 'multiplayer'
+    },
+    winning_streak: {
+        name: 'Winning Streak',
+        description: 'Win 3 multiplayer games in a row!',
+        reward: 50,
+        requirement: { type: 'win_streak', scope: 'streak', value: 3 },
+        category: 'multiplayer'
+    }
+};
+
+/**
+ * Achievement categories for organizing the achievements page
+ * @constant {Object}
+ */
+export const ACHIEVEMENT_CATEGORIES = {
+    games: { name: 'Games Played', order: 1 },
+    score: { name: 'Score', order: 2 },
+    bananas: { name: 'Bananas', order: 3 },
+    levels: { name: 'Levels', order: 4 },
+    powerups: { name: 'Power-Ups', order: 5 },
+    lands: { name: 'Lands', order: 6 },
+    time: { name: 'Time Played', order: 7 },
+    leaderboard: { name: 'Leaderboard', order: 8 },
+    shop: { name: 'Shop', order: 9 },
+    multiplayer: { name: 'Multiplayer', order: 10 }
+};
+
+export default ACHIEVEMENTS;
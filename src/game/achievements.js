@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Achievement and unlock rules for Banana Runner
+ *
+ * Achievements (`ACHIEVEMENTS[id].requirement`) and achievement skins
+ * (`SKINS[id].unlockReq`) declare what earns them; this module evaluates
+ * those declarations against a stats snapshot, so both use the same rules.
+ *
+ * Requirement forms:
+ *   { type: 'total_games', value: 10 }                    - lifetime stat >= value
+ *   { type: 'score', scope: 'run', value: 5000 }           - in a single run
+ *   { type: 'win_streak', scope: 'streak', value: 3 }      - current streak
+ *   { type: 'games_played', land: 'snow', value: 10 }      - per-land stat
+ *   { type: 'games_played', lands: ['snow', 'ocean'], value: 1 } - every listed land
+ *   { type: 'games_played', land: 'any', value: 1 }        - at least one land
+ *   { all: [req, ...] } / { any: [req, ...] }             - compound
+ *
+ * Progress toward each rule (17 / 25 jetpacks) comes from the same
+ * snapshot. Run and streak values aren't kept in the profile, so their
+ * progress is passed in from storage (the achievement_progress table).
+ *
+ * No DOM or database access - everything works from plain objects, so the
+ * rules can be checked in Node against fixture profiles.
+ *
+ * @module game/achievements
+ */
+
+import { lands } from './lands.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Per-land profile columns, as `${land}_${stat}` (snow_games_played, ...)
+ * @constant {Array<string>}
+ */
+export const LAND_STATS = ['games_played', 'best_score'];
+
+/**
+ * Lifetime stats that take the best of the profile and the current run
+ * rather than adding the run on top
+ * @constant {Object}
+ */
+const RUN_MAXIMUMS = {
+    high_score: 'score',
+    highest_level_reached: 'level'
+};
+
+// ============================================
+// STATS SNAPSHOT
+// ============================================
+
+/**
+ * Build the stats snapshot requirements are checked against
+ *
+ * The profile is expected to already include the run (the database adds
+ * each saved session to the profile totals, see game/stats). The run's
+ * best-of stats are folded in again here, which is harmless if they are
+ * already counted, so run-scoped checks also work on an unsaved run.
+ *
+ * @param {Object} profile - Profile / playerStats row (total_games, high_score, snow_games_played, ...)
+ * @param {Object} [run] - Run just finished {score, bananas, timeSeconds, level, land, isMultiplayer, didWin}
+ * @param {Object} [extras] - Extra values
+ * @param {Object} [extras.streaks] - Current streak counters (see advanceStreaks)
+ * @param {Array<string>} [extras.landIds] - Lands to read per-land stats for (all lands)
+ * @returns {Object} Snapshot {lifetime, run, lands, streaks}
+ */
+export function buildStatsSnapshot(profile = {}, run = null, { streaks = {}, landIds = Object.keys(lands) } = {}) {
+    const lifetime = {};
+    for (const [key, value] of Object.entries(profile || {})) {
+        if (typeof value === 'number') {
+            lifetime[key] = value;
+        }
+    }
+
+    const landStats = {};
+    for (const land of landIds) {
+        landStats[land] = {};
+        for (const stat of LAND_STATS) {
+            landStats[land][stat] = lifetime[`${land}_${stat}`] || 0;
+        }
+    }
+
+    if (run) {
+        for (const [stat, runKey] of Object.entries(RUN_MAXIMUMS)) {
+            lifetime[stat] = Math.max(lifetime[stat] || 0, run[runKey] || 0);
+        }
+        if (run.land && landStats[run.land]) {
+            landStats[run.land].best_score = Math.max(landStats[run.land].best_score, run.score || 0);
+        }
+    }
+
+    return {
+        lifetime,
+        run: run || {},
+        lands: landStats,
+        streaks
+    };
+}
+
+/**
+ * Advance streak counters after a run
+ *
+ * - win_streak: multiplayer rounds won in a row (solo runs don't break it)
+ * - play_streak: consecutive days with at least one run
+ *
+ * @param {Object} streaks - Previous counters {win_streak, play_streak, last_played_on}
+ * @param {Object} run - Run just finished {isMultiplayer, didWin}
+ * @param {string} date - Day of the run, YYYY-MM-DD
+ * @returns {Object} New counters
+ */
+export function advanceStreaks(streaks = {}, run = {}, date) {
+    let winStreak = streaks.win_streak || 0;
+    if (run.isMultiplayer) {
+        winStreak = run.didWin ? winStreak + 1 : 0;
+    }
+
+    let playStreak = streaks.play_streak || 0;
+    if (streaks.last_played_on !== date) {
+        playStreak = isNextDay(streaks.last_played_on, date) ? playStreak + 1 : 1;
+    }
+
+    return {
+        win_streak: winStreak,
+        play_streak: playStreak,
+        last_played_on: date
+    };
+}
+
+function isNextDay(previous, date) {
+    if (!previous) return false;
+    return Date.parse(`${date}T00:00:00Z`) - Date.parse(`${previous}T00:00:00Z`) === 86400000;
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+/**
+ * Current value of a single (non-compound) requirement's stat
+ *
+ * @param {Object} requirement - Requirement declaration
+ * @param {Object} snapshot - From buildStatsSnapshot()
+ * @returns {number} Stat value (for 'lands' / 'any', the weakest / strongest land)
+ */
+export function getRequirementValue(requirement, snapshot) {
+    const { type, scope = 'lifetime', land, lands: landList } = requirement;
+
+    if (land || landList) {
+        const ids = landList || (land === 'any' ? Object.keys(snapshot.lands) : [land]);
+        const values = ids.map(id => snapshot.lands[id]?.[type] || 0);
+        if (values.length === 0) return 0;
+        return land === 'any' ? Math.max(...values) : Math.min(...values);
+    }
+
+    const source = scope === 'run' ? snapshot.run
+        : scope === 'streak' ? snapshot.streaks
+            : snapshot.lifetime;
+    return Number(source?.[type]) || 0;
+}
+
+/**
+ * Check whether a requirement (possibly compound) is met
+ *
+ * @param {Object} requirement - Requirement declaration
+ * @param {Object} snapshot - From buildStatsSnapshot()
+ * @returns {boolean} True if met
+ */
+export function meetsRequirement(requirement, snapshot) {
+    if (!requirement) return false;
+
+    if (requirement.all) {
+        return requirement.all.every(part => meetsRequirement(part, snapshot));
+    }
+    if (requirement.any) {
+        return requirement.any.some(part => meetsRequirement(part, snapshot));
+    }
+
+    return getRequirementValue(requirement, snapshot) >= requirement.value;
+}
+
+/**
+ * Find everything newly earned in a catalog
+ *
+ * @param {Object} catalog - Definitions keyed by id (ACHIEVEMENTS or SKINS)
+ * @param {Object} snapshot - From buildStatsSnapshot()
+ * @param {Object} [options] - Evaluation options
+ * @param {Array<string>} [options.owned] - Ids already unlocked (skipped)
+ * @param {string} [options.requirementKey='requirement'] - Field holding the requirement ('unlockReq' for skins)
+ * @param {string} [options.rewardKey='reward'] - Field holding the banana reward
+ * @returns {Object} {earned: [{id, reward}], totalReward}
+ *
+ * @example
+ * const snapshot = buildStatsSnapshot(playerStats, run);
+ * const { earned } = evaluateRules(ACHIEVEMENTS, snapshot, { owned: unlockedAchievements });
+ * const skins = evaluateRules(SKINS, snapshot, { owned: unlockedSkins, requirementKey: 'unlockReq' });
+ */
+export function evaluateRules(catalog, snapshot, { owned = [], requirementKey = 'requirement', rewardKey = 'reward' } = {}) {
+    const ownedIds = new Set(owned);
+    const earned = [];
+
+    for (const [id, definition] of Object.entries(catalog)) {
+        if (ownedIds.has(id)) continue;
+
+        const requirement = definition[requirementKey];
+        if (requirement && meetsRequirement(requirement, snapshot)) {
+            earned.push({ id, reward: definition[rewardKey] || 0 });
+        }
+    }
+
+    return {
+        earned,
+        totalReward: earned.reduce((sum, entry) => sum + entry.reward, 0)
+    };
+}
+
+// ============================================
+// PROGRESS
+// ============================================
+
+/**
+ * Whether a requirement's progress has to be stored between sessions
+ * (run and streak values aren't in the profile)
+ *
+ * @param {Object} requirement - Requirement declaration
+ * @returns {boolean} True for single run- or streak-scoped requirements
+ */
+export function isStoredRequirement(requirement) {
+    if (!requirement || requirement.all || requirement.any) return false;
+    return requirement.scope === 'run' || requirement.scope === 'streak';
+}
+
+/**
+ * Progress toward a requirement
+ *
+ * Compound requirements report their weakest part ('all') or strongest
+ * part ('any'). For stored requirements, `saved` is the stored value:
+ * the best run so far, or the streak as of the last run when the
+ * snapshot has no live streak counters.
+ *
+ * @param {Object} requirement - Requirement declaration
+ * @param {Object} snapshot - From buildStatsSnapshot()
+ * @param {number} [saved=0] - Stored progress (stored requirements only)
+ * @returns {Object} {current, target, ratio} - current is capped at target
+ */
+export function getRequirementProgress(requirement, snapshot, saved = 0) {
+    if (requirement.all || requirement.any) {
+        const parts = (requirement.all || requirement.any).map(part => getRequirementProgress(part, snapshot));
+        if (parts.length === 0) return { current: 0, target: 0, ratio: 0 };
+        const pick = requirement.all ? Math.min : Math.max;
+        const ratio = pick(...parts.map(part => part.ratio));
+        return parts.find(part => part.ratio === ratio);
+    }
+
+    let value = getRequirementValue(requirement, snapshot);
+    if (requirement.scope === 'run') {
+        value = Math.max(value, saved);
+    } else if (requirement.scope === 'streak' && !(requirement.type in (snapshot.streaks || {}))) {
+        value = saved;
+    }
+
+    const target = requirement.value;
+    const current = Math.min(value, target);
+    return {
+        current,
+        target,
+        ratio: target > 0 ? current / target : 1
+    };
+}
+
+/**
+ * Progress toward everything in a catalog
+ *
+ * @param {Object} catalog - Definitions keyed by id (ACHIEVEMENTS or SKINS)
+ * @param {Object} snapshot - From buildStatsSnapshot()
+ * @param {Object} [options] - Progress options
+ * @param {Array<string>} [options.owned] - Ids already unlocked (reported complete)
+ * @param {Object} [options.saved] - Stored progress by id (achievement_progress rows)
+ * @param {string} [options.requirementKey='requirement'] - Field holding the requirement
+ * @returns {Object} Progress by id {current, target, ratio, unlocked, stored}
+ *
+ * @example
+ * const progress = getCatalogProgress(ACHIEVEMENTS, buildStatsSnapshot(playerStats), {
+ *     owned: unlockedAchievements
+ * });
+ * progress.rocket_man; // { current: 17, target: 25, ratio: 0.68, unlocked: false, stored: false }
+ */
+export function getCatalogProgress(catalog, snapshot, { owned = [], saved = {}, requirementKey = 'requirement' } = {}) {
+    const ownedIds = new Set(owned);
+    const progress = {};
+
+    for (const [id, definition] of Object.entries(catalog)) {
+        const requirement = definition[requirementKey];
+        if (!requirement) continue;
+
+        const stored = isStoredRequirement(requirement);
+        const entry = getRequirementProgress(requirement, snapshot, stored ? saved[id] || 0 : 0);
+        const unlocked = ownedIds.has(id);
+
+        progress[id] = unlocked
+            ? { current: entry.target, target: entry.target, ratio: 1, unlocked, stored }
+            : { ...entry, unlocked, stored };
+    }
+
+    return progress;
+}
+
+/**
+ * Locked entries closest to unlocking, best first
+ *
+ * @param {Object} progress - From getCatalogProgress()
+ * @param {number} [limit=3] - Maximum entries
+ * @returns {Array<Object>} [{id, current, target, ratio}] with some progress made
+ */
+export function getClosestToUnlock(progress, limit = 3) {
+    return Object.entries(progress)
+        .filter(([, entry]) => !entry.unlocked && entry.ratio > 0 && entry.ratio < 1)
+        .sort((a, b) => b[1].ratio - a[1].ratio)
+        .slice(0, limit)
+        .map(([id, entry]) => ({ id, ...entry }));
+}
+
+/**
+ * Stored progress that changed and should be saved
+ *
+ * @param {Object} progress - From getCatalogProgress()
+ * @param {Object} [saved] - Stored progress by id
+ * @returns {Array<Object>} [{id, progress}]
+ */
+export function getStoredProgressUpdates(progress, saved = {}) {
+    return Object.entries(progress)
+        .filter(([id, entry]) => entry.stored && !entry.unlocked && entry.current !== (saved[id] || 0))
+        .map(([id, entry]) => ({ id, progress: entry.current }));
+}
+
+export default evaluateRules;
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Daily challenge for Banana Runner
+ *
+ * Every player gets the same run each UTC day: the seed is derived from
+ * the date, and the date also picks a fixed land and skin modifier. Only
+ * the first attempt of the day is scored. A land joins the rotation on
+ * its `dailyFrom` date, so adding one doesn't change earlier challenges.
+ *
+ * @module game/daily
+ */
+
+import { createSeededRandom, getSkinModifiers } from './simulation.js';
+import { lands } from './lands.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Skins whose gameplay modifier can be the daily modifier
+ * ('default' means an unmodified run)
+ * @constant {Array<string>}
+ */
+export const DAILY_MODIFIER_SKINS = ['default', 'golden', 'speedster', 'fatguy', 'astronaut'];
+
+// ============================================
+// DATE & SEED
+// ============================================
+
+/**
+ * Current challenge date in UTC
+ *
+ * @param {Date} [now] - Time to use (defaults to now)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function getDailyDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Derive the seed for a challenge date (FNV-1a hash of the date)
+ *
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {number} Positive 31-bit seed
+ */
+export function getDailySeed(date) {
+    let hash = 0x811C9DC5;
+    for (const char of `daily-${date}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) % 2147483647 || 1;
+}
+
+// ============================================
+// CHALLENGE
+// ============================================
+
+/**
+ * Get the daily challenge for a date
+ *
+ * @param {string} [date] - Date as YYYY-MM-DD (defaults to today, UTC)
+ * @returns {Object} {date, seed, land, skin}
+ *
+ * @example
+ * const { seed, land, skin } = getDailyChallenge();
+ */
+export function getDailyChallenge(date = getDailyDate()) {
+    const seed = getDailySeed(date);
+    const random = createSeededRandom(seed);
+    const landIds = Object.keys(lands).filter(id => !lands[id].dailyFrom || lands[id].dailyFrom <= date);
+
+    return {
+        date,
+        seed,
+        land: landIds[Math.floor(random() * landIds.length)],
+        skin: DAILY_MODIFIER_SKINS[Math.floor(random() * DAILY_MODIFIER_SKINS.length)]
+    };
+}
+
+/**
+ * Short description of a challenge's modifier
+ *
+ * @param {string} skin - Modifier skin ID
+ * @returns {string} e.g. "+20% speed"
+ */
+export function getDailyModifierLabel(skin) {
+    const modifiers = getSkinModifiers(skin);
+    const percent = value => `${value > 1 ? '+' : ''}${Math.round((value - 1) * 100)}%`;
+
+    if (modifiers.speed !== 1) return `${percent(modifiers.speed)} speed`;
+    if (modifiers.gravity !== 1) return `${percent(modifiers.gravity)} gravity`;
+    if (modifiers.points !== 1) return `${percent(modifiers.points)} points`;
+    return 'No modifier';
+}
+
+export default getDailyChallenge;
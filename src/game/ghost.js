@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Ghost racing for Banana Runner
+ *
+ * Replays a recorded run (usually the player's personal best for a land)
+ * alongside a live run on the same seed, so solo players can race a
+ * translucent copy of themselves. The ghost runs its own simulation from
+ * the replay; the renderer only reads its state.
+ *
+ * @module game/ghost
+ */
+
+import { createReplayPlayback } from './replay.js';
+import { FRAME_MS } from './simulation.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Opacity used when drawing the ghost runner
+ * @constant {number}
+ */
+export const GHOST_ALPHA = 0.35;
+
+// ============================================
+// GHOST RACER
+// ============================================
+
+/**
+ * Creates a ghost that replays a recorded run frame-by-frame
+ *
+ * The live run should be started with `replay.seed` so both runners
+ * face the same course.
+ *
+ * @param {Object} replay - Replay object to race against
+ * @param {Object} [callbacks] - Callback functions
+ * @param {Function} [callbacks.onGhostFinished] - Called once when the ghost's run ends
+ * @returns {Object} Ghost racer with step/position helpers
+ *
+ * @example
+ * const ghost = createGhostRacer(bestReplay, { onGhostFinished });
+ * sim.step();
+ * ghost.step();
+ */
+export function createGhostRacer(replay, callbacks = {}) {
+    const { onGhostFinished = () => {} } = callbacks;
+
+    // No simulation callbacks - the ghost never spawns effects or text
+    const playback = createReplayPlayback(replay, {});
+    const state = playback.state;
+    let finishedNotified = false;
+
+    /**
+     * Advance the ghost by one frame
+     * @returns {Object} Ghost simulation state
+     */
+    function step() {
+        playback.step();
+
+        if (playback.isFinished() && !finishedNotified) {
+            finishedNotified = true;
+            onGhostFinished(getSummary());
+        }
+        return state;
+    }
+
+    /**
+     * Ghost runner position mapped onto the live viewport
+     *
+     * The ghost may have been recorded at a different viewport height, so
+     * its offset from the ground is kept rather than its raw y (the same
+     * approach multiplayer uses for remote players).
+     *
+     * @param {number} groundY - Live player's ground y
+     * @returns {Object} {x, y, scale}
+     */
+    function getPosition(groundY) {
+        return {
+            x: state.player.x,
+            y: groundY + (state.player.y - state.player.groundY),
+            scale: state.player.scale
+        };
+    }
+
+    /**
+     * Final result of the ghost's run (from the replay header)
+     * @returns {Object} {score, bananas, frames}
+     */
+    function getSummary() {
+        return {
+            score: replay.score,
+            bananas: replay.bananas,
+            frames: replay.frames
+        };
+    }
+
+    return {
+        replay,
+        state,
+        step,
+        isFinished: playback.isFinished,
+        getPosition,
+        getSummary
+    };
+}
+
+/**
+ * Compare a finished run against the ghost it raced
+ *
+ * @param {Object} summary - Live run summary ({score, frames})
+ * @param {Object} ghostReplay - Replay the run raced against
+ * @returns {Object} {ghostScore, scoreDelta, frameDelta, secondsDelta, beatGhost}
+ */
+export function getGhostDelta(summary, ghostReplay) {
+    const frameDelta = summary.frames - ghostReplay.frames;
+
+    return {
+        ghostScore: ghostReplay.score,
+        scoreDelta: summary.score - ghostReplay.score,
+        frameDelta,
+        secondsDelta: Math.round(frameDelta * FRAME_MS / 100) / 10,
+        beatGhost: summary.score > ghostReplay.score
+    };
+}
+
+export default createGhostRacer;
@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Land definition format for Banana Runner
+ *
+ * Lands are plain data (see game/lands). Besides the sky/ground palette,
+ * runner outfit and music theme, a definition declares what the land
+ * spawns and how it plays:
+ *
+ * - `obstacles`: obstacle types keyed by id. Each names a built-in sprite
+ *   and can set a `palette`, a `hitbox` (in sprite pixels, for sprites with
+ *   empty space around them), an `elevation` (screen pixels between the
+ *   ground and the sprite, for obstacles to run under) and `units` (how
+ *   many obstacles a single spawn counts as, for the jump bonus and
+ *   spacing; default 1).
+ * - `spawnTable`: rolled in order after power-ups and bananas; the first
+ *   entry the score has reached (`minScore`) and whose `chance` hits is
+ *   spawned. `group: true` entries spawn a row of 1-6 obstacles that grows
+ *   with the score, other entries a single obstacle. The last entry must
+ *   be a group with no minScore or chance, so every roll spawns something.
+ * - `hazards`: ground patches rolled before the spawn table. They never
+ *   kill; while the runner touches one, its `effect` multiplies the world
+ *   `speed`, the runner's `gravity` and the `jump` velocity.
+ * - `physics`: multipliers for gravity and jump velocity, and the speed
+ *   curve (`initial`, `increment` per frame, `max`).
+ * - `spawn`: spawn spacing and banana odds.
+ * - `dailyFrom`: first date (YYYY-MM-DD) the land can be the daily
+ *   challenge land, so adding a land doesn't change earlier challenges.
+ *
+ * Everything but the palette, runner, obstacles and spawn table is
+ * optional and defaults to the global values in core/config.
+ * defineLand() turns a definition into the resolved land the simulation
+ * and renderer read (sprites and palettes looked up, defaults filled in).
+ *
+ * @module game/landSchema
+ */
+
+import {
+    INITIAL_SPEED,
+    SPEED_INCREMENT,
+    SPAWN_INTERVAL,
+    BANANA_SPAWN_CHANCE
+} from '../core/config.js';
+import { sprites, colors } from './sprites.js';
+
+/**
+ * Palette fields every land must set
+ * @constant {Array<string>}
+ */
+export const LAND_COLOR_FIELDS = ['skyTop', 'skyBottom', 'ground', 'groundAccent', 'floatingTextColor'];
+
+/**
+ * Effects a hazard can have (multipliers while the runner touches it)
+ * @constant {Array<string>}
+ */
+export const HAZARD_EFFECTS = ['speed', 'gravity', 'jump'];
+
+/**
+ * Score at which banana bundles start to spawn (by default)
+ * @constant {number}
+ */
+const BUNDLE_MIN_SCORE = 5000;
+const BUNDLE_CHANCE = 0.5;
+
+// ============================================
+// RESOLVING
+// ============================================
+
+/**
+ * Look up a sprite and its palette
+ *
+ * @param {string} spriteKey - Key in `sprites`
+ * @param {string} [paletteKey] - Key in `colors` (defaults to the sprite key)
+ * @returns {{pixels: number[][], colors: Object<number, string>}}
+ */
+function resolveSprite(spriteKey, paletteKey) {
+    return { pixels: sprites[spriteKey], colors: colors[paletteKey || spriteKey] };
+}
+
+function resolveObstacle(obstacle) {
+    return {
+        ...resolveSprite(obstacle.sprite, obstacle.palette),
+        hitbox: obstacle.hitbox || null,
+        elevation: obstacle.elevation || 0,
+        units: obstacle.units || 1
+    };
+}
+
+function resolveHazard(hazard) {
+    const effect = {};
+    for (const name of HAZARD_EFFECTS) {
+        effect[name] = hazard.effect?.[name] ?? 1;
+    }
+    return {
+        ...resolveSprite(hazard.sprite, hazard.palette),
+        minScore: hazard.minScore || 0,
+        chance: hazard.chance,
+        effect
+    };
+}
+
+/**
+ * Resolve a land definition for the simulation and renderer
+ *
+ * Sprite keys become pixel arrays (`runner`/`runnerColors`, and `pixels`/
+ * `colors` on each obstacle and hazard), and optional fields get their
+ * defaults. Check definitions with validateLand() first.
+ *
+ * @param {Object} definition - Land definition (see module docs)
+ * @returns {Object} Resolved land
+ *
+ * @example
+ * const land = defineLand({
+ *     name: 'Snow',
+ *     skyTop: '#A8C5D9', skyBottom: '#C9D9E5', ground: '#ECEFF1', groundAccent: '#FFFFFF',
+ *     floatingTextColor: '#1A237E',
+ *     runner: 'runnerSnow',
+ *     obstacles: { snowman: { sprite: 'snowman' } },
+ *     spawnTable: [{ obstacle: 'snowman', group: true }]
+ * });
+ */
+export function defineLand(definition) {
+    const {
+        runner,
+        obstacles,
+        spawnTable,
+        hazards = {},
+        physics = {},
+        spawn = {},
+        dailyFrom = null,
+        ...theme
+    } = definition;
+
+    const runnerSprite = typeof runner === 'string' ? { sprite: runner } : runner;
+    const { pixels: runnerPixels, colors: runnerColors } = resolveSprite(runnerSprite.sprite, runnerSprite.palette);
+    const speed = physics.speed || {};
+
+    return {
+        ...theme,
+        runner: runnerPixels,
+        runnerColors,
+        obstacles: Object.fromEntries(
+            Object.entries(obstacles).map(([id, obstacle]) => [id, resolveObstacle(obstacle)])
+        ),
+        spawnTable: spawnTable.map(entry => ({
+            obstacle: entry.obstacle,
+            minScore: entry.minScore || 0,
+            chance: entry.chance ?? null,
+            group: Boolean(entry.group)
+        })),
+        hazards: Object.entries(hazards).map(([id, hazard]) => ({ id, ...resolveHazard(hazard) })),
+        physics: {
+            gravity: physics.gravity ?? 1,
+            jump: physics.jump ?? 1,
+            speed: {
+                initial: speed.initial ?? INITIAL_SPEED,
+                increment: speed.increment ?? SPEED_INCREMENT,
+                max: speed.max ?? Infinity
+            }
+        },
+        spawn: {
+            interval: spawn.interval || SPAWN_INTERVAL,
+            bananaChance: spawn.bananaChance ?? BANANA_SPAWN_CHANCE,
+            bundleMinScore: spawn.bundleMinScore ?? BUNDLE_MIN_SCORE,
+            bundleChance: spawn.bundleChance ?? BUNDLE_CHANCE
+        },
+        dailyFrom
+    };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isChance = (value) => isNumber(value) && value >= 0 && value <= 1;
+const isPositive = (value) => isNumber(value) && value > 0;
+
+/**
+ * Check a sprite reference (sprite key and optional palette key)
+ * @returns {Array<string>} Problems found
+ */
+function checkSpriteRef(label, spriteKey, paletteKey) {
+    if (typeof spriteKey !== 'string' || !sprites[spriteKey]) {
+        return [`${label}: sprite "${spriteKey}" not found`];
+    }
+    if (!colors[paletteKey || spriteKey]) {
+        return [`${label}: palette "${paletteKey || spriteKey}" not found`];
+    }
+    return [];
+}
+
+function checkObstacle(id, obstacle) {
+    const label = `obstacle ${id}`;
+    const errors = checkSpriteRef(label, obstacle.sprite, obstacle.palette);
+    if (errors.length > 0) return errors;
+
+    const pixels = sprites[obstacle.sprite];
+    const { hitbox } = obstacle;
+    if (hitbox !== undefined) {
+        const fits = ['x', 'y', 'w', 'h'].every(key => isNumber(hitbox?.[key]) && hitbox[key] >= 0) &&
+            hitbox.w > 0 && hitbox.h > 0 &&
+            hitbox.x + hitbox.w <= pixels[0].length && hitbox.y + hitbox.h <= pixels.length;
+        if (!fits) {
+            errors.push(`${label}: hitbox must be {x, y, w, h} inside the ${pixels[0].length}x${pixels.length} sprite`);
+        }
+    }
+    if (obstacle.elevation !== undefined && !(isNumber(obstacle.elevation) && obstacle.elevation >= 0)) {
+        errors.push(`${label}: elevation must be a number >= 0`);
+    }
+    if (obstacle.units !== undefined && !(Number.isInteger(obstacle.units) && obstacle.units > 0)) {
+        errors.push(`${label}: units must be a positive integer`);
+    }
+    return errors;
+}
+
+function checkSpawnTable(spawnTable, obstacles) {
+    if (!Array.isArray(spawnTable) || spawnTable.length === 0) return ['spawnTable must be a non-empty array'];
+
+    const errors = [];
+    spawnTable.forEach((entry, index) => {
+        const label = `spawnTable[${index}]`;
+        if (!obstacles[entry.obstacle]) {
+            errors.push(`${label}: unknown obstacle "${entry.obstacle}"`);
+        }
+        if (entry.minScore !== undefined && !(isNumber(entry.minScore) && entry.minScore >= 0)) {
+            errors.push(`${label}: minScore must be a number >= 0`);
+        }
+        if (entry.chance !== undefined && !isChance(entry.chance)) {
+            errors.push(`${label}: chance must be between 0 and 1`);
+        }
+    });
+
+    const last = spawnTable[spawnTable.length - 1];
+    if (!last.group || last.minScore || last.chance !== undefined) {
+        errors.push('spawnTable: the last entry is the fallback and must be a group with no minScore or chance');
+    }
+    return errors;
+}
+
+function checkHazard(id, hazard) {
+    const label = `hazard ${id}`;
+    const errors = checkSpriteRef(label, hazard.sprite, hazard.palette);
+
+    if (!isChance(hazard.chance)) {
+        errors.push(`${label}: chance must be between 0 and 1`);
+    }
+    if (hazard.minScore !== undefined && !(isNumber(hazard.minScore) && hazard.minScore >= 0)) {
+        errors.push(`${label}: minScore must be a number >= 0`);
+    }
+    for (const [name, value] of Object.entries(hazard.effect || {})) {
+        if (!HAZARD_EFFECTS.includes(name)) {
+            errors.push(`${label}: unknown effect "${name}"`);
+        } else if (!isPositive(value)) {
+            errors.push(`${label}: effect ${name} must be a number > 0`);
+        }
+    }
+    return errors;
+}
+
+function checkPhysics(physics) {
+    const errors = [];
+    for (const name of ['gravity', 'jump']) {
+        if (physics[name] !== undefined && !isPositive(physics[name])) {
+            errors.push(`physics.${name} must be a number > 0`);
+        }
+    }
+    for (const [name, value] of Object.entries(physics.speed || {})) {
+        if (!['initial', 'increment', 'max'].includes(name)) {
+            errors.push(`physics.speed: unknown field "${name}"`);
+        } else if (!(isNumber(value) && value >= 0)) {
+            errors.push(`physics.speed.${name} must be a number >= 0`);
+        }
+    }
+    return errors;
+}
+
+function checkSpawn(spawn) {
+    const errors = [];
+    const { interval } = spawn;
+    if (interval !== undefined && !(isPositive(interval?.base) && isNumber(interval?.variance) && interval.variance >= 0)) {
+        errors.push('spawn.interval must be {base > 0, variance >= 0}');
+    }
+    for (const name of ['bananaChance', 'bundleChance']) {
+        if (spawn[name] !== undefined && !isChance(spawn[name])) {
+            errors.push(`spawn.${name} must be between 0 and 1`);
+        }
+    }
+    if (spawn.bundleMinScore !== undefined && !(isNumber(spawn.bundleMinScore) && spawn.bundleMinScore >= 0)) {
+        errors.push('spawn.bundleMinScore must be a number >= 0');
+    }
+    return errors;
+}
+
+/**
+ * Check a land definition
+ *
+ * @param {Object} definition - Land definition (see module docs)
+ * @returns {Array<string>} Problems found (empty if the land is valid)
+ */
+export function validateLand(definition) {
+    if (!definition || typeof definition !== 'object') return ['land must be an object'];
+
+    const errors = [];
+    if (typeof definition.name !== 'string' || definition.name.length === 0) {
+        errors.push('name is required');
+    }
+    for (const field of LAND_COLOR_FIELDS) {
+        if (typeof definition[field] !== 'string') errors.push(`${field} color is required`);
+    }
+
+    const runner = typeof definition.runner === 'string' ? { sprite: definition.runner } : definition.runner || {};
+    errors.push(...checkSpriteRef('runner', runner.sprite, runner.palette));
+
+    const obstacles = definition.obstacles || {};
+    if (Object.keys(obstacles).length === 0) {
+        errors.push('at least one obstacle is required');
+    }
+    for (const [id, obstacle] of Object.entries(obstacles)) {
+        errors.push(...checkObstacle(id, obstacle));
+    }
+    errors.push(...checkSpawnTable(definition.spawnTable, obstacles));
+
+    for (const [id, hazard] of Object.entries(definition.hazards || {})) {
+        errors.push(...checkHazard(id, hazard));
+    }
+    errors.push(...checkPhysics(definition.physics || {}));
+    errors.push(...checkSpawn(definition.spawn || {}));
+
+    if (definition.dailyFrom != null && !/^\d{4}-\d{2}-\d{2}$/.test(definition.dailyFrom)) {
+        errors.push('dailyFrom must be a YYYY-MM-DD date');
+    }
+    return errors;
+}
+
+export default defineLand;
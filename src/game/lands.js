@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Land (biome) definitions for Banana Runner
+ *
+ * Each land defines its sky/ground palette, runner outfit, obstacle
+ * types, spawn table and music theme (played by audio/audioEngine), in
+ * the format described in game/landSchema. Optional physics, spawn odds
+ * and hazards default to the global values. Lands are keyed by id
+ * ('snow', 'desert', ...).
+ *
+ * The first four lands keep the original rules (one obstacle, plus an
+ * animal at 5000+ points), so replays recorded before the schema still
+ * verify.
+ *
+ * @module game/lands
+ */
+
+import { defineLand } from './landSchema.js';
+
+// Land definitions with muted backgrounds for better sprite visibility
+export const landDefinitions = {
+    snow: {
+        name: 'Snow',
+        skyTop: '#A8C5D9',     // Muted steel blue
+        skyBottom: '#C9D9E5',  // Muted light gray-blue
+        ground: '#ECEFF1',
+        groundAccent: '#FFFFFF',
+        runner: 'runnerSnow',
+        obstacles: {
+            snowman: { sprite: 'snowman' },
+            penguin: { sprite: 'penguin', units: 2 }  // Animal: double-wide, counts as 2
+        },
+        spawnTable: [
+            { obstacle: 'penguin', minScore: 5000, chance: 0.5 },
+            { obstacle: 'snowman', group: true }
+        ],
+        floatingTextColor: '#1A237E',  // Dark indigo - contrasts with light blue sky
+        music: { bpm: 120, root: 64, scale: 'majorPentatonic', progression: [0, 3, 4, 0], lead: 'triangle', bass: 'square', density: 0.55 }
+    },
+    desert: {
+        name: 'Desert',
+        skyTop: '#D4C4A0',     // Muted tan
+        skyBottom: '#E8DCC8',  // Muted cream
+        ground: '#E6C47A',
+        groundAccent: '#F5DEB3',
+        runner: 'runnerDesert',
+        obstacles: {
+            cactus: { sprite: 'cactus' },
+            scorpion: { sprite: 'scorpion', units: 2 }  // Animal: double-wide, counts as 2
+        },
+        spawnTable: [
+            { obstacle: 'scorpion', minScore: 5000, chance: 0.5 },
+            { obstacle: 'cactus', group: true }
+        ],
+        floatingTextColor: '#4A148C',  // Deep purple - contrasts with tan/cream sky
+        music: { bpm: 104, root: 62, scale: 'phrygianDominant', progression: [0, 1, 0, 6], lead: 'sawtooth', bass: 'triangle', density: 0.5 }
+    },
+    jungle: {
+        name: 'Jungle',
+        skyTop: '#5A8A5F',     // Muted forest green
+        skyBottom: '#7BA67F',  // Muted sage green
+        ground: '#6D4C41',
+        groundAccent: '#4CAF50',
+        runner: 'runnerJungle',
+        obstacles: {
+            jungleTree: { sprite: 'jungleTree' },
+            monkey: { sprite: 'monkey', units: 2 }  // Animal: double-wide, counts as 2
+        },
+        spawnTable: [
+            { obstacle: 'monkey', minScore: 5000, chance: 0.5 },
+            { obstacle: 'jungleTree', group: true }
+        ],
+        floatingTextColor: '#FFD600',  // Bright yellow - contrasts with green sky
+        music: { bpm: 132, root: 57, scale: 'minorPentatonic', progression: [0, 2, 3, 2], lead: 'square', bass: 'triangle', density: 0.7 }
+    },
+    ocean: {
+        name: 'Ocean',
+        skyTop: '#2A6A8A',     // Muted deep teal
+        skyBottom: '#5A9AB0',  // Muted ocean blue
+        ground: '#1565C0',
+        groundAccent: '#42A5F5',
+        runner: 'runnerOcean',
+        obstacles: {
+            anchor: { sprite: 'anchor' },
+            crab: { sprite: 'crab', units: 2 }  // Animal: double-wide, counts as 2
+        },
+        spawnTable: [
+            { obstacle: 'crab', minScore: 5000, chance: 0.5 },
+            { obstacle: 'anchor', group: true }
+        ],
+        floatingTextColor: '#FFAB00',  // Bright amber - contrasts with dark blue sky
+        music: { bpm: 96, root: 60, scale: 'lydian', progression: [0, 4, 5, 3], lead: 'sine', bass: 'triangle', density: 0.45 }
+    }
+,
+    moon: {
+        name: 'Moon',
+        skyTop: '#1C1B33',     // Muted night navy
+        skyBottom: '#3A3854',  // Muted dusk violet
+        ground: '#B0B0B0',
+        groundAccent: '#D6D6D6',
+        runner: { sprite: 'runnerOcean', palette: 'runnerMoon' },  // Scuba gear repainted as a space suit
+        obstacles: {
+            rock: { sprite: 'moonRock' },
+            crystal: { sprite: 'moonCrystal', hitbox: { x: 3, y: 2, w: 9, h: 38 } },
+            satellite: { sprite: 'satellite', elevation: 75 },  // Passes over a runner on the ground
+            alien: { sprite: 'moonAlien', hitbox: { x: 5, y: 12, w: 30, h: 24 }, units: 2 }
+        },
+        spawnTable: [
+            { obstacle: 'alien', minScore: 5000, chance: 0.4 },
+            { obstacle: 'satellite', minScore: 2000, chance: 0.2 },
+            { obstacle: 'crystal', minScore: 3000, chance: 0.35, group: true },
+            { obstacle: 'crystal', chance: 0.25 },
+            { obstacle: 'rock', group: true }
+        ],
+        hazards: {
+            dust: { sprite: 'moonDust', minScore: 1000, chance: 0.12, effect: { speed: 0.7, jump: 0.8 } }
+        },
+        physics: {
+            gravity: 0.6,   // Floaty jumps
+            jump: 0.8,
+            speed: { initial: 7, increment: 0.0005, max: 16 }
+        },
+        spawn: {
+            interval: { base: 320, variance: 240 },  // Long jumps need more room
+            bananaChance: 0.4
+        },
+        dailyFrom: '2026-11-01',
+        floatingTextColor: '#FFD54F',  // Soft gold - contrasts with the night sky
+        music: { bpm: 84, root: 55, scale: 'lydian', progression: [0, 2, 5, 4], lead: 'sine', bass: 'triangle', density: 0.35 }
+    }
+};
+
+/**
+ * Resolved lands, as the simulation and renderer read them (see defineLand)
+ * @constant {Object<string, Object>}
+ */
+export const lands = Object.fromEntries(
+    Object.entries(landDefinitions).map(([id, definition]) => [id, defineLand(definition)])
+);
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Leaderboard ranking for Banana Runner
+ *
+ * Leaderboards are built from game_sessions by the ranked_leaderboard()
+ * database function:
+ * - one entry per player - their best run in the time window (the
+ *   earliest one if they matched it later)
+ * - ordered by score, then by who got there first, then player id, so
+ *   every entry has a stable position for cursor pagination
+ * - ranked with ties sharing a rank (1, 2, 2, 4)
+ *
+ * get_leaderboard() pages through that list after a cursor (the last entry
+ * of the previous page) and get_leaderboard_rank() finds a player's
+ * position with their neighbors. This module mirrors all three so the
+ * ordering and windows can be used (and tested) without a database.
+ *
+ * @module game/leaderboard
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Leaderboard time windows (UTC; weeks start on Monday; the season window
+ * is the runs tagged with the current season, see game/seasons)
+ * @constant {Object}
+ */
+export const LEADERBOARD_WINDOWS = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    SEASON: 'season',
+    ALL_TIME: 'all'
+};
+
+// ============================================
+// TIME WINDOWS
+// ============================================
+
+/**
+ * Start of a leaderboard window (mirrors leaderboard_window_start())
+ *
+ * @param {string} window - LEADERBOARD_WINDOWS value
+ * @param {Date} [now] - Time to use (defaults to now)
+ * @returns {Date|null} Start of the window, or null for all time (and seasons)
+ */
+export function getWindowStart(window, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (window === LEADERBOARD_WINDOWS.DAILY) return start;
+    if (window === LEADERBOARD_WINDOWS.WEEKLY) {
+        const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+        start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+        return start;
+    }
+    return null;
+}
+
+// ============================================
+// RANKING
+// ============================================
+
+/**
+ * Leaderboard order: score, then earliest run, then player id
+ */
+function compareEntries(a, b) {
+    return b.score - a.score
+        || new Date(a.achieved_at) - new Date(b.achieved_at)
+        || (a.player_id < b.player_id ? -1 : a.player_id > b.player_id ? 1 : 0);
+}
+
+/**
+ * Rank sessions into a leaderboard (mirrors ranked_leaderboard())
+ *
+ * @param {Array<Object>} sessions - game_sessions rows (username optional)
+ * @param {Object} [options] - Filters
+ * @param {string} [options.window='all'] - LEADERBOARD_WINDOWS value
+ * @param {string|null} [options.land=null] - Only this land
+ * @param {boolean|null} [options.verifiedOnly=null] - Only verified runs (null: only for the 'season' window)
+ * @param {Array<string>|null} [options.players=null] - Only these players (friends leaderboards)
+ * @param {number|null} [options.season=null] - Current season id (the 'season' window)
+ * @param {Date} [options.now] - Time the window is measured from
+ * @returns {Array<Object>} {rank, player_id, username, score, achieved_at, session_id, land_played, verified}, in order
+ */
+export function rankLeaderboard(sessions, options = {}) {
+    const {
+        window = LEADERBOARD_WINDOWS.ALL_TIME,
+        land = null,
+        verifiedOnly = null,
+        players = null,
+        season = null,
+        now = new Date()
+    } = options;
+
+    const onlyVerified = verifiedOnly ?? window === LEADERBOARD_WINDOWS.SEASON;
+    const windowStart = getWindowStart(window, now);
+    const best = new Map();
+
+    for (const session of sessions || []) {
+        if (!(session.score > 0)) continue;
+        if (land && session.land_played !== land) continue;
+        if (onlyVerified && session.verified !== true) continue;
+        if (players && !players.includes(session.player_id)) continue;
+        if (windowStart && new Date(session.created_at) < windowStart) continue;
+        if (window === LEADERBOARD_WINDOWS.SEASON && (season == null || session.season_id !== season)) continue;
+
+        const entry = {
+            player_id: session.player_id,
+            username: session.username ?? null,
+            score: session.score,
+            achieved_at: session.created_at,
+            session_id: session.id,
+            land_played: session.land_played,
+            verified: session.verified === true
+        };
+        const current = best.get(session.player_id);
+        if (!current || compareEntries(entry, current) < 0) {
+            best.set(session.player_id, entry);
+        }
+    }
+
+    const ranked = [...best.values()].sort(compareEntries);
+
+    let rank = 0;
+    return ranked.map((entry, index) => {
+        if (index === 0 || ranked[index - 1].score !== entry.score) rank = index + 1;
+        return { rank, ...entry };
+    });
+}
+
+// ============================================
+// PAGINATION
+// ============================================
+
+/**
+ * Cursor for the page after an entry
+ *
+ * @param {Object} entry - Last entry of a page
+ * @returns {Object} {score, achievedAt, playerId}
+ */
+export function getLeaderboardCursor(entry) {
+    return { score: entry.score, achievedAt: entry.achieved_at, playerId: entry.player_id };
+}
+
+/**
+ * Entries after a cursor (mirrors get_leaderboard())
+ *
+ * @param {Array<Object>} ranked - From rankLeaderboard()
+ * @param {Object} [options] - Paging
+ * @param {number} [options.limit=10] - Page size
+ * @param {Object|null} [options.cursor=null] - From getLeaderboardCursor() (null for the first page)
+ * @returns {Array<Object>} Page entries
+ */
+export function pageLeaderboard(ranked, { limit = 10, cursor = null } = {}) {
+    const after = cursor
+        ? ranked.filter(entry => compareEntries(entry, {
+            score: cursor.score,
+            achieved_at: cursor.achievedAt,
+            player_id: cursor.playerId
+        }) > 0)
+        : ranked;
+    return after.slice(0, limit);
+}
+
+/**
+ * A player's place on a leaderboard (mirrors get_leaderboard_rank())
+ *
+ * @param {Array<Object>} ranked - From rankLeaderboard()
+ * @param {string} playerId - Player to find
+ * @param {number} [neighbors=2] - Entries to include above and below
+ * @returns {Object|null} {rank, position, total, entry, neighbors}, or null if the player has no entry
+ */
+export function findPlayerRank(ranked, playerId, neighbors = 2) {
+    const index = ranked.findIndex(entry => entry.player_id === playerId);
+    if (index === -1) return null;
+
+    return {
+        rank: ranked[index].rank,
+        position: index + 1,
+        total: ranked.length,
+        entry: ranked[index],
+        neighbors: ranked.slice(Math.max(0, index - neighbors), index + neighbors + 1)
+    };
+}
+
+export default rankLeaderboard;
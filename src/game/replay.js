@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Replay recording and playback for Banana Runner
+ *
+ * A run is fully described by its seed, land, skin, starting viewport and
+ * the frames on which input happened, so a replay only stores those.
+ * Replays serialize to a compact single-line text format that can be
+ * saved to the database, downloaded as a file, or pasted into a bug report.
+ *
+ * Format (version 2):
+ *   BR2;<seed>;<land>;<skin>;<width>x<height>;<frames>;<score>;<bananas>;<events>
+ *
+ * Events are separated by '.', each one is a base36 frame delta followed by
+ * a type letter: j = jump, r = release, s = resize (followed by
+ * ,<width>,<height> in base36). Version 1 wrote resizes as
+ * s<width>x<height>, which can't always be told apart from the frame delta
+ * (both are base36); version 1 replays still decode.
+ *
+ * @module game/replay
+ */
+
+import { createSimulation } from './simulation.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Current replay format version
+ * @constant {number}
+ */
+export const REPLAY_VERSION = 2;
+
+/**
+ * Prefix identifying a replay string ('BR' + version)
+ * @constant {string}
+ */
+const REPLAY_PREFIX = 'BR';
+
+/**
+ * File extension for downloaded replays
+ * @constant {string}
+ */
+export const REPLAY_FILE_EXTENSION = '.replay';
+
+/**
+ * Input type <-> event letter
+ * @constant {Object<string, string>}
+ */
+const EVENT_CODES = { jump: 'j', release: 'r', resize: 's' };
+const EVENT_TYPES = { j: 'jump', r: 'release', s: 'resize' };
+
+const ID_PATTERN = /^\w+$/;
+
+/**
+ * Event token pattern per replay version
+ * @constant {Object<number, RegExp>}
+ */
+const EVENT_PATTERNS = {
+    1: /^([0-9a-z]+)([jrs])(?:([0-9a-z]+)x([0-9a-z]+))?$/,
+    2: /^([0-9a-z]+)([jrs])(?:,([0-9a-z]+),([0-9a-z]+))?$/
+};
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Creates a recorder that captures inputs during a run
+ *
+ * @param {Object} meta - Run configuration
+ * @param {number} meta.seed - Simulation seed
+ * @param {string} meta.land - Land ID
+ * @param {string} meta.skin - Skin ID
+ * @param {Object} meta.viewport - Starting viewport {width, height}
+ * @returns {Object} Recorder with record/finish methods
+ *
+ * @example
+ * const recorder = createReplayRecorder({ seed, land, skin, viewport });
+ * recorder.record(sim.state.frame, 'jump');
+ * const replay = recorder.finish(sim.getSummary());
+ */
+export function createReplayRecorder(meta) {
+    const inputs = [];
+
+    /**
+     * Record an input applied before the given frame
+     *
+     * @param {number} frame - Simulation frame (state.frame when the input happened)
+     * @param {string} type - 'jump', 'release' or 'resize'
+     * @param {Object} [extra] - Extra data ({width, height} for resize)
+     */
+    function record(frame, type, extra = {}) {
+        if (!EVENT_CODES[type]) return;
+        inputs.push({ frame, type, ...extra });
+    }
+
+    /**
+     * Build the replay once the run is over
+     *
+     * @param {Object} summary - Summary from sim.getSummary()
+     * @returns {Object} Replay object
+     */
+    function finish(summary) {
+        return {
+            version: REPLAY_VERSION,
+            seed: meta.seed,
+            land: meta.land,
+            skin: meta.skin,
+            viewport: { width: meta.viewport.width, height: meta.viewport.height },
+            frames: summary.frames,
+            score: summary.score,
+            bananas: summary.bananas,
+            inputs: inputs.slice()
+        };
+    }
+
+    return {
+        record,
+        finish,
+        getInputs: () => inputs.slice()
+    };
+}
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+/**
+ * Serialize a replay to its compact text form
+ *
+ * @param {Object} replay - Replay object
+ * @returns {string} Encoded replay
+ */
+export function encodeReplay(replay) {
+    let lastFrame = 0;
+    const events = replay.inputs.map(input => {
+        const delta = (input.frame - lastFrame).toString(36);
+        lastFrame = input.frame;
+        if (input.type === 'resize') {
+            return `${delta}s,${input.width.toString(36)},${input.height.toString(36)}`;
+        }
+        return delta + EVENT_CODES[input.type];
+    });
+
+    return [
+        `${REPLAY_PREFIX}${REPLAY_VERSION}`,
+        replay.seed,
+        replay.land,
+        replay.skin,
+        `${replay.viewport.width}x${replay.viewport.height}`,
+        replay.frames,
+        replay.score,
+        replay.bananas,
+        events.join('.')
+    ].join(';');
+}
+
+/**
+ * Parse an encoded replay
+ *
+ * @param {string} text - Encoded replay (whitespace is ignored)
+ * @returns {Object|null} Replay object, or null if invalid
+ */
+export function decodeReplay(text) {
+    try {
+        const parts = String(text).trim().split(';');
+        const version = Number(parts[0].slice(REPLAY_PREFIX.length));
+        if (parts.length !== 9 || !parts[0].startsWith(REPLAY_PREFIX) || !EVENT_PATTERNS[version]) {
+            throw new Error('Unsupported replay format');
+        }
+
+        const [, seed, land, skin, viewport, frames, score, bananas, events] = parts;
+        if (!ID_PATTERN.test(land) || !ID_PATTERN.test(skin)) {
+            throw new Error('Invalid land or skin');
+        }
+
+        const [width, height] = viewport.split('x').map(Number);
+        const inputs = [];
+        let frame = 0;
+
+        for (const token of events ? events.split('.') : []) {
+            const match = token.match(EVENT_PATTERNS[version]);
+            if (!match) throw new Error(`Invalid event: ${token}`);
+
+            frame += parseInt(match[1], 36);
+            const input = { frame, type: EVENT_TYPES[match[2]] };
+            if (input.type === 'resize') {
+                if (!match[3]) throw new Error(`Resize event without size: ${token}`);
+                input.width = parseInt(match[3], 36);
+                input.height = parseInt(match[4], 36);
+            }
+            inputs.push(input);
+        }
+
+        const replay = {
+            version,
+            seed: Number(seed),
+            land,
+            skin,
+            viewport: { width, height },
+            frames: Number(frames),
+            score: Number(score),
+            bananas: Number(bananas),
+            inputs
+        };
+
+        const numbers = [replay.seed, width, height, replay.frames, replay.score, replay.bananas];
+        if (numbers.some(n => !Number.isFinite(n))) {
+            throw new Error('Invalid numeric field');
+        }
+
+        return replay;
+    } catch (error) {
+        console.error('Error decoding replay:', error);
+        return null;
+    }
+}
+
+/**
+ * Suggested filename for a downloaded replay
+ *
+ * @param {Object} replay - Replay object
+ * @returns {string} Filename, e.g. "banana-runner-snow-1520.replay"
+ */
+export function getReplayFilename(replay) {
+    return `banana-runner-${replay.land}-${replay.score}${REPLAY_FILE_EXTENSION}`;
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/**
+ * Creates a simulation that replays a recorded run
+ *
+ * @param {Object} replay - Replay object
+ * @param {Object} callbacks - Simulation callbacks (see createSimulation)
+ * @returns {Object} Playback with sim, step and progress helpers
+ *
+ * @example
+ * const playback = createReplayPlayback(replay, { onFloatingText });
+ * while (!playback.isFinished()) playback.step();
+ */
+export function createReplayPlayback(replay, callbacks = {}) {
+    const sim = createSimulation({
+        seed: replay.seed,
+        land: replay.land,
+        skin: replay.skin,
+        viewport: replay.viewport
+    }, callbacks);
+
+    let cursor = 0;
+
+    /**
+     * Whether the replay has reached its recorded end (or the player died)
+     * @returns {boolean}
+     */
+    function isFinished() {
+        return sim.state.finished || sim.state.frame >= replay.frames;
+    }
+
+    /**
+     * Apply inputs due this frame and advance one frame
+     * @returns {Object} Simulation state
+     */
+    function step() {
+        if (isFinished()) return sim.state;
+
+        while (cursor < replay.inputs.length && replay.inputs[cursor].frame <= sim.state.frame) {
+            sim.applyInput(replay.inputs[cursor++]);
+        }
+        return sim.step();
+    }
+
+    /**
+     * Playback progress
+     * @returns {number} 0-1
+     */
+    function getProgress() {
+        return replay.frames > 0 ? Math.min(1, sim.state.frame / replay.frames) : 1;
+    }
+
+    return {
+        sim,
+        state: sim.state,
+        replay,
+        step,
+        isFinished,
+        getProgress
+    };
+}
+
+export default createReplayRecorder;
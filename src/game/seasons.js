@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Competitive seasons for Banana Runner
+ *
+ * A season runs from starts_at to ends_at (seasons table). Saved sessions
+ * are tagged with the season running when they're saved, and the
+ * leaderboard's 'season' window ranks those runs. When a season ends,
+ * finalize_season() archives the final standings (season_standings) and
+ * grants each player the reward tier for their rank.
+ *
+ * This module mirrors the season lookup and reward tiers so the client can
+ * show them, and so standings can be built (and tested) without a database.
+ *
+ * @module game/seasons
+ */
+
+// ============================================
+// REWARDS
+// ============================================
+
+/**
+ * Reward tiers by final rank, best first (mirrors season_reward_tiers).
+ * A rank gets the first tier whose maxRank is at or above it.
+ * @constant {Array<Object>}
+ */
+export const SEASON_REWARDS = [
+    { maxRank: 1, bananas: 500, skinId: 'season_champion', badge: 'season_champion' },
+    { maxRank: 10, bananas: 250, skinId: 'season_champion', badge: 'season_top_10' },
+    { maxRank: 100, bananas: 100, skinId: null, badge: 'season_top_100' }
+];
+
+/**
+ * Season badges
+ * @constant {Object}
+ */
+export const SEASON_BADGES = {
+    season_champion: { name: 'Season Champion', icon: '👑' },
+    season_top_10: { name: 'Season Top 10', icon: '🏆' },
+    season_top_100: { name: 'Season Top 100', icon: '🎖️' }
+};
+
+/**
+ * Reward for a final rank
+ *
+ * @param {number} rank - Final rank (1 = first)
+ * @returns {Object|null} {maxRank, bananas, skinId, badge}, or null if the rank earns nothing
+ */
+export function getSeasonReward(rank) {
+    if (!(rank >= 1)) return null;
+    return SEASON_REWARDS.find(tier => rank <= tier.maxRank) || null;
+}
+
+// ============================================
+// SEASONS
+// ============================================
+
+/**
+ * The season running at a time (mirrors current_season_id())
+ *
+ * @param {Array<Object>} seasons - seasons rows
+ * @param {Date} [now] - Time to use (defaults to now)
+ * @returns {Object|null} The season, or null between seasons
+ */
+export function getActiveSeason(seasons, now = new Date()) {
+    const running = (seasons || []).filter(season =>
+        !season.finalized_at
+        && new Date(season.starts_at) <= now
+        && new Date(season.ends_at) > now
+    );
+    running.sort((a, b) => new Date(b.starts_at) - new Date(a.starts_at));
+    return running[0] || null;
+}
+
+/**
+ * Time left in a season, for display ("12d 4h", "3h 20m", "45m")
+ *
+ * @param {Object} season - seasons row
+ * @param {Date} [now] - Time to use (defaults to now)
+ * @returns {string} Time left, or '' once the season has ended
+ */
+export function formatSeasonTimeLeft(season, now = new Date()) {
+    const minutes = Math.floor((new Date(season.ends_at) - now) / 60000);
+    if (!(minutes > 0)) return '';
+
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor(minutes / 60) % 24;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    return `${minutes}m`;
+}
+
+// ============================================
+// STANDINGS
+// ============================================
+
+/**
+ * Final standings with rewards (mirrors finalize_season())
+ *
+ * @param {Array<Object>} ranked - The season's leaderboard of verified runs (rankLeaderboard() in
+ *     game/leaderboard with the 'season' window)
+ * @param {number} seasonId - Season being finalized
+ * @returns {Array<Object>} season_standings rows
+ *     {season_id, player_id, rank, score, session_id, bananas, skin_id, badge}
+ */
+export function buildSeasonStandings(ranked, seasonId) {
+    return (ranked || []).map(entry => {
+        const reward = getSeasonReward(entry.rank);
+        return {
+            season_id: seasonId,
+            player_id: entry.player_id,
+            rank: entry.rank,
+            score: entry.score,
+            session_id: entry.session_id,
+            bananas: reward ? reward.bananas : 0,
+            skin_id: reward ? reward.skinId : null,
+            badge: reward ? reward.badge : null
+        };
+    });
+}
+
+export default getActiveSeason;
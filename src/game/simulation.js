@@ -0,0 +1,1410 @@
+/**
+ * @fileoverview Headless game simulation for Banana Runner
+ *
+ * Owns the gameplay world: player physics, entity spawning, power-ups,
+ * collisions and scoring. The simulation has no DOM or canvas
+ * dependencies and advances in fixed 60fps frames, so a run is fully
+ * determined by its seed, land, skin and input stream.
+ *
+ * The browser renderer reads `state` every frame and reacts to the
+ * callbacks for purely visual effects (particles, floating text,
+ * announcements, screen shake). In Node the same module can run
+ * thousands of games for balance and regression testing.
+ *
+ * What spawns and how the runner moves come from the land definition
+ * (see game/landSchema): obstacle types and hitboxes, the spawn table,
+ * hazards, and gravity, jump and speed curves.
+ *
+ * @module game/simulation
+ */
+
+import {
+    PLAYER_SCALE,
+    ENTITY_SCALE,
+    BANANA_HEIGHT_OFFSET,
+    JUMP_BUFFER_MS,
+    JUMP_VELOCITY,
+    BANANA_POINTS,
+    SKIN_MODIFIER
+} from '../core/config.js';
+import { sprites, colors } from './sprites.js';
+import { lands } from './lands.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Duration of one simulation frame in milliseconds (60fps)
+ * @constant {number}
+ */
+export const FRAME_MS = 1000 / 60;
+
+/**
+ * Distance from the bottom of the viewport to the ground line
+ * @constant {number}
+ */
+export const GROUND_MARGIN = 70;
+
+/**
+ * Player hitbox dimensions (runner sprites are 32x48)
+ * @constant {number}
+ */
+export const PLAYER_WIDTH = sprites.runnerSnow[0].length * PLAYER_SCALE;
+export const PLAYER_HEIGHT = sprites.runnerSnow.length * PLAYER_SCALE;
+
+/**
+ * How far behind the player the body double runs (negative = left)
+ * @constant {number}
+ */
+export const BODY_DOUBLE_OFFSET_X = -40;
+
+/**
+ * Laser beam geometry (shared by collision and rendering)
+ * @constant {number}
+ */
+export const LASER_BEAM_COUNT = 8;
+export const LASER_BEAM_LENGTH = 300;
+
+const TIME_BUFF_DURATION = 420;        // 7 seconds at 60fps for all time-based buffs
+const MONEY_DURATION = 420;
+const LASER_DURATION = 420;
+const BUBBLE_POP_INVINCIBILITY = 30;   // ~0.5 seconds after a bubble pops
+const JETPACK_FLY_HEIGHT = BANANA_HEIGHT_OFFSET + 10; // Hover at banana level
+const JETPACK_RISE_SPEED = 6;
+const DINO_SHAKE_INTERVAL = 90;        // ~1.5 seconds between stomp shakes
+const BODY_DOUBLE_DELAY_FRAMES = 4;    // Input delay in frames (~67ms)
+const BASE_GRAVITY = 0.8;
+const JUMP_RELEASE_MULTIPLIER = 0.4;   // Velocity multiplier when releasing early
+const FALL_GRAVITY_MULTIPLIER = 1.5;   // Extra gravity when falling or released
+const MIN_CEILING_MARGIN = 30;         // Minimum space from top of screen
+const OBSTACLE_GAP = 4;                // Gap between obstacles in a group
+
+/**
+ * Points awarded when the laser destroys a power-up
+ * @constant {Object<string, number>}
+ */
+const LASER_POWERUP_POINTS = {
+    jetpack: 100, trex: 100, turtle: 100,
+    star: 150, money: 100, laser: 125,
+    bubble: 75, pogo: 75, lion: 100
+};
+
+/**
+ * Sprite and palette key for each power-up type
+ * @constant {Object<string, string>}
+ */
+const POWERUP_SPRITES = {
+    bubble: 'bubblePowerUp',
+    pogo: 'pogoPowerUp',
+    lion: 'lionPowerUp',
+    bodyDouble: 'bodyDoublePowerUp',
+    jetpack: 'jetpack',
+    trex: 'trexPowerUp',
+    turtle: 'turtlePowerUp',
+    star: 'starPowerUp',
+    money: 'moneyPowerUp',
+    laser: 'laserPowerUp'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Create a seeded PRNG using the mulberry32 algorithm
+ *
+ * @param {number} seed - The seed value
+ * @returns {Function} A function that returns random numbers 0-1
+ */
+export function createSeededRandom(seed) {
+    return function() {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Get gameplay multipliers for an equipped skin
+ *
+ * Skins can modify gameplay by SKIN_MODIFIER (20%):
+ * astronaut floats, speedster/fatguy change game speed, golden boosts points.
+ *
+ * @param {string} skinId - Equipped skin ID
+ * @returns {{gravity: number, speed: number, points: number}} Multipliers
+ */
+export function getSkinModifiers(skinId) {
+    return {
+        gravity: skinId === 'astronaut' ? 1 - SKIN_MODIFIER : 1,
+        speed: skinId === 'speedster' ? 1 + SKIN_MODIFIER :
+               skinId === 'fatguy' ? 1 - SKIN_MODIFIER : 1,
+        points: skinId === 'golden' ? 1 + SKIN_MODIFIER : 1
+    };
+}
+
+/**
+ * Get the level for a score (every 1000 points = 1 level)
+ *
+ * @param {number} score - Current score
+ * @returns {number} Level (0, 1, 2, ... infinite)
+ */
+export function getCurrentLevel(score) {
+    return Math.floor(score / 1000);
+}
+
+/**
+ * Get the ground line Y position for a viewport height
+ *
+ * @param {number} height - Viewport height
+ * @returns {number} Ground Y coordinate
+ */
+export function getGroundLevel(height) {
+    return height - GROUND_MARGIN;
+}
+
+// ============================================
+// SIMULATION FACTORY
+// ============================================
+
+/**
+ * Creates a headless simulation for one run
+ *
+ * @param {Object} options - Run configuration
+ * @param {number} [options.seed] - PRNG seed (random if omitted; stored in state)
+ * @param {string} [options.land='snow'] - Land ID
+ * @param {string} [options.skin='default'] - Equipped skin ID (for modifiers)
+ * @param {Object} [options.viewport] - Viewport {width, height}
+ * @param {number} [options.playerX=100] - Player X position
+ * @param {boolean} [options.ghostOnDeath=false] - Keep the world running after death (multiplayer)
+ * @param {Object} callbacks - Visual/event hooks (all optional)
+ * @param {Function} callbacks.onFloatingText - (x, y, text) => void
+ * @param {Function} callbacks.onAnnouncement - (text) => void
+ * @param {Function} callbacks.onScreenShake - (intensity) => void
+ * @param {Function} callbacks.onEffect - (type, x, y) => void for particle bursts
+ * @param {Function} callbacks.onPowerUp - (type) => void when a power-up activates
+ * @param {Function} callbacks.onLevelUp - (level) => void
+ * @param {Function} callbacks.onSound - (name) => void for sound effects ('jump', 'banana', 'bubblePop')
+ * @param {Function} callbacks.onDeath - (state) => void
+ * @returns {Object} Simulation with state and control methods
+ *
+ * @example
+ * const sim = createSimulation({ seed: 42, land: 'snow', skin: 'default' });
+ * sim.jump();
+ * while (!sim.state.finished) sim.step();
+ * console.log(sim.getSummary().score);
+ */
+export function createSimulation(options = {}, callbacks = {}) {
+    const {
+        seed = Math.floor(Math.random() * 2147483647),
+        land: landId = 'snow',
+        skin = 'default',
+        viewport = { width: 800, height: 600 },
+        playerX = 100,
+        ghostOnDeath = false
+    } = options;
+
+    const {
+        onFloatingText = () => {},
+        onAnnouncement = () => {},
+        onScreenShake = () => {},
+        onEffect = () => {},
+        onPowerUp = () => {},
+        onLevelUp = () => {},
+        onSound = () => {},
+        onDeath = () => {}
+    } = callbacks;
+
+    const land = lands[landId] || lands.snow;
+    const { physics, spawn: spawnRules } = land;
+    const modifiers = getSkinModifiers(skin);
+    const random = createSeededRandom(seed);
+
+    const state = {
+        seed,
+        land: landId,
+        skin,
+        width: viewport.width,
+        height: viewport.height,
+        frame: 0,
+        gameTime: 0,
+        speed: physics.speed.initial,
+        scrollOffset: 0,
+        score: 0,
+        bananasCollected: 0,
+        jumpBonusScore: 0,
+        powerUpBonusScore: 0,
+        moneyBonusAccumulated: 0,
+        highestLevelReached: 0,
+        alive: true,
+        finished: false,
+        hazard: null,               // Id of the hazard the runner is standing in
+
+        player: {
+            x: playerX,
+            y: 0,
+            vy: 0,
+            jumping: false,
+            get groundY() { return getGroundLevel(state.height) - PLAYER_HEIGHT; },
+            scale: PLAYER_SCALE
+        },
+        entities: [],
+
+        // Permanent buffs (last entire run, max 1 each)
+        bubbleShieldCount: 0,
+        bubblePopInvincibility: 0,
+        pogoStickCount: 0,
+        lionRoarUsed: false,
+        obstaclesShrunk: false,
+
+        // Time-based buffs
+        jetpackActive: false,
+        jetpackTimer: 0,
+        jetpackTargetY: 0,
+        trexActive: false,
+        trexTimer: 0,
+        turtleActive: false,
+        turtleTimer: 0,
+        starActive: false,
+        starTimer: 0,
+        moneyActive: false,
+        moneyTimer: 0,
+        laserActive: false,
+        laserTimer: 0,
+        laserAngle: 0,
+
+        // Body double
+        bodyDoubleActive: false,
+        bodyDoubleY: 0,
+        bodyDoubleVY: 0,
+        bodyDoubleJumping: false,
+
+        // Power-up collection counts for this run (for achievements)
+        session: {
+            jetpacks: 0,
+            dinoStomps: 0,
+            bubbles: 0,
+            bubbleHitsAbsorbed: 0,
+            pogos: 0,
+            lions: 0,
+            turtles: 0,
+            stars: 0,
+            money: 0,
+            lasers: 0,
+            bodyDoubles: 0
+        }
+    };
+    state.player.y = state.player.groundY;
+
+    // Internal (non-rendered) state
+    let spawnCounter = 0;
+    let nextSpawnThreshold = spawnRules.interval.base + random() * spawnRules.interval.variance;
+    let jetpackSpawnCounter = 0;
+    let spawnIdCounter = 0;
+    let lastObstacleCount = 0;
+    let consecutiveSameCount = 0;
+    let obstaclesJumpedOver = new Set();
+    let lastAnnouncedLevel = 0;
+    let dinoShakeTimer = 0;
+    let bodyDoubleInputBuffer = [];
+    let jumpHeld = false;
+    let jumpBufferFrame = null;
+    let hazardEffect = null;        // Effect of the hazard touched last frame
+
+    const player = state.player;
+    const entities = state.entities;
+
+    // ============================================
+    // PHYSICS HELPERS
+    // ============================================
+
+    /**
+     * Jump velocity scaled to the available screen height
+     * so the player doesn't bonk the ceiling in landscape mobile
+     */
+    function getJumpVelocity() {
+        const availableHeight = getGroundLevel(state.height) - MIN_CEILING_MARGIN - PLAYER_HEIGHT;
+        const standardHeight = 500;
+        const heightRatio = Math.min(1, availableHeight / standardHeight);
+
+        // sqrt for a more natural feel - half height = ~70% velocity
+        let velocity = JUMP_VELOCITY * physics.jump * Math.sqrt(heightRatio);
+
+        if (hazardEffect) {
+            velocity *= hazardEffect.jump;
+        }
+
+        // POGO STICK BOOST: 15% more jump height when active
+        if (state.pogoStickCount > 0) {
+            velocity *= 1.15;
+        }
+
+        return velocity;
+    }
+
+    /**
+     * Priority order: Star > Laser > Dino > Jetpack > Bubble > None
+     */
+    function getActiveProtection() {
+        if (state.starActive) return 'star';
+        if (state.laserActive) return 'laser';
+        if (state.trexActive) return 'dino';
+        if (state.jetpackActive) return 'jetpack';
+        if (state.bubbleShieldCount > 0) return 'bubble';
+        return 'none';
+    }
+
+    /**
+     * Add raw bonus points (skin modifier is applied at final score calculation)
+     */
+    function addBonusPoints(points, x, y) {
+        state.powerUpBonusScore += points;
+        const displayPoints = Math.floor(points * modifiers.points);
+        if (state.moneyActive) {
+            onFloatingText(x, y, `+${displayPoints * 2} (2X!)`);
+        } else {
+            onFloatingText(x, y, `+${displayPoints}`);
+        }
+    }
+
+    function collectBananaText(bananaValue, x, y) {
+        onSound('banana');
+        const pointsGained = Math.floor(bananaValue * BANANA_POINTS * modifiers.points);
+        if (state.moneyActive) {
+            onFloatingText(x, y, `+${pointsGained * 2} (2X!)`);
+        } else {
+            onFloatingText(x, y, `+${pointsGained}`);
+        }
+    }
+
+    function startJump() {
+        player.vy = getJumpVelocity();
+        player.jumping = true;
+        jumpHeld = true;
+        jumpBufferFrame = null;
+        onSound('jump');
+    }
+
+    // ============================================
+    // SPAWNING
+    // ============================================
+
+    function createEntity(spriteKey, x, y, scale, extra) {
+        return {
+            x,
+            y,
+            pixels: sprites[spriteKey],
+            scale,
+            colors: colors[spriteKey],
+            vx: 0,
+            ...extra
+        };
+    }
+
+    /**
+     * Pick a power-up type for this spawn, or null to skip
+     *
+     * Two-pool system:
+     * Pool A (35%): Permanent buffs - Bubble 30%, Pogo 30%, Lion 20%, Body Double 20%
+     * Pool B (65%): Time-based buffs - Jetpack 20%, Dino 20%, Turtle 15%, Star 15%, Money 15%, Laser 15%
+     * Types that are already active are skipped (no stacking).
+     */
+    function rollPowerUpType() {
+        if (random() < 0.35) {
+            const roll = random();
+            if (roll < 0.30 && state.bubbleShieldCount === 0) return 'bubble';
+            if (roll < 0.60 && state.pogoStickCount === 0) return 'pogo';
+            if (roll < 0.80 && !state.lionRoarUsed) return 'lion';
+            if (!state.bodyDoubleActive) return 'bodyDouble';
+            return null;
+        }
+
+        const roll = random();
+        let intendedType;
+        if (roll < 0.20) intendedType = 'jetpack';
+        else if (roll < 0.40) intendedType = 'trex';
+        else if (roll < 0.55) intendedType = 'turtle';
+        else if (roll < 0.70) intendedType = 'star';
+        else if (roll < 0.85) intendedType = 'money';
+        else intendedType = 'laser';
+
+        const active = {
+            jetpack: state.jetpackActive,
+            trex: state.trexActive,
+            turtle: state.turtleActive,
+            star: state.starActive,
+            money: state.moneyActive,
+            laser: state.laserActive
+        };
+        return active[intendedType] ? null : intendedType;
+    }
+
+    /**
+     * Pick how many obstacles to spawn in a group
+     *
+     * Max grows by one per 1000 points from 2000 up to 6 at 6000+.
+     * Stacks of 5 and 6 start at half weight and even out by +4000 points.
+     */
+    function rollObstacleCount() {
+        const score = state.score;
+        let maxObstacles;
+        if (score < 2000) maxObstacles = 1;
+        else if (score < 3000) maxObstacles = 2;
+        else if (score < 4000) maxObstacles = 3;
+        else if (score < 5000) maxObstacles = 4;
+        else if (score < 6000) maxObstacles = 5;
+        else maxObstacles = 6;
+
+        let obstacleCount;
+        if (maxObstacles === 6) {
+            const evenFactor = Math.min(1, Math.max(0, (score - 6000) / 4000));
+            const highWeight = 1 + evenFactor;
+            const rand = random() * (8 + 2 * highWeight);
+            if (rand < 2) obstacleCount = 1;
+            else if (rand < 4) obstacleCount = 2;
+            else if (rand < 6) obstacleCount = 3;
+            else if (rand < 8) obstacleCount = 4;
+            else if (rand < 8 + highWeight) obstacleCount = 5;
+            else obstacleCount = 6;
+        } else if (maxObstacles === 5) {
+            const evenFactor = Math.min(1, Math.max(0, (score - 5000) / 4000));
+            const highWeight = 1 + evenFactor;
+            const rand = random() * (8 + highWeight);
+            if (rand < 2) obstacleCount = 1;
+            else if (rand < 4) obstacleCount = 2;
+            else if (rand < 6) obstacleCount = 3;
+            else if (rand < 8) obstacleCount = 4;
+            else obstacleCount = 5;
+        } else {
+            obstacleCount = Math.floor(random() * maxObstacles) + 1;
+        }
+
+        // Prevent 3+ consecutive spawns of the same obstacle count
+        if (obstacleCount === lastObstacleCount && consecutiveSameCount >= 1 && maxObstacles > 1) {
+            const choices = [];
+            for (let c = 1; c <= maxObstacles; c++) {
+                if (c !== lastObstacleCount) choices.push(c);
+            }
+            if (choices.length > 0) {
+                obstacleCount = choices[Math.floor(random() * choices.length)];
+            }
+        }
+
+        return obstacleCount;
+    }
+
+    function trackObstacleCount(count) {
+        if (count === lastObstacleCount) {
+            consecutiveSameCount++;
+        } else {
+            consecutiveSameCount = 0;
+        }
+        lastObstacleCount = count;
+    }
+
+    /**
+     * Create obstacle entities of a land obstacle type
+     *
+     * @param {string} obstacleId - Key in land.obstacles
+     * @param {number} count - Obstacles in the row
+     * @param {number} obstacleCount - Units the spawn counts as (jump bonus)
+     */
+    function spawnObstacles(obstacleId, count, obstacleCount) {
+        const obstacle = land.obstacles[obstacleId];
+        const groundLevel = getGroundLevel(state.height);
+        const spawnX = state.width + 20;
+
+        // LION ROAR: obstacles spawn at 80% size once active
+        const scale = state.obstaclesShrunk ? ENTITY_SCALE * 0.8 : ENTITY_SCALE;
+        const { pixels } = obstacle;
+        const w = pixels[0].length * scale;
+        const h = pixels.length * scale;
+        const spawnId = spawnIdCounter++;
+
+        for (let i = 0; i < count; i++) {
+            entities.push({
+                x: spawnX + i * (w + OBSTACLE_GAP),
+                y: groundLevel - h - obstacle.elevation,
+                pixels,
+                scale,
+                colors: obstacle.colors,
+                hitbox: obstacle.hitbox,
+                elevation: obstacle.elevation,
+                type: 'obstacle',
+                obstacle: obstacleId,
+                obstacleCount,
+                groupIndex: i,
+                spawnId,
+                vx: 0
+            });
+        }
+    }
+
+    /**
+     * Roll the land's spawn table (see game/landSchema)
+     *
+     * Entries are tried in order; the first one the score has reached
+     * and whose chance hits is spawned. Single obstacles that would make
+     * three spawns of the same size in a row are skipped.
+     */
+    function spawnFromTable() {
+        for (const entry of land.spawnTable) {
+            if (state.score < entry.minScore) continue;
+            if (entry.chance !== null && !(random() < entry.chance)) continue;
+
+            if (entry.group) {
+                const obstacleCount = rollObstacleCount();
+                trackObstacleCount(obstacleCount);
+                spawnObstacles(entry.obstacle, obstacleCount, obstacleCount);
+                return;
+            }
+
+            const { units } = land.obstacles[entry.obstacle];
+            const wouldRepeat = units === lastObstacleCount && consecutiveSameCount >= 1;
+            if (wouldRepeat) continue;
+
+            trackObstacleCount(units);
+            spawnObstacles(entry.obstacle, 1, units);
+            return;
+        }
+    }
+
+    /**
+     * Roll the land's hazards
+     * @returns {boolean} True if a hazard was spawned
+     */
+    function spawnHazard() {
+        for (const hazard of land.hazards) {
+            if (state.score < hazard.minScore || !(random() < hazard.chance)) continue;
+
+            const h = hazard.pixels.length * ENTITY_SCALE;
+            entities.push({
+                x: state.width + 20,
+                y: getGroundLevel(state.height) - h,
+                pixels: hazard.pixels,
+                scale: ENTITY_SCALE,
+                colors: hazard.colors,
+                type: 'hazard',
+                hazard: hazard.id,
+                effect: hazard.effect,
+                vx: 0
+            });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Spawn the next entity group
+     *
+     * Progressive difficulty by score: power-ups get more likely the
+     * longer none has spawned (+1% per level), banana bundles join at
+     * 5000+, and obstacles come from the land's spawn table (groups grow
+     * each 1000 points; most lands add animals at 5000+).
+     */
+    function spawn() {
+        const groundLevel = getGroundLevel(state.height);
+        const spawnX = state.width + 20;
+        jetpackSpawnCounter++;
+
+        const levelBonus = getCurrentLevel(state.score) * 0.01;
+        const baseChance = Math.max(0, (jetpackSpawnCounter - 15) * 0.02);
+        const powerUpChance = Math.min(0.5, baseChance + levelBonus);
+
+        if (random() < powerUpChance) {
+            const powerUpType = rollPowerUpType();
+            const spriteKey = powerUpType && POWERUP_SPRITES[powerUpType];
+            const pixels = spriteKey && sprites[spriteKey];
+
+            if (pixels && colors[spriteKey] && pixels.length > 0 && pixels[0]) {
+                const h = pixels.length * ENTITY_SCALE;
+                entities.push(createEntity(spriteKey, spawnX, groundLevel - h - BANANA_HEIGHT_OFFSET - 20, ENTITY_SCALE, {
+                    type: 'powerup',
+                    powerupType: powerUpType
+                }));
+                jetpackSpawnCounter = 0;
+                return;
+            }
+        }
+
+        if (random() < spawnRules.bananaChance) {
+            const useBundle = state.score >= spawnRules.bundleMinScore && random() < spawnRules.bundleChance;
+            const pixels = useBundle ? sprites.bananaBundle : sprites.banana;
+            const h = pixels.length * ENTITY_SCALE;
+            entities.push({
+                x: spawnX,
+                y: groundLevel - h - BANANA_HEIGHT_OFFSET,
+                pixels,
+                scale: ENTITY_SCALE,
+                colors: colors.banana,
+                type: 'banana',
+                isBundle: useBundle,
+                bananaValue: useBundle ? 2 : 1,
+                vx: 0
+            });
+            return;
+        }
+
+        if (spawnHazard()) return;
+
+        spawnFromTable();
+    }
+
+    // ============================================
+    // POWER-UP ACTIVATION
+    // ============================================
+
+    /**
+     * Activate a collected power-up
+     * @returns {boolean} True if collected (entity should be removed)
+     */
+    function activatePowerUp(type) {
+        const textX = player.x + PLAYER_WIDTH / 2;
+        const textY = player.y - 10;
+
+        switch (type) {
+            // ========== TIME-BASED BUFFS ==========
+            case 'jetpack':
+                if (state.jetpackActive || state.trexActive) return false;
+                state.jetpackActive = true;
+                state.jetpackTimer = TIME_BUFF_DURATION;
+                state.jetpackTargetY = player.groundY - JETPACK_FLY_HEIGHT;
+                player.jumping = false;
+                player.vy = 0;
+                state.session.jetpacks++;
+                addBonusPoints(100, textX, textY);
+                onAnnouncement('JETPACK');
+                break;
+            case 'trex':
+                if (state.trexActive || state.jetpackActive) return false;
+                state.trexActive = true;
+                state.trexTimer = TIME_BUFF_DURATION;
+                player.jumping = false;
+                player.y = player.groundY;
+                player.vy = 0;
+                state.session.dinoStomps++;
+                addBonusPoints(100, textX, textY);
+                onAnnouncement('DINO-STOMP');
+                break;
+            case 'turtle':
+                if (state.turtleActive) return false;
+                state.turtleActive = true;
+                state.turtleTimer = TIME_BUFF_DURATION;
+                state.session.turtles++;
+                addBonusPoints(100, textX, textY);
+                onAnnouncement('TURTLE TIME');
+                break;
+            case 'star':
+                if (state.starActive) return false;
+                state.starActive = true;
+                state.starTimer = TIME_BUFF_DURATION;
+                state.session.stars++;
+                addBonusPoints(150, textX, textY);
+                onAnnouncement('SUPERSTAR');
+                break;
+            case 'money':
+                if (state.moneyActive) return false;
+                state.moneyActive = true;
+                state.moneyTimer = MONEY_DURATION;
+                state.moneyBonusAccumulated = 0;
+                state.session.money++;
+                // 2x kicks in immediately, so show 200
+                state.powerUpBonusScore += 100;
+                onFloatingText(textX, textY, '+200 (2X!)');
+                onAnnouncement('2X POINTS!');
+                break;
+            case 'laser':
+                if (state.laserActive) return false;
+                state.laserActive = true;
+                state.laserTimer = LASER_DURATION;
+                state.laserAngle = 0;
+                state.session.lasers++;
+                addBonusPoints(125, textX, textY);
+                onAnnouncement('LASER EYES');
+                break;
+
+            // ========== PERMANENT BUFFS (NO STACKING) ==========
+            case 'bubble':
+                if (state.bubbleShieldCount !== 0) return false;
+                state.bubbleShieldCount = 1;
+                state.session.bubbles++;
+                addBonusPoints(75, textX, textY);
+                onAnnouncement('BUBBLE SHIELD');
+                break;
+            case 'pogo':
+                if (state.pogoStickCount !== 0) return false;
+                state.pogoStickCount = 1;
+                state.session.pogos++;
+                addBonusPoints(75, textX, textY);
+                onAnnouncement('POGO STICK');
+                break;
+            case 'lion':
+                if (state.lionRoarUsed) return false;
+                state.lionRoarUsed = true;
+                state.obstaclesShrunk = true;
+                state.session.lions++;
+                // Shrink ALL existing obstacles immediately (20% reduction)
+                for (const ent of entities) {
+                    if (ent.type === 'obstacle') {
+                        ent.scale *= 0.8;
+                    }
+                }
+                addBonusPoints(200, textX, textY);
+                onAnnouncement('LION ROAR');
+                break;
+            case 'bodyDouble':
+                if (state.bodyDoubleActive) return false;
+                state.bodyDoubleActive = true;
+                state.bodyDoubleY = player.y;
+                state.bodyDoubleVY = player.vy;
+                state.bodyDoubleJumping = player.jumping;
+                bodyDoubleInputBuffer = [];
+                for (let f = 0; f < BODY_DOUBLE_DELAY_FRAMES; f++) {
+                    bodyDoubleInputBuffer.push({ y: player.y, vy: player.vy, jumping: player.jumping });
+                }
+                state.session.bodyDoubles++;
+                addBonusPoints(100, textX, textY);
+                onAnnouncement('BODY DOUBLE');
+                break;
+            default:
+                return false;
+        }
+
+        onPowerUp(type);
+        return true;
+    }
+
+    // ============================================
+    // FRAME UPDATE
+    // ============================================
+
+    function updateTimers(delta, gameDelta) {
+        // Jetpack flight (overrides normal physics, hovers at banana height)
+        if (state.jetpackActive) {
+            state.jetpackTimer -= delta;
+
+            if (player.y > state.jetpackTargetY) {
+                player.y -= JETPACK_RISE_SPEED * gameDelta;
+                if (player.y < state.jetpackTargetY) {
+                    player.y = state.jetpackTargetY;
+                }
+            } else {
+                player.y = state.jetpackTargetY;
+            }
+
+            if (Math.floor(state.gameTime) % 3 === 0) {
+                onEffect('jetpack', player.x + PLAYER_WIDTH / 2, player.y + PLAYER_HEIGHT);
+                if (state.bodyDoubleActive) {
+                    onEffect('jetpack', player.x + BODY_DOUBLE_OFFSET_X + PLAYER_WIDTH / 2, state.bodyDoubleY + PLAYER_HEIGHT);
+                }
+            }
+
+            if (state.jetpackTimer <= 0) {
+                // Drop back to ground
+                state.jetpackActive = false;
+                player.jumping = true;
+                player.vy = 2;
+            }
+        } else if (state.trexActive) {
+            // T-Rex stays on the ground and stomps through obstacles
+            state.trexTimer -= delta;
+            dinoShakeTimer += delta;
+
+            if (dinoShakeTimer >= DINO_SHAKE_INTERVAL) {
+                dinoShakeTimer = 0;
+                // Fade intensity in final 2 seconds
+                const fadeMultiplier = state.trexTimer > 120 ? 1.0 : state.trexTimer / 120;
+                if (fadeMultiplier > 0.1) {
+                    onScreenShake(12 * fadeMultiplier);
+                }
+            }
+
+            player.y = player.groundY;
+            player.vy = 0;
+            player.jumping = false;
+
+            if (Math.floor(state.gameTime) % 8 === 0) {
+                onEffect('dust', player.x + PLAYER_WIDTH / 2, player.groundY + PLAYER_HEIGHT - 5);
+                if (state.bodyDoubleActive) {
+                    onEffect('bodyDoubleDust', player.x + BODY_DOUBLE_OFFSET_X + PLAYER_WIDTH / 2, player.groundY + PLAYER_HEIGHT - 5);
+                }
+            }
+
+            if (state.trexTimer <= 0) {
+                state.trexActive = false;
+                dinoShakeTimer = 0;
+            }
+        }
+
+        if (state.turtleActive) {
+            state.turtleTimer -= delta;
+            if (state.turtleTimer <= 0) {
+                state.turtleActive = false;
+            }
+        }
+
+        if (state.starActive) {
+            state.starTimer -= delta;
+            if (Math.floor(state.gameTime) % 4 === 0) {
+                onEffect('star', player.x + PLAYER_WIDTH / 2, player.y + PLAYER_HEIGHT / 2);
+            }
+            if (state.starTimer <= 0) {
+                state.starActive = false;
+            }
+        }
+
+        if (state.moneyActive) {
+            state.moneyTimer -= delta;
+            if (state.moneyTimer <= 0) {
+                state.moneyActive = false;
+            }
+        }
+
+        if (state.laserActive) {
+            state.laserTimer -= delta;
+            state.laserAngle += 0.15;
+            if (state.laserTimer <= 0) {
+                state.laserActive = false;
+            }
+        }
+
+        if (state.bubblePopInvincibility > 0) {
+            state.bubblePopInvincibility -= delta;
+        }
+    }
+
+    function updatePlayerPhysics(gameDelta) {
+        if (state.jetpackActive || state.trexActive || !player.jumping) return;
+
+        // Variable jump height: extra gravity when falling or button released
+        let gravity = BASE_GRAVITY * physics.gravity * modifiers.gravity;
+        if (player.vy > 0 || !jumpHeld) {
+            gravity *= FALL_GRAVITY_MULTIPLIER;
+        }
+        if (hazardEffect) {
+            gravity *= hazardEffect.gravity;
+        }
+
+        player.vy += gravity * gameDelta;
+        player.y += player.vy * gameDelta;
+
+        if (player.y < MIN_CEILING_MARGIN) {
+            player.y = MIN_CEILING_MARGIN;
+            player.vy = 0;
+        }
+
+        if (player.y >= player.groundY) {
+            player.y = player.groundY;
+            player.jumping = false;
+            player.vy = 0;
+            jumpHeld = false;
+
+            // Buffered jump - player pressed jump shortly before landing
+            if (jumpBufferFrame !== null && (state.frame - jumpBufferFrame) * FRAME_MS < JUMP_BUFFER_MS) {
+                startJump();
+            }
+        }
+    }
+
+    function updateBodyDouble() {
+        if (!state.bodyDoubleActive) return;
+
+        bodyDoubleInputBuffer.push({ y: player.y, vy: player.vy, jumping: player.jumping });
+
+        if (bodyDoubleInputBuffer.length > BODY_DOUBLE_DELAY_FRAMES) {
+            const delayed = bodyDoubleInputBuffer.shift();
+            state.bodyDoubleY = delayed.y;
+            state.bodyDoubleVY = delayed.vy;
+            state.bodyDoubleJumping = delayed.jumping;
+        }
+    }
+
+    /**
+     * Collision box of an entity: its hitbox if the land gives one,
+     * otherwise the whole sprite
+     *
+     * @param {Object} ent - Entity
+     * @returns {{left: number, top: number, right: number, bottom: number}}
+     */
+    function getEntityBounds(ent) {
+        const { hitbox } = ent;
+        if (!hitbox) {
+            return {
+                left: ent.x,
+                top: ent.y,
+                right: ent.x + ent.pixels[0].length * ent.scale,
+                bottom: ent.y + ent.pixels.length * ent.scale
+            };
+        }
+
+        const left = ent.x + hitbox.x * ent.scale;
+        const top = ent.y + hitbox.y * ent.scale;
+        return { left, top, right: left + hitbox.w * ent.scale, bottom: top + hitbox.h * ent.scale };
+    }
+
+    /**
+     * Laser beams destroy everything they touch
+     * @returns {boolean} True if the entity was destroyed
+     */
+    function checkLaserHit(ent, index) {
+        const playerCenterX = player.x + PLAYER_WIDTH / 2;
+        const playerCenterY = player.y + PLAYER_HEIGHT / 2;
+        const entCenterX = ent.x + (ent.pixels[0].length * ent.scale) / 2;
+        const entCenterY = ent.y + (ent.pixels.length * ent.scale) / 2;
+
+        const dist = Math.sqrt(Math.pow(entCenterX - playerCenterX, 2) + Math.pow(entCenterY - playerCenterY, 2));
+        if (dist >= LASER_BEAM_LENGTH) return false;
+
+        const angleToEntity = Math.atan2(entCenterY - playerCenterY, entCenterX - playerCenterX);
+        const fullTurn = Math.PI * 2;
+
+        for (let b = 0; b < LASER_BEAM_COUNT; b++) {
+            const beamAngle = state.laserAngle + (b * fullTurn / LASER_BEAM_COUNT);
+            let angleDiff = Math.abs(((beamAngle % fullTurn) + fullTurn) % fullTurn -
+                                     ((angleToEntity % fullTurn) + fullTurn) % fullTurn);
+            if (angleDiff > Math.PI) angleDiff = fullTurn - angleDiff;
+
+            // 8 beams 45° apart with 0.6 rad tolerance = nearly full coverage
+            if (angleDiff < 0.6) {
+                if (ent.type === 'obstacle') {
+                    addBonusPoints(15, entCenterX, entCenterY - 20);
+                } else if (ent.type === 'banana') {
+                    const bananaValue = ent.bananaValue || 1;
+                    state.bananasCollected += bananaValue;
+                    onSound('banana');
+                    addBonusPoints(bananaValue * BANANA_POINTS, entCenterX, entCenterY - 20);
+                } else if (ent.type === 'powerup') {
+                    // Collection bonus only, no effect activation
+                    addBonusPoints(LASER_POWERUP_POINTS[ent.powerupType] || 50, entCenterX, entCenterY - 20);
+                }
+                entities.splice(index, 1);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Resolve the player touching an obstacle
+     * @returns {boolean} True if the obstacle was removed
+     */
+    function hitObstacle(ent, index) {
+        const protection = getActiveProtection();
+
+        if (protection === 'star') {
+            entities.splice(index, 1);
+            addBonusPoints(25, ent.x + 20, ent.y - 10);
+            return true;
+        }
+        if (protection === 'laser' || protection === 'dino') {
+            entities.splice(index, 1);
+            addBonusPoints(20, ent.x + 20, ent.y - 10);
+            if (protection === 'dino') onScreenShake(18);
+            return true;
+        }
+        if (protection === 'jetpack') {
+            return false;
+        }
+        if (protection === 'bubble') {
+            state.bubbleShieldCount--;
+            state.session.bubbleHitsAbsorbed++;
+            // Brief invincibility protects against the rest of a grouped obstacle
+            state.bubblePopInvincibility = BUBBLE_POP_INVINCIBILITY;
+            onAnnouncement('BUBBLE POP');
+            onSound('bubblePop');
+            entities.splice(index, 1);
+            return true;
+        }
+        if (state.bubblePopInvincibility > 0) {
+            entities.splice(index, 1);
+            return true;
+        }
+
+        state.alive = false;
+        return false;
+    }
+
+    function updateEntities(effectiveSpeed, gameDelta) {
+        let touchedHazard = null;
+
+        for (let i = entities.length - 1; i >= 0; i--) {
+            const ent = entities[i];
+
+            if (!ent || !ent.pixels || !ent.pixels[0]) {
+                entities.splice(i, 1);
+                continue;
+            }
+
+            ent.x -= effectiveSpeed * gameDelta;
+
+            // Hazards are part of the ground, so the laser leaves them
+            if (state.laserActive && ent.type !== 'hazard' && checkLaserHit(ent, i)) continue;
+
+            const entW = ent.pixels[0].length * ent.scale;
+            if (ent.x + entW < -50) {
+                entities.splice(i, 1);
+                continue;
+            }
+
+            // Dead players (ghosts) don't collide
+            if (!state.alive) continue;
+
+            const pRight = player.x + PLAYER_WIDTH;
+            const pBottom = player.y + PLAYER_HEIGHT;
+            const bounds = getEntityBounds(ent);
+
+            if (player.x < bounds.right && pRight > bounds.left && player.y < bounds.bottom && pBottom > bounds.top) {
+                if (ent.type === 'obstacle') {
+                    hitObstacle(ent, i);
+                } else if (ent.type === 'banana') {
+                    const bananaValue = ent.bananaValue || 1;
+                    state.bananasCollected += bananaValue;
+                    collectBananaText(bananaValue, player.x + PLAYER_WIDTH / 2, player.y - 10);
+                    entities.splice(i, 1);
+                } else if (ent.type === 'powerup') {
+                    if (activatePowerUp(ent.powerupType)) {
+                        entities.splice(i, 1);
+                    }
+                } else if (ent.type === 'hazard') {
+                    touchedHazard = ent;
+                }
+            }
+        }
+
+        // Hazard effects apply from the next frame while the runner stays in it
+        state.hazard = touchedHazard ? touchedHazard.hazard : null;
+        hazardEffect = touchedHazard ? touchedHazard.effect : null;
+    }
+
+    function updateBodyDoubleCollisions() {
+        if (!state.bodyDoubleActive || !state.alive) return;
+
+        const doubleX = player.x + BODY_DOUBLE_OFFSET_X;
+        const doubleY = state.bodyDoubleY;
+        const doubleRight = doubleX + PLAYER_WIDTH;
+        const doubleBottom = doubleY + PLAYER_HEIGHT;
+
+        for (let i = entities.length - 1; i >= 0; i--) {
+            const ent = entities[i];
+            if (!ent || !ent.pixels || !ent.pixels[0]) continue;
+
+            const bounds = getEntityBounds(ent);
+            if (!(doubleX < bounds.right && doubleRight > bounds.left && doubleY < bounds.bottom && doubleBottom > bounds.top)) {
+                continue;
+            }
+
+            if (ent.type === 'banana') {
+                const bananaValue = ent.bananaValue || 1;
+                state.bananasCollected += bananaValue;
+                collectBananaText(bananaValue, doubleX + PLAYER_WIDTH / 2, doubleY - 10);
+                entities.splice(i, 1);
+            } else if (ent.type === 'powerup') {
+                // Bonus only - the double doesn't activate duplicates
+                addBonusPoints(50, doubleX + PLAYER_WIDTH / 2, doubleY - 10);
+                entities.splice(i, 1);
+            } else if (ent.type === 'obstacle') {
+                const protection = getActiveProtection();
+                if (protection === 'star') {
+                    entities.splice(i, 1);
+                    addBonusPoints(25, ent.x + 20, ent.y - 10);
+                } else if (protection === 'laser' || protection === 'dino') {
+                    entities.splice(i, 1);
+                    addBonusPoints(20, ent.x + 20, ent.y - 10);
+                    if (protection === 'dino') onScreenShake(18);
+                } else {
+                    // Double absorbs the hit and disappears
+                    state.bodyDoubleActive = false;
+                    bodyDoubleInputBuffer = [];
+                    onEffect('bodyDoubleDeath', doubleX + PLAYER_WIDTH / 2, doubleY + PLAYER_HEIGHT / 2);
+                    onAnnouncement('DOUBLE DOWN');
+                    entities.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Award points for clearing obstacle groups (+10 per obstacle unit)
+     */
+    function updateJumpBonus() {
+        if (!state.alive) return;
+
+        for (const ent of entities) {
+            if (!ent || !ent.pixels || !ent.pixels[0]) continue;
+            if (ent.type !== 'obstacle' || ent.spawnId === undefined) continue;
+
+            const eRight = ent.x + ent.pixels[0].length * ent.scale;
+            if (player.x > eRight && !obstaclesJumpedOver.has(ent.spawnId)) {
+                const bonus = ent.obstacleCount * 10;
+                state.jumpBonusScore += bonus;
+                obstaclesJumpedOver.add(ent.spawnId);
+
+                const displayBonus = Math.floor(bonus * modifiers.points);
+                const bonusText = state.moneyActive ? `+${displayBonus * 2} (2X!)` : `+${displayBonus}`;
+                onFloatingText(player.x + PLAYER_WIDTH / 2, player.y - 30, bonusText);
+            }
+        }
+    }
+
+    /**
+     * Score = time survived + bananas + jump bonuses + power-up bonuses,
+     * times the skin points modifier, plus the money power-up's 2x bonus
+     */
+    function updateScore() {
+        if (!state.alive) return;
+
+        const rawScore = Math.floor(state.gameTime / 6) + (state.bananasCollected * BANANA_POINTS) +
+            state.jumpBonusScore + state.powerUpBonusScore;
+        const baseScore = Math.floor(rawScore * modifiers.points);
+
+        if (state.moneyActive) {
+            const scoreIncrease = baseScore - (state.score - state.moneyBonusAccumulated);
+            if (scoreIncrease > 0) {
+                state.moneyBonusAccumulated += scoreIncrease;
+            }
+        }
+
+        state.score = baseScore + state.moneyBonusAccumulated;
+    }
+
+    function checkLevelUp() {
+        const level = getCurrentLevel(state.score);
+        if (level > state.highestLevelReached) {
+            state.highestLevelReached = level;
+        }
+        if (level > lastAnnouncedLevel && level >= 1) {
+            lastAnnouncedLevel = level;
+            onLevelUp(level);
+        }
+    }
+
+    /**
+     * Advance the world by one 60fps frame
+     *
+     * @returns {Object} The (mutated) state
+     */
+    function step() {
+        if (state.finished) return state;
+
+        const delta = 1;
+        // TURTLE SLOW-MO: world runs at half speed, buff timers at normal speed
+        const gameDelta = state.turtleActive ? delta * 0.5 : delta;
+        const wasAlive = state.alive;
+
+        state.gameTime += gameDelta;
+        state.speed = Math.min(physics.speed.max, state.speed + physics.speed.increment * gameDelta);
+
+        let effectiveSpeed = state.speed * modifiers.speed;
+        if (hazardEffect) {
+            effectiveSpeed *= hazardEffect.speed;
+        }
+        spawnCounter += effectiveSpeed * gameDelta;
+
+        checkLevelUp();
+
+        if (spawnCounter > nextSpawnThreshold) {
+            spawn();
+            spawnCounter = 0;
+            // Larger stacks get extra spacing to give reaction time
+            let spacingBonus = 0;
+            if (lastObstacleCount >= 6) spacingBonus = 120;
+            else if (lastObstacleCount >= 5) spacingBonus = 60;
+            else if (lastObstacleCount >= 4) spacingBonus = 30;
+            nextSpawnThreshold = spawnRules.interval.base + spacingBonus + random() * spawnRules.interval.variance;
+        }
+
+        updateTimers(delta, gameDelta);
+        updatePlayerPhysics(gameDelta);
+        updateBodyDouble();
+        updateEntities(effectiveSpeed, gameDelta);
+        updateBodyDoubleCollisions();
+        updateJumpBonus();
+        updateScore();
+
+        state.scrollOffset = (state.scrollOffset + effectiveSpeed * gameDelta) % 40;
+        state.frame++;
+
+        if (wasAlive && !state.alive) {
+            if (!ghostOnDeath) {
+                state.finished = true;
+            }
+            onDeath(state);
+        }
+
+        return state;
+    }
+
+    // ============================================
+    // INPUT
+    // ============================================
+
+    /**
+     * Jump input (tap/space pressed)
+     *
+     * Exits jetpack/T-Rex with a jump, jumps from the ground,
+     * or buffers the press while airborne.
+     */
+    function jump() {
+        if (state.finished || !state.alive) return;
+
+        if (state.jetpackActive) {
+            state.jetpackActive = false;
+            state.jetpackTimer = 0;
+            startJump();
+            return;
+        }
+
+        if (state.trexActive) {
+            state.trexActive = false;
+            state.trexTimer = 0;
+            dinoShakeTimer = 0;
+            startJump();
+            return;
+        }
+
+        if (!player.jumping) {
+            startJump();
+        } else {
+            jumpBufferFrame = state.frame;
+        }
+    }
+
+    /**
+     * Jump release - cuts upward velocity for a short hop
+     */
+    function releaseJump() {
+        if (jumpHeld && player.jumping && player.vy < 0) {
+            player.vy *= JUMP_RELEASE_MULTIPLIER;
+        }
+        jumpHeld = false;
+    }
+
+    /**
+     * Resize the viewport, keeping the player and entities on the ground
+     *
+     * @param {number} width - New viewport width
+     * @param {number} height - New viewport height
+     */
+    function resize(width, height) {
+        const oldWidth = state.width;
+        const oldGroundLevel = getGroundLevel(state.height);
+        const significantChange = Math.abs(width - oldWidth) > 100 ||
+                                  Math.abs(height - state.height) > 100;
+
+        state.width = width;
+        state.height = height;
+
+        const newGroundLevel = getGroundLevel(height);
+        const groundDiff = newGroundLevel - oldGroundLevel;
+
+        if (!player.jumping) {
+            player.y = newGroundLevel - PLAYER_HEIGHT;
+        } else {
+            player.y += groundDiff;
+            if (player.y > newGroundLevel - PLAYER_HEIGHT) {
+                player.y = newGroundLevel - PLAYER_HEIGHT;
+                player.jumping = false;
+                player.vy = 0;
+            }
+        }
+        state.jetpackTargetY += groundDiff;
+
+        const widthRatio = width / oldWidth;
+        for (let i = entities.length - 1; i >= 0; i--) {
+            const ent = entities[i];
+            const entHeight = ent.pixels.length * ent.scale;
+
+            if (significantChange && widthRatio !== 1) {
+                ent.x = ent.x * widthRatio;
+            }
+
+            if (ent.type === 'obstacle') {
+                ent.y = newGroundLevel - entHeight - (ent.elevation || 0);
+            } else if (ent.type === 'hazard') {
+                ent.y = newGroundLevel - entHeight;
+            } else if (ent.type === 'banana') {
+                ent.y = newGroundLevel - entHeight - BANANA_HEIGHT_OFFSET;
+            }
+
+            if (ent.x < -100) {
+                entities.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Apply a recorded input event
+     *
+     * @param {Object} input - {type: 'jump'|'release'|'resize', width?, height?}
+     */
+    function applyInput(input) {
+        if (input.type === 'jump') jump();
+        else if (input.type === 'release') releaseJump();
+        else if (input.type === 'resize') resize(input.width, input.height);
+    }
+
+    /**
+     * Get end-of-run summary (for saving scores and balance stats)
+     * @returns {Object} Summary
+     */
+    function getSummary() {
+        return {
+            seed: state.seed,
+            land: state.land,
+            skin: state.skin,
+            frames: state.frame,
+            score: state.score,
+            bananas: state.bananasCollected,
+            durationSeconds: Math.floor(state.gameTime / 60),
+            highestLevel: state.highestLevelReached,
+            alive: state.alive,
+            session: { ...state.session }
+        };
+    }
+
+    return {
+        state,
+        step,
+        jump,
+        releaseJump,
+        resize,
+        applyInput,
+        getSummary,
+        getActiveProtection
+    };
+}
+
+/**
+ * Run a full game headlessly from an input stream
+ *
+ * Inputs are applied before the step whose index matches `input.frame`.
+ * The run ends when the player dies or `maxFrames` is reached.
+ *
+ * @param {Object} options - Same options as createSimulation, plus:
+ * @param {Array<Object>} [options.inputs=[]] - Input events {frame, type, ...}
+ * @param {number} [options.maxFrames=108000] - Frame cap (30 minutes)
+ * @returns {Object} Run summary from getSummary()
+ *
+ * @example
+ * const result = runSimulation({ seed: 7, land: 'desert', inputs: [{ frame: 90, type: 'jump' }] });
+ */
+export function runSimulation(options = {}) {
+    const { inputs = [], maxFrames = 60 * 60 * 30, ...simOptions } = options;
+    const sim = createSimulation(simOptions);
+    const queue = [...inputs].sort((a, b) => a.frame - b.frame);
+    let cursor = 0;
+
+    while (sim.state.alive && sim.state.frame < maxFrames) {
+        while (cursor < queue.length && queue[cursor].frame <= sim.state.frame) {
+            sim.applyInput(queue[cursor++]);
+        }
+        sim.step();
+    }
+
+    return sim.getSummary();
+}
+
+export default createSimulation;
@@ -0,0 +1,270 @@
+/**
+ * @fileoverview Skin catalog for Banana Runner
+ *
+ * Every skin the game knows, keyed by skin id (profiles.equipped_skin,
+ * player_skins.skin_id):
+ * - type: 'default', 'achievement' (free when unlockReq is met),
+ *   'purchasable' (bought in the shop for `price` bananas) or 'season'
+ *   (granted by finalize_season())
+ * - colorOverrides: palette slots replaced on the land's runner sprite
+ * - transformative skins draw `customSprite` instead (a sprite id in
+ *   game/sprites, usually loaded from a sprite file - see game/spriteFormat)
+ * - modifier: gameplay modifier applied by the simulation (getSkinModifiers)
+ *
+ * Pure data, so tools like scripts/validate-sprites.mjs can check it.
+ *
+ * @module game/skins
+ */
+
+// Achievement skins (free when unlocked) and purchasable skins
+export const SKINS = {
+    // =====================================
+    // TIER 0: DEFAULT (Always Unlocked)
+    // =====================================
+    default: {
+        name: 'Classic Runner',
+        description: 'The original banana chaser',
+        type: 'default',
+        tier: 0,
+        colorOverrides: {}
+    },
+
+    // =====================================
+    // TIER 1: ACHIEVEMENT SKINS (Free)
+    // =====================================
+    golden: {
+        name: 'Golden Runner',
+        description: 'Collect 100 bananas total (+20% points!)',
+        type: 'achievement',
+        tier: 1,
+        unlockReq: { type: 'total_bananas', value: 100 },
+        colorOverrides: { 4: '#FFD700', 5: '#FFC107', 6: '#B8860B' },
+        modifier: { type: 'points', value: 1.2 }
+    },
+    speedster: {
+        name: 'Speed Demon',
+        description: 'Score 5000 in one game (+20% speed!)',
+        type: 'achievement',
+        tier: 1,
+        unlockReq: { type: 'high_score', value: 5000 },
+        colorOverrides: { 4: '#E91E63', 5: '#FF4081', 6: '#AD1457' },
+        effect: 'fire',  // FREE fire trail for achievement!
+        modifier: { type: 'speed', value: 1.2 }
+    },
+    veteran: {
+        name: 'Veteran',
+        description: 'Play 50 games',
+        type: 'achievement',
+        tier: 1,
+        unlockReq: { type: 'total_games', value: 50 },
+        colorOverrides: { 4: '#4CAF50', 5: '#2E7D32', 6: '#1B5E20' }  // Green camo
+    },
+    champion: {
+        name: 'Champion',
+        description: 'Win 10 multiplayer games',
+        type: 'achievement',
+        tier: 1,
+        unlockReq: { type: 'multiplayer_wins', value: 10 },
+        colorOverrides: { 4: '#9C27B0', 5: '#7B1FA2', 6: '#4A148C' }
+    },
+
+    // =====================================
+    // TIER 2: BUDGET SHOP (25-75 bananas)
+    // =====================================
+    ninja: {
+        name: 'Ninja',
+        description: 'Silent but deadly',
+        type: 'purchasable',
+        tier: 2,
+        price: 25,
+        transformative: true,
+        customSprite: 'ninjaSprite'
+    },
+    pirate: {
+        name: 'Pirate',
+        description: 'Arr, bananas ahead!',
+        type: 'purchasable',
+        tier: 2,
+        price: 50,
+        transformative: true,
+        customSprite: 'pirateSprite'
+    },
+    astronaut: {
+        name: 'Astronaut',
+        description: 'One small step... (floaty jumps!)',
+        type: 'purchasable',
+        tier: 2,
+        price: 75,
+        transformative: true,
+        customSprite: 'astronautSprite',
+        modifier: { type: 'gravity', value: 0.8 }
+    },
+    alien: {
+        name: 'Alien',
+        description: 'Take me to your bananas!',
+        type: 'purchasable',
+        tier: 2,
+        price: 50,
+        transformative: true,
+        customSprite: 'alienSprite'
+    },
+    santa: {
+        name: 'Santa',
+        description: 'Ho ho ho! Merry bananas!',
+        type: 'purchasable',
+        tier: 2,
+        price: 75,
+        transformative: true,
+        customSprite: 'santaSprite'
+    },
+    soccer: {
+        name: 'Soccer Ball',
+        description: 'Goal! Roll into action',
+        type: 'purchasable',
+        tier: 2,
+        price: 50,
+        transformative: true,
+        customSprite: 'soccerSprite'
+    },
+    fatguy: {
+        name: 'Big Boy',
+        description: 'Slow and steady... mostly slow (-20% speed)',
+        type: 'purchasable',
+        tier: 2,
+        price: 50,
+        transformative: true,
+        customSprite: 'fatguySprite',
+        modifier: { type: 'speed', value: 0.8 }
+    },
+
+    // =====================================
+    // TIER 3: PREMIUM SHOP (100-200 bananas)
+    // =====================================
+    flame: {
+        name: 'Flame Runner',
+        description: 'Leave fire in your wake',
+        type: 'purchasable',
+        tier: 3,
+        price: 100,
+        colorOverrides: { 4: '#FF5722', 5: '#FF8A65', 6: '#BF360C' },
+        effect: 'fire'
+    },
+    ice: {
+        name: 'Ice Runner',
+        description: 'Cool as a cucumber',
+        type: 'purchasable',
+        tier: 3,
+        price: 125,
+        colorOverrides: { 4: '#4FC3F7', 5: '#81D4FA', 6: '#0288D1' },
+        effect: 'ice'
+    },
+    neon: {
+        name: 'Neon Glow',
+        description: 'Light up the night',
+        type: 'purchasable',
+        tier: 3,
+        price: 150,
+        colorOverrides: { 4: '#00FF00', 5: '#39FF14', 6: '#76FF03' }
+    },
+    shadow: {
+        name: 'Shadow',
+        description: 'Embrace the darkness',
+        type: 'purchasable',
+        tier: 3,
+        price: 175,
+        colorOverrides: { 4: '#212121', 5: '#424242', 6: '#0d0d0d' },
+        effect: 'shadow'
+    },
+    rainbow: {
+        name: 'Rainbow Runner',
+        description: 'All the colors!',
+        type: 'purchasable',
+        tier: 3,
+        price: 200,
+        colorOverrides: { 4: '#FF0000', 5: '#00FF00', 6: '#0000FF' },
+        animated: true
+    },
+    banana: {
+        name: 'Banana Suit',
+        description: 'Become the banana!',
+        type: 'purchasable',
+        tier: 3,
+        price: 150,
+        transformative: true,
+        customSprite: 'bananaSuit'
+    },
+    chicken: {
+        name: 'Big Chicken',
+        description: 'Bawk bawk! Cluck yeah!',
+        type: 'purchasable',
+        tier: 3,
+        price: 150,
+        transformative: true,
+        customSprite: 'chickenSprite'
+    },
+    superhero: {
+        name: 'Captain Banana',
+        description: 'With great power comes great bananas',
+        type: 'purchasable',
+        tier: 3,
+        price: 175,
+        transformative: true,
+        customSprite: 'superheroSprite',
+        effect: 'cape'
+    },
+    spiderman: {
+        name: 'Web Runner',
+        description: 'Your friendly neighborhood runner',
+        type: 'purchasable',
+        tier: 3,
+        price: 200,
+        transformative: true,
+        customSprite: 'spidermanSprite'
+    },
+
+    // =====================================
+    // TIER 4: LEGENDARY (300-500 bananas)
+    // =====================================
+    robot: {
+        name: 'Robot',
+        description: 'Beep boop banana',
+        type: 'purchasable',
+        tier: 4,
+        price: 300,
+        transformative: true,
+        customSprite: 'robotSprite'
+    },
+    ghost: {
+        name: 'Ghost',
+        description: 'Spooky floating runner',
+        type: 'purchasable',
+        tier: 4,
+        price: 350,
+        transformative: true,
+        customSprite: 'ghostSprite',
+        transparency: 0.7  // Semi-transparent!
+    },
+    diamond: {
+        name: 'Diamond',
+        description: 'Shine bright',
+        type: 'purchasable',
+        tier: 4,
+        price: 500,
+        colorOverrides: { 4: '#B9F2FF', 5: '#E0FFFF', 6: '#AFEEEE' },
+        effect: 'sparkle'
+    },
+
+    // =====================================
+    // TIER 5: SEASON REWARDS (granted by finalize_season())
+    // =====================================
+    season_champion: {
+        name: 'Season Champion',
+        description: 'Finish a season in the top 10',
+        type: 'season',
+        tier: 5,
+        colorOverrides: { 4: '#7E57C2', 5: '#FFD700', 6: '#4527A0' },
+        effect: 'sparkle'
+    }
+};
+
+export default SKINS;
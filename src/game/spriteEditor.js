@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Pixel sprite editor for Banana Runner
+ *
+ * The model behind the sprite editor screen: a grid of palette indices
+ * (the same number matrix drawSprite() takes), a numbered palette, paint /
+ * erase / fill tools and undo. Sprites are saved and opened as sprite
+ * files (see game/spriteFormat), so an exported skin can go straight into
+ * assets/sprites/ and be used as a skin's customSprite.
+ *
+ * Palette slots follow the runner sprites: 1-3 are hair, skin and eyes,
+ * 4-6 are the outfit colors that recolor skins replace (colorOverrides).
+ *
+ * createRunPreview() plays the headless simulation with an autopilot, so
+ * the screen can show the sprite running and jumping through each land.
+ *
+ * @module game/spriteEditor
+ */
+
+import {
+    SPRITE_EDITOR_WIDTH,
+    SPRITE_EDITOR_HEIGHT,
+    SPRITE_EDITOR_UNDO_LIMIT,
+    SPRITE_EDITOR_PREVIEW_FRAMES
+} from '../core/config.js';
+import { encodeSprite, decodeSprite, validateSpriteFile, MAX_PALETTE_INDEX } from './spriteFormat.js';
+import { createSimulation, PLAYER_WIDTH } from './simulation.js';
+import { lands } from './lands.js';
+
+/**
+ * Names of the runner palette slots
+ * @constant {Object<number, string>}
+ */
+export const RUNNER_SLOT_NAMES = {
+    1: 'Hair',
+    2: 'Skin',
+    3: 'Eyes',
+    4: 'Outfit 1',
+    5: 'Outfit 2',
+    6: 'Outfit 3'
+};
+
+/**
+ * Editor tools
+ * @constant {Array<string>}
+ */
+export const EDITOR_TOOLS = ['paint', 'erase', 'fill'];
+
+// Frames of lead the preview autopilot jumps before reaching an obstacle
+const JUMP_LEAD_FRAMES = 8;
+
+// ============================================
+// EDITOR
+// ============================================
+
+/**
+ * Creates a sprite editor
+ *
+ * @param {Object} [options] - Editor options
+ * @param {number} [options.width] - Grid width (defaults to SPRITE_EDITOR_WIDTH)
+ * @param {number} [options.height] - Grid height (defaults to SPRITE_EDITOR_HEIGHT)
+ * @param {number} [options.undoLimit] - Undo steps to keep
+ * @returns {Object} Editor
+ *
+ * @example
+ * const editor = createSpriteEditor();
+ * editor.load(sprites.runnerSnow, colors.runnerSnow);
+ * editor.selectSlot(4);
+ * editor.beginStroke();
+ * editor.apply(10, 12);
+ * const file = editor.exportFile('mySkin', 'My skin');
+ */
+export function createSpriteEditor(options = {}) {
+    const {
+        width = SPRITE_EDITOR_WIDTH,
+        height = SPRITE_EDITOR_HEIGHT,
+        undoLimit = SPRITE_EDITOR_UNDO_LIMIT
+    } = options;
+
+    let pixels = createGrid();
+    let palette = {};
+    let paletteNames = {};
+    let slot = 1;
+    let tool = 'paint';
+    let undoStack = [];
+
+    function createGrid() {
+        return Array.from({ length: height }, () => new Array(width).fill(0));
+    }
+
+    function snapshot() {
+        undoStack.push({ pixels: pixels.map(row => row.slice()), palette: { ...palette } });
+        if (undoStack.length > undoLimit) undoStack.shift();
+    }
+
+    function inGrid(x, y) {
+        return x >= 0 && x < width && y >= 0 && y < height;
+    }
+
+    // 4-way flood fill from (x, y) with `value`
+    function floodFill(x, y, value) {
+        const target = pixels[y][x];
+        if (target === value) return false;
+
+        const stack = [[x, y]];
+        while (stack.length > 0) {
+            const [cx, cy] = stack.pop();
+            if (!inGrid(cx, cy) || pixels[cy][cx] !== target) continue;
+            pixels[cy][cx] = value;
+            stack.push([cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]);
+        }
+        return true;
+    }
+
+    /**
+     * Start editing from a sprite (top-left aligned; clears undo)
+     *
+     * @param {number[][]} sourcePixels - 2D array of color indices
+     * @param {Object<number, string>} colorMap - Maps indices to CSS colors
+     * @param {Object<number, string>} [names] - Palette slot names
+     * @returns {boolean} False if the sprite doesn't fit the grid
+     */
+    function load(sourcePixels, colorMap, names = {}) {
+        if (sourcePixels.length > height || sourcePixels.some(row => row.length > width)) return false;
+
+        pixels = createGrid();
+        sourcePixels.forEach((row, y) => {
+            row.forEach((value, x) => {
+                pixels[y][x] = value;
+            });
+        });
+        palette = { ...colorMap };
+        paletteNames = { ...names };
+        slot = Number(Object.keys(palette)[0]) || 1;
+        undoStack = [];
+        return true;
+    }
+
+    /**
+     * Save an undo step (call once per stroke, before the first apply)
+     */
+    function beginStroke() {
+        snapshot();
+    }
+
+    /**
+     * Use the current tool on a grid cell
+     *
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} True if the grid changed
+     */
+    function apply(x, y) {
+        if (!inGrid(x, y)) return false;
+
+        const value = tool === 'erase' ? 0 : slot;
+        if (tool === 'fill') return floodFill(x, y, value);
+        if (pixels[y][x] === value) return false;
+        pixels[y][x] = value;
+        return true;
+    }
+
+    /**
+     * Undo the last stroke, fill, clear or color change
+     * @returns {boolean} False if there is nothing to undo
+     */
+    function undo() {
+        const previous = undoStack.pop();
+        if (!previous) return false;
+        pixels = previous.pixels;
+        palette = previous.palette;
+        return true;
+    }
+
+    /**
+     * Erase every pixel (the palette is kept)
+     */
+    function clear() {
+        snapshot();
+        pixels = createGrid();
+    }
+
+    /**
+     * Pick the palette slot to paint with
+     * @param {number} index - Palette index
+     */
+    function selectSlot(index) {
+        if (palette[index]) slot = index;
+    }
+
+    /**
+     * Pick a tool
+     * @param {string} name - One of EDITOR_TOOLS
+     */
+    function setTool(name) {
+        if (EDITOR_TOOLS.includes(name)) tool = name;
+    }
+
+    /**
+     * Change the color of a palette slot (every pixel using it changes)
+     *
+     * @param {number} index - Palette index
+     * @param {string} color - CSS color
+     */
+    function setSlotColor(index, color) {
+        if (!palette[index] || palette[index] === color) return;
+        snapshot();
+        palette = { ...palette, [index]: color };
+    }
+
+    /**
+     * Add a palette slot and select it
+     *
+     * @param {string} color - CSS color
+     * @returns {number|null} New slot index, or null if the palette is full
+     */
+    function addSlot(color) {
+        let index = 1;
+        while (palette[index]) index++;
+        if (index > MAX_PALETTE_INDEX) return null;
+
+        snapshot();
+        palette = { ...palette, [index]: color };
+        slot = index;
+        return index;
+    }
+
+    /**
+     * The sprite as drawSprite() takes it, without empty rows at the bottom
+     * @returns {Object} {pixels, colorMap}
+     */
+    function getSprite() {
+        let rows = height;
+        while (rows > 1 && pixels[rows - 1].every(value => value === 0)) rows--;
+        return { pixels: pixels.slice(0, rows).map(row => row.slice()), colorMap: { ...palette } };
+    }
+
+    /**
+     * The sprite as a sprite file
+     *
+     * @param {string} id - Sprite id
+     * @param {string} [description] - Sprite description
+     * @returns {Object} Sprite file contents (JSON.stringify to save)
+     */
+    function exportFile(id, description) {
+        const { pixels: spritePixels, colorMap } = getSprite();
+        const names = {};
+        for (const index of Object.keys(colorMap)) {
+            const name = paletteNames[index] || RUNNER_SLOT_NAMES[index];
+            if (name) names[index] = name;
+        }
+        return encodeSprite(id, spritePixels, colorMap, { description, paletteNames: names });
+    }
+
+    /**
+     * Open a sprite file
+     *
+     * @param {Object} file - Parsed sprite file
+     * @returns {Array<string>} Problems found (empty if the file was loaded)
+     */
+    function importFile(file) {
+        const errors = validateSpriteFile(file);
+        if (errors.length > 0) return errors;
+        if (file.width > width || file.height > height) {
+            return [`sprite is ${file.width}x${file.height}, the editor fits ${width}x${height}`];
+        }
+
+        const { pixels: filePixels, colorMap } = decodeSprite(file);
+        load(filePixels, colorMap, file.paletteNames);
+        return [];
+    }
+
+    return {
+        width,
+        height,
+        load,
+        beginStroke,
+        apply,
+        undo,
+        clear,
+        selectSlot,
+        setTool,
+        setSlotColor,
+        addSlot,
+        getSprite,
+        exportFile,
+        importFile,
+        getPixels: () => pixels,
+        getPalette: () => palette,
+        getSlotName: (index) => paletteNames[index] || RUNNER_SLOT_NAMES[index] || `Color ${index}`,
+        getSlot: () => slot,
+        getTool: () => tool,
+        canUndo: () => undoStack.length > 0
+    };
+}
+
+// ============================================
+// RUN PREVIEW
+// ============================================
+
+/**
+ * Creates a preview run that cycles through the lands
+ *
+ * Each land gets a fresh simulation; an autopilot jumps the obstacles, and
+ * a crash restarts the land with the next seed.
+ *
+ * @param {Object} [options] - Preview options
+ * @param {Object} [options.viewport] - Viewport {width, height}; jump height depends on it,
+ *     so keep it game-sized and scale the drawing down
+ * @param {Array<string>} [options.landIds] - Lands to cycle through (defaults to all)
+ * @param {number} [options.framesPerLand] - Frames before moving to the next land
+ * @param {number} [options.seed=1] - Seed of the first run
+ * @returns {Object} Preview with step(), nextLand(), getSimulation(), getLandId()
+ */
+export function createRunPreview(options = {}) {
+    const {
+        viewport = { width: 800, height: 450 },
+        landIds = Object.keys(lands),
+        framesPerLand = SPRITE_EDITOR_PREVIEW_FRAMES,
+        seed: firstSeed = 1
+    } = options;
+
+    let landIndex = 0;
+    let seed = firstSeed;
+    let framesInLand = 0;
+    let sim = null;
+
+    function startRun() {
+        sim = createSimulation({ seed, land: landIds[landIndex], viewport });
+    }
+
+    // Jump when the next obstacle on the ground is about to reach the runner
+    // (raised obstacles pass overhead)
+    function autopilot() {
+        const { player, entities, speed } = sim.state;
+        if (player.jumping) return;
+
+        const playerRight = player.x + PLAYER_WIDTH;
+        const nearest = entities
+            .filter(ent => ent.type === 'obstacle' && !ent.elevation && ent.x + ent.pixels[0].length * ent.scale > player.x)
+            .reduce((min, ent) => Math.min(min, ent.x - playerRight), Infinity);
+
+        if (nearest < speed * JUMP_LEAD_FRAMES) {
+            sim.jump();
+        }
+    }
+
+    /**
+     * Move to the next land
+     */
+    function nextLand() {
+        landIndex = (landIndex + 1) % landIds.length;
+        framesInLand = 0;
+        startRun();
+    }
+
+    /**
+     * Advance one fixed frame
+     */
+    function step() {
+        autopilot();
+        sim.step();
+        framesInLand++;
+
+        if (framesInLand >= framesPerLand) {
+            nextLand();
+        } else if (!sim.state.alive) {
+            seed++;
+            startRun();
+        }
+    }
+
+    startRun();
+
+    return {
+        step,
+        nextLand,
+        getSimulation: () => sim,
+        getLandId: () => landIds[landIndex]
+    };
+}
+
+export default createSpriteEditor;
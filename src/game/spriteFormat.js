@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Sprite file format for Banana Runner
+ *
+ * Sprites that don't need to be built into the code (skin costumes and
+ * anything added later) live in JSON files under assets/sprites/, listed
+ * in a pack manifest. One file holds one sprite and its palette:
+ *
+ *   {
+ *     "format": "banana-runner-sprite",
+ *     "version": 1,
+ *     "id": "ninjaSprite",                 // key in sprites/colors
+ *     "description": "Ninja - black outfit with red headband",
+ *     "width": 32,
+ *     "height": 48,
+ *     "palette": { "1": "#1a1a1a", "2": "#2d2d2d" },
+ *     "paletteNames": { "1": "Black ninja outfit" },   // optional
+ *     "pixels": [
+ *       "..........1111..........",        // one string per row
+ *       ...
+ *     ]
+ *   }
+ *
+ * Each character of a pixel row is a palette index: '.' is transparent,
+ * '1'-'9' are 1-9 and 'a'-'z' are 10-35. Every row is `width` characters
+ * and there are `height` rows. The manifest is
+ * {"format": "banana-runner-sprite-pack", "version": 1, "sprites": [paths]}
+ * with paths relative to the manifest.
+ *
+ * decodeSprite() turns a file into the same number matrix and color map
+ * as game/sprites, so the renderer can't tell them apart.
+ *
+ * @module game/spriteFormat
+ */
+
+/**
+ * Format identifier of a sprite file
+ * @constant {string}
+ */
+export const SPRITE_FORMAT = 'banana-runner-sprite';
+
+/**
+ * Format identifier of a sprite pack manifest
+ * @constant {string}
+ */
+export const SPRITE_PACK_FORMAT = 'banana-runner-sprite-pack';
+
+/**
+ * Current format version
+ * @constant {number}
+ */
+export const SPRITE_FORMAT_VERSION = 1;
+
+/**
+ * Characters for palette indices 0-35 ('.' = 0 = transparent)
+ * @constant {string}
+ */
+export const PIXEL_CHARS = '.123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Largest palette index a file can hold
+ * @constant {number}
+ */
+export const MAX_PALETTE_INDEX = PIXEL_CHARS.length - 1;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check a sprite file
+ *
+ * @param {Object} file - Parsed sprite file
+ * @returns {Array<string>} Problems found (empty if the file is valid)
+ */
+export function validateSpriteFile(file) {
+    if (!file || typeof file !== 'object') return ['not a JSON object'];
+
+    const errors = [];
+    if (file.format !== SPRITE_FORMAT) errors.push(`format must be "${SPRITE_FORMAT}"`);
+    if (file.version !== SPRITE_FORMAT_VERSION) errors.push(`unsupported version ${file.version}`);
+    if (typeof file.id !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(file.id)) errors.push('id must be an identifier');
+    if (!Number.isInteger(file.width) || file.width <= 0) errors.push('width must be a positive integer');
+    if (!Number.isInteger(file.height) || file.height <= 0) errors.push('height must be a positive integer');
+
+    const palette = file.palette && typeof file.palette === 'object' ? file.palette : null;
+    if (!palette) {
+        errors.push('palette is missing');
+    } else {
+        for (const [index, color] of Object.entries(palette)) {
+            const value = Number(index);
+            if (!Number.isInteger(value) || value < 1 || value > MAX_PALETTE_INDEX) {
+                errors.push(`palette index ${index} must be 1-${MAX_PALETTE_INDEX}`);
+            }
+            if (typeof color !== 'string' || color.length === 0) {
+                errors.push(`palette color ${index} must be a CSS color`);
+            }
+        }
+    }
+
+    if (!Array.isArray(file.pixels)) {
+        errors.push('pixels must be an array of row strings');
+        return errors;
+    }
+    if (file.pixels.length !== file.height) {
+        errors.push(`${file.pixels.length} rows, expected height ${file.height}`);
+    }
+
+    const missing = new Set();
+    file.pixels.forEach((row, y) => {
+        if (typeof row !== 'string') {
+            errors.push(`row ${y} is not a string`);
+            return;
+        }
+        if (row.length !== file.width) {
+            errors.push(`row ${y} is ${row.length} pixels, expected width ${file.width}`);
+        }
+        for (const char of row) {
+            const index = PIXEL_CHARS.indexOf(char);
+            if (index === -1) {
+                errors.push(`row ${y} has invalid pixel '${char}'`);
+            } else if (index > 0 && palette && !(index in palette)) {
+                missing.add(index);
+            }
+        }
+    });
+    for (const index of missing) {
+        errors.push(`palette index ${index} is used but not defined`);
+    }
+
+    return errors;
+}
+
+/**
+ * Check a sprite pack manifest
+ *
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Array<string>} Problems found (empty if the manifest is valid)
+ */
+export function validateSpritePack(manifest) {
+    if (!manifest || typeof manifest !== 'object') return ['not a JSON object'];
+
+    const errors = [];
+    if (manifest.format !== SPRITE_PACK_FORMAT) errors.push(`format must be "${SPRITE_PACK_FORMAT}"`);
+    if (manifest.version !== SPRITE_FORMAT_VERSION) errors.push(`unsupported version ${manifest.version}`);
+    if (!Array.isArray(manifest.sprites) || manifest.sprites.some(path => typeof path !== 'string')) {
+        errors.push('sprites must be an array of file paths');
+    }
+    return errors;
+}
+
+// ============================================
+// ENCODE / DECODE
+// ============================================
+
+/**
+ * Sprite file contents to the structures drawSprite() uses
+ *
+ * Assumes the file is valid (see validateSpriteFile).
+ *
+ * @param {Object} file - Parsed sprite file
+ * @returns {Object} {id, pixels, colorMap} - pixels is a number matrix, colorMap maps index -> color
+ */
+export function decodeSprite(file) {
+    const pixels = file.pixels.map(row => Array.from(row, char => PIXEL_CHARS.indexOf(char)));
+
+    const colorMap = {};
+    for (const [index, color] of Object.entries(file.palette)) {
+        colorMap[Number(index)] = color;
+    }
+
+    return { id: file.id, pixels, colorMap };
+}
+
+/**
+ * A sprite as a file (for exporting built-in or edited sprites)
+ *
+ * @param {string} id - Sprite id
+ * @param {number[][]} pixels - 2D array of color indices (0-35)
+ * @param {Object<number, string>} colorMap - Maps indices to CSS colors
+ * @param {Object} [meta] - Optional {description, paletteNames}
+ * @returns {Object} Sprite file contents (JSON.stringify to save)
+ */
+export function encodeSprite(id, pixels, colorMap, meta = {}) {
+    const width = pixels.reduce((max, row) => Math.max(max, row.length), 0);
+
+    const palette = {};
+    for (const index of Object.keys(colorMap).map(Number).sort((a, b) => a - b)) {
+        palette[index] = colorMap[index];
+    }
+
+    return {
+        format: SPRITE_FORMAT,
+        version: SPRITE_FORMAT_VERSION,
+        id,
+        ...(meta.description ? { description: meta.description } : {}),
+        width,
+        height: pixels.length,
+        palette,
+        ...(meta.paletteNames ? { paletteNames: meta.paletteNames } : {}),
+        pixels: pixels.map(row => {
+            let line = '';
+            for (let x = 0; x < width; x++) {
+                line += PIXEL_CHARS[row[x] || 0];
+            }
+            return line;
+        })
+    };
+}
+
+export default decodeSprite;
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Sprite pack loader for Banana Runner
+ *
+ * Loads the sprite files listed in a pack manifest (see game/spriteFormat)
+ * and adds them to the shared `sprites` / `colors` objects, next to the
+ * built-in sprites, so everything that draws by sprite id (skins'
+ * customSprite, drawSprite callers) picks them up.
+ *
+ * Pack sprites can't replace built-in sprites: the simulation measures
+ * some of those (runner size, obstacle heights) and must match the
+ * score verifier.
+ *
+ * @module game/spriteLoader
+ */
+
+import { sprites, colors } from './sprites.js';
+import { validateSpritePack, validateSpriteFile, decodeSprite } from './spriteFormat.js';
+
+// Ids added by packs (these may be replaced by a later load)
+const packSpriteIds = new Set();
+
+// Fetch and parse a JSON file (browser default)
+async function fetchJson(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Add a decoded sprite to `sprites` / `colors`
+ *
+ * @param {Object} sprite - {id, pixels, colorMap} from decodeSprite()
+ * @returns {boolean} False if the id belongs to a built-in sprite
+ */
+export function registerSprite({ id, pixels, colorMap }) {
+    if (sprites[id] && !packSpriteIds.has(id)) return false;
+
+    packSpriteIds.add(id);
+    sprites[id] = pixels;
+    colors[id] = colorMap;
+    return true;
+}
+
+/**
+ * Load a sprite pack
+ *
+ * Files are loaded in parallel; a broken file is skipped (and reported)
+ * without stopping the others.
+ *
+ * @param {string} manifestPath - URL or path of the manifest
+ * @param {Object} [options] - Loader options
+ * @param {Function} [options.readJson] - async (path) => parsed JSON (defaults to fetch)
+ * @returns {Promise<Object>} {loaded: ids, errors: [{path, errors}]}
+ *
+ * @example
+ * const { loaded, errors } = await loadSpritePack('assets/sprites/manifest.json');
+ */
+export async function loadSpritePack(manifestPath, options = {}) {
+    const { readJson = fetchJson } = options;
+    const result = { loaded: [], errors: [] };
+
+    let manifest;
+    try {
+        manifest = await readJson(manifestPath);
+    } catch (err) {
+        result.errors.push({ path: manifestPath, errors: [err.message] });
+        return result;
+    }
+
+    const manifestErrors = validateSpritePack(manifest);
+    if (manifestErrors.length > 0) {
+        result.errors.push({ path: manifestPath, errors: manifestErrors });
+        return result;
+    }
+
+    // Sprite paths are relative to the manifest
+    const baseDir = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+
+    const files = await Promise.all(manifest.sprites.map(async (relativePath) => {
+        const path = baseDir + relativePath;
+        try {
+            return { path, file: await readJson(path) };
+        } catch (err) {
+            return { path, errors: [err.message] };
+        }
+    }));
+
+    for (const { path, file, errors } of files) {
+        const fileErrors = errors || validateSpriteFile(file);
+        if (fileErrors.length > 0) {
+            result.errors.push({ path, errors: fileErrors });
+            continue;
+        }
+
+        if (result.loaded.includes(file.id)) {
+            result.errors.push({ path, errors: [`id "${file.id}" is used by another file in the pack`] });
+            continue;
+        }
+        if (!registerSprite(decodeSprite(file))) {
+            result.errors.push({ path, errors: [`id "${file.id}" is a built-in sprite`] });
+            continue;
+        }
+        result.loaded.push(file.id);
+    }
+
+    return result;
+}
+
+export default loadSpritePack;
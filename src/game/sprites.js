@@ -0,0 +1,1511 @@
+/**
+ * @fileoverview Sprite and palette data for Banana Runner
+ *
+ * Pixel art sprites are 2D arrays of color indices (0 = transparent).
+ * Each sprite has a matching palette in `colors` that maps indices to
+ * CSS colors. Runner sprites are 32x48; entity sprites vary in size.
+ *
+ * This module is pure data so it can be shared by the renderer and
+ * the headless simulation. It holds the sprites the game can't run
+ * without; skin costumes live in sprite files under assets/sprites/
+ * (see game/spriteFormat) and are added to these objects by
+ * game/spriteLoader when the page loads.
+ *
+ * @module game/sprites
+ */
+
+// High-definition pixel art sprites (32x48 runners, doubled detail)
+export const sprites = {
+    // Snow runner - winter hat with pom-pom, puffy jacket (32x48)
+    runnerSnow: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,1,1,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,3,3,2,2,1,1,2,2,3,3,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,3,3,2,2,2,2,2,2,3,3,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,8,8,8,8,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,5,5,5,5,5,5,5,5,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0],
+        [0,0,0,0,0,2,2,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,2,2,0,0,0,0,0],
+        [0,0,0,0,2,2,2,2,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,2,2,2,2,0,0,0,0],
+        [0,0,0,0,2,2,2,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,2,2,2,0,0,0,0],
+        [0,0,0,0,2,2,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,2,2,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,5,5,5,5,0,0,5,5,5,5,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,5,5,5,5,0,0,5,5,5,5,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,5,5,5,5,5,0,0,5,5,5,5,5,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,5,5,5,5,5,0,0,0,0,5,5,5,5,5,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,5,5,5,5,5,0,0,0,0,0,0,5,5,5,5,5,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,5,5,5,5,5,0,0,0,0,0,0,0,0,5,5,5,5,5,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0],
+        [0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0],
+        [0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0],
+        [0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0,0,0,6,6,6,6,6,6,0,0,0,0,0,0]
+    ],
+    // Desert runner - cowboy hat, vest (32x48)
+    runnerDesert: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0],
+        [0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,2,2,3,3,2,2,2,2,3,3,2,2,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,2,2,3,3,2,2,2,2,3,3,2,2,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,2,2,8,8,8,8,2,2,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,5,5,5,5,5,5,5,5,5,5,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,5,5,5,5,5,5,5,5,5,5,5,5,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,5,5,5,6,6,6,6,6,6,6,6,5,5,5,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,5,5,5,5,6,6,6,6,6,6,6,6,5,5,5,5,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,5,5,5,5,5,6,6,6,6,6,6,6,6,5,5,5,5,5,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,5,5,5,5,5,5,6,6,6,6,6,6,6,6,5,5,5,5,5,5,0,0,0,0,0,0],
+        [0,0,0,0,0,2,2,5,5,5,5,5,6,6,6,6,6,6,6,6,5,5,5,5,5,2,2,0,0,0,0,0],
+        [0,0,0,0,2,2,2,2,5,5,5,5,6,6,6,6,6,6,6,6,5,5,5,5,2,2,2,2,0,0,0,0],
+        [0,0,0,0,2,2,2,0,0,5,5,5,5,5,5,5,5,5,5,5,5,5,5,0,0,2,2,2,0,0,0,0],
+        [0,0,0,0,2,2,0,0,0,5,5,5,5,5,5,5,5,5,5,5,5,5,5,0,0,0,2,2,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,5,5,5,5,5,5,5,5,5,5,5,5,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,5,5,5,5,5,5,5,5,5,5,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,0,0,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,0,0,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,0,0,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,7,7,0,0,0,0,7,7,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,7,7,7,0,0,0,0,7,7,7,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,7,7,0,0,0,0,0,0,7,7,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,7,7,7,0,0,0,0,0,0,7,7,7,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,7,7,0,0,0,0,0,0,0,0,7,7,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,7,7,7,0,0,0,0,0,0,0,0,7,7,7,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,7,7,0,0,0,0,0,0,0,0,0,0,7,7,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0],
+        [0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0],
+        [0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0],
+        [0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0,0,0,9,9,9,9,9,9,0,0,0,0,0,0]
+    ],
+    // Jungle runner - Tarzan loincloth, bare chest (32x48)
+    runnerJungle: [
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,1,1,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,3,3,2,2,2,2,2,2,3,3,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,3,3,2,2,2,2,2,2,3,3,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,2,2,2,2,2,2,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,2,2,2,2,2,2,2,2,2,2,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,2,2,2,2,2,2,2,2,2,2,2,2,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,2,2,2,2,2,2,2,2,2,2,2,2,2,2,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,0,0,0,0,0,0,0],
+        [0,0,0,0,0,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,0,0,0,0,0],
+        [0,0,0,0,2,2,2,2,0,0,2,2,2,2,2,2,2,2,2,2,2,2,0,0,2,2,2,2,0,0,0,0],
+        [0,0,0,0,2,2,2,0,0,0,2,2,2,2,2,2,2,2,2,2,2,2,0,0,0,2,2,2,0,0,0,0],
+        [0,0,0,0,2,2,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,2,2,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,2,2,2,2,2,0,0,2,2,2,2,2,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,2,2,2,2,2,0,0,0,0,2,2,2,2,2,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,2,2,2,2,2,0,0,0,0,0,0,2,2,2,2,2,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,2,0,0,0,0,0,0,0,0,2,2,2,2,2,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0,0,0,0,2,2,2,2,0,0,0,0,0,0,0]
+    ],
+    // Ocean runner - scuba helmet, wetsuit (32x48)
+    runnerOcean: [
+        [0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,5,5,5,5,4,4,4,4,5,5,5,5,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,5,5,5,5,4,4,4,4,5,5,5,5,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,5,5,3,3,4,4,4,4,3,3,5,5,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,5,5,3,3,4,4,4,4,3,3,5,5,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,4,4,4,4,4,4,4,4,4,4,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0],
+        [0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0],
+        [0,0,0,0,6,6,6,6,0,0,6,6,6,6,6,6,6,6,6,6,6,6,0,0,6,6,6,6,0,0,0,0],
+        [0,0,0,0,6,6,6,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,6,6,6,0,0,0,0],
+        [0,0,0,0,6,6,0,0,0,0,6,6,6,6,6,6,6,6,6,6,6,6,0,0,0,0,6,6,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,6,6,6,6,6,6,6,6,6,6,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,6,6,6,6,0,0,6,6,6,6,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,6,6,6,6,0,0,6,6,6,6,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,6,6,6,6,6,0,0,6,6,6,6,6,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,6,6,6,6,0,0,0,0,6,6,6,6,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,6,6,6,6,6,0,0,0,0,6,6,6,6,6,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,6,6,6,6,0,0,0,0,0,0,6,6,6,6,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,6,6,6,6,6,0,0,0,0,0,0,6,6,6,6,6,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,6,6,6,6,0,0,0,0,0,0,0,0,6,6,6,6,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,6,6,6,6,6,0,0,0,0,0,0,0,0,6,6,6,6,6,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,6,6,6,6,0,0,0,0,0,0,0,0,0,0,6,6,6,6,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0],
+        [0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0],
+        [0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0],
+        [0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0,0,7,7,7,7,7,7,7,7,0,0,0,0,0]
+    ],
+    // Curved banana (20x36 pixels) - doubled detail
+    banana: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,2,2,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,2,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,1,1,2,2,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,1,1,1,1,1,2,2,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,2,2,0,0,0,0,0],
+        [0,0,0,0,0,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0],
+        [0,0,0,1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0],
+        [0,0,1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,1,1,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Banana Bundle (40x36 pixels) - 3 bananas clustered, worth 300 points
+    bananaBundle: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,3,3,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,3,3,3,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,0,0,0,0,0,3,3,3,0,0,0,0,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,2,2,0,0,0,3,3,3,0,0,0,0,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,1,1,1,1,1,1,2,0,0,1,1,2,2,0,0,0,1,1,1,1,1,1,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,2,2,0,1,1,1,1,2,2,0,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,1,1,1,1,1,1,1,2,2,1,1,1,1,1,1,2,1,1,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,1,1,1,1,1,1,2,2,0,1,1,1,1,1,1,2,2,1,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,1,1,1,2,2,0,1,1,1,1,1,2,2,0,0,1,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,1,1,2,2,0,0,1,1,1,1,1,2,2,0,0,0,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,2,2,0,0,1,1,1,1,2,2,0,0,0,0,0,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,2,2,0,0,0,0,1,1,1,2,2,0,0,0,0,0,0,1,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,2,2,0,0,0,0,1,1,2,2,0,0,0,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,2,2,0,0,0,0,0,0,1,1,2,0,0,0,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,1,1,1,2,2,0,0,0,0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,1,1,2,2,0,0,0,0,0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,1,1,2,2,0,0,0,0,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,1,1,2,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,1,1,2,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,4,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Jetpack Power-up (48x48 pixels) - Rocket in circular bubble with green outline
+    // 7 = green outline (good collectible)
+    jetpack: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,1,1,1,1,1,1,1,1,1,1,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,1,1,1,1,1,1,1,1,1,1,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,1,1,1,1,1,1,1,1,1,1,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,1,1,1,1,1,1,1,1,1,1,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,4,4,4,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,4,4,4,4,4,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,6,6,6,6,4,4,4,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,6,6,6,6,6,6,4,4,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,6,6,6,6,6,6,6,6,4,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,6,6,6,6,6,6,6,6,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,6,6,6,6,6,6,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,6,6,6,6,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,6,6,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // T-Rex Power-up (48x48 pixels) - Dino in circular bubble with green outline
+    // 7 = green outline (good collectible)
+    trexPowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,1,1,1,1,1,1,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,3,3,3,3,1,1,1,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Bubble Shield Power-up (48x48 pixels) - Shield icon in cyan bubble
+    // 7 = cyan outline (permanent buff)
+    bubblePowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Pogo Stick Power-up (48x48 pixels) - Spring coil in cyan bubble
+    pogoPowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,2,2,5,5,5,5,2,2,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,5,5,5,5,2,2,1,1,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,5,5,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,5,5,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,5,5,5,5,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,5,5,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0],
+        [7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,3,3,3,3,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0],
+        [0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,3,3,3,3,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0],
+        [0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0],
+        [0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0],
+        [0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0],
+        [0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0],
+        [0,0,0,0,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,0,0,0,0,0,0],
+        [0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0],
+        [0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,5,5,5,5,5,5,5,5,5,5,5,5,5,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,7,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Lion Roar Power-up (48x48 pixels) - Lion face in gold bubble (rare)
+    // 8 = gold outline (rare/special)
+    lionPowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,1,1,1,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,1,1,1,1,1,5,5,1,1,1,1,1,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,1,1,2,2,2,2,3,3,2,2,2,2,3,3,2,2,2,2,1,1,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,3,3,2,2,2,2,3,3,2,2,2,2,1,1,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,4,4,4,4,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,4,4,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,6,6,6,6,6,6,6,6,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,6,6,6,6,6,6,6,6,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Turtle Power-up (48x48 pixels) - Cute turtle with head/legs in gold bubble
+    turtlePowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,1,1,2,2,1,2,2,2,2,2,2,1,2,2,1,1,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,1,2,2,1,1,1,2,2,2,2,1,1,1,2,2,1,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,3,3,3,5,5,1,2,2,2,1,1,2,2,2,2,1,1,2,2,2,1,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,3,3,3,3,3,5,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,8,5,5,5,5,5,5,3,3,4,4,3,3,5,5,1,1,2,2,2,2,2,2,2,2,2,2,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,8,8,5,5,5,5,5,5,3,3,3,3,3,3,5,5,5,1,1,1,2,2,2,2,2,2,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,3,3,3,3,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,3,3,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,5,5,5,5,5,5,5,5,8,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Star Power-up (48x48 pixels) - Star in gold bubble
+    starPowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,1,1,1,1,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,1,1,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,1,1,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,1,1,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,1,1,5,5,5,5,5,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,1,1,1,1,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Money Power-up (48x48 pixels) - Dollar sign in green bubble
+    moneyPowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,5,5,5,5,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Laser Power-up (48x48 pixels) - Eye with beam in red bubble
+    laserPowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,2,2,2,2,2,2,1,1,1,1,1,1,1,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,1,1,1,1,1,2,2,2,2,2,2,2,2,2,2,1,1,1,1,1,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,1,1,1,1,1,2,2,2,2,3,3,3,3,2,2,2,2,1,1,1,1,1,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,2,3,3,3,3,3,3,2,2,2,2,1,1,1,1,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,3,3,3,4,4,3,3,3,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,3,3,4,4,4,4,3,3,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,3,3,4,4,4,4,3,3,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,3,3,3,4,4,3,3,3,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,2,2,2,2,3,3,3,3,3,3,2,2,2,2,1,1,1,1,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,2,2,2,2,3,3,3,3,2,2,2,2,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,2,2,2,2,2,2,2,2,2,2,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,2,2,2,2,2,2,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,1,1,1,1,1,1,1,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Body Double Power-up (48x48 pixels) - Two figures connected by energy beam in cyan bubble
+    bodyDoublePowerUp: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,3,5,5,5,5,5,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,3,3,3,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,8,5,5,5,5,5,5,1,1,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,3,3,3,5,5,5,5,5,8,0,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,1,1,1,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,3,3,3,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,2,2,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,4,4,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,2,2,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,4,4,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,2,2,5,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,5,4,4,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,2,5,5,5,2,6,6,6,6,6,6,6,6,6,6,6,6,6,4,5,5,5,4,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,2,5,5,5,2,6,6,6,6,6,6,6,6,6,6,6,6,6,4,5,5,5,4,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,2,2,5,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,5,4,4,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,2,2,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,4,4,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,2,2,2,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,4,4,4,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,2,5,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,5,4,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,5,5,5,5,5,5,5,5,5,5,5,5,2,5,2,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,4,5,4,5,5,5,5,5,5,5,5,5,5,5,8,0,0],
+        [8,8,5,5,5,5,5,5,5,5,5,5,2,2,5,2,2,5,5,5,5,5,5,5,5,5,5,5,5,5,4,4,5,4,4,5,5,5,5,5,5,5,5,5,8,8,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0],
+        [0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0],
+        [0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0],
+        [0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0],
+        [0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0],
+        [0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0],
+        [0,0,0,0,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,0,0,0,0,0,0],
+        [0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0],
+        [0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,5,5,5,5,5,5,5,5,5,5,5,5,5,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,8,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // T-Rex sprite (48x56 pixels) - Large Chrome dino style for player transformation
+    trex: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,2,2,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,3,3,3,3,3,3,3,3,3,3,1,1,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0],
+        [0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,1,1,1,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,1,1,1,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,1,1,1,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Snowman (20x36 pixels)
+    snowman: [
+        [0,0,0,0,0,0,0,0,5,5,5,5,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,5,5,5,5,5,5,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,5,5,5,5,5,5,5,5,0,0,0,0,0,0],
+        [0,0,0,0,0,5,5,5,5,5,5,5,5,5,5,0,0,0,0,0],
+        [0,0,0,0,5,5,5,5,5,5,5,5,5,5,5,5,0,0,0,0],
+        [0,0,0,0,5,5,5,5,5,5,5,5,5,5,5,5,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,0,1,1,2,2,1,1,2,2,1,1,0,0,0,0,0],
+        [0,0,0,0,1,1,1,2,2,1,1,2,2,1,1,1,0,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [0,0,0,0,1,1,1,1,3,1,1,3,1,1,1,1,0,0,0,0],
+        [0,0,0,0,0,1,1,1,1,3,3,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0],
+        [0,0,0,1,1,1,1,2,1,1,1,1,2,1,1,1,1,0,0,0],
+        [0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0],
+        [0,0,1,1,1,1,1,1,2,1,1,2,1,1,1,1,1,1,0,0],
+        [0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0],
+        [0,1,1,1,1,1,1,1,1,2,2,1,1,1,1,1,1,1,1,0],
+        [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
+        [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
+        [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
+        [0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0],
+        [0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0],
+        [0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0]
+    ],
+    // Cactus (20x36 pixels) - doubled detail
+    cactus: [
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,1,1,0,0,0,1,2,2,2,2,1,0,0,0,1,1,0,0],
+        [0,1,1,2,1,0,0,1,2,2,2,2,1,0,0,1,2,1,1,0],
+        [0,1,2,2,1,0,1,1,2,2,2,2,1,1,0,1,2,2,1,0],
+        [1,1,2,2,1,1,1,1,2,2,2,2,1,1,1,1,2,2,1,1],
+        [1,2,2,2,2,1,1,1,2,2,2,2,1,1,1,2,2,2,2,1],
+        [1,2,2,2,2,1,1,1,2,2,2,2,1,1,1,2,2,2,2,1],
+        [1,2,2,2,2,1,1,1,2,2,2,2,1,1,1,2,2,2,2,1],
+        [1,2,2,2,2,2,1,1,2,2,2,2,1,1,2,2,2,2,2,1],
+        [0,1,2,2,2,2,1,1,2,2,2,2,1,1,2,2,2,2,1,0],
+        [0,0,1,2,2,2,1,1,2,2,2,2,1,1,2,2,2,1,0,0],
+        [0,0,0,1,1,1,1,1,2,2,2,2,1,1,1,1,1,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,2,2,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0]
+    ],
+    // Jungle palm tree (20x36 pixels) - compact version
+    jungleTree: [
+        [0,0,0,0,0,1,1,1,1,0,0,1,1,1,1,0,0,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0],
+        [0,0,0,1,1,1,2,2,1,1,1,1,2,2,1,1,1,0,0,0],
+        [0,0,1,1,2,2,2,2,2,1,1,2,2,2,2,2,1,1,0,0],
+        [0,1,1,2,2,2,2,2,1,0,0,1,2,2,2,2,2,1,1,0],
+        [1,1,2,2,2,2,2,1,0,0,0,0,1,2,2,2,2,2,1,1],
+        [1,1,2,2,2,2,1,0,0,0,0,0,0,1,2,2,2,2,1,1],
+        [0,1,1,1,1,1,0,0,0,0,0,0,0,0,1,1,1,1,1,0],
+        [0,0,0,0,0,0,0,0,0,3,3,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,3,3,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,4,4,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,3,4,4,3,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,3,3,4,4,3,3,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,3,3,4,4,3,3,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,3,3,3,4,4,3,3,3,0,0,0,0,0,0],
+        [0,0,0,0,0,0,3,3,3,4,4,3,3,3,0,0,0,0,0,0],
+        [0,0,0,0,0,3,3,3,3,4,4,3,3,3,3,0,0,0,0,0],
+        [0,0,0,0,0,3,3,3,3,4,4,3,3,3,3,0,0,0,0,0],
+        [0,0,0,0,3,3,3,3,3,4,4,3,3,3,3,3,0,0,0,0],
+        [0,0,0,0,3,3,3,3,3,4,4,3,3,3,3,3,0,0,0,0],
+        [0,0,0,3,3,3,3,3,3,4,4,3,3,3,3,3,3,0,0,0],
+        [0,0,0,3,3,3,3,3,3,3,3,3,3,3,3,3,3,0,0,0]
+    ],
+    // Ship anchor - classic nautical design (20x36 pixels)
+    anchor: [
+        [0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,3,3,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,3,0,0,3,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,3,3,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,1,1,1,1,1,1,2,2,1,1,1,1,1,1,0,0,0],
+        [0,0,1,1,3,3,3,3,1,2,2,1,3,3,3,3,1,1,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,2,1,1,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,1,1,2,2,1,1,2,2,1,1,0,0,0,0,0],
+        [0,0,0,0,1,1,2,2,0,0,0,0,2,2,1,1,0,0,0,0],
+        [0,0,0,1,1,2,2,0,0,0,0,0,0,2,2,1,1,0,0,0],
+        [0,0,1,1,2,2,0,0,0,0,0,0,0,0,2,2,1,1,0,0],
+        [0,1,1,2,2,0,0,0,0,0,0,0,0,0,0,2,2,1,1,0],
+        [1,1,2,2,4,0,0,0,0,0,0,0,0,0,0,4,2,2,1,1],
+        [1,2,2,4,4,0,0,0,0,0,0,0,0,0,0,4,4,2,2,1],
+        [1,2,4,4,0,0,0,0,0,0,0,0,0,0,0,0,4,4,2,1],
+        [1,2,4,4,0,0,0,0,0,0,0,0,0,0,0,0,4,4,2,1],
+        [1,1,2,4,4,0,0,0,0,0,0,0,0,0,0,4,4,2,1,1],
+        [0,1,2,2,4,4,0,0,0,0,0,0,0,0,4,4,2,2,1,0],
+        [0,1,1,2,2,4,4,0,0,0,0,0,0,4,4,2,2,1,1,0],
+        [0,0,1,1,2,2,4,4,4,0,0,4,4,4,2,2,1,1,0,0],
+        [0,0,0,1,1,2,2,4,4,4,4,4,4,2,2,1,1,0,0,0],
+        [0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0]
+    ],
+    // ====== ANIMAL OBSTACLES (5000+ points) ======
+    // Crab - wide sideways crab with claws (40x36 pixels)
+    crab: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0],
+        [0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0],
+        [0,0,1,1,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,1,1,0,0],
+        [0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0],
+        [0,1,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,1,0],
+        [0,1,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,2,2,2,1,0],
+        [0,0,1,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,2,1,0,0],
+        [0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,2,2,2,2,2,2,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,3,3,2,2,3,3,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,3,3,2,2,3,3,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0],
+        [0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0],
+        [0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4,4,0,0,0,0,4,4,0,0,0,0],
+        [0,0,0,0,4,0,0,0,0,0,4,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4,0,0,0,0,0,4,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Monkey - swinging monkey with tail (40x36 pixels)
+    monkey: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,3,3,2,2,2,2,3,3,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,2,4,4,2,2,2,2,4,4,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,2,3,3,3,3,3,3,3,3,3,3,3,3,2,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,2,2,3,3,3,3,3,3,3,3,3,3,3,3,2,2,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,2,2,2,3,3,3,5,5,5,5,3,3,3,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,2,3,3,3,3,3,3,3,3,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,0,0,1,1,1,1,1,1,0,0,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,1,2,2,2,2,1,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,1,0,1,2,2,2,2,1,0,1,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,1,0,1,2,2,2,2,1,0,1,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,1,0,1,2,2,2,2,1,0,1,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,2,2,1,0,0,1,2,2,2,2,1,0,0,1,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,1,2,2,2,2,1,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,1,1,0,0,0,1,2,2,2,2,1,0,0,0,1,1,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,1,2,2,2,2,1,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,1,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,1,0,0,0,0,0,0,0,0,0,0,1,1,2,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,1,0,0,0,0,0,0,0,0,0,1,1,2,2,2,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,1,1,0,0,0,0,0,0,0,0,1,1,2,2,2,1,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,1,1,0,0,0,0,0,0,1,1,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,1,1,0,0,0,0,1,1,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,2,6,6,2,2,2,1,0,0,0,1,1,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,2,6,6,6,6,2,2,1,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,6,6,6,6,1,1,1,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,6,6,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Scorpion - desert scorpion with raised tail (40x36 pixels)
+    scorpion: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,1,1,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,3,3,2,1,1,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,3,3,3,1,1,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,3,3,1,1,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0],
+        [0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,1,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,1,2,2,2,1,1,0,0,0,0,0,0,0,0,1,1,1,1,1,1,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,2,2,2,2,2,1,0,0,0,0,0,0,1,1,1,2,2,2,2,2,2,2,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,1,2,2,2,2,1,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,1,2,2,1,0,0,0,0,1,1,2,2,2,2,4,4,2,2,4,4,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,1,1,0,0,0,0,1,1,2,2,2,2,2,4,4,2,2,4,4,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0],
+        [0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0,0],
+        [0,0,5,5,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,5,0,0,5,5,0,0,0,0,0,0],
+        [0,0,5,0,0,0,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,0,0,0,5,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Penguin - arctic penguin (40x36 pixels)
+    penguin: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,2,2,1,1,1,1,2,2,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,2,2,1,1,1,1,2,2,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,3,3,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,3,3,3,3,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,4,4,4,4,4,4,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,4,4,4,4,4,4,4,4,4,4,4,4,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,4,4,4,4,4,4,4,4,4,4,4,4,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,4,4,4,4,4,4,4,4,4,4,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,4,4,4,4,4,4,4,4,4,4,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,4,4,4,4,4,4,4,4,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,4,4,4,4,4,4,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,3,3,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,3,0,0,3,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,3,0,0,0,0,3,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,3,3,3,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // ====== MOON OBSTACLES ======
+    // Moon rock - cratered boulder (24x20 pixels)
+    moonRock: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,1,1,3,3,3,3,3,2,2,2,2,2,1,1,0,0,0,0,0],
+        [0,0,0,0,1,3,3,3,3,3,4,4,2,2,2,2,2,2,2,1,0,0,0,0],
+        [0,0,0,1,3,3,3,3,3,3,4,4,3,2,2,2,2,2,2,2,1,0,0,0],
+        [0,0,1,3,3,3,3,3,3,2,2,3,3,2,4,4,4,4,2,2,2,1,0,0],
+        [0,0,1,3,3,3,3,3,2,2,2,2,2,2,4,4,4,4,2,2,2,1,0,0],
+        [0,1,3,3,3,3,3,2,2,2,2,2,2,2,4,4,4,4,3,2,2,2,1,0],
+        [0,1,3,3,3,3,2,2,2,2,2,2,2,2,4,4,4,4,3,2,2,2,1,0],
+        [1,3,3,3,3,2,2,2,2,2,2,2,2,2,2,2,3,3,2,2,2,2,2,1],
+        [1,3,3,3,2,2,4,4,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
+        [1,3,3,2,2,4,4,4,4,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
+        [1,3,2,2,4,4,4,4,4,4,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
+        [1,2,2,2,4,4,4,4,4,4,3,2,2,2,2,4,4,2,2,2,2,2,2,1],
+        [1,2,2,2,2,4,4,4,4,3,2,2,2,2,4,4,4,4,2,2,2,2,2,1],
+        [1,2,2,2,2,2,4,4,3,3,2,2,2,2,4,4,4,4,3,2,2,2,2,1],
+        [1,2,2,2,2,2,2,3,2,2,2,2,2,2,2,4,4,3,2,2,2,2,2,1],
+        [0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,1,0],
+        [0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0],
+        [0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0]
+    ],
+    // Moon crystal - tall shard cluster on a rock base (14x40 pixels)
+    moonCrystal: [
+        [0,0,0,0,0,0,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,1,0,0,0,0,0,0],
+        [0,0,0,0,0,1,3,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,3,2,1,0,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,0,0,1,3,3,2,2,1,0,0,0,0],
+        [0,0,1,0,1,3,3,2,2,1,0,0,0,0],
+        [0,1,2,1,3,3,3,2,2,1,0,0,0,0],
+        [0,1,2,2,3,3,3,2,2,1,0,0,0,0],
+        [1,3,2,2,3,3,3,2,2,1,0,0,0,0],
+        [1,3,2,2,3,3,3,2,2,1,0,0,0,0],
+        [1,3,2,2,3,3,3,2,2,1,0,0,0,0],
+        [1,3,2,2,3,3,3,2,2,1,0,0,0,0],
+        [1,3,2,2,3,3,3,2,2,1,0,0,0,0],
+        [1,3,2,2,3,3,3,2,2,1,0,1,1,0],
+        [1,3,2,2,3,3,3,2,2,1,0,1,1,0],
+        [1,3,2,2,3,3,3,2,2,2,1,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,3,2,2,3,3,3,2,2,2,3,3,2,1],
+        [1,1,2,2,3,3,3,2,2,2,3,3,1,1],
+        [0,0,5,4,4,4,4,4,4,4,4,5,0,0],
+        [0,5,4,4,4,4,4,4,4,4,4,4,5,0],
+        [0,5,4,4,4,4,4,4,4,4,4,4,5,0],
+        [0,5,5,5,5,5,5,5,5,5,5,5,5,0]
+    ],
+    // Satellite - floats above the ground, solar panels either side (36x16 pixels)
+    satellite: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,5,5,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [1,1,1,1,1,1,1,1,1,1,1,0,0,1,2,2,2,2,2,2,2,2,1,0,0,1,1,1,1,1,1,1,1,1,1,1],
+        [1,3,3,3,4,3,3,4,3,3,1,0,0,1,2,6,6,2,2,2,2,2,1,0,0,1,3,3,3,4,3,3,4,3,3,1],
+        [1,3,3,3,4,3,3,4,3,3,1,0,0,1,2,6,6,2,2,2,2,2,1,0,0,1,3,3,3,4,3,3,4,3,3,1],
+        [1,3,3,3,4,3,3,4,3,3,1,1,1,1,2,2,2,2,2,2,2,2,1,1,1,1,3,3,3,4,3,3,4,3,3,1],
+        [1,4,4,4,4,4,4,4,4,4,1,1,1,1,2,2,2,2,2,2,2,2,1,1,1,1,4,4,4,4,4,4,4,4,4,1],
+        [1,3,3,3,4,3,3,4,3,3,1,0,0,1,2,2,2,2,2,2,2,2,1,0,0,1,3,3,3,4,3,3,4,3,3,1],
+        [1,3,3,3,4,3,3,4,3,3,1,0,0,1,2,2,2,2,2,2,2,2,1,0,0,1,3,3,3,4,3,3,4,3,3,1],
+        [1,1,1,1,1,1,1,1,1,1,1,0,0,1,2,2,2,2,2,2,2,2,1,0,0,1,1,1,1,1,1,1,1,1,1,1],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
+    ],
+    // Moon alien - wide critter with eye stalks (40x36 pixels)
+    moonAlien: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,3,3,3,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,3,3,3,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,3,3,3,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,3,3,3,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,3,3,3,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,3,3,3,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,0,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,7,7,2,2,2,2,2,2,2,2,2,2,2,1,2,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,7,7,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,7,7,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,7,7,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,7,7,2,2,2,2,4,4,4,4,2,2,2,2,2,2,4,4,4,4,2,2,2,2,2,2,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,2,2,2,2,2,4,4,5,5,4,4,2,2,2,2,4,4,5,5,4,4,2,2,2,2,2,1,0,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,4,5,5,5,5,4,2,2,2,2,4,5,5,5,5,4,2,2,2,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,4,4,5,5,4,4,2,2,2,2,4,4,5,5,4,4,2,2,2,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,2,4,4,4,4,2,2,2,2,2,2,4,4,4,4,2,2,2,2,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0],
+        [0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,6,2,2,2,2,2,2,6,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,6,6,6,6,6,6,6,6,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,1,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,1,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,1,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,1,1,2,2,1,1,1,1,1,2,2,1,0,0,0,0,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,1,1,1,0,0,0,0,1,1,1,0,0,0,0,1,1,1,0,0,0,0,1,1,1,0,0,0,0,0,0,0]
+    ],
+    // ====== HAZARDS ======
+    // Moon dust - loose regolith patch that slows the runner (48x6 pixels)
+    moonDust: [
+        [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,3,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,0,0,0,0,0,1,1,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,1,1,0,0,0,0,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,1,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,1,1,0,0,0,0,0,0,0],
+        [0,0,0,0,1,1,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,1,1,0,0,0,0],
+        [0,0,1,1,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,2,2,2,2,2,3,2,2,2,2,2,2,2,2,1,1,0,0],
+        [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1]
+    ],
+    // Turtle obstacle (20x16) - cute turtle for Turtle Time transformation
+    turtleObstacle: [
+        [0,0,0,0,0,0,0,0,1,1,1,1,0,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,0,1,2,2,2,2,1,0,0,0,0,0,0,0],
+        [0,0,0,0,0,0,1,2,1,2,1,2,1,2,1,0,0,0,0,0],
+        [0,0,0,0,0,1,2,2,2,2,2,2,2,2,2,1,0,0,0,0],
+        [0,0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,1,0,0,0],
+        [0,0,0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,1,0,0],
+        [0,0,1,2,1,2,1,2,1,2,1,2,1,2,1,2,1,2,1,0],
+        [0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
+        [0,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
+        [3,3,1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1,3,3],
+        [3,4,3,1,2,2,2,2,2,2,2,2,2,2,2,2,1,3,4,3],
+        [0,3,3,3,1,1,2,2,2,2,2,2,2,2,1,1,3,3,3,0],
+        [0,0,3,3,0,0,1,1,1,1,1,1,1,1,0,0,3,3,0,0],
+        [0,0,0,0,0,3,3,0,0,0,0,0,0,3,3,0,0,0,0,0],
+        [0,0,0,0,0,3,3,0,0,0,0,0,0,3,3,0,0,0,0,0],
+        [0,0,0,0,0,3,3,0,0,0,0,0,0,3,3,0,0,0,0,0]
+    ]
+};
+
+// Colors for each sprite
+export const colors = {
+    // Snow outfit - winter gear
+    runnerSnow: {
+        1: '#8B5A2B',  // Hair
+        2: '#DEB887',  // Skin
+        3: '#000000',  // Eyes
+        4: '#E53935',  // Red winter jacket/hat
+        5: '#1A237E',  // Navy pants
+        6: '#5D4037',  // Brown snow boots
+        7: '#FFFFFF',  // Pom-pom
+        8: '#CD5C5C'   // Mouth/smile
+    },
+    // Desert outfit - cowboy
+    runnerDesert: {
+        1: '#8B5A2B',  // Hair
+        2: '#DEB887',  // Skin
+        3: '#000000',  // Eyes
+        4: '#8D6E63',  // Brown cowboy hat
+        5: '#F5DEB3',  // Tan shirt
+        6: '#5D4037',  // Brown vest
+        7: '#1565C0',  // Blue jeans
+        8: '#CD5C5C',  // Mouth/smile
+        9: '#4E342E'   // Cowboy boots
+    },
+    // Jungle outfit - Tarzan
+    runnerJungle: {
+        1: '#5D4037',  // Dark hair
+        2: '#C8A27A',  // Tanned skin
+        3: '#000000',  // Eyes
+        4: '#6D4C41'   // Brown loincloth
+    },
+    // Ocean outfit - scuba
+    runnerOcean: {
+        1: '#8B5A2B',  // Hair (hidden)
+        2: '#DEB887',  // Skin (hidden)
+        3: '#000000',  // Eyes
+        4: '#FFB300',  // Yellow helmet
+        5: '#81D4FA',  // Light blue visor
+        6: '#212121',  // Black wetsuit
+        7: '#000000'   // Black flippers
+    },
+    banana: {
+        1: '#FFE135',  // Bright yellow
+        2: '#FFC107',  // Darker yellow edge
+        3: '#4E3524',  // Brown stem
+        4: '#3E2723'   // Dark brown tip
+    },
+    // Power-up colors
+    jetpack: {
+        1: '#E0E0E0',  // Silver rocket body
+        2: '#42A5F5',  // Blue window/cockpit
+        3: '#B71C1C',  // Red fins
+        4: '#FF5722',  // Orange flame
+        5: '#B3E5FC',  // Light blue bubble
+        6: '#FFEB3B',  // Yellow flame core
+        7: '#2E7D32'   // Green outline (good collectible)
+    },
+    trexPowerUp: {
+        1: '#546E7A',  // Gray dino body
+        2: '#37474F',  // Dark gray shadow/eye
+        3: '#FFFFFF',  // White teeth
+        5: '#B3E5FC',  // Light blue bubble
+        7: '#2E7D32'   // Green outline (good collectible)
+    },
+    trex: {
+        1: '#546E7A',  // Gray dino body
+        2: '#37474F',  // Dark gray eye
+        3: '#FFFFFF'   // White teeth
+    },
+    turtleObstacle: {
+        1: '#00695C',  // Dark teal shell outline
+        2: '#009688',  // Teal shell
+        3: '#4CAF50',  // Green limbs/head
+        4: '#000000'   // Eye
+    },
+    // New power-up colors
+    bubblePowerUp: {
+        1: '#FFFFFF',  // White shield border
+        2: '#00BCD4',  // Cyan shield fill
+        5: '#B3E5FC',  // Light blue bubble
+        7: '#00BCD4'   // Cyan outline (permanent buff)
+    },
+    pogoPowerUp: {
+        1: '#FF5722',  // Orange spring border
+        2: '#FF9800',  // Lighter orange spring
+        3: '#795548',  // Brown base/handle
+        5: '#B3E5FC',  // Light blue bubble
+        7: '#00BCD4'   // Cyan outline (permanent buff)
+    },
+    lionPowerUp: {
+        1: '#FFC107',  // Gold mane
+        2: '#8D6E63',  // Brown face
+        3: '#000000',  // Black eyes
+        4: '#E91E63',  // Pink nose
+        5: '#B3E5FC',  // Light blue bubble
+        6: '#FFFFFF',  // White teeth
+        8: '#FFD700'   // Gold outline (rare)
+    },
+    turtlePowerUp: {
+        1: '#009688',  // Teal shell outline
+        2: '#00695C',  // Dark teal shell pattern
+        3: '#4CAF50',  // Green head/legs
+        4: '#000000',  // Black eye
+        5: '#B3E5FC',  // Light blue bubble
+        8: '#FFD700'   // Gold outline (time-based)
+    },
+    starPowerUp: {
+        1: '#FFEB3B',  // Yellow star
+        5: '#B3E5FC',  // Light blue bubble
+        8: '#FFD700'   // Gold outline (time-based)
+    },
+    moneyPowerUp: {
+        1: '#4CAF50',  // Green dollar sign
+        5: '#C8E6C9',  // Light green bubble
+        8: '#2E7D32'   // Dark green outline
+    },
+    laserPowerUp: {
+        1: '#F44336',  // Red eye outline
+        2: '#FFCDD2',  // Light pink inner eye
+        3: '#E91E63',  // Pink iris
+        4: '#000000',  // Black pupil
+        5: '#FFEBEE',  // Very light pink bubble
+        8: '#B71C1C'   // Dark red outline
+    },
+    bodyDoublePowerUp: {
+        1: '#00ACC1',  // Cyan head (left figure)
+        2: '#4DD0E1',  // Cyan body (left figure)
+        3: '#80DEEA',  // Light cyan head (right ghost)
+        4: '#B2EBF2',  // Light cyan body (right ghost)
+        5: '#E0F7FA',  // Very light cyan bubble
+        6: '#4DD0E1',  // Energy beam
+        8: '#00BCD4'   // Cyan outline (permanent buff)
+    },
+    snowman: {
+        1: '#FFFFFF',  // White snow body
+        2: '#212121',  // Black eyes/buttons
+        3: '#FF5722',  // Orange carrot nose
+        4: '#E53935',  // Red scarf
+        5: '#212121'   // Black top hat
+    },
+    cactus: {
+        1: '#2E7D32',  // Dark green
+        2: '#4CAF50'   // Light green
+    },
+    jungleTree: {
+        1: '#2E7D32',  // Dark green leaves
+        2: '#4CAF50',  // Light green leaves
+        3: '#5D4037',  // Brown trunk
+        4: '#8D6E63'   // Light brown trunk detail
+    },
+    anchor: {
+        1: '#546E7A',  // Gunmetal gray body
+        2: '#37474F',  // Dark gray shadow
+        3: '#78909C',  // Light gray highlight
+        4: '#8D6E63'   // Rust accent on flukes
+    },
+    // Animal obstacle colors (5000+ points)
+    crab: {
+        1: '#B71C1C',  // Dark red shell edge
+        2: '#E53935',  // Red shell body
+        3: '#000000',  // Black eyes
+        4: '#FF8A65'   // Orange legs
+    },
+    monkey: {
+        1: '#5D4037',  // Dark brown outline
+        2: '#8D6E63',  // Brown fur
+        3: '#FFCCBC',  // Light skin/face
+        4: '#000000',  // Black eyes
+        5: '#E91E63',  // Pink mouth/tongue
+        6: '#6D4C41'   // Darker brown feet
+    },
+    scorpion: {
+        1: '#1B5E20',  // Dark green outline
+        2: '#388E3C',  // Green body
+        3: '#FF5722',  // Orange stinger
+        4: '#000000',  // Black eyes
+        5: '#2E7D32'   // Dark green legs
+    },
+    penguin: {
+        1: '#212121',  // Black feathers
+        2: '#FFFFFF',  // White eyes
+        3: '#FF9800',  // Orange beak/feet
+        4: '#FAFAFA'   // White belly
+    },
+    // Moon land colors
+    runnerMoon: {
+        1: '#8B5A2B',  // Hair (hidden)
+        2: '#DEB887',  // Skin (hidden)
+        3: '#000000',  // Eyes
+        4: '#ECEFF1',  // White space helmet
+        5: '#FFB300',  // Gold visor
+        6: '#B0BEC5',  // Gray space suit
+        7: '#546E7A'   // Dark gray moon boots
+    },
+    moonRock: {
+        1: '#3E3E3E',  // Dark outline
+        2: '#7D7D7D',  // Gray rock
+        3: '#A8A8A8',  // Light gray highlight
+        4: '#5A5A5A'   // Crater shadow
+    },
+    moonCrystal: {
+        1: '#4A148C',  // Deep purple outline
+        2: '#AB47BC',  // Purple crystal
+        3: '#E1BEE7',  // Pale crystal highlight
+        4: '#5A5A5A',  // Gray rock base
+        5: '#3E3E3E'   // Dark rock outline
+    },
+    satellite: {
+        1: '#37474F',  // Dark frame
+        2: '#FFC107',  // Gold foil body
+        3: '#1E88E5',  // Blue solar cells
+        4: '#0D47A1',  // Dark blue panel grid
+        5: '#F44336',  // Red beacon
+        6: '#FFF8E1'   // Foil shine
+    },
+    moonAlien: {
+        1: '#1B5E20',  // Dark green outline
+        2: '#66BB6A',  // Green body
+        3: '#FFEB3B',  // Yellow eye stalk tips
+        4: '#FFFFFF',  // White eyes
+        5: '#000000',  // Black pupils
+        6: '#AD1457',  // Mouth
+        7: '#A5D6A7'   // Light green highlight
+    },
+    moonDust: {
+        1: '#8A8A8A',  // Dark dust edge
+        2: '#D6D6D6',  // Light dust
+        3: '#F5F5F5'   // Sparkles
+    }
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Profile stat aggregation for Banana Runner
+ *
+ * Profile totals (total_games, high_score, per-land and power-up counters,
+ * multiplayer games/wins, ...) are kept by the database: the
+ * apply_session_stats() trigger folds every inserted game_sessions row
+ * into the player's profile. This module builds those rows from a run
+ * summary and mirrors the trigger, so the client can show the same totals
+ * while a save is still pending or has failed.
+ *
+ * @module game/stats
+ */
+
+import { lands } from './lands.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Run summary power-up counters -> [game_sessions column, profiles column]
+ * @constant {Object}
+ */
+export const POWERUP_COLUMNS = {
+    jetpacks: ['jetpacks_used', 'jetpacks_collected'],
+    dinoStomps: ['dino_stomps_used', 'dino_stomps_collected'],
+    bubbles: ['bubbles_used', 'bubbles_collected'],
+    bubbleHitsAbsorbed: ['bubble_hits_absorbed', 'bubble_hits_absorbed'],
+    pogos: ['pogos_used', 'pogos_collected'],
+    lions: ['lions_used', 'lions_collected'],
+    turtles: ['turtles_used', 'turtles_collected'],
+    stars: ['stars_used', 'stars_collected']
+};
+
+// ============================================
+// SESSION ROWS
+// ============================================
+
+/**
+ * Build the stat columns of a game_sessions row
+ *
+ * @param {Object} run - Finished run
+ * @param {number} run.score - Final score
+ * @param {number} run.bananas - Bananas collected
+ * @param {string} run.land - Land played
+ * @param {number} [run.durationSeconds=0] - Run length in seconds
+ * @param {number} [run.highestLevel=0] - Highest level reached
+ * @param {Object} [run.session] - Power-up counters from the simulation summary
+ * @param {string} [run.mode='solo'] - Game mode
+ * @param {boolean} [run.didWin=false] - Won the multiplayer round
+ * @returns {Object} Column values (no player_id / replay)
+ */
+export function buildSessionStats({ score, bananas, land, durationSeconds = 0, highestLevel = 0, session = {}, mode = 'solo', didWin = false }) {
+    const row = {
+        score,
+        bananas_collected: bananas,
+        land_played: land,
+        game_mode: mode,
+        duration: durationSeconds,
+        highest_level: highestLevel,
+        did_win: mode === 'multiplayer' && didWin
+    };
+
+    for (const [key, [sessionColumn]] of Object.entries(POWERUP_COLUMNS)) {
+        row[sessionColumn] = session[key] || 0;
+    }
+
+    return row;
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+/**
+ * Fold a game session into profile totals (same rules as the
+ * apply_session_stats() database trigger)
+ *
+ * @param {Object} profile - Profile / playerStats
+ * @param {Object} row - game_sessions row (see buildSessionStats)
+ * @param {string} [playedAt] - Session time, ISO string (now)
+ * @returns {Object} New profile object
+ */
+export function applySessionStats(profile = {}, row, playedAt = new Date().toISOString()) {
+    const updated = { ...profile };
+    const add = (column, amount) => {
+        updated[column] = (updated[column] || 0) + (amount || 0);
+    };
+
+    add('total_games', 1);
+    add('total_bananas', row.bananas_collected);
+    add('total_score', row.score);
+    add('total_time_played', row.duration);
+    updated.high_score = Math.max(updated.high_score || 0, row.score || 0);
+    updated.highest_level_reached = Math.max(updated.highest_level_reached || 0, row.highest_level || 0);
+
+    for (const [sessionColumn, profileColumn] of Object.values(POWERUP_COLUMNS)) {
+        add(profileColumn, row[sessionColumn]);
+    }
+
+    const land = String(row.land_played || '').toLowerCase();
+    if (lands[land]) {
+        add(`${land}_games_played`, 1);
+        updated[`${land}_best_score`] = Math.max(updated[`${land}_best_score`] || 0, row.score || 0);
+    }
+
+    if (row.game_mode === 'multiplayer') {
+        add('multiplayer_games', 1);
+        add('multiplayer_wins', row.did_win ? 1 : 0);
+    }
+
+    updated.first_game_at = updated.first_game_at || playedAt;
+    updated.last_game_at = playedAt;
+
+    return updated;
+}
+
+// ============================================
+// PROFILE COLUMNS
+// ============================================
+
+/**
+ * Per-land profile columns for every land (snow_games_played, snow_best_score, ...)
+ *
+ * @param {Object} [profile] - Profile row to read (zeros if omitted)
+ * @returns {Object} Column values
+ */
+export function getLandStatColumns(profile = {}) {
+    const columns = {};
+    for (const land of Object.keys(lands)) {
+        columns[`${land}_games_played`] = profile?.[`${land}_games_played`] || 0;
+        columns[`${land}_best_score`] = profile?.[`${land}_best_score`] || 0;
+    }
+    return columns;
+}
+
+export default applySessionStats;
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Score verification for Banana Runner
+ *
+ * Re-simulates a submitted run from its replay (seed + input log) and
+ * checks that the recomputed result matches what the client claimed.
+ * Used by the score verifier (scripts/verify-scores.mjs) and safe to
+ * run anywhere the simulation runs - no DOM or network access.
+ *
+ * @module game/verification
+ */
+
+import { runSimulation } from './simulation.js';
+import { decodeReplay } from './replay.js';
+import { lands } from './lands.js';
+import { getDailyChallenge } from './daily.js';
+import { SKINS } from './skins.js';
+import { POWERUP_COLUMNS } from './stats.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Longest run we will re-simulate (1 hour at 60fps)
+ * @constant {number}
+ */
+export const MAX_VERIFY_FRAMES = 60 * 60 * 60;
+
+/**
+ * Allowed viewport range - the viewport affects jump height and spawn
+ * distance, so absurd sizes could be used to make a run easier
+ * @constant {Object}
+ */
+export const VIEWPORT_LIMITS = {
+    minWidth: 240,
+    maxWidth: 7680,
+    minHeight: 240,
+    maxHeight: 4320
+};
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+/**
+ * Check that a viewport is within VIEWPORT_LIMITS
+ *
+ * @param {Object} viewport - {width, height}
+ * @returns {boolean} True if allowed
+ */
+function isViewportAllowed(viewport) {
+    return viewport.width >= VIEWPORT_LIMITS.minWidth &&
+           viewport.width <= VIEWPORT_LIMITS.maxWidth &&
+           viewport.height >= VIEWPORT_LIMITS.minHeight &&
+           viewport.height <= VIEWPORT_LIMITS.maxHeight;
+}
+
+/**
+ * Check that every resize in a replay's input log is within VIEWPORT_LIMITS
+ *
+ * @param {Array<Object>} inputs - Replay input events
+ * @returns {boolean} True if allowed
+ */
+function areResizesAllowed(inputs) {
+    return inputs.every(input => input.type !== 'resize' ||
+        isViewportAllowed({ width: input.width, height: input.height }));
+}
+
+/**
+ * Find the first run stat a session claims that the simulation disagrees
+ * with. Columns the session doesn't carry are skipped.
+ *
+ * @param {Object} session - Submitted session
+ * @param {Object} result - Simulation summary
+ * @returns {string|null} Mismatch description, or null
+ */
+function findStatMismatch(session, result) {
+    const expected = [
+        ['duration', result.durationSeconds],
+        ['highest_level', result.highestLevel]
+    ];
+    for (const [key, [sessionColumn]] of Object.entries(POWERUP_COLUMNS)) {
+        expected.push([sessionColumn, result.session[key] || 0]);
+    }
+
+    for (const [column, simulated] of expected) {
+        if (session[column] !== undefined && (Number(session[column]) || 0) !== simulated) {
+            return `${column} mismatch (claimed ${session[column]}, simulated ${simulated})`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Verify a submitted game session by re-simulating its replay
+ *
+ * A session is verified when the replay decodes, matches the session's
+ * seed and land (and, for daily challenge runs, the seed, land and
+ * modifier of its challenge date), uses a skin the player owns, ends with
+ * the player dying on the recorded frame, and the recomputed score,
+ * bananas, duration, level and power-up counts equal the submitted ones.
+ * Only multiplayer sessions may be wins - a replay can't show who won a
+ * round, so those are recorded by the room server.
+ *
+ * @param {Object} session - Submitted session (game_sessions row shape)
+ * @param {number} session.score - Claimed score
+ * @param {number} session.bananas_collected - Claimed bananas
+ * @param {string} session.land_played - Claimed land
+ * @param {number} [session.seed] - Claimed seed
+ * @param {string} [session.game_mode] - 'solo', 'multiplayer' or 'daily_challenge'
+ * @param {string} [session.challenge_date] - Challenge date (YYYY-MM-DD) of a daily_challenge run
+ * @param {number} [session.duration] - Claimed run length in seconds
+ * @param {number} [session.highest_level] - Claimed highest level
+ * @param {boolean} [session.did_win] - Claimed multiplayer win
+ * @param {string} session.replay - Encoded replay
+ * @param {Object} [options] - Verification options
+ * @param {Array<string>} [options.ownedSkins] - Skins the player owns (player_skins);
+ *     without it the skin isn't checked
+ * @returns {Object} {verified, reason, result} - reason is null when verified
+ *
+ * @example
+ * const { verified, reason } = verifyRun(sessionRow, { ownedSkins: ['default', 'golden'] });
+ * if (!verified) console.warn('Rejected:', reason);
+ */
+export function verifyRun(session, options = {}) {
+    const { ownedSkins = null } = options;
+    const reject = (reason, result = null) => ({ verified: false, reason, result });
+
+    if (!session || !session.replay) {
+        return reject('No replay submitted');
+    }
+
+    const replay = decodeReplay(session.replay);
+    if (!replay) {
+        return reject('Replay could not be decoded');
+    }
+
+    if (session.seed !== undefined && session.seed !== null && Number(session.seed) !== replay.seed) {
+        return reject('Seed does not match replay');
+    }
+    if (replay.land !== session.land_played || !lands[replay.land]) {
+        return reject('Land does not match replay');
+    }
+    if (!isViewportAllowed(replay.viewport) || !areResizesAllowed(replay.inputs)) {
+        return reject('Viewport out of range');
+    }
+    if (session.game_mode === 'daily_challenge') {
+        // The challenge's modifier skin is lent to everyone for the day
+        const challenge = getDailyChallenge(String(session.challenge_date || '').slice(0, 10));
+        if (replay.seed !== challenge.seed || replay.land !== challenge.land || replay.skin !== challenge.skin) {
+            return reject('Run does not match the daily challenge');
+        }
+    } else if (!SKINS[replay.skin]) {
+        return reject('Unknown skin');
+    } else if (ownedSkins && SKINS[replay.skin].type !== 'default' && !ownedSkins.includes(replay.skin)) {
+        return reject('Skin not owned');
+    }
+    if (session.did_win && session.game_mode !== 'multiplayer') {
+        return reject('Only multiplayer runs can be wins');
+    }
+    if (replay.frames <= 0 || replay.frames > MAX_VERIFY_FRAMES) {
+        return reject('Run length out of range');
+    }
+
+    const result = runSimulation({
+        seed: replay.seed,
+        land: replay.land,
+        skin: replay.skin,
+        viewport: replay.viewport,
+        inputs: replay.inputs,
+        maxFrames: replay.frames
+    });
+
+    if (result.alive || result.frames !== replay.frames) {
+        return reject('Run did not end on the recorded frame', result);
+    }
+    if (result.score !== session.score) {
+        return reject(`Score mismatch (claimed ${session.score}, simulated ${result.score})`, result);
+    }
+    if (result.bananas !== session.bananas_collected) {
+        return reject(`Banana mismatch (claimed ${session.bananas_collected}, simulated ${result.bananas})`, result);
+    }
+    const mismatch = findStatMismatch(session, result);
+    if (mismatch) {
+        return reject(mismatch, result);
+    }
+
+    return { verified: true, reason: null, result };
+}
+
+export default verifyRun;
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Opponent interpolation for Banana Runner multiplayer
+ *
+ * Runners broadcast their state every few frames, so drawing an opponent
+ * at the last value received makes them stutter. Each opponent gets a
+ * snapshot buffer instead: updates are numbered (seq) and stamped with the
+ * sender's simulation frame, and the opponent is drawn a little in the
+ * past, interpolating between snapshots - or briefly extrapolating when
+ * the next one is late.
+ *
+ * Frames work as timestamps because every client runs the same fixed-step
+ * simulation from round start, so no clock sync is needed.
+ *
+ * @module multiplayer/interpolation
+ */
+
+import { FRAME_MS } from '../game/simulation.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * How far behind an opponent's newest snapshot they are drawn
+ * (updates are sent every 5 frames, plus room for jitter)
+ * @constant {number}
+ */
+export const INTERPOLATION_DELAY_FRAMES = 8;
+
+/**
+ * Longest an opponent is extrapolated past their newest snapshot
+ * before holding still
+ * @constant {number}
+ */
+export const MAX_EXTRAPOLATION_FRAMES = 12;
+
+/**
+ * Snapshots kept per opponent
+ * @constant {number}
+ */
+export const SNAPSHOT_BUFFER_SIZE = 32;
+
+/**
+ * Snapshots stamped further ahead of our own frame than this are
+ * rejected (e.g. a late packet from the previous round)
+ * @constant {number}
+ */
+export const MAX_LEAD_FRAMES = 120;
+
+/**
+ * Smoothing factor for the latency estimate
+ */
+const LAG_SMOOTHING = 0.1;
+
+// ============================================
+// SNAPSHOT BUFFER
+// ============================================
+
+/**
+ * Creates a snapshot buffer for one opponent
+ *
+ * @returns {Object} Buffer with push, sample, getStats and reset
+ *
+ * @example
+ * const buffer = createSnapshotBuffer();
+ * // On player_update:
+ * if (buffer.push(data, world.frame) === 'applied') applyScore(data);
+ * // When drawing:
+ * const { yOffset } = buffer.sample(world.frame);
+ */
+export function createSnapshotBuffer() {
+    let snapshots = [];   // Ordered by frame
+    let latestSeq = 0;
+    let lagFrames = null; // Smoothed (our frame - their frame) on arrival
+    let jitterFrames = 0; // Smoothed deviation from lagFrames
+    let received = 0;
+    let dropped = 0;
+    let outOfOrder = 0;
+    let lastMode = 'hold';
+
+    /**
+     * Add a snapshot
+     *
+     * Out-of-order snapshots still fill gaps in the buffer, but only the
+     * newest one should update score or alive state.
+     *
+     * @param {Object} snapshot - player_update payload {seq, frame, yOffset, ...}
+     * @param {number} localFrame - Our own simulation frame when it arrived
+     * @returns {string} 'applied' (newest), 'late' (older than newest),
+     *     'stale' (older than the whole buffer), 'duplicate' or 'rejected'
+     */
+    function push(snapshot, localFrame) {
+        const seq = Number(snapshot.seq);
+        const frame = Number(snapshot.frame);
+        if (!Number.isFinite(seq) || !Number.isFinite(frame) || frame > localFrame + MAX_LEAD_FRAMES) {
+            return 'rejected';
+        }
+        if (snapshots.some(s => s.seq === seq)) {
+            return 'duplicate';
+        }
+        if (seq <= latestSeq && snapshots.length >= SNAPSHOT_BUFFER_SIZE && frame < snapshots[0].frame) {
+            return 'stale';
+        }
+
+        received++;
+        const entry = { seq, frame, yOffset: Number(snapshot.yOffset) || 0 };
+        const index = snapshots.findIndex(s => s.frame > frame);
+        if (index === -1) {
+            snapshots.push(entry);
+        } else {
+            snapshots.splice(index, 0, entry);
+        }
+        if (snapshots.length > SNAPSHOT_BUFFER_SIZE) {
+            snapshots.shift();
+        }
+
+        if (seq <= latestSeq) {
+            // Counted as dropped when the gap opened - it was only late
+            outOfOrder++;
+            dropped = Math.max(0, dropped - 1);
+            return 'late';
+        }
+
+        dropped += Math.max(0, seq - latestSeq - 1);
+        latestSeq = seq;
+
+        const lag = Math.max(0, localFrame - frame);
+        if (lagFrames === null) {
+            lagFrames = lag;
+        } else {
+            jitterFrames += (Math.abs(lag - lagFrames) - jitterFrames) * LAG_SMOOTHING;
+            lagFrames += (lag - lagFrames) * LAG_SMOOTHING;
+        }
+        return 'applied';
+    }
+
+    /**
+     * Opponent position to draw on a given local frame
+     *
+     * @param {number} localFrame - Our own simulation frame
+     * @returns {Object} {yOffset, mode} - mode is 'interpolate', 'extrapolate' or 'hold'
+     */
+    function sample(localFrame) {
+        if (snapshots.length === 0) {
+            lastMode = 'hold';
+            return { yOffset: 0, mode: lastMode };
+        }
+
+        // Jittery connections get a deeper delay so snapshots are there in time
+        const delay = INTERPOLATION_DELAY_FRAMES + 2 * jitterFrames;
+        const renderFrame = localFrame - (lagFrames || 0) - delay;
+        const newest = snapshots[snapshots.length - 1];
+
+        // Between two snapshots
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            const from = snapshots[i - 1];
+            const to = snapshots[i];
+            if (renderFrame >= from.frame && renderFrame <= to.frame) {
+                const t = to.frame === from.frame ? 1 : (renderFrame - from.frame) / (to.frame - from.frame);
+                lastMode = 'interpolate';
+                return { yOffset: from.yOffset + (to.yOffset - from.yOffset) * t, mode: lastMode };
+            }
+        }
+
+        // Past the newest snapshot - carry on briefly along the last slope
+        if (renderFrame > newest.frame && snapshots.length > 1) {
+            const previous = snapshots[snapshots.length - 2];
+            const ahead = Math.min(renderFrame - newest.frame, MAX_EXTRAPOLATION_FRAMES);
+            const slope = (newest.yOffset - previous.yOffset) / Math.max(1, newest.frame - previous.frame);
+            lastMode = ahead < MAX_EXTRAPOLATION_FRAMES ? 'extrapolate' : 'hold';
+            // Never below the ground (yOffset is negative while jumping)
+            return { yOffset: Math.min(0, newest.yOffset + slope * ahead), mode: lastMode };
+        }
+
+        // Before the oldest snapshot (or only one so far)
+        lastMode = 'hold';
+        return { yOffset: renderFrame > newest.frame ? newest.yOffset : snapshots[0].yOffset, mode: lastMode };
+    }
+
+    /**
+     * Numbers for the network debug overlay
+     *
+     * @returns {Object} {latencyMs, jitterMs, depth, received, dropped, outOfOrder, mode}
+     */
+    function getStats() {
+        return {
+            latencyMs: lagFrames === null ? null : Math.round(lagFrames * FRAME_MS),
+            jitterMs: Math.round(jitterFrames * FRAME_MS),
+            depth: snapshots.length,
+            received,
+            dropped,
+            outOfOrder,
+            mode: lastMode
+        };
+    }
+
+    function reset() {
+        snapshots = [];
+        latestSeq = 0;
+        lagFrames = null;
+        jitterFrames = 0;
+        received = 0;
+        dropped = 0;
+        outOfOrder = 0;
+        lastMode = 'hold';
+    }
+
+    return {
+        push,
+        sample,
+        getStats,
+        reset
+    };
+}
+
+// ============================================
+// STATE MERGING
+// ============================================
+
+/**
+ * Apply the newest snapshot's score and alive state to an opponent
+ *
+ * Score and bananas never go down and the dead stay dead, so a delayed
+ * or replayed packet can't undo anything.
+ *
+ * @param {Object} state - Opponent entry in allPlayersStates
+ * @param {Object} snapshot - player_update payload
+ */
+export function applySnapshotState(state, snapshot) {
+    state.score = Math.max(state.score || 0, Number(snapshot.score) || 0);
+    state.bananas = Math.max(state.bananas || 0, Number(snapshot.bananas) || 0);
+    state.skin = snapshot.skin || state.skin || 'default';
+    if (snapshot.isAlive === false) {
+        state.isAlive = false;
+    }
+}
+
+export default createSnapshotBuffer;
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Lobby directory for authoritative multiplayer rooms
+ *
+ * Keeps track of open rooms and which player is in which room, and turns
+ * join requests (create / join by code / quick match) into room
+ * membership. Quick match goes through the rating-based matchmaking
+ * queue. Shared by the WebSocket room server and the in-memory loopback
+ * transport, which only differ in how messages are delivered.
+ *
+ * @module multiplayer/lobbyDirectory
+ */
+
+import { createRoom } from './room.js';
+import { createMatchmakingQueue } from './matchmaking.js';
+import { CLIENT_EVENTS, SERVER_EVENTS } from './protocol.js';
+
+/**
+ * How often waiting players are re-matched and sent their queue status
+ * @constant {number}
+ */
+const QUEUE_TICK_MS = 1000;
+
+// ============================================
+// DIRECTORY FACTORY
+// ============================================
+
+/**
+ * Creates a lobby directory
+ *
+ * @param {Object} options - Directory options
+ * @param {Function} [options.generateId] - Lobby ID generator
+ * @param {Object} [options.roomOptions] - Extra createRoom options for every room (countdownSeconds, generateSeed, ...)
+ * @param {Object} callbacks - Callback functions
+ * @param {Function} callbacks.send - send(playerId, event, payload) delivers a room message
+ * @param {Function} [callbacks.onRoomOpened] - Called with a room when it is created
+ * @param {Function} [callbacks.onRoomClosed] - Called with a room when its last player leaves
+ * @param {Function} [callbacks.onRoundOver] - Called with (room, {round, seed, ranking, replays}) when a room finishes a round
+ * @returns {Object} Directory with join/leave/dispatch methods
+ *
+ * @example
+ * const directory = createLobbyDirectory({ generateId: randomUUID }, {
+ *     send: (playerId, event, payload) => sockets.get(playerId)?.send(encodeMessage(event, payload))
+ * });
+ * directory.join({ playerId, username, land: 'snow' });
+ */
+export function createLobbyDirectory(options = {}, callbacks = {}) {
+    const {
+        generateId = createIdGenerator(),
+        roomOptions = {}
+    } = options;
+
+    const {
+        send,
+        onRoomOpened = () => {},
+        onRoomClosed = () => {},
+        onRoundOver = () => {}
+    } = callbacks;
+
+    const rooms = new Map();        // lobbyId -> room (creation order)
+    const playerRooms = new Map();  // playerId -> lobbyId
+    let queueTimer = null;
+
+    const queue = createMatchmakingQueue({
+        minPlayers: roomOptions.minPlayers,
+        maxPlayers: roomOptions.maxPlayers
+    }, {
+        onMatch: openMatchedRoom,
+        onStatus: (entry, status) => send(entry.playerId, SERVER_EVENTS.QUEUE_STATUS, status)
+    });
+
+    // ============================================
+    // ROOM LOOKUP
+    // ============================================
+
+    /**
+     * Create a new room
+     *
+     * @param {string} land - Land for the lobby
+     * @param {string} [code] - Requested join code
+     * @returns {Object} Room
+     */
+    function openRoom(land, code) {
+        const id = generateId();
+        const room = createRoom({
+            ...roomOptions,
+            id,
+            code: code || id.replace(/-/g, '').slice(0, 6).toUpperCase(),
+            land
+        }, {
+            send,
+            onEmpty: () => closeRoom(room),
+            onRoundOver: result => onRoundOver(room, result),
+            onPlayerExpired: (playerId) => {
+                if (playerRooms.get(playerId) === room.id) {
+                    playerRooms.delete(playerId);
+                }
+            }
+        });
+
+        rooms.set(id, room);
+        onRoomOpened(room);
+        return room;
+    }
+
+    function closeRoom(room) {
+        if (rooms.get(room.id) !== room) return;
+        room.destroy();
+        rooms.delete(room.id);
+        onRoomClosed(room);
+    }
+
+    function findRoomByCode(code) {
+        const wanted = String(code).toUpperCase();
+        return [...rooms.values()].find(room => room.code === wanted) || null;
+    }
+
+    /**
+     * Resolve which room a join request is for (quick match is handled
+     * by the queue instead)
+     *
+     * @param {Object} payload - CLIENT_EVENTS.JOIN payload
+     * @returns {Object} {room} or {error}
+     */
+    function resolveRoom(payload) {
+        if (payload.create) {
+            if (payload.code && findRoomByCode(payload.code)) {
+                return { error: 'Lobby code already in use' };
+            }
+            return { room: openRoom(payload.land || 'snow', payload.code && String(payload.code).toUpperCase()) };
+        }
+
+        const room = findRoomByCode(payload.code);
+        return room ? { room } : { error: 'Lobby not found or game already started' };
+    }
+
+    // ============================================
+    // MATCHMAKING
+    // ============================================
+
+    /**
+     * Put a player in the matchmaking queue (quick match)
+     */
+    function enqueue(payload) {
+        leave(payload.playerId);
+        queue.enqueue(payload);
+        queue.tick();
+
+        if (queue.size() > 0 && !queueTimer) {
+            queueTimer = setInterval(tickQueue, QUEUE_TICK_MS);
+        }
+    }
+
+    function tickQueue() {
+        queue.tick();
+        if (queue.size() === 0) {
+            clearInterval(queueTimer);
+            queueTimer = null;
+        }
+    }
+
+    /**
+     * Open a room for a match; the longest-waiting player hosts
+     */
+    function openMatchedRoom(entries) {
+        const room = openRoom(entries[0].land);
+        for (const entry of entries) {
+            addToRoom(room, entry);
+        }
+    }
+
+    // ============================================
+    // MEMBERSHIP
+    // ============================================
+
+    /**
+     * Handle a join request: create a room, join one by code, or queue
+     * for a match (no code)
+     *
+     * A player already in another room leaves it first. Errors are sent
+     * to the player as SERVER_EVENTS.ERROR.
+     *
+     * @param {Object} payload - CLIENT_EVENTS.JOIN payload {playerId, username, skin, code, land, create, rating, deviation}
+     * @returns {Object|boolean|null} Room joined, true if queued, or null
+     */
+    function join(payload) {
+        if (!payload.playerId) return null;
+
+        if (!payload.create && !payload.code) {
+            enqueue(payload);
+            return true;
+        }
+
+        const { room, error } = resolveRoom(payload);
+        if (error) {
+            send(payload.playerId, SERVER_EVENTS.ERROR, { message: error });
+            return null;
+        }
+
+        const previousRoom = getRoomForPlayer(payload.playerId);
+        if (previousRoom && previousRoom !== room) {
+            leave(payload.playerId);
+        }
+        queue.remove(payload.playerId);
+
+        return addToRoom(room, payload);
+    }
+
+    function addToRoom(room, { playerId, username, skin, rating, deviation }) {
+        playerRooms.set(playerId, room.id);
+        if (!room.addPlayer({ playerId, username, skin, rating, deviation })) {
+            playerRooms.delete(playerId);
+            if (room.getPlayerCount() === 0) {
+                closeRoom(room);
+            }
+            return null;
+        }
+        return room;
+    }
+
+    /**
+     * Remove a player from their room (or the queue)
+     *
+     * @param {string} playerId - Player leaving (or disconnected)
+     */
+    function leave(playerId) {
+        queue.remove(playerId);
+
+        const room = getRoomForPlayer(playerId);
+        playerRooms.delete(playerId);
+        if (room) {
+            room.removePlayer(playerId);
+        }
+    }
+
+    /**
+     * A player's connection dropped without a leave: leave the queue, but
+     * keep their room place for the reconnect grace window (rejoining with
+     * the lobby code picks it up again)
+     *
+     * @param {string} playerId - Player whose connection closed
+     */
+    function disconnect(playerId) {
+        queue.remove(playerId);
+
+        const room = getRoomForPlayer(playerId);
+        if (room) {
+            room.disconnectPlayer(playerId);
+        }
+    }
+
+    /**
+     * Route a message from a player to their room
+     *
+     * @param {string} playerId - Sender
+     * @param {string} event - CLIENT_EVENTS value (not join)
+     * @param {Object} [payload] - Event payload
+     */
+    function handleMessage(playerId, event, payload = {}) {
+        if (event === CLIENT_EVENTS.LEAVE) {
+            leave(playerId);
+            return;
+        }
+
+        const room = getRoomForPlayer(playerId);
+        if (room) {
+            room.handleMessage(playerId, event, payload);
+        }
+    }
+
+    function getRoomForPlayer(playerId) {
+        return rooms.get(playerRooms.get(playerId)) || null;
+    }
+
+    return {
+        join,
+        leave,
+        disconnect,
+        handleMessage,
+        getRoomForPlayer,
+        isQueued: playerId => queue.has(playerId),
+        getRoomCount: () => rooms.size,
+        getPlayerCount: () => playerRooms.size,
+        getQueueSize: () => queue.size()
+    };
+}
+
+/**
+ * Default lobby ID generator - random UUID where available
+ */
+function createIdGenerator() {
+    let counter = 0;
+    return () => globalThis.crypto?.randomUUID?.() || `lobby-${Date.now().toString(36)}-${++counter}`;
+}
+
+export default createLobbyDirectory;
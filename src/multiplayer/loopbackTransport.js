@@ -0,0 +1,184 @@
+/**
+ * @fileoverview In-memory loopback multiplayer transport for Banana Runner
+ *
+ * A hub runs authoritative rooms in the current process, and every
+ * transport created from it is one simulated client. Messages are
+ * delivered asynchronously (like a network, but in order), so several
+ * multiplayer services can play full lobby -> ready -> play -> results
+ * rounds against each other without Supabase or the room server - handy
+ * for tests and local development.
+ *
+ * @module multiplayer/loopbackTransport
+ */
+
+import { createLobbyDirectory } from './lobbyDirectory.js';
+import { CLIENT_EVENTS, SERVER_EVENTS } from './protocol.js';
+
+// ============================================
+// HUB FACTORY
+// ============================================
+
+/**
+ * Creates an in-process hub that hosts rooms for loopback transports
+ *
+ * @param {Object} [options] - Hub options
+ * @param {Object} [options.roomOptions] - createRoom options for every room,
+ *     e.g. { countdownSeconds: 0, generateSeed: () => 42 }
+ * @param {number} [options.latencyMs=0] - Delivery delay (0 = next microtask)
+ * @returns {Object} Hub with createTransport() and room accessors
+ *
+ * @example
+ * const hub = createLoopbackHub({ roomOptions: { countdownSeconds: 0 } });
+ * const host = createMultiplayerService(null, hostCallbacks, { transport: hub.createTransport() });
+ * const guest = createMultiplayerService(null, guestCallbacks, { transport: hub.createTransport() });
+ */
+export function createLoopbackHub(options = {}) {
+    const {
+        roomOptions = {},
+        latencyMs = 0
+    } = options;
+
+    const clients = new Map();  // playerId -> transport message handler
+    const links = new Map();    // playerId -> drop() for that client's link
+    let lobbyCounter = 0;
+
+    const directory = createLobbyDirectory({
+        generateId: () => `loopback-${++lobbyCounter}`,
+        roomOptions
+    }, {
+        send: deliver
+    });
+
+    /**
+     * Deliver a room message to a client after the simulated latency
+     */
+    function deliver(playerId, event, payload) {
+        const receive = clients.get(playerId);
+        if (!receive) return;
+
+        // Copy the payload so clients never share objects with the room
+        const message = JSON.parse(JSON.stringify(payload));
+        if (latencyMs > 0) {
+            setTimeout(() => receive(event, message), latencyMs);
+        } else {
+            queueMicrotask(() => receive(event, message));
+        }
+    }
+
+    // ============================================
+    // TRANSPORT FACTORY
+    // ============================================
+
+    /**
+     * Create a transport for one simulated client
+     *
+     * @returns {import('./protocol.js').MultiplayerTransport} Transport
+     */
+    function createTransport() {
+        let playerId = null;
+        let pendingJoin = null;
+        let handler = () => {};
+
+        function settleJoin(state) {
+            if (pendingJoin) {
+                pendingJoin(state);
+                pendingJoin = null;
+            }
+        }
+
+        function receive(event, payload) {
+            if (event === SERVER_EVENTS.LOBBY_STATE) {
+                settleJoin(payload);
+            } else if (event === SERVER_EVENTS.ERROR) {
+                settleJoin(null);
+            }
+            handler(event, payload);
+        }
+
+        /**
+         * Join a lobby on the hub
+         *
+         * @param {Object} joinPayload - CLIENT_EVENTS.JOIN payload
+         * @returns {Promise<Object|null>} First lobby state, or null on failure
+         */
+        function connect(joinPayload) {
+            disconnect();
+            if (!joinPayload.playerId) return Promise.resolve(null);
+
+            playerId = joinPayload.playerId;
+            clients.set(playerId, receive);
+            links.set(playerId, drop);
+
+            return new Promise((resolve) => {
+                pendingJoin = resolve;
+                directory.join(joinPayload);
+            });
+        }
+
+        function send(event, payload = {}) {
+            if (!playerId || clients.get(playerId) !== receive) return;
+
+            const message = JSON.parse(JSON.stringify(payload));
+            if (event === CLIENT_EVENTS.LEAVE) {
+                directory.leave(playerId);
+                clients.delete(playerId);
+                links.delete(playerId);
+                playerId = null;
+                return;
+            }
+            directory.handleMessage(playerId, event, message);
+        }
+
+        /**
+         * Drop the connection (the room sees a disconnect and holds the
+         * player's place for the reconnect grace window)
+         */
+        function disconnect() {
+            if (playerId && clients.get(playerId) === receive) {
+                clients.delete(playerId);
+                links.delete(playerId);
+                directory.disconnect(playerId);
+            }
+            playerId = null;
+            settleJoin(null);
+        }
+
+        /**
+         * Simulated network failure - like disconnect(), but the client
+         * is told its connection was lost
+         */
+        function drop() {
+            if (!playerId) return;
+            disconnect();
+            queueMicrotask(() => handler(SERVER_EVENTS.CONNECTION_LOST, {}));
+        }
+
+        return {
+            name: 'loopback',
+            authoritative: true,
+            connect,
+            send,
+            onMessage: (fn) => { handler = fn; },
+            disconnect
+        };
+    }
+
+    /**
+     * Cut one client's connection, as if their network dropped (tests)
+     *
+     * @param {string} playerId - Client to disconnect
+     */
+    function dropConnection(playerId) {
+        links.get(playerId)?.();
+    }
+
+    return {
+        createTransport,
+        dropConnection,
+        getRoomForPlayer: directory.getRoomForPlayer,
+        getRoomCount: directory.getRoomCount,
+        getPlayerCount: directory.getPlayerCount
+    };
+}
+
+export default createLoopbackHub;
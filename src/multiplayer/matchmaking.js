@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Matchmaking queue for Banana Runner multiplayer
+ *
+ * Players queue for a land with their rating. Two players match when
+ * their ratings are within the rating window of either of them, and the
+ * window widens the longer someone waits, so nobody waits forever. A
+ * match takes everyone in range, closest ratings first, up to a full
+ * lobby.
+ *
+ * The rules here are mirrored by the matchmake() database function used
+ * with Supabase (supabase/migrations/20251229_add_matchmaking.sql).
+ *
+ * @module multiplayer/matchmaking
+ */
+
+import {
+    DEFAULT_RATING,
+    MAX_LOBBY_PLAYERS,
+    MIN_LOBBY_PLAYERS,
+    MATCHMAKING_BASE_WINDOW,
+    MATCHMAKING_WINDOW_GROWTH,
+    MATCHMAKING_MAX_WINDOW
+} from '../core/config.js';
+
+// ============================================
+// MATCHING RULES
+// ============================================
+
+/**
+ * Rating window (half-width) after waiting a while
+ *
+ * @param {number} waitedMs - Time in the queue
+ * @returns {number} Rating points either side that count as a match
+ */
+export function getMatchWindow(waitedMs) {
+    const window = MATCHMAKING_BASE_WINDOW + MATCHMAKING_WINDOW_GROWTH * Math.max(0, waitedMs) / 1000;
+    return Math.min(MATCHMAKING_MAX_WINDOW, Math.floor(window));
+}
+
+/**
+ * Whether two queued players may be matched
+ */
+function isInRange(a, b, now) {
+    const window = Math.max(getMatchWindow(now - a.enqueuedAt), getMatchWindow(now - b.enqueuedAt));
+    return Math.abs(a.rating - b.rating) <= window;
+}
+
+/**
+ * Players that can join a match anchored on one queued player
+ *
+ * @param {Object} anchor - Queue entry {playerId, land, rating, enqueuedAt}
+ * @param {Array<Object>} entries - Other queue entries
+ * @param {number} now - Current time (ms)
+ * @param {number} [maxPlayers] - Lobby size
+ * @returns {Array<Object>} Closest-rated entries in range, at most maxPlayers - 1
+ */
+export function findMatchCandidates(anchor, entries, now, maxPlayers = MAX_LOBBY_PLAYERS) {
+    return entries
+        .filter(entry => entry.playerId !== anchor.playerId && entry.land === anchor.land && isInRange(anchor, entry, now))
+        .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating))
+        .slice(0, maxPlayers - 1);
+}
+
+/**
+ * Estimated seconds until a queued player is matched
+ *
+ * Someone already in range means a match on the next pass; otherwise it's
+ * the time until the closest-rated player on the land comes into range.
+ *
+ * @param {Object} entry - Queue entry
+ * @param {Array<Object>} others - Everyone else queued on the same land
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Seconds, or null if nobody else is queued
+ */
+export function estimateWaitSeconds(entry, others, now) {
+    let best = null;
+
+    for (const other of others) {
+        if (other.playerId === entry.playerId) continue;
+
+        const gap = Math.abs(other.rating - entry.rating);
+        const longestWaitMs = Math.max(now - entry.enqueuedAt, now - other.enqueuedAt);
+        const secondsNeeded = gap <= MATCHMAKING_BASE_WINDOW
+            ? 0
+            : (gap - MATCHMAKING_BASE_WINDOW) / MATCHMAKING_WINDOW_GROWTH - longestWaitMs / 1000;
+        const seconds = Math.max(0, Math.ceil(secondsNeeded));
+
+        if (best === null || seconds < best) best = seconds;
+    }
+
+    return best;
+}
+
+/**
+ * Queue status shown to a waiting player
+ *
+ * @param {Object} entry - Queue entry
+ * @param {Array<Object>} others - Everyone queued on the same land (may include entry)
+ * @param {number} now - Current time (ms)
+ * @returns {Object} {rating, window, waitedSeconds, queueSize, estimatedWaitSeconds, nearestRating}
+ */
+export function describeQueueEntry(entry, others, now) {
+    const rivals = others.filter(other => other.playerId !== entry.playerId);
+    const nearest = rivals.reduce((closest, other) =>
+        !closest || Math.abs(other.rating - entry.rating) < Math.abs(closest.rating - entry.rating) ? other : closest, null);
+
+    return {
+        rating: entry.rating,
+        window: getMatchWindow(now - entry.enqueuedAt),
+        waitedSeconds: Math.floor((now - entry.enqueuedAt) / 1000),
+        queueSize: rivals.length + 1,
+        estimatedWaitSeconds: estimateWaitSeconds(entry, rivals, now),
+        nearestRating: nearest ? nearest.rating : null
+    };
+}
+
+// ============================================
+// QUEUE FACTORY
+// ============================================
+
+/**
+ * Creates an in-memory matchmaking queue (room server / loopback)
+ *
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.minPlayers] - Players needed for a match (MIN_LOBBY_PLAYERS)
+ * @param {number} [options.maxPlayers] - Largest match (MAX_LOBBY_PLAYERS)
+ * @param {Function} [options.now] - Clock (for tests)
+ * @param {Object} callbacks - Callback functions
+ * @param {Function} callbacks.onMatch - Called with the matched entries (longest-waiting first)
+ * @param {Function} [callbacks.onStatus] - Called with (entry, status) for everyone still waiting after a pass
+ * @returns {Object} Queue with enqueue, remove, tick and accessors
+ *
+ * @example
+ * const queue = createMatchmakingQueue({}, { onMatch: entries => openRoomFor(entries) });
+ * queue.enqueue({ playerId, username, land: 'snow', rating: 1540 });
+ * setInterval(queue.tick, 1000);
+ */
+export function createMatchmakingQueue(options = {}, callbacks = {}) {
+    const {
+        minPlayers = MIN_LOBBY_PLAYERS,
+        maxPlayers = MAX_LOBBY_PLAYERS,
+        now = () => Date.now()
+    } = options;
+
+    const {
+        onMatch,
+        onStatus = () => {}
+    } = callbacks;
+
+    const entries = new Map(); // playerId -> entry (join order)
+
+    /**
+     * Add (or re-add) a player to the queue
+     *
+     * @param {Object} player - {playerId, username, skin, land, rating, deviation}
+     */
+    function enqueue(player) {
+        entries.delete(player.playerId);
+        entries.set(player.playerId, {
+            ...player,
+            land: player.land || 'snow',
+            rating: Number(player.rating) || DEFAULT_RATING.rating,
+            enqueuedAt: now()
+        });
+    }
+
+    function remove(playerId) {
+        return entries.delete(playerId);
+    }
+
+    /**
+     * Form every match currently possible, longest-waiting players first
+     *
+     * @returns {number} Matches formed
+     */
+    function tick() {
+        const time = now();
+        let matches = 0;
+
+        for (const anchor of [...entries.values()]) {
+            if (!entries.has(anchor.playerId)) continue;
+
+            const candidates = findMatchCandidates(anchor, [...entries.values()], time, maxPlayers);
+            if (candidates.length + 1 < minPlayers) continue;
+
+            const matched = [anchor, ...candidates];
+            matched.forEach(entry => entries.delete(entry.playerId));
+            onMatch(matched);
+            matches++;
+        }
+
+        for (const entry of entries.values()) {
+            const sameLand = [...entries.values()].filter(other => other.land === entry.land);
+            onStatus(entry, describeQueueEntry(entry, sameLand, time));
+        }
+
+        return matches;
+    }
+
+    return {
+        enqueue,
+        remove,
+        tick,
+        has: playerId => entries.has(playerId),
+        size: () => entries.size
+    };
+}
+
+export default createMatchmakingQueue;
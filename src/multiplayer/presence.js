@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Presence tracking for Banana Runner multiplayer
+ *
+ * Follows which players in a lobby are still there. Every message or
+ * heartbeat from a player counts as a sign of life. A player who goes
+ * quiet (or whose connection closes) is disconnected but keeps their
+ * place for a grace window, so a sleeping tab or a network blip can
+ * rejoin the same lobby and round; once the window runs out they expire
+ * and the lobby forfeits them.
+ *
+ * Has no timers of its own - call check() every heartbeat or so.
+ *
+ * @module multiplayer/presence
+ */
+
+import { PRESENCE_TIMEOUT_MS, RECONNECT_GRACE_MS } from '../core/config.js';
+
+/**
+ * Presence status values
+ * @constant {Object}
+ */
+export const PRESENCE_STATUS = {
+    CONNECTED: 'connected',
+    DISCONNECTED: 'disconnected',
+    EXPIRED: 'expired'              // reported once, when the grace window runs out
+};
+
+// ============================================
+// TRACKER FACTORY
+// ============================================
+
+/**
+ * Creates a presence tracker
+ *
+ * @param {Object} [options] - Tracker options
+ * @param {number} [options.timeoutMs] - Silence before a player is disconnected (PRESENCE_TIMEOUT_MS)
+ * @param {number} [options.graceMs] - Time since last contact before a player expires (RECONNECT_GRACE_MS)
+ * @param {Function} [options.now] - Clock (for tests)
+ * @param {Object} [callbacks] - Callback functions
+ * @param {Function} [callbacks.onDisconnect] - Called with a playerId when they go quiet or drop
+ * @param {Function} [callbacks.onReconnect] - Called with a playerId when a disconnected player is back
+ * @param {Function} [callbacks.onExpire] - Called with a playerId when their grace window runs out
+ * @returns {Object} Tracker with track/seen/drop/remove/check and accessors
+ *
+ * @example
+ * const presence = createPresenceTracker({}, {
+ *     onExpire: playerId => forfeit(playerId)
+ * });
+ * presence.track(playerId);
+ * channel.on('heartbeat', ({ playerId }) => presence.seen(playerId));
+ * setInterval(presence.check, PRESENCE_HEARTBEAT_MS);
+ */
+export function createPresenceTracker(options = {}, callbacks = {}) {
+    const {
+        timeoutMs = PRESENCE_TIMEOUT_MS,
+        graceMs = RECONNECT_GRACE_MS,
+        now = () => Date.now()
+    } = options;
+
+    const {
+        onDisconnect = () => {},
+        onReconnect = () => {},
+        onExpire = () => {}
+    } = callbacks;
+
+    const entries = new Map(); // playerId -> {status, lastSeen}
+
+    /**
+     * Start following a player (connected as of now)
+     *
+     * @param {string} playerId - Player to follow
+     */
+    function track(playerId) {
+        if (entries.has(playerId)) {
+            seen(playerId);
+            return;
+        }
+        entries.set(playerId, { status: PRESENCE_STATUS.CONNECTED, lastSeen: now() });
+    }
+
+    /**
+     * Record a sign of life (message, heartbeat or rejoin)
+     *
+     * @param {string} playerId - Player heard from
+     * @returns {boolean} True if this brought a disconnected player back
+     */
+    function seen(playerId) {
+        const entry = entries.get(playerId);
+        if (!entry) return false;
+
+        entry.lastSeen = now();
+        if (entry.status === PRESENCE_STATUS.DISCONNECTED) {
+            entry.status = PRESENCE_STATUS.CONNECTED;
+            onReconnect(playerId);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Mark a player disconnected right away (their connection closed);
+     * the grace window still counts from their last contact
+     *
+     * @param {string} playerId - Player whose connection dropped
+     */
+    function drop(playerId) {
+        const entry = entries.get(playerId);
+        if (!entry || entry.status === PRESENCE_STATUS.DISCONNECTED) return;
+
+        entry.status = PRESENCE_STATUS.DISCONNECTED;
+        onDisconnect(playerId);
+    }
+
+    function remove(playerId) {
+        return entries.delete(playerId);
+    }
+
+    /**
+     * Disconnect quiet players and expire those past the grace window
+     *
+     * @returns {Array<string>} Players that expired on this check
+     */
+    function check() {
+        const time = now();
+        const expired = [];
+
+        for (const [playerId, entry] of [...entries]) {
+            const silentMs = time - entry.lastSeen;
+
+            if (silentMs >= graceMs) {
+                entries.delete(playerId);
+                expired.push(playerId);
+                continue;
+            }
+            if (silentMs >= timeoutMs && entry.status === PRESENCE_STATUS.CONNECTED) {
+                entry.status = PRESENCE_STATUS.DISCONNECTED;
+                onDisconnect(playerId);
+            }
+        }
+
+        expired.forEach(playerId => onExpire(playerId));
+        return expired;
+    }
+
+    /**
+     * Seconds a disconnected player has left to rejoin
+     *
+     * @param {string} playerId - Player
+     * @returns {number|null} Seconds left, or null if connected / not tracked
+     */
+    function getGraceRemaining(playerId) {
+        const entry = entries.get(playerId);
+        if (!entry || entry.status !== PRESENCE_STATUS.DISCONNECTED) return null;
+        return Math.max(0, Math.ceil((graceMs - (now() - entry.lastSeen)) / 1000));
+    }
+
+    return {
+        track,
+        seen,
+        drop,
+        remove,
+        check,
+        getGraceRemaining,
+        getStatus: playerId => entries.get(playerId)?.status || null,
+        isConnected: playerId => entries.get(playerId)?.status === PRESENCE_STATUS.CONNECTED,
+        has: playerId => entries.has(playerId)
+    };
+}
+
+export default createPresenceTracker;
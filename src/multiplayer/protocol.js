@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Multiplayer message protocol for Banana Runner
+ *
+ * Message names shared by every multiplayer transport. The in-round events
+ * (player_update, round_over, play_again, game_seed) are the same ones the
+ * game broadcasts on its `game:${lobbyId}` Supabase channel; the room
+ * server adds lobby events around them.
+ *
+ * On the wire every message is JSON: { event, payload }.
+ *
+ * @module multiplayer/protocol
+ */
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Events sent by clients
+ * @constant {Object}
+ */
+export const CLIENT_EVENTS = {
+    JOIN: 'join',                   // {playerId, username, code?, land?, create?, rating?, accessToken?} - the room server takes playerId and username from accessToken
+    READY: 'ready',                 // {isReady}
+    START_GAME: 'start_game',       // host only
+    PLAYER_UPDATE: 'player_update', // {seq, frame, yOffset, score, bananas, isAlive, skin, replay?} - replay with the death update (room transports)
+    PLAY_AGAIN: 'play_again',       // host only
+    ROUND_OVER: 'round_over',       // {finalStates, ranking} - peer transports only
+    HEARTBEAT: 'heartbeat',         // still here (every PRESENCE_HEARTBEAT_MS while in a lobby)
+    LEAVE: 'leave'
+};
+
+/**
+ * Events sent by the room (server or host)
+ * @constant {Object}
+ */
+export const SERVER_EVENTS = {
+    LOBBY_STATE: 'lobby_state',     // {lobby, players}
+    QUEUE_STATUS: 'queue_status',   // {rating, window, waitedSeconds, queueSize, estimatedWaitSeconds, nearestRating}
+    GAME_SEED: 'game_seed',         // {seed}
+    COUNTDOWN: 'countdown',         // {remaining}
+    ROUND_START: 'round_start',     // {seed, round, resumed?, score?, bananas?, isAlive?} - resumed after a rejoin
+    PLAYER_UPDATE: 'player_update', // {playerId, ...state, forfeited?}
+    ROUND_OVER: 'round_over',       // {finalStates, ranking}
+    PLAY_AGAIN: 'play_again',       // {seed}
+    PRESENCE: 'presence',           // {playerId, status} - see PRESENCE_STATUS in presence.js
+    CONNECTION_LOST: 'connection_lost', // {} - raised by the transport itself when its link drops
+    ERROR: 'error'                  // {message}
+};
+
+/**
+ * Lobby status values (same as game_lobbies.status, plus the room-only
+ * 'countdown' and 'results')
+ * @constant {Object}
+ */
+export const LOBBY_STATUS = {
+    WAITING: 'waiting',
+    COUNTDOWN: 'countdown',
+    PLAYING: 'playing',
+    RESULTS: 'results'
+};
+
+// ============================================
+// TRANSPORTS
+// ============================================
+
+/**
+ * Interface every multiplayer transport implements (see
+ * src/multiplayer/*Transport.js). The lobby logic in
+ * createMultiplayerService only talks to a transport.
+ *
+ * @typedef {Object} MultiplayerTransport
+ * @property {string} name - 'supabase', 'websocket', 'loopback'
+ * @property {boolean} authoritative - True if a room on the other end starts
+ *     and ends rounds; false if clients resolve rounds themselves
+ * @property {Function} connect - connect(joinPayload) joins a lobby;
+ *     resolves to the first {lobby, players} state, or null on failure
+ * @property {Function} send - send(event, payload) sends a CLIENT_EVENTS
+ *     message; may return a promise
+ * @property {Function} onMessage - onMessage(handler) sets the
+ *     handler(event, payload) for SERVER_EVENTS messages
+ * @property {Function} disconnect - disconnect() drops the connection
+ *     without announcing a leave
+ */
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * Encode a message for the wire
+ *
+ * @param {string} event - Event name
+ * @param {Object} [payload] - Event payload
+ * @returns {string} JSON message
+ */
+export function encodeMessage(event, payload = {}) {
+    return JSON.stringify({ event, payload });
+}
+
+/**
+ * Decode a message from the wire
+ *
+ * @param {string} data - JSON message
+ * @returns {Object|null} {event, payload}, or null if malformed
+ */
+export function decodeMessage(data) {
+    try {
+        const message = JSON.parse(data);
+        if (!message || typeof message.event !== 'string') return null;
+        return { event: message.event, payload: message.payload || {} };
+    } catch (error) {
+        console.error('Error decoding message:', error);
+        return null;
+    }
+}
+
+/**
+ * Random seed for a round
+ * @returns {number} Positive 31-bit seed
+ */
+export function generateRoundSeed() {
+    return Math.floor(Math.random() * 2147483646) + 1;
+}
+
+/**
+ * Random lobby join code
+ * @returns {string} 6-character uppercase alphanumeric code
+ */
+export function generateLobbyCode() {
+    return Math.random().toString(36).substring(2, 8).toUpperCase().padEnd(6, '0');
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Skill rating for Banana Runner multiplayer
+ *
+ * Glicko-1 ratings: every player has a rating and a rating deviation (how
+ * sure we are of it). A round with several players counts as one game
+ * against each opponent - finishing above someone is a win, level is a
+ * draw. New and long-idle players have a high deviation, so their rating
+ * moves quickly.
+ *
+ * @module multiplayer/rating
+ */
+
+import { DEFAULT_RATING } from '../core/config.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Smallest rating deviation (keeps ratings responsive)
+ * @constant {number}
+ */
+export const MIN_DEVIATION = 50;
+
+/**
+ * Deviation regained per idle day (Glicko's c), so an inactive player's
+ * rating becomes uncertain again after about 100 days
+ * @constant {number}
+ */
+export const DEVIATION_GROWTH_PER_DAY = 33;
+
+const Q = Math.LN10 / 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// GLICKO HELPERS
+// ============================================
+
+/**
+ * Glicko g(RD) - discounts results against uncertain opponents
+ */
+function g(deviation) {
+    return 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score of a player against an opponent
+ *
+ * @param {Object} player - {rating}
+ * @param {Object} opponent - {rating, deviation}
+ * @returns {number} Win probability (0-1)
+ */
+export function expectedScore(player, opponent) {
+    return 1 / (1 + Math.pow(10, (-g(opponent.deviation) * (player.rating - opponent.rating)) / 400));
+}
+
+/**
+ * Deviation after a period of inactivity
+ *
+ * @param {number} deviation - Stored deviation
+ * @param {string|Date|null} lastRatedAt - When the rating last changed
+ * @param {Date} [now] - Current time
+ * @returns {number} Inflated deviation (capped at the new-player value)
+ */
+export function inflateDeviation(deviation, lastRatedAt, now = new Date()) {
+    if (!lastRatedAt) return deviation;
+
+    const idleDays = Math.max(0, (now - new Date(lastRatedAt)) / DAY_MS);
+    const inflated = Math.sqrt(deviation * deviation + DEVIATION_GROWTH_PER_DAY * DEVIATION_GROWTH_PER_DAY * idleDays);
+    return Math.min(DEFAULT_RATING.deviation, inflated);
+}
+
+/**
+ * Read a player's rating from a profile row (missing columns = new player)
+ *
+ * @param {Object} [profile] - Row with rating, rating_deviation, rating_updated_at
+ * @returns {Object} {rating, deviation}
+ */
+export function getProfileRating(profile) {
+    const rating = Number(profile?.rating) || DEFAULT_RATING.rating;
+    const deviation = Number(profile?.rating_deviation) || DEFAULT_RATING.deviation;
+    return { rating, deviation: inflateDeviation(deviation, profile?.rating_updated_at) };
+}
+
+// ============================================
+// ROUND RESULTS
+// ============================================
+
+/**
+ * New ratings for everyone in a finished round
+ *
+ * @param {Array<Object>} ranking - [{playerId, rank}] (lower rank = better; ties share a rank)
+ * @param {Object} ratings - playerId -> {rating, deviation} before the round
+ * @returns {Object} playerId -> {rating, deviation, change} (rating and deviation rounded)
+ *
+ * @example
+ * const updated = updateRatings(rankPlayers(states), {
+ *     a: { rating: 1500, deviation: 350 },
+ *     b: { rating: 1620, deviation: 80 }
+ * });
+ * // updated.a.change > 0 if a finished above b
+ */
+export function updateRatings(ranking, ratings) {
+    const result = {};
+
+    for (const entry of ranking) {
+        const player = ratings[entry.playerId] || DEFAULT_RATING;
+        let varianceSum = 0;
+        let impactSum = 0;
+
+        for (const other of ranking) {
+            if (other.playerId === entry.playerId) continue;
+
+            const opponent = ratings[other.playerId] || DEFAULT_RATING;
+            const score = entry.rank < other.rank ? 1 : entry.rank === other.rank ? 0.5 : 0;
+            const expected = expectedScore(player, opponent);
+            const weight = g(opponent.deviation);
+
+            varianceSum += weight * weight * expected * (1 - expected);
+            impactSum += weight * (score - expected);
+        }
+
+        if (varianceSum === 0) {
+            result[entry.playerId] = { rating: Math.round(player.rating), deviation: Math.round(player.deviation), change: 0 };
+            continue;
+        }
+
+        const dSquaredInverse = Q * Q * varianceSum;
+        const precision = 1 / (player.deviation * player.deviation) + dSquaredInverse;
+        const rating = player.rating + (Q / precision) * impactSum;
+        const deviation = Math.max(MIN_DEVIATION, Math.sqrt(1 / precision));
+
+        result[entry.playerId] = {
+            rating: Math.round(rating),
+            deviation: Math.round(deviation),
+            change: Math.round(rating) - Math.round(player.rating)
+        };
+    }
+
+    return result;
+}
+
+export default updateRatings;
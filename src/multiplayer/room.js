@@ -0,0 +1,584 @@
+/**
+ * @fileoverview Authoritative multiplayer room for Banana Runner
+ *
+ * Owns one lobby's state: who is in it, who is ready, the round seed, the
+ * start countdown and the final ranking. Clients only report their own
+ * runner; the room decides when a round starts and ends. Players whose
+ * connection drops keep their place for a grace window and can rejoin the
+ * round in progress; after that they forfeit. Has no I/O of its own - the
+ * room server (or an in-process transport) feeds it messages and delivers
+ * what it sends.
+ *
+ * @module multiplayer/room
+ */
+
+import {
+    MAX_LOBBY_PLAYERS,
+    MIN_LOBBY_PLAYERS,
+    ROUND_COUNTDOWN_SECONDS,
+    PRESENCE_HEARTBEAT_MS,
+    PRESENCE_TIMEOUT_MS,
+    RECONNECT_GRACE_MS
+} from '../core/config.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, LOBBY_STATUS, generateRoundSeed } from './protocol.js';
+import { createPresenceTracker, PRESENCE_STATUS } from './presence.js';
+
+// ============================================
+// ROOM FACTORY
+// ============================================
+
+/**
+ * Creates an authoritative room
+ *
+ * @param {Object} options - Room options
+ * @param {string} options.id - Lobby ID
+ * @param {string} options.code - Join code
+ * @param {string} [options.land='snow'] - Land for every round
+ * @param {number} [options.maxPlayers] - Player cap (MAX_LOBBY_PLAYERS)
+ * @param {number} [options.minPlayers] - Players needed to start (MIN_LOBBY_PLAYERS)
+ * @param {number} [options.countdownSeconds] - Start countdown (ROUND_COUNTDOWN_SECONDS, 0 = immediate)
+ * @param {Function} [options.generateSeed] - Seed generator (for deterministic tests)
+ * @param {number} [options.presenceTimeoutMs] - Silence before a player counts as disconnected (PRESENCE_TIMEOUT_MS)
+ * @param {number} [options.reconnectGraceMs] - How long a disconnected player keeps their place (RECONNECT_GRACE_MS)
+ * @param {Object} callbacks - Callback functions
+ * @param {Function} callbacks.send - send(playerId, event, payload) delivers a message to one player
+ * @param {Function} [callbacks.onEmpty] - Called when the last player leaves
+ * @param {Function} [callbacks.onPlayerExpired] - Called with a playerId the room removed after their grace window
+ * @param {Function} [callbacks.onRoundOver] - Called with {round, seed, ranking, replays} when a round ends
+ *     (to check and rate it); replays maps playerId -> the encoded replay sent with their death, or null
+ * @returns {Object} Room with message handling and state accessors
+ *
+ * @example
+ * const room = createRoom({ id, code, land: 'jungle' }, {
+ *     send: (playerId, event, payload) => sockets.get(playerId).send(encodeMessage(event, payload))
+ * });
+ * room.addPlayer({ playerId, username });
+ * room.handleMessage(playerId, 'ready', { isReady: true });
+ */
+export function createRoom(options, callbacks) {
+    const {
+        id,
+        code,
+        land = 'snow',
+        maxPlayers = MAX_LOBBY_PLAYERS,
+        minPlayers = MIN_LOBBY_PLAYERS,
+        countdownSeconds = ROUND_COUNTDOWN_SECONDS,
+        generateSeed = generateRoundSeed,
+        presenceTimeoutMs = PRESENCE_TIMEOUT_MS,
+        reconnectGraceMs = RECONNECT_GRACE_MS
+    } = options;
+
+    const {
+        send,
+        onEmpty = () => {},
+        onPlayerExpired = () => {},
+        onRoundOver = () => {}
+    } = callbacks;
+
+    // Players in join order (Map keeps insertion order)
+    const players = new Map();
+    let hostId = null;
+    let status = LOBBY_STATUS.WAITING;
+    let seed = 0;
+    let round = 0;
+    let countdownTimer = null;
+    let presenceTimer = null;
+
+    const presence = createPresenceTracker({
+        timeoutMs: presenceTimeoutMs,
+        graceMs: reconnectGraceMs
+    }, {
+        onDisconnect: playerId => broadcastPresence(playerId, PRESENCE_STATUS.DISCONNECTED),
+        onReconnect: playerId => broadcastPresence(playerId, PRESENCE_STATUS.CONNECTED),
+        onExpire: expirePlayer
+    });
+
+    // ============================================
+    // MESSAGING
+    // ============================================
+
+    /**
+     * Send a message to every player (optionally skipping one)
+     */
+    function broadcast(event, payload, exceptId = null) {
+        for (const playerId of players.keys()) {
+            if (playerId !== exceptId) {
+                send(playerId, event, payload);
+            }
+        }
+    }
+
+    function sendError(playerId, message) {
+        send(playerId, SERVER_EVENTS.ERROR, { message });
+        return false;
+    }
+
+    function broadcastLobbyState() {
+        broadcast(SERVER_EVENTS.LOBBY_STATE, getState());
+    }
+
+    function broadcastPresence(playerId, status) {
+        broadcast(SERVER_EVENTS.PRESENCE, { playerId, status }, playerId);
+        broadcastLobbyState();
+    }
+
+    // ============================================
+    // MEMBERSHIP
+    // ============================================
+
+    /**
+     * Add a player (or refresh a player who is already in the room)
+     *
+     * A player rejoining during a round gets ROUND_START again with
+     * resumed: true and where their runner got to.
+     *
+     * @param {Object} player - {playerId, username, skin, rating, deviation}
+     * @returns {boolean} True if the player is in the room
+     */
+    function addPlayer({ playerId, username = 'Player', skin = 'default', rating = null, deviation = null }) {
+        const existing = players.get(playerId);
+        if (existing) {
+            existing.username = username;
+            if (!presence.seen(playerId)) {
+                broadcastLobbyState();
+            }
+            if (status === LOBBY_STATUS.PLAYING) {
+                send(playerId, SERVER_EVENTS.ROUND_START, {
+                    seed,
+                    round,
+                    resumed: true,
+                    score: existing.score,
+                    bananas: existing.bananas,
+                    isAlive: existing.isAlive
+                });
+            }
+            return true;
+        }
+
+        if (status !== LOBBY_STATUS.WAITING && status !== LOBBY_STATUS.RESULTS) {
+            return sendError(playerId, 'Game already started');
+        }
+        if (players.size >= maxPlayers) {
+            return sendError(playerId, `Lobby is full (max ${maxPlayers} players)`);
+        }
+
+        players.set(playerId, {
+            id: playerId,
+            username,
+            skin,
+            rating,
+            deviation,
+            isReady: true,  // Joining = ready (matches the Supabase lobby flow)
+            joinedAt: new Date().toISOString(),
+            yOffset: 0,
+            score: 0,
+            bananas: 0,
+            isAlive: false,
+            replay: null
+        });
+
+        if (!hostId) {
+            hostId = playerId;
+        }
+
+        presence.track(playerId);
+        if (!presenceTimer) {
+            presenceTimer = setInterval(presence.check, PRESENCE_HEARTBEAT_MS);
+        }
+
+        broadcastLobbyState();
+        return true;
+    }
+
+    /**
+     * Remove a player; the next player in join order becomes host
+     *
+     * @param {string} playerId - Player leaving
+     */
+    function removePlayer(playerId) {
+        if (!players.delete(playerId)) return;
+        presence.remove(playerId);
+
+        if (players.size === 0) {
+            destroy();
+            onEmpty();
+            return;
+        }
+
+        if (hostId === playerId) {
+            hostId = players.keys().next().value;
+        }
+
+        if (status === LOBBY_STATUS.COUNTDOWN && players.size < minPlayers) {
+            cancelCountdown();
+        }
+
+        broadcastLobbyState();
+
+        if (status === LOBBY_STATUS.PLAYING) {
+            checkRoundOver();
+        }
+    }
+
+    /**
+     * A player's connection closed without a leave - hold their place
+     * (and their runner, mid-round) until the grace window runs out
+     *
+     * @param {string} playerId - Player who dropped
+     */
+    function disconnectPlayer(playerId) {
+        presence.drop(playerId);
+    }
+
+    /**
+     * Grace window over: the player forfeits (dead, if mid-round) and is
+     * removed, handing on the host role if they had it
+     */
+    function expirePlayer(playerId) {
+        const player = players.get(playerId);
+        if (!player) return;
+
+        if (status === LOBBY_STATUS.PLAYING && player.isAlive) {
+            player.isAlive = false;
+            broadcast(SERVER_EVENTS.PLAYER_UPDATE, {
+                playerId,
+                score: player.score,
+                bananas: player.bananas,
+                isAlive: false,
+                forfeited: true
+            }, playerId);
+        }
+
+        broadcast(SERVER_EVENTS.PRESENCE, { playerId, status: PRESENCE_STATUS.EXPIRED }, playerId);
+        removePlayer(playerId);
+        onPlayerExpired(playerId);
+    }
+
+    /**
+     * Update a player's rating after a rated round
+     *
+     * @param {string} playerId - Player
+     * @param {Object} rating - {rating, deviation}
+     */
+    function setPlayerRating(playerId, { rating, deviation }) {
+        const player = players.get(playerId);
+        if (!player) return;
+
+        player.rating = rating;
+        player.deviation = deviation;
+        broadcastLobbyState();
+    }
+
+    /**
+     * Set a player's ready flag
+     */
+    function setReady(playerId, isReady) {
+        const player = players.get(playerId);
+        if (!player) return;
+
+        player.isReady = Boolean(isReady);
+        broadcastLobbyState();
+    }
+
+    // ============================================
+    // ROUND FLOW
+    // ============================================
+
+    /**
+     * Check whether the host may start a round
+     *
+     * @returns {string|null} Reason the round can't start, or null
+     */
+    function getStartBlocker() {
+        if (status === LOBBY_STATUS.COUNTDOWN || status === LOBBY_STATUS.PLAYING) {
+            return 'Round already in progress';
+        }
+        if (players.size < minPlayers) {
+            return `Need at least ${minPlayers} players`;
+        }
+        if (![...players.values()].every(p => p.isReady)) {
+            return 'Not everyone is ready';
+        }
+        if (![...players.keys()].every(presence.isConnected)) {
+            return 'Waiting for a player to reconnect';
+        }
+        return null;
+    }
+
+    /**
+     * Host starts the first round (or any round from the lobby)
+     */
+    function startGame(playerId) {
+        if (playerId !== hostId) return sendError(playerId, 'Only the host can start the game');
+
+        const blocker = getStartBlocker();
+        if (blocker) return sendError(playerId, blocker);
+
+        seed = generateSeed();
+        broadcast(SERVER_EVENTS.GAME_SEED, { seed });
+        beginCountdown();
+        return true;
+    }
+
+    /**
+     * Host starts another round from the results screen
+     */
+    function playAgain(playerId) {
+        if (playerId !== hostId) return sendError(playerId, 'Only the host can start the game');
+        if (status !== LOBBY_STATUS.RESULTS) return sendError(playerId, 'Round still in progress');
+
+        const blocker = getStartBlocker();
+        if (blocker) return sendError(playerId, blocker);
+
+        seed = generateSeed();
+        broadcast(SERVER_EVENTS.PLAY_AGAIN, { seed });
+        beginCountdown();
+        return true;
+    }
+
+    function beginCountdown() {
+        status = LOBBY_STATUS.COUNTDOWN;
+        broadcastLobbyState();
+
+        let remaining = countdownSeconds;
+        const tick = () => {
+            if (remaining <= 0) {
+                countdownTimer = null;
+                startRound();
+                return;
+            }
+            broadcast(SERVER_EVENTS.COUNTDOWN, { remaining });
+            remaining--;
+            countdownTimer = setTimeout(tick, 1000);
+        };
+        tick();
+    }
+
+    function cancelCountdown() {
+        if (countdownTimer) {
+            clearTimeout(countdownTimer);
+            countdownTimer = null;
+        }
+        status = round > 0 ? LOBBY_STATUS.RESULTS : LOBBY_STATUS.WAITING;
+    }
+
+    function startRound() {
+        round++;
+        status = LOBBY_STATUS.PLAYING;
+
+        for (const player of players.values()) {
+            player.yOffset = 0;
+            player.score = 0;
+            player.bananas = 0;
+            player.isAlive = true;
+            player.replay = null;
+        }
+
+        broadcastLobbyState();
+        broadcast(SERVER_EVENTS.ROUND_START, { seed, round });
+    }
+
+    /**
+     * Apply a player's own runner update and relay it to the others
+     *
+     * Scores and bananas never go down and the dead stay dead, so a client
+     * can't undo its own death or rewind its score. The update reporting
+     * death may carry the run's replay, kept for onRoundOver and never
+     * relayed.
+     */
+    function handlePlayerUpdate(playerId, update) {
+        const player = players.get(playerId);
+        if (!player || status !== LOBBY_STATUS.PLAYING || !player.isAlive) return;
+
+        player.yOffset = Number(update.yOffset) || 0;
+        player.score = Math.max(player.score, Math.floor(Number(update.score) || 0));
+        player.bananas = Math.max(player.bananas, Math.floor(Number(update.bananas) || 0));
+        player.skin = typeof update.skin === 'string' ? update.skin : player.skin;
+        if (update.isAlive === false) {
+            player.isAlive = false;
+            player.replay = typeof update.replay === 'string' ? update.replay : null;
+        }
+
+        broadcast(SERVER_EVENTS.PLAYER_UPDATE, {
+            playerId,
+            seq: update.seq,
+            frame: update.frame,
+            yOffset: player.yOffset,
+            score: player.score,
+            bananas: player.bananas,
+            isAlive: player.isAlive,
+            skin: player.skin
+        }, playerId);
+
+        checkRoundOver();
+    }
+
+    function checkRoundOver() {
+        if (status !== LOBBY_STATUS.PLAYING) return;
+
+        const anyAlive = [...players.values()].some(p => p.isAlive);
+        if (!anyAlive) {
+            finishRound();
+        }
+    }
+
+    function finishRound() {
+        status = LOBBY_STATUS.RESULTS;
+
+        const ranking = getRanking();
+        const finalStates = {};
+        const replays = {};
+        for (const player of players.values()) {
+            replays[player.id] = player.replay;
+            finalStates[player.id] = {
+                id: player.id,
+                username: player.username,
+                score: player.score,
+                bananas: player.bananas,
+                isAlive: false
+            };
+        }
+
+        broadcast(SERVER_EVENTS.ROUND_OVER, { finalStates, ranking, round });
+        broadcastLobbyState();
+        onRoundOver({ round, seed, ranking, replays });
+    }
+
+    /**
+     * Final standings for this room
+     *
+     * @returns {Array<Object>} [{playerId, username, score, bananas, rank}]
+     */
+    function getRanking() {
+        return rankPlayers([...players.values()]);
+    }
+
+    // ============================================
+    // DISPATCH & STATE
+    // ============================================
+
+    /**
+     * Handle a message from a player already in the room
+     *
+     * @param {string} playerId - Sender
+     * @param {string} event - CLIENT_EVENTS value
+     * @param {Object} payload - Event payload
+     */
+    function handleMessage(playerId, event, payload = {}) {
+        if (!players.has(playerId)) return;
+        presence.seen(playerId);
+
+        switch (event) {
+            case CLIENT_EVENTS.HEARTBEAT:
+                break;
+            case CLIENT_EVENTS.READY:
+                setReady(playerId, payload.isReady);
+                break;
+            case CLIENT_EVENTS.START_GAME:
+                startGame(playerId);
+                break;
+            case CLIENT_EVENTS.PLAYER_UPDATE:
+                handlePlayerUpdate(playerId, payload);
+                break;
+            case CLIENT_EVENTS.PLAY_AGAIN:
+                playAgain(playerId);
+                break;
+            case CLIENT_EVENTS.LEAVE:
+                removePlayer(playerId);
+                break;
+            default:
+                sendError(playerId, `Unknown event: ${event}`);
+        }
+    }
+
+    /**
+     * Snapshot of the lobby, shaped like the game_lobbies / lobby_players
+     * rows the Supabase flow uses so the UI can render either
+     *
+     * @returns {Object} {lobby, players}
+     */
+    function getState() {
+        return {
+            lobby: { id, code, land, host_id: hostId, status, round, seed },
+            players: [...players.values()].map(p => ({
+                lobby_id: id,
+                player_id: p.id,
+                is_ready: p.isReady,
+                joined_at: p.joinedAt,
+                profiles: { username: p.username, rating: p.rating, rating_deviation: p.deviation },
+                score: p.score,
+                bananas: p.bananas,
+                is_alive: p.isAlive,
+                is_connected: presence.isConnected(p.id)
+            }))
+        };
+    }
+
+    /**
+     * Stop timers (the room is being discarded)
+     */
+    function destroy() {
+        if (countdownTimer) {
+            clearTimeout(countdownTimer);
+            countdownTimer = null;
+        }
+        if (presenceTimer) {
+            clearInterval(presenceTimer);
+            presenceTimer = null;
+        }
+    }
+
+    return {
+        id,
+        code,
+        land,
+        maxPlayers,
+        addPlayer,
+        removePlayer,
+        disconnectPlayer,
+        setPlayerRating,
+        handleMessage,
+        getState,
+        getRanking,
+        getStatus: () => status,
+        getHostId: () => hostId,
+        getPlayerCount: () => players.size,
+        hasPlayer: playerId => players.has(playerId),
+        destroy
+    };
+}
+
+// ============================================
+// RANKING
+// ============================================
+
+/**
+ * Final standings - score, then bananas; tied players share a rank
+ *
+ * Also used by peer-to-peer transports, where clients rank the round
+ * themselves.
+ *
+ * @param {Array<Object>} players - [{id, username, score, bananas}]
+ * @returns {Array<Object>} [{playerId, username, score, bananas, rank}]
+ */
+export function rankPlayers(players) {
+    const sorted = [...players]
+        .sort((a, b) => b.score - a.score || b.bananas - a.bananas);
+
+    let rank = 0;
+    return sorted.map((player, index) => {
+        const previous = sorted[index - 1];
+        const tied = previous && previous.score === player.score && previous.bananas === player.bananas;
+        if (!tied) rank = index + 1;
+
+        return {
+            playerId: player.id,
+            username: player.username,
+            score: player.score,
+            bananas: player.bananas,
+            rank
+        };
+    });
+}
+
+export default createRoom;
@@ -0,0 +1,612 @@
+/**
+ * @fileoverview Supabase Realtime multiplayer transport for Banana Runner
+ *
+ * Lobby state lives in the game_lobbies / lobby_players tables and is
+ * followed with postgres_changes; in-round messages go over the
+ * `game:${lobbyId}` broadcast channel (the same events the game page
+ * uses). There is no room on the other end, so this transport is not
+ * authoritative: the host picks the seed and clients decide when a round
+ * is over. Quick match polls the matchmake() database function, which
+ * pairs players by rating. Players heartbeat over the broadcast channel
+ * (and now and then on their lobby_players row, via touch_lobby_player());
+ * one who stays silent past the reconnect grace window is forfeited and
+ * removed with remove_lobby_player(), which also hands on the host role
+ * and refuses to remove a player the database still sees as present.
+ * Everything is translated to the shared protocol events.
+ *
+ * @module multiplayer/supabaseTransport
+ */
+
+import { MIN_LOBBY_PLAYERS, MATCHMAKING_POLL_MS } from '../core/config.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, LOBBY_STATUS, generateRoundSeed, generateLobbyCode } from './protocol.js';
+import { describeQueueEntry } from './matchmaking.js';
+import { createPresenceTracker, PRESENCE_STATUS } from './presence.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Time between broadcasting the seed and flipping the lobby to 'playing',
+ * so the seed arrives before the status change does
+ * @constant {number}
+ */
+const SEED_SETTLE_MS = 500;
+
+/**
+ * How often our heartbeat is also written to our lobby_players row
+ * (remove_lobby_player() only forfeits rows quiet for the grace window)
+ * @constant {number}
+ */
+const LOBBY_SEEN_INTERVAL_MS = 10000;
+
+// ============================================
+// TRANSPORT FACTORY
+// ============================================
+
+/**
+ * Creates a Supabase Realtime transport
+ *
+ * @param {Object} supabaseClient - Initialized Supabase client
+ * @returns {import('./protocol.js').MultiplayerTransport} Transport
+ *
+ * @example
+ * const transport = createSupabaseTransport(supabaseClient);
+ * const mp = createMultiplayerService(supabaseClient, callbacks, { transport });
+ */
+export function createSupabaseTransport(supabaseClient) {
+    let handler = () => {};
+    let playerId = null;
+    let lobby = null;
+    let players = [];
+    let roundSeed = 0;
+    let round = 0;
+    let queued = false;
+    let seenRecordedAt = 0;     // Last touch_lobby_player() call
+
+    let lobbyChannel = null;
+    let playersChannel = null;
+    let gameChannel = null;
+
+    // Other players' heartbeats (we are the only judge of them here)
+    const presence = createPresenceTracker({}, {
+        onDisconnect: id => emit(SERVER_EVENTS.PRESENCE, { playerId: id, status: PRESENCE_STATUS.DISCONNECTED }),
+        onReconnect: id => emit(SERVER_EVENTS.PRESENCE, { playerId: id, status: PRESENCE_STATUS.CONNECTED }),
+        onExpire: forfeitPlayer
+    });
+
+    function emit(event, payload) {
+        handler(event, payload);
+    }
+
+    function emitLobbyState() {
+        emit(SERVER_EVENTS.LOBBY_STATE, { lobby, players });
+    }
+
+    function emitError(message) {
+        console.error('Multiplayer error:', message);
+        emit(SERVER_EVENTS.ERROR, { message });
+    }
+
+    // ============================================
+    // JOINING
+    // ============================================
+
+    /**
+     * Insert a new waiting lobby
+     */
+    async function insertLobby(land, code) {
+        const { data, error } = await supabaseClient
+            .from('game_lobbies')
+            .insert({
+                code: code || generateLobbyCode(),
+                host_id: playerId,
+                land: land || 'snow',
+                status: LOBBY_STATUS.WAITING
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating lobby:', error);
+            return null;
+        }
+        return data;
+    }
+
+    /**
+     * Find the lobby a join request is for (creating one if needed)
+     *
+     * @param {Object} joinPayload - CLIENT_EVENTS.JOIN payload
+     * @returns {Promise<Object|null>} game_lobbies row
+     */
+    async function resolveLobby(joinPayload) {
+        if (joinPayload.create) {
+            return insertLobby(joinPayload.land, joinPayload.code);
+        }
+
+        if (joinPayload.rejoin) {
+            return findRejoinableLobby(joinPayload.code);
+        }
+
+        if (joinPayload.code) {
+            const { data, error } = await supabaseClient
+                .from('game_lobbies')
+                .select('*')
+                .eq('code', String(joinPayload.code).toUpperCase())
+                .eq('status', LOBBY_STATUS.WAITING)
+                .single();
+
+            if (error || !data) {
+                emitError('Lobby not found or game already started');
+                return null;
+            }
+            return data;
+        }
+
+        return waitForMatch(joinPayload.land || 'snow');
+    }
+
+    // ============================================
+    // MATCHMAKING
+    // ============================================
+
+    /**
+     * Queue for a match, polling until matchmake() puts us in a lobby
+     * (it also adds us to lobby_players)
+     *
+     * @param {string} land - Land to match on
+     * @returns {Promise<Object|null>} game_lobbies row, or null if cancelled
+     */
+    async function waitForMatch(land) {
+        queued = true;
+
+        while (queued) {
+            const { data: lobbyId, error } = await supabaseClient.rpc('matchmake', { p_land: land });
+            if (!queued) {
+                // Cancelled while the call was in flight - back out of any match it made
+                if (lobbyId) await leaveMatchedLobby(lobbyId);
+                break;
+            }
+
+            if (error) {
+                queued = false;
+                emitError('Matchmaking failed');
+                return null;
+            }
+
+            if (lobbyId) {
+                queued = false;
+                const { data, error: lobbyError } = await supabaseClient
+                    .from('game_lobbies')
+                    .select('*')
+                    .eq('id', lobbyId)
+                    .single();
+
+                if (lobbyError) {
+                    console.error('Error loading matched lobby:', lobbyError);
+                    return null;
+                }
+                return { ...data, alreadyJoined: true };
+            }
+
+            await emitQueueStatus(land);
+            await new Promise(resolve => setTimeout(resolve, MATCHMAKING_POLL_MS));
+        }
+
+        return null;
+    }
+
+    /**
+     * Publish our queue status, estimated from who else is waiting
+     */
+    async function emitQueueStatus(land) {
+        const { data, error } = await supabaseClient
+            .from('matchmaking_queue')
+            .select('player_id, rating, enqueued_at')
+            .eq('land', land)
+            .is('lobby_id', null);
+
+        if (error || !data) return;
+
+        const entries = data.map(row => ({
+            playerId: row.player_id,
+            land,
+            rating: row.rating,
+            enqueuedAt: new Date(row.enqueued_at).getTime()
+        }));
+        const me = entries.find(entry => entry.playerId === playerId);
+        if (me && queued) {
+            emit(SERVER_EVENTS.QUEUE_STATUS, describeQueueEntry(me, entries, Date.now()));
+        }
+    }
+
+    async function leaveMatchedLobby(lobbyId) {
+        await supabaseClient
+            .from('lobby_players')
+            .delete()
+            .eq('lobby_id', lobbyId)
+            .eq('player_id', playerId);
+        await supabaseClient
+            .from('game_lobbies')
+            .delete()
+            .eq('id', lobbyId)
+            .eq('host_id', playerId);
+    }
+
+    /**
+     * Stop waiting and leave the queue
+     */
+    async function leaveQueue() {
+        queued = false;
+        await supabaseClient
+            .from('matchmaking_queue')
+            .delete()
+            .eq('player_id', playerId);
+    }
+
+    /**
+     * Our lobby, if we still hold a place in it (reconnecting after a drop)
+     *
+     * @param {string} code - Lobby code
+     * @returns {Promise<Object|null>} game_lobbies row
+     */
+    async function findRejoinableLobby(code) {
+        const { data, error } = await supabaseClient
+            .from('game_lobbies')
+            .select('*, lobby_players!inner(player_id)')
+            .eq('code', String(code).toUpperCase())
+            .eq('lobby_players.player_id', playerId)
+            .maybeSingle();
+
+        if (error || !data) {
+            emitError('Your place in the lobby has expired');
+            return null;
+        }
+
+        const lobby = { ...data, alreadyJoined: true };
+        delete lobby.lobby_players;
+        return lobby;
+    }
+
+    /**
+     * Join a lobby and start following it
+     *
+     * @param {Object} joinPayload - CLIENT_EVENTS.JOIN payload
+     * @returns {Promise<Object|null>} First {lobby, players}, or null on failure
+     */
+    async function connect(joinPayload) {
+        const previousRound = round;
+        disconnect();
+        if (!supabaseClient || !joinPayload.playerId) return null;
+
+        playerId = joinPayload.playerId;
+        seenRecordedAt = 0;
+        const resolved = await resolveLobby(joinPayload);
+        if (!resolved) return null;
+
+        const { alreadyJoined, ...row } = resolved;
+        lobby = row;
+
+        // Joining = ready (matches the room server); matchmake() or an
+        // earlier join already added us
+        if (!alreadyJoined) {
+            const { error } = await supabaseClient
+                .from('lobby_players')
+                .insert({
+                    lobby_id: lobby.id,
+                    player_id: playerId,
+                    is_ready: true
+                });
+
+            if (error) {
+                console.error('Error joining lobby:', error);
+                lobby = null;
+                return null;
+            }
+        }
+
+        subscribe(lobby.id);
+        await refreshPlayers();
+
+        // Back in the middle of a round: carry on with the same one
+        if (joinPayload.rejoin && lobby.status === LOBBY_STATUS.PLAYING) {
+            round = previousRound || 1;
+            queueMicrotask(() => emit(SERVER_EVENTS.ROUND_START, { seed: roundSeed, round, resumed: true }));
+        }
+        return { lobby, players };
+    }
+
+    // ============================================
+    // SUBSCRIPTIONS
+    // ============================================
+
+    /**
+     * Follow lobby rows and the in-round broadcast channel
+     */
+    function subscribe(lobbyId) {
+        lobbyChannel = supabaseClient
+            .channel(`lobby:${lobbyId}`)
+            .on('postgres_changes',
+                { event: '*', schema: 'public', table: 'game_lobbies', filter: `id=eq.${lobbyId}` },
+                (change) => {
+                    // Late change for a lobby we already left
+                    if (lobby?.id !== lobbyId) return;
+
+                    if (change.eventType === 'DELETE') {
+                        emitError('Lobby closed');
+                        return;
+                    }
+
+                    const wasPlaying = lobby?.status === LOBBY_STATUS.PLAYING;
+                    lobby = change.new;
+                    emitLobbyState();
+
+                    if (lobby.status === LOBBY_STATUS.PLAYING && !wasPlaying) {
+                        startRound();
+                    }
+                }
+            )
+            .subscribe();
+
+        playersChannel = supabaseClient
+            .channel(`lobby_players:${lobbyId}`)
+            .on('postgres_changes',
+                { event: '*', schema: 'public', table: 'lobby_players', filter: `lobby_id=eq.${lobbyId}` },
+                () => refreshPlayers()
+            )
+            .subscribe();
+
+        gameChannel = supabaseClient
+            .channel(`game:${lobbyId}`)
+            .on('broadcast', { event: 'player_update' }, ({ payload }) => {
+                presence.seen(payload.playerId);
+                emit(SERVER_EVENTS.PLAYER_UPDATE, payload);
+            })
+            .on('broadcast', { event: 'heartbeat' }, ({ payload }) => {
+                presence.seen(payload.playerId);
+            })
+            .on('broadcast', { event: 'round_over' }, ({ payload }) => {
+                emit(SERVER_EVENTS.ROUND_OVER, payload);
+            })
+            .on('broadcast', { event: 'game_seed' }, ({ payload }) => {
+                roundSeed = payload.seed;
+                emit(SERVER_EVENTS.GAME_SEED, payload);
+            })
+            .on('broadcast', { event: 'play_again' }, ({ payload }) => {
+                roundSeed = payload.seed;
+                emit(SERVER_EVENTS.PLAY_AGAIN, payload);
+                startRound();
+            });
+
+        const channel = gameChannel;
+        channel.subscribe((status) => {
+            // A sleeping tab or network blip closes the channel; the service rejoins
+            if (channel === gameChannel && (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED')) {
+                emit(SERVER_EVENTS.CONNECTION_LOST, {});
+            }
+        });
+    }
+
+    /**
+     * Reload lobby_players and publish the lobby state
+     */
+    async function refreshPlayers() {
+        if (!lobby) return;
+
+        const { data, error } = await supabaseClient
+            .from('lobby_players')
+            .select('*, profiles(username, rating, rating_deviation, rating_updated_at)')
+            .eq('lobby_id', lobby.id);
+
+        if (error) {
+            console.error('Error loading lobby players:', error);
+            return;
+        }
+
+        const previous = players;
+        players = data || [];
+
+        // Follow everyone else's heartbeats; forget players who left
+        const present = new Set(players.map(p => p.player_id));
+        previous.forEach(p => {
+            if (!present.has(p.player_id)) presence.remove(p.player_id);
+        });
+        players.forEach(p => {
+            if (p.player_id !== playerId && !presence.has(p.player_id)) presence.track(p.player_id);
+        });
+        emitLobbyState();
+    }
+
+    function broadcast(event, payload) {
+        if (gameChannel) {
+            gameChannel.send({ type: 'broadcast', event, payload });
+        }
+    }
+
+    function startRound() {
+        round++;
+        emit(SERVER_EVENTS.ROUND_START, { seed: roundSeed, round });
+    }
+
+    // ============================================
+    // SENDING
+    // ============================================
+
+    /**
+     * Host-side check that a round may start
+     *
+     * @returns {string|null} Reason the round can't start, or null
+     */
+    function getStartBlocker() {
+        if (lobby.host_id !== playerId) return 'Only the host can start the game';
+        if (players.length < MIN_LOBBY_PLAYERS) return `Need at least ${MIN_LOBBY_PLAYERS} players`;
+        if (!players.every(p => p.is_ready)) return 'Not everyone is ready';
+        return null;
+    }
+
+    /**
+     * Host starts the first round: broadcast the seed, then flip the lobby
+     * to 'playing' (which starts the round for everyone)
+     */
+    async function startGame() {
+        const blocker = getStartBlocker();
+        if (blocker) {
+            emitError(blocker);
+            return;
+        }
+
+        roundSeed = generateRoundSeed();
+        broadcast('game_seed', { seed: roundSeed });
+        emit(SERVER_EVENTS.GAME_SEED, { seed: roundSeed });
+
+        await new Promise(resolve => setTimeout(resolve, SEED_SETTLE_MS));
+        await supabaseClient
+            .from('game_lobbies')
+            .update({ status: LOBBY_STATUS.PLAYING })
+            .eq('id', lobby.id);
+    }
+
+    /**
+     * Host starts another round from the results screen
+     */
+    function playAgain() {
+        const blocker = getStartBlocker();
+        if (blocker) {
+            emitError(blocker);
+            return;
+        }
+
+        roundSeed = generateRoundSeed();
+        broadcast('play_again', { seed: roundSeed });
+        emit(SERVER_EVENTS.PLAY_AGAIN, { seed: roundSeed });
+        startRound();
+    }
+
+    /**
+     * Leave the lobby - if we were host, the next player to have joined
+     * takes over (the lobby is deleted once nobody is left)
+     */
+    async function leave() {
+        const { error } = await supabaseClient.rpc('remove_lobby_player', {
+            p_lobby_id: lobby.id,
+            p_player_id: playerId
+        });
+        if (error) {
+            console.error('Error leaving lobby:', error);
+        }
+
+        disconnect();
+    }
+
+    /**
+     * Note on our lobby_players row that we're still here (at most every
+     * LOBBY_SEEN_INTERVAL_MS)
+     */
+    function recordHeartbeat() {
+        const now = Date.now();
+        if (now - seenRecordedAt < LOBBY_SEEN_INTERVAL_MS) return;
+        seenRecordedAt = now;
+
+        supabaseClient.rpc('touch_lobby_player', { p_lobby_id: lobby.id }).then(({ error }) => {
+            if (error) console.error('Error recording heartbeat:', error);
+        });
+    }
+
+    /**
+     * A player's grace window ran out: they forfeit and lose their place
+     * (every client tries; whoever is first removes them)
+     */
+    async function forfeitPlayer(id) {
+        if (!lobby) return;
+
+        emit(SERVER_EVENTS.PRESENCE, { playerId: id, status: PRESENCE_STATUS.EXPIRED });
+
+        const { error } = await supabaseClient.rpc('remove_lobby_player', {
+            p_lobby_id: lobby.id,
+            p_player_id: id
+        });
+        if (error) {
+            console.error('Error removing disconnected player:', error);
+        }
+    }
+
+    /**
+     * Send a protocol message
+     *
+     * @param {string} event - CLIENT_EVENTS value
+     * @param {Object} [payload] - Event payload
+     * @returns {Promise<void>}
+     */
+    async function send(event, payload = {}) {
+        if (queued && event === CLIENT_EVENTS.LEAVE) {
+            await leaveQueue();
+            return;
+        }
+        if (!lobby) return;
+
+        switch (event) {
+            case CLIENT_EVENTS.READY:
+                await supabaseClient
+                    .from('lobby_players')
+                    .update({ is_ready: Boolean(payload.isReady) })
+                    .eq('lobby_id', lobby.id)
+                    .eq('player_id', playerId);
+                break;
+            case CLIENT_EVENTS.START_GAME:
+                await startGame();
+                break;
+            case CLIENT_EVENTS.PLAY_AGAIN:
+                playAgain();
+                break;
+            case CLIENT_EVENTS.PLAYER_UPDATE:
+                broadcast('player_update', { ...payload, playerId });
+                break;
+            case CLIENT_EVENTS.ROUND_OVER:
+                broadcast('round_over', payload);
+                break;
+            case CLIENT_EVENTS.HEARTBEAT:
+                broadcast('heartbeat', { playerId });
+                recordHeartbeat();
+                presence.check();
+                break;
+            case CLIENT_EVENTS.LEAVE:
+                await leave();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Stop following the lobby
+     */
+    function disconnect() {
+        // Forget the channels first so closing them isn't taken for a dropped connection
+        const channels = [lobbyChannel, playersChannel, gameChannel];
+        lobbyChannel = null;
+        playersChannel = null;
+        gameChannel = null;
+        for (const channel of channels) {
+            if (channel) {
+                supabaseClient.removeChannel(channel);
+            }
+        }
+        players.forEach(p => presence.remove(p.player_id));
+        lobby = null;
+        players = [];
+        round = 0;
+        queued = false;
+    }
+
+    return {
+        name: 'supabase',
+        authoritative: false,
+        connect,
+        send,
+        onMessage: (fn) => { handler = fn; },
+        disconnect
+    };
+}
+
+export default createSupabaseTransport;
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview WebSocket multiplayer transport for Banana Runner
+ *
+ * Connects to the authoritative room server (server/room-server.mjs).
+ * The server owns lobby state and decides when rounds start and end, so
+ * this transport only moves protocol messages over the socket. The join
+ * message carries the player's Supabase access token; the server takes the
+ * player id from it.
+ *
+ * @module multiplayer/websocketTransport
+ */
+
+import { ROOM_SERVER_URL } from '../core/config.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, encodeMessage, decodeMessage } from './protocol.js';
+
+// ============================================
+// TRANSPORT FACTORY
+// ============================================
+
+/**
+ * Creates a room server transport
+ *
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.serverUrl] - Room server URL (ROOM_SERVER_URL)
+ * @param {Function} [options.getAccessToken] - Resolves the current Supabase access token (sent with every join)
+ * @param {Function} [options.WebSocketImpl] - WebSocket constructor (defaults to the global one)
+ * @returns {import('./protocol.js').MultiplayerTransport} Transport
+ *
+ * @example
+ * const transport = createWebSocketTransport({
+ *     serverUrl: 'ws://localhost:8787',
+ *     getAccessToken: async () => (await supabaseClient.auth.getSession()).data.session?.access_token
+ * });
+ * const mp = createMultiplayerService(null, callbacks, { transport });
+ */
+export function createWebSocketTransport(options = {}) {
+    const {
+        serverUrl = ROOM_SERVER_URL,
+        getAccessToken = async () => null,
+        WebSocketImpl = globalThis.WebSocket
+    } = options;
+
+    let socket = null;
+    let pendingJoin = null;
+    let handler = () => {};
+
+    function settleJoin(state) {
+        if (pendingJoin) {
+            pendingJoin(state);
+            pendingJoin = null;
+        }
+    }
+
+    function handleSocketMessage(message) {
+        if (!message) return;
+
+        if (message.event === SERVER_EVENTS.LOBBY_STATE) {
+            settleJoin(message.payload);
+        } else if (message.event === SERVER_EVENTS.ERROR) {
+            settleJoin(null);
+        }
+        handler(message.event, message.payload);
+    }
+
+    /**
+     * Open a socket and join a lobby
+     *
+     * @param {Object} joinPayload - CLIENT_EVENTS.JOIN payload
+     * @returns {Promise<Object|null>} First lobby state, or null on failure
+     */
+    function connect(joinPayload) {
+        disconnect();
+        if (!WebSocketImpl) {
+            console.error('WebSocket is not available');
+            return Promise.resolve(null);
+        }
+        if (!serverUrl) {
+            console.error('No room server URL configured (ROOM_SERVER_URL)');
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            pendingJoin = resolve;
+            socket = new WebSocketImpl(serverUrl);
+
+            socket.onopen = async () => {
+                // Fetched per join, so a rejoin picks up a refreshed session
+                const accessToken = await getAccessToken();
+                send(CLIENT_EVENTS.JOIN, { ...joinPayload, accessToken });
+            };
+            socket.onmessage = (event) => handleSocketMessage(decodeMessage(event.data));
+            socket.onerror = () => {
+                console.error('Error connecting to room server:', serverUrl);
+                settleJoin(null);
+            };
+            socket.onclose = (event) => {
+                const wasJoined = !pendingJoin;
+                socket = null;
+                settleJoin(null);
+
+                // 4000 = the same player connected from somewhere else,
+                // 4001 = the server didn't accept our access token
+                if (wasJoined && event?.code !== 4000 && event?.code !== 4001) {
+                    handler(SERVER_EVENTS.CONNECTION_LOST, {});
+                }
+            };
+        });
+    }
+
+    function send(event, payload = {}) {
+        if (socket && socket.readyState === WebSocketImpl.OPEN) {
+            socket.send(encodeMessage(event, payload));
+        }
+    }
+
+    function disconnect() {
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+            socket = null;
+        }
+        settleJoin(null);
+    }
+
+    return {
+        name: 'websocket',
+        authoritative: true,
+        connect,
+        send,
+        onMessage: (fn) => { handler = fn; },
+        disconnect
+    };
+}
+
+export default createWebSocketTransport;
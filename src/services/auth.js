@@ -6,10 +6,27 @@
  * - Session management
  * - User profile loading
  * - Auth state change listeners
+ * - Account management: linking a real email, password reset, username
+ *   change and account deletion
  *
  * Uses username-to-email conversion since Supabase Auth requires email.
  * Usernames are converted to: username@banana-jump.local
  *
+ * Linking a real email replaces that internal address (a Supabase email
+ * change, confirmed from the new inbox), which is what makes password
+ * reset possible. Such accounts still sign in by username: when the
+ * internal address fails, the username-sign-in edge function looks up
+ * their address and signs in server-side, so the address is never sent to
+ * the client. Username changes and deletion run in the database
+ * (change_username(), delete_account()) so the login address, profile,
+ * leaderboards and owned rows stay consistent.
+ *
+ * Everything goes through the Supabase client passed in, so the flows run
+ * against the in-memory stand-in in services/localSupabase as well.
+ *
+ * Progress made as a guest (see services/guestProgress) is merged into the
+ * account on sign-up / sign-in.
+ *
  * @module services/auth
  */
 
@@ -35,6 +52,18 @@ const MIN_USERNAME_LENGTH = 3;
  */
 const USERNAME_REGEX = /^[a-zA-Z0-9_]+$/;
 
+/**
+ * Loose email format check (the confirmation link does the real check)
+ * @constant {RegExp}
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Minimum password length (Supabase Auth default)
+ * @constant {number}
+ */
+const MIN_PASSWORD_LENGTH = 6;
+
 // ============================================
 // HELPERS
 // ============================================
@@ -65,6 +94,32 @@ export function validateUsername(username) {
     return { valid: true, error: null };
 }
 
+/**
+ * Whether an address is an internal username address (no real email linked)
+ *
+ * @param {string} email - Address to check
+ * @returns {boolean}
+ */
+export function isInternalEmail(email) {
+    return typeof email === 'string' && email.toLowerCase().endsWith(`@${AUTH_EMAIL_DOMAIN}`);
+}
+
+/**
+ * Validate an email address for linking
+ *
+ * @param {string} email - Address to validate
+ * @returns {Object} {valid: boolean, error: string|null}
+ */
+export function validateEmail(email) {
+    if (!email || !EMAIL_REGEX.test(email)) {
+        return { valid: false, error: 'Enter a valid email address' };
+    }
+    if (isInternalEmail(email)) {
+        return { valid: false, error: 'Enter a real email address' };
+    }
+    return { valid: true, error: null };
+}
+
 // ============================================
 // AUTH SERVICE FACTORY
 // ============================================
@@ -78,6 +133,10 @@ export function validateUsername(username) {
  * @param {Function} callbacks.onProfileChange - Called when profile loads (profile) => void
  * @param {Function} callbacks.onAuthError - Called on auth errors (message) => void
  * @param {Function} callbacks.onAuthSuccess - Called on successful auth () => void
+ * @param {Function} [callbacks.onGuestMerged] - Called with the merge result after guest progress was merged
+ * @param {Function} [callbacks.onPasswordRecovery] - Called when the user arrives from a password reset link () => void
+ * @param {Object} [options] - Service options
+ * @param {Object} [options.guestProgress] - From createGuestProgress(); merged on sign-up / sign-in
  * @returns {Object} Auth service with methods
  *
  * @example
@@ -88,14 +147,18 @@ export function validateUsername(username) {
  *     onAuthSuccess: () => closeModal()
  * });
  */
-export function createAuthService(supabaseClient, callbacks = {}) {
+export function createAuthService(supabaseClient, callbacks = {}, options = {}) {
     const {
         onUserChange = () => {},
         onProfileChange = () => {},
         onAuthError = console.error,
-        onAuthSuccess = () => {}
+        onAuthSuccess = () => {},
+        onGuestMerged = () => {},
+        onPasswordRecovery = () => {}
     } = callbacks;
 
+    const { guestProgress = null } = options;
+
     // Internal state
     let currentUser = null;
     let userProfile = null;
@@ -138,6 +201,11 @@ export function createAuthService(supabaseClient, callbacks = {}) {
 
         // Listen for auth state changes
         supabaseClient.auth.onAuthStateChange(async (event, session) => {
+            if (event === 'PASSWORD_RECOVERY') {
+                // Signed in by the reset link - the app asks for a new password
+                onPasswordRecovery();
+            }
+
             if (session) {
                 currentUser = session.user;
                 onUserChange(currentUser);
@@ -151,6 +219,18 @@ export function createAuthService(supabaseClient, callbacks = {}) {
         });
     }
 
+    /**
+     * Merge progress made as a guest into the signed-in account
+     *
+     * @param {Object} user - Signed-in user
+     */
+    async function mergeGuestProgress(user) {
+        if (!guestProgress || !user || !guestProgress.hasProgress()) return;
+
+        const result = await guestProgress.merge(user.id);
+        onGuestMerged(result);
+    }
+
     /**
      * Sign up a new user
      *
@@ -203,6 +283,7 @@ export function createAuthService(supabaseClient, callbacks = {}) {
 
             // Auto-login if session exists
             if (data.session) {
+                await mergeGuestProgress(data.user);
                 onAuthSuccess();
                 return true;
             } else {
@@ -219,7 +300,7 @@ export function createAuthService(supabaseClient, callbacks = {}) {
     /**
      * Sign in an existing user
      *
-     * @param {string} username - Username
+     * @param {string} username - Username, or the account's linked email
      * @param {string} password - Password
      * @returns {Promise<boolean>} Success status
      */
@@ -229,14 +310,18 @@ export function createAuthService(supabaseClient, callbacks = {}) {
             return false;
         }
 
-        const email = usernameToEmail(username);
-
         try {
-            const { data, error } = await supabaseClient.auth.signInWithPassword({
-                email,
+            const identifier = username.trim();
+            let { data, error } = await supabaseClient.auth.signInWithPassword({
+                email: identifier.includes('@') ? identifier : usernameToEmail(identifier),
                 password
             });
 
+            // The account may have linked an email in place of the internal address
+            if (error && !identifier.includes('@') && error.message.includes('Invalid login')) {
+                ({ data, error } = await signInWithLinkedEmail(identifier, password));
+            }
+
             if (error) {
                 if (error.message.includes('Invalid login')) {
                     onAuthError('Invalid username or password');
@@ -246,6 +331,7 @@ export function createAuthService(supabaseClient, callbacks = {}) {
                 return false;
             }
 
+            await mergeGuestProgress(data.user);
             onAuthSuccess();
             return true;
         } catch (err) {
@@ -255,6 +341,25 @@ export function createAuthService(supabaseClient, callbacks = {}) {
         }
     }
 
+    /**
+     * Sign in by username to an account whose login address is a linked
+     * email, through the username-sign-in edge function
+     *
+     * @param {string} username - Username
+     * @param {string} password - Password
+     * @returns {Promise<Object>} {data, error} shaped like signInWithPassword()
+     */
+    async function signInWithLinkedEmail(username, password) {
+        const { data, error } = await supabaseClient.functions.invoke('username-sign-in', {
+            body: { username, password }
+        });
+
+        if (error || !data?.session) {
+            return { data: null, error: { message: 'Invalid login credentials' } };
+        }
+        return supabaseClient.auth.setSession(data.session);
+    }
+
     /**
      * Sign out the current user
      */
@@ -315,6 +420,170 @@ export function createAuthService(supabaseClient, callbacks = {}) {
         return false;
     }
 
+    // ============================================
+    // ACCOUNT MANAGEMENT
+    // ============================================
+
+    /**
+     * Linked email, if any
+     * @returns {string|null} The account's real email (null while only the internal address is set)
+     */
+    function getLinkedEmail() {
+        return currentUser && !isInternalEmail(currentUser.email) ? currentUser.email : null;
+    }
+
+    /**
+     * Link a real email to the account
+     *
+     * Supabase sends a confirmation link to the address; it replaces the
+     * internal address once confirmed.
+     *
+     * @param {string} email - Address to link
+     * @param {Object} [options] - Options
+     * @param {string} [options.redirectTo] - Where the confirmation link lands
+     * @returns {Promise<boolean>} True if the confirmation email was sent
+     */
+    async function linkEmail(email, { redirectTo } = {}) {
+        if (!supabaseClient || !currentUser) return false;
+
+        const validation = validateEmail(email);
+        if (!validation.valid) {
+            onAuthError(validation.error);
+            return false;
+        }
+
+        const { data, error } = await supabaseClient.auth.updateUser(
+            { email: email.trim() },
+            redirectTo ? { emailRedirectTo: redirectTo } : undefined
+        );
+
+        if (error) {
+            onAuthError(error.message.includes('already') ? 'That email is already linked to an account' : error.message);
+            return false;
+        }
+
+        if (data?.user) currentUser = data.user;
+        onUserChange(currentUser);
+        return true;
+    }
+
+    /**
+     * Send a password reset link to an account's linked email
+     *
+     * Succeeds whether or not the address belongs to an account, so it
+     * can't be used to find out which emails are registered.
+     *
+     * @param {string} email - Linked email
+     * @param {Object} [options] - Options
+     * @param {string} [options.redirectTo] - Where the reset link lands
+     * @returns {Promise<boolean>} True if the request was accepted
+     */
+    async function requestPasswordReset(email, { redirectTo } = {}) {
+        if (!supabaseClient) {
+            onAuthError('Service not configured');
+            return false;
+        }
+
+        const validation = validateEmail(email);
+        if (!validation.valid) {
+            onAuthError('Enter the email linked to your account');
+            return false;
+        }
+
+        const { error } = await supabaseClient.auth.resetPasswordForEmail(
+            email.trim(),
+            redirectTo ? { redirectTo } : undefined
+        );
+
+        if (error) {
+            onAuthError(error.message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Set a new password (after a reset link, or from account settings)
+     *
+     * @param {string} password - New password
+     * @returns {Promise<boolean>} Success status
+     */
+    async function updatePassword(password) {
+        if (!supabaseClient || !currentUser) return false;
+
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            onAuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return false;
+        }
+
+        const { error } = await supabaseClient.auth.updateUser({ password });
+        if (error) {
+            onAuthError(error.message);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Change the username
+     *
+     * change_username() renames the profile (the leaderboards follow) and
+     * the internal login address, so the new name signs in straight away.
+     *
+     * @param {string} username - New username
+     * @returns {Promise<boolean>} Success status
+     */
+    async function changeUsername(username) {
+        if (!supabaseClient || !currentUser) return false;
+
+        const validation = validateUsername(username);
+        if (!validation.valid) {
+            onAuthError(validation.error);
+            return false;
+        }
+
+        const { error } = await supabaseClient.rpc('change_username', { p_username: username });
+        if (error) {
+            onAuthError(error.message);
+            return false;
+        }
+
+        // Pick up the renamed login address and metadata
+        const { data } = await supabaseClient.auth.refreshSession();
+        if (data?.user) {
+            currentUser = data.user;
+            onUserChange(currentUser);
+        }
+
+        userProfile = { ...userProfile, username };
+        onProfileChange(userProfile);
+        return true;
+    }
+
+    /**
+     * Delete the account and everything it owns (sessions, skins,
+     * achievements, lobby places), then sign out
+     *
+     * @returns {Promise<boolean>} Success status
+     */
+    async function deleteAccount() {
+        if (!supabaseClient || !currentUser) return false;
+
+        const { error } = await supabaseClient.rpc('delete_account');
+        if (error) {
+            onAuthError(error.message);
+            return false;
+        }
+
+        // The session's user is gone - only clear it locally
+        await supabaseClient.auth.signOut({ scope: 'local' });
+        currentUser = null;
+        userProfile = null;
+        onUserChange(null);
+        onProfileChange(null);
+        return true;
+    }
+
     return {
         initialize,
         signUp,
@@ -324,7 +593,13 @@ export function createAuthService(supabaseClient, callbacks = {}) {
         getProfile,
         isAuthenticated,
         updateProfile,
-        loadProfile
+        loadProfile,
+        getLinkedEmail,
+        linkEmail,
+        requestPasswordReset,
+        updatePassword,
+        changeUsername,
+        deleteAccount
     };
 }
 
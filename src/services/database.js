@@ -4,12 +4,31 @@
  * Handles all database operations:
  * - Score saving (game sessions)
  * - Profile stats updates
- * - Leaderboard queries
- * - Player progress (skins, achievements)
+ * - Leaderboards (time windows, per land, pages, player rank)
+ * - Player progress (skins, achievements, achievement progress)
+ * - Banana wallet (ledger-backed skin purchases)
+ * - Friends (requests, blocks, friends leaderboards, lobby invites)
+ * - Seasons (current season, final standings, a player's season results)
+ *
+ * Runs, unlocks and purchases can go through an offline sync queue
+ * (services/offlineSync): while Supabase can't be reached they are kept
+ * locally and replayed later, and the methods report `queued: true`.
  *
  * @module services/database
  */
 
+import { LEADERBOARD_PAGE_SIZE, LEADERBOARD_RANK_NEIGHBORS } from '../core/config.js';
+import { encodeReplay, decodeReplay } from '../game/replay.js';
+import { getGhostDelta } from '../game/ghost.js';
+import { getDailyDate } from '../game/daily.js';
+import { ACHIEVEMENTS } from '../game/achievementCatalog.js';
+import { buildStatsSnapshot, getCatalogProgress } from '../game/achievements.js';
+import { buildSessionStats, applySessionStats } from '../game/stats.js';
+import { LEADERBOARD_WINDOWS, getLeaderboardCursor } from '../game/leaderboard.js';
+import { SYNC_OPERATIONS, SYNC_STATUS, executeOperation } from './offlineSync.js';
+import { getActiveSeason } from '../game/seasons.js';
+import { groupFriendships, isInviteFresh } from './friends.js';
+
 // ============================================
 // DATABASE SERVICE FACTORY
 // ============================================
@@ -18,17 +37,38 @@
  * Creates a database service instance
  *
  * @param {Object} supabaseClient - Initialized Supabase client
+ * @param {Object} [options] - Service options
+ * @param {Object} [options.syncQueue] - Offline sync queue (createSyncQueue) for runs, unlocks and purchases
  * @returns {Object} Database service with methods
  *
  * @example
- * const db = createDatabaseService(supabaseClient);
- * await db.saveScore(1500, 25, 'snow');
+ * const db = createDatabaseService(supabaseClient, { syncQueue });
+ * await db.saveScore(playerId, { score: 1500, bananas: 25, land: 'snow' }, profile);
  * const leaders = await db.getLeaderboard();
  */
-export function createDatabaseService(supabaseClient) {
+export function createDatabaseService(supabaseClient, options = {}) {
+    const { syncQueue = null } = options;
+
+    /**
+     * Send a write through the sync queue when there is one (queued while
+     * offline), otherwise straight to the database
+     *
+     * @returns {Promise<Object>} {status, data, error} (see SYNC_STATUS)
+     */
+    function write(type, playerId, payload) {
+        if (syncQueue) {
+            return syncQueue.submit(type, playerId, payload);
+        }
+        return executeOperation(supabaseClient, { type, playerId, payload });
+    }
+
+    function isWritten(status) {
+        return status === SYNC_STATUS.SYNCED || status === SYNC_STATUS.DUPLICATE;
+    }
 
     /**
-     * Save a game score and update profile stats
+     * Save a game session; the database folds it into the profile totals
+     * (apply_session_stats trigger), and the updated profile is read back
      *
      * @param {string} playerId - Player's user ID
      * @param {Object} gameData - Game session data
@@ -36,79 +76,228 @@ export function createDatabaseService(supabaseClient) {
      * @param {number} gameData.bananas - Bananas collected
      * @param {string} gameData.land - Land/biome played
      * @param {string} [gameData.mode='solo'] - Game mode
-     * @param {Object} currentProfile - Current user profile (for comparison)
-     * @returns {Promise<Object>} {success, newHighScore, updatedProfile}
+     * @param {number} [gameData.durationSeconds] - Run length in seconds
+     * @param {number} [gameData.highestLevel] - Highest level reached
+     * @param {Object} [gameData.session] - Power-up counters from the run summary
+     * @param {boolean} [gameData.didWin] - Won the multiplayer round
+     * @param {Object} [gameData.replay] - Replay of the run (see game/replay)
+     * @param {string} [gameData.challengeDate] - Challenge date (YYYY-MM-DD) for daily_challenge runs
+     * @param {Object} [currentProfile] - Profile before the run (for the new high score check)
+     * @returns {Promise<Object>} {success, queued, newHighScore, updatedProfile} - updatedProfile is the
+     *     database's copy, or the run applied to currentProfile locally while queued
      */
-    async function saveScore(playerId, gameData, currentProfile) {
-        if (!supabaseClient || !playerId) {
-            return { success: false, newHighScore: false, updatedProfile: null };
+    async function saveScore(playerId, gameData, currentProfile = null) {
+        if (!playerId || (!supabaseClient && !syncQueue)) {
+            return { success: false, queued: false, newHighScore: false, updatedProfile: null };
         }
 
-        const { score, bananas, land, mode = 'solo' } = gameData;
+        const { mode = 'solo', replay = null, challengeDate = null } = gameData;
+        const sessionStats = buildSessionStats({ ...gameData, mode });
+        const newHighScore = gameData.score > (currentProfile?.high_score || 0);
 
         // Save game session
-        const { error: sessionError } = await supabaseClient
-            .from('game_sessions')
-            .insert({
-                player_id: playerId,
-                score: score,
-                bananas_collected: bananas,
-                land_played: land,
-                game_mode: mode
-            });
-
-        if (sessionError) {
-            console.error('Error saving session:', sessionError);
-            return { success: false, newHighScore: false, updatedProfile: null };
-        }
-
-        // Update profile stats
-        if (currentProfile) {
-            const updates = {
-                total_games: (currentProfile.total_games || 0) + 1,
-                total_bananas: (currentProfile.total_bananas || 0) + bananas,
-                total_score: (currentProfile.total_score || 0) + score
-            };
-
-            const newHighScore = score > (currentProfile.high_score || 0);
-            if (newHighScore) {
-                updates.high_score = score;
-            }
+        const { status, error } = await write(SYNC_OPERATIONS.SESSION, playerId, {
+            ...sessionStats,
+            challenge_date: mode === 'daily_challenge' ? challengeDate : null,
+            seed: replay ? replay.seed : null,
+            replay: replay ? encodeReplay(replay) : null
+        });
 
-            const { error: updateError } = await supabaseClient
-                .from('profiles')
-                .update(updates)
-                .eq('id', playerId);
-
-            if (!updateError) {
-                return {
-                    success: true,
-                    newHighScore,
-                    updatedProfile: { ...currentProfile, ...updates }
-                };
-            }
+        if (status === SYNC_STATUS.QUEUED) {
+            const updatedProfile = currentProfile ? applySessionStats(currentProfile, sessionStats) : null;
+            return { success: true, queued: true, newHighScore, updatedProfile };
+        }
+
+        if (!isWritten(status)) {
+            console.error('Error saving session:', error);
+            return { success: false, queued: false, newHighScore: false, updatedProfile: null };
+        }
+
+        const updatedProfile = await getProfile(playerId);
+        return { success: true, queued: false, newHighScore, updatedProfile };
+    }
+
+    /**
+     * Load a player's profile (stats, wallet, rating)
+     *
+     * @param {string} playerId - Player's user ID
+     * @returns {Promise<Object|null>} Profile row or null
+     */
+    async function getProfile(playerId) {
+        if (!supabaseClient || !playerId) return null;
+
+        const { data, error } = await supabaseClient
+            .from('profiles')
+            .select('*')
+            .eq('id', playerId)
+            .single();
+
+        if (error) {
+            console.error('Error loading profile:', error);
+            return null;
         }
 
-        return { success: true, newHighScore: false, updatedProfile: null };
+        return data;
     }
 
+    // ============================================
+    // LEADERBOARDS
+    // ============================================
+    // Built from game_sessions by the database (ranked_leaderboard(), mirrored
+    // by game/leaderboard): best run per player in a time window, overall or
+    // per land. Entries are {rank, player_id, username, score, achieved_at,
+    // session_id, land_played, verified}; tied scores share a rank.
+
     /**
-     * Get global leaderboard
+     * Get one page of a leaderboard
+     *
+     * @param {Object} [options] - Query options
+     * @param {string} [options.window='all'] - LEADERBOARD_WINDOWS value ('daily', 'weekly', 'all')
+     * @param {string|null} [options.land=null] - Land (null for all lands)
+     * @param {boolean|null} [options.verifiedOnly=null] - Only count runs verified by re-simulation
+     *     (null: the window's default - verified only for 'season')
+     * @param {number} [options.limit=LEADERBOARD_PAGE_SIZE] - Page size (max 100)
+     * @param {Object|null} [options.cursor=null] - nextCursor of the previous page (null for the first page)
+     * @param {Array<string>|null} [options.players=null] - Only these players (friends leaderboards)
+     * @returns {Promise<Object>} {entries, nextCursor} - nextCursor is null on the last page
+     */
+    async function getLeaderboardPage(options = {}) {
+        const {
+            window = LEADERBOARD_WINDOWS.ALL_TIME,
+            land = null,
+            verifiedOnly = null,
+            limit = LEADERBOARD_PAGE_SIZE,
+            cursor = null,
+            players = null
+        } = options;
+
+        if (!supabaseClient) return { entries: [], nextCursor: null };
+
+        // One extra row tells whether there's another page
+        const pageSize = Math.min(Math.max(limit, 1), 100);
+        const { data, error } = await supabaseClient.rpc('get_leaderboard', {
+            p_window: window,
+            p_land: land,
+            p_verified: verifiedOnly,
+            p_limit: pageSize + 1,
+            p_after_score: cursor ? cursor.score : null,
+            p_after_at: cursor ? cursor.achievedAt : null,
+            p_after_player: cursor ? cursor.playerId : null,
+            p_players: players
+        });
+
+        if (error) {
+            console.error('Error fetching leaderboard:', error);
+            return { entries: [], nextCursor: null };
+        }
+
+        const entries = (data || []).slice(0, pageSize);
+        return {
+            entries,
+            nextCursor: data?.length > pageSize ? getLeaderboardCursor(entries[entries.length - 1]) : null
+        };
+    }
+
+    /**
+     * Get the top of the global leaderboard
      *
      * @param {number} [limit=10] - Max entries to return
+     * @param {Object} [options] - Query options (see getLeaderboardPage)
      * @returns {Promise<Array>} Leaderboard entries
      */
-    async function getLeaderboard(limit = 10) {
+    async function getLeaderboard(limit = 10, options = {}) {
+        const { entries } = await getLeaderboardPage({ ...options, limit });
+        return entries;
+    }
+
+    /**
+     * Get the top of the leaderboard for a specific land/biome
+     *
+     * @param {string} land - Land name
+     * @param {number} [limit=10] - Max entries to return
+     * @param {Object} [options] - Query options (see getLeaderboardPage)
+     * @returns {Promise<Array>} Leaderboard entries for land
+     */
+    async function getLandLeaderboard(land, limit = 10, options = {}) {
+        return getLeaderboard(limit, { ...options, land });
+    }
+
+    /**
+     * Find a player's place on a leaderboard, with the entries around them
+     *
+     * @param {string} playerId - Player ID
+     * @param {Object} [options] - Query options
+     * @param {string} [options.window='all'] - LEADERBOARD_WINDOWS value
+     * @param {string|null} [options.land=null] - Land (null for all lands)
+     * @param {boolean|null} [options.verifiedOnly=null] - Only count runs verified by re-simulation
+     *     (null: the window's default - verified only for 'season')
+     * @param {number} [options.neighbors=LEADERBOARD_RANK_NEIGHBORS] - Entries above and below
+     * @param {Array<string>|null} [options.players=null] - Only these players (friends leaderboards)
+     * @returns {Promise<Object|null>} {rank, position, total, entry, neighbors}, or null if the
+     *     player has no run in the window
+     */
+    async function getPlayerRank(playerId, options = {}) {
+        const {
+            window = LEADERBOARD_WINDOWS.ALL_TIME,
+            land = null,
+            verifiedOnly = null,
+            neighbors = LEADERBOARD_RANK_NEIGHBORS,
+            players = null
+        } = options;
+
+        if (!supabaseClient || !playerId) return null;
+
+        const { data, error } = await supabaseClient.rpc('get_leaderboard_rank', {
+            p_player_id: playerId,
+            p_window: window,
+            p_land: land,
+            p_verified: verifiedOnly,
+            p_neighbors: neighbors,
+            p_players: players
+        });
+
+        if (error) {
+            console.error('Error fetching player rank:', error);
+            return null;
+        }
+
+        const entry = (data || []).find(row => row.player_id === playerId);
+        if (!entry) return null;
+
+        return {
+            rank: Number(entry.rank),
+            position: Number(entry.position),
+            total: Number(entry.total),
+            entry,
+            neighbors: data
+        };
+    }
+
+    /**
+     * Get the top recorded runs (sessions saved with a replay)
+     *
+     * @param {string|null} [land=null] - Land filter (null for all lands)
+     * @param {number} [limit=5] - Max entries to return
+     * @returns {Promise<Array>} Sessions with encoded `replay` strings
+     */
+    async function getBestRuns(land = null, limit = 5) {
         if (!supabaseClient) return [];
 
-        const { data, error } = await supabaseClient
-            .from('leaderboard')
-            .select('*')
-            .order('high_score', { ascending: false })
+        let query = supabaseClient
+            .from('game_sessions')
+            .select('id, player_id, score, land_played, replay, verified, profiles!inner(username)')
+            .not('replay', 'is', null)
+            .order('score', { ascending: false })
             .limit(limit);
 
+        if (land) {
+            query = query.eq('land_played', land);
+        }
+
+        const { data, error } = await query;
+
         if (error) {
-            console.error('Error fetching leaderboard:', error);
+            console.error('Error fetching best runs:', error);
             return [];
         }
 
@@ -116,39 +305,94 @@ export function createDatabaseService(supabaseClient) {
     }
 
     /**
-     * Get leaderboard for a specific land/biome
+     * Get the daily challenge leaderboard for a date
      *
-     * @param {string} land - Land name
+     * @param {string} [date] - Challenge date YYYY-MM-DD (defaults to today, UTC)
      * @param {number} [limit=10] - Max entries to return
-     * @returns {Promise<Array>} Leaderboard entries for land
+     * @returns {Promise<Array>} Daily sessions, best score first
      */
-    async function getLandLeaderboard(land, limit = 10) {
+    async function getDailyLeaderboard(date = getDailyDate(), limit = 10) {
         if (!supabaseClient) return [];
 
         const { data, error } = await supabaseClient
             .from('game_sessions')
-            .select('player_id, score, profiles!inner(username)')
-            .eq('land_played', land)
+            .select('player_id, score, bananas_collected, profiles!inner(username)')
+            .eq('game_mode', 'daily_challenge')
+            .eq('challenge_date', date)
             .order('score', { ascending: false })
             .limit(limit);
 
         if (error) {
-            console.error('Error fetching land leaderboard:', error);
+            console.error('Error fetching daily leaderboard:', error);
             return [];
         }
 
         return data || [];
     }
 
+    /**
+     * Check whether a player has used their scored daily attempt
+     *
+     * @param {string} playerId - Player ID
+     * @param {string} [date] - Challenge date YYYY-MM-DD (defaults to today, UTC)
+     * @returns {Promise<boolean>} True if already played
+     */
+    async function hasPlayedDaily(playerId, date = getDailyDate()) {
+        if (!supabaseClient || !playerId) return false;
+
+        const { count, error } = await supabaseClient
+            .from('game_sessions')
+            .select('id', { count: 'exact', head: true })
+            .eq('player_id', playerId)
+            .eq('game_mode', 'daily_challenge')
+            .eq('challenge_date', date);
+
+        if (error) {
+            console.error('Error checking daily attempt:', error);
+            return false;
+        }
+
+        return count > 0;
+    }
+
+    /**
+     * Get a player's best recorded run on a land (the ghost to race)
+     *
+     * @param {string} playerId - Player ID
+     * @param {string} land - Land ID
+     * @returns {Promise<Object|null>} Decoded replay, or null if none recorded
+     */
+    async function getPersonalBestRun(playerId, land) {
+        if (!supabaseClient || !playerId) return null;
+
+        const { data, error } = await supabaseClient
+            .from('game_sessions')
+            .select('replay')
+            .eq('player_id', playerId)
+            .eq('land_played', land)
+            .not('replay', 'is', null)
+            .order('score', { ascending: false })
+            .limit(1)
+            .single();
+
+        // .single() errors when there are no rows - that just means no ghost yet
+        if (error || !data) return null;
+
+        return decodeReplay(data.replay);
+    }
+
     /**
      * Get game over statistics for display
      *
      * @param {string} playerId - Current player ID
      * @param {string} land - Land that was played
      * @param {number} currentScore - Score from current game
+     * @param {Object} [options] - Extra comparisons
+     * @param {Object} [options.ghostReplay] - Replay raced in ghost mode
+     * @param {number} [options.frames] - Frames survived in the current game (for the ghost delta)
      * @returns {Promise<Object>} Stats object
      */
-    async function getGameOverStats(playerId, land, currentScore) {
+    async function getGameOverStats(playerId, land, currentScore, { ghostReplay = null, frames = 0 } = {}) {
         const stats = {
             globalTopScore: null,
             globalTopPlayer: null,
@@ -157,6 +401,7 @@ export function createDatabaseService(supabaseClient) {
             personalBiomeBest: null,
             isNewBiomeBest: false,
             isNewGlobalBest: false,
+            ghost: ghostReplay ? getGhostDelta({ score: currentScore, frames }, ghostReplay) : null,
             loading: false
         };
 
@@ -239,23 +484,103 @@ export function createDatabaseService(supabaseClient) {
     }
 
     /**
-     * Unlock a skin for player
+     * Unlock an achievement skin for player (shop skins go through purchaseSkin)
      *
      * @param {string} playerId - Player ID
      * @param {string} skinId - Skin to unlock
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} Success status (true when already unlocked, or queued offline)
      */
     async function unlockSkin(playerId, skinId) {
-        if (!supabaseClient || !playerId) return false;
+        if (!playerId || (!supabaseClient && !syncQueue)) return false;
 
-        const { error } = await supabaseClient
-            .from('player_skins')
-            .insert({
-                player_id: playerId,
-                skin_id: skinId
-            });
+        const { status } = await write(SYNC_OPERATIONS.SKIN, playerId, { skinId });
+        return status !== SYNC_STATUS.REJECTED;
+    }
 
-        return !error;
+    // ============================================
+    // BANANA WALLET
+    // ============================================
+    // Balances only change in the database: runs and achievement rewards are
+    // credited once the score verifier has checked the runs, purchases go
+    // through purchase_skin(), and every movement lands in banana_transactions.
+
+    /**
+     * Buy a shop skin - the price is checked against the server-side skin
+     * catalog and the debit + unlock happen in one transaction
+     *
+     * @param {string} playerId - Player ID
+     * @param {string} skinId - Skin to buy
+     * @returns {Promise<Object>} {success, queued, balance, error} - balance is the new wallet
+     *     balance (null while the purchase is queued offline or the skin was already owned)
+     */
+    async function purchaseSkin(playerId, skinId) {
+        if (!playerId || (!supabaseClient && !syncQueue)) {
+            return { success: false, queued: false, balance: null, error: 'Not signed in' };
+        }
+
+        const { status, data, error } = await write(SYNC_OPERATIONS.PURCHASE, playerId, { skinId });
+
+        if (status === SYNC_STATUS.QUEUED) {
+            return { success: true, queued: true, balance: null, error: null };
+        }
+        if (!isWritten(status)) {
+            console.error('Error purchasing skin:', error);
+            return { success: false, queued: false, balance: null, error: error?.message || 'Purchase failed' };
+        }
+
+        return { success: true, queued: false, balance: data == null ? null : Number(data), error: null };
+    }
+
+    /**
+     * Get a player's wallet
+     *
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object|null>} {balance, totalSpent, totalPurchases}, or null on failure
+     */
+    async function getWallet(playerId) {
+        if (!supabaseClient || !playerId) return null;
+
+        const { data, error } = await supabaseClient
+            .from('profiles')
+            .select('spendable_bananas, total_spent, total_purchases')
+            .eq('id', playerId)
+            .single();
+
+        if (error || !data) {
+            console.error('Error fetching wallet:', error);
+            return null;
+        }
+
+        return {
+            balance: Number(data.spendable_bananas) || 0,
+            totalSpent: data.total_spent || 0,
+            totalPurchases: data.total_purchases || 0
+        };
+    }
+
+    /**
+     * Get a player's recent banana transactions
+     *
+     * @param {string} playerId - Player ID
+     * @param {number} [limit=20] - Max entries to return
+     * @returns {Promise<Array>} Ledger rows {amount, reason, reference, balance_after, created_at}, newest first
+     */
+    async function getTransactionHistory(playerId, limit = 20) {
+        if (!supabaseClient || !playerId) return [];
+
+        const { data, error } = await supabaseClient
+            .from('banana_transactions')
+            .select('id, amount, reason, reference, balance_after, created_at')
+            .eq('player_id', playerId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error fetching transactions:', error);
+            return [];
+        }
+
+        return data || [];
     }
 
     /**
@@ -284,19 +609,82 @@ export function createDatabaseService(supabaseClient) {
      *
      * @param {string} playerId - Player ID
      * @param {string} achievementId - Achievement to unlock
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} Success status (true when already unlocked, or queued offline)
      */
     async function unlockAchievement(playerId, achievementId) {
+        if (!playerId || (!supabaseClient && !syncQueue)) return false;
+
+        const { status } = await write(SYNC_OPERATIONS.ACHIEVEMENT, playerId, { achievementId });
+        return status !== SYNC_STATUS.REJECTED;
+    }
+
+    /**
+     * Load stored progress for run / streak achievements
+     *
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} Stored progress by achievement ID
+     */
+    async function getSavedAchievementProgress(playerId) {
+        if (!supabaseClient || !playerId) return {};
+
+        const { data, error } = await supabaseClient
+            .from('achievement_progress')
+            .select('achievement_id, progress')
+            .eq('player_id', playerId);
+
+        if (error || !data) {
+            return {};
+        }
+
+        return Object.fromEntries(data.map(row => [row.achievement_id, row.progress]));
+    }
+
+    /**
+     * Progress toward every achievement, from profile stats plus stored
+     * run / streak progress
+     *
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object|null>} Progress by achievement ID {current, target, ratio, unlocked, stored} (see getCatalogProgress)
+     */
+    async function getAchievementProgress(playerId) {
+        if (!supabaseClient || !playerId) return null;
+
+        const profile = await getProfile(playerId);
+        if (!profile) return null;
+
+        const [owned, saved] = await Promise.all([
+            getPlayerAchievements(playerId),
+            getSavedAchievementProgress(playerId)
+        ]);
+
+        return getCatalogProgress(ACHIEVEMENTS, buildStatsSnapshot(profile), { owned, saved });
+    }
+
+    /**
+     * Store run / streak achievement progress
+     *
+     * @param {string} playerId - Player ID
+     * @param {Array<Object>} updates - [{id, progress}] from getStoredProgressUpdates()
+     * @returns {Promise<boolean>} Success status
+     */
+    async function saveAchievementProgress(playerId, updates) {
         if (!supabaseClient || !playerId) return false;
+        if (!updates || updates.length === 0) return true;
 
         const { error } = await supabaseClient
-            .from('player_achievements')
-            .insert({
+            .from('achievement_progress')
+            .upsert(updates.map(({ id, progress }) => ({
                 player_id: playerId,
-                achievement_id: achievementId
-            });
+                achievement_id: id,
+                progress,
+                updated_at: new Date().toISOString()
+            })));
 
-        return !error;
+        if (error) {
+            console.error('Error saving achievement progress:', error);
+            return false;
+        }
+        return true;
     }
 
     /**
@@ -317,16 +705,393 @@ export function createDatabaseService(supabaseClient) {
         return !error;
     }
 
+    /**
+     * Save a player's volume settings
+     *
+     * @param {string} playerId - Player ID
+     * @param {Object} settings - {master, music, sfx, muted}
+     * @returns {Promise<boolean>} Success status
+     */
+    async function saveAudioSettings(playerId, settings) {
+        if (!supabaseClient || !playerId) return false;
+
+        const { error } = await supabaseClient
+            .from('profiles')
+            .update({ audio_settings: settings })
+            .eq('id', playerId);
+
+        return !error;
+    }
+
+    // ============================================
+    // FRIENDS
+    // ============================================
+    // Requests, answers and blocks go through database functions
+    // (send_friend_request, respond_friend_request, block_player); removing a
+    // friendship row (decline, cancel, unfriend, unblock) is a plain delete
+    // allowed by RLS.
+
+    /**
+     * Send a friend request by username. If that player already asked us,
+     * this accepts their request instead.
+     *
+     * @param {string} username - Player to add
+     * @returns {Promise<Object>} {success, status, error} - status is 'pending' or 'accepted'
+     */
+    async function sendFriendRequest(username) {
+        if (!supabaseClient) return { success: false, status: null, error: 'Not signed in' };
+
+        const { data, error } = await supabaseClient.rpc('send_friend_request', { p_username: username.trim() });
+
+        if (error) {
+            console.error('Error sending friend request:', error);
+            return { success: false, status: null, error: error.message || 'Friend request failed' };
+        }
+        return { success: true, status: data, error: null };
+    }
+
+    /**
+     * Accept or decline a friend request sent to us
+     *
+     * @param {string} friendshipId - friendships row id
+     * @param {boolean} accept - Accept (true) or decline (false)
+     * @returns {Promise<boolean>} Success status
+     */
+    async function respondToFriendRequest(friendshipId, accept) {
+        if (!supabaseClient || !friendshipId) return false;
+
+        const { error } = await supabaseClient.rpc('respond_friend_request', {
+            p_friendship_id: friendshipId,
+            p_accept: accept
+        });
+
+        if (error) {
+            console.error('Error answering friend request:', error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Remove a friendship row - unfriend, cancel a sent request or unblock
+     *
+     * @param {string} friendshipId - friendships row id
+     * @returns {Promise<boolean>} Success status
+     */
+    async function removeFriendship(friendshipId) {
+        if (!supabaseClient || !friendshipId) return false;
+
+        const { error } = await supabaseClient
+            .from('friendships')
+            .delete()
+            .eq('id', friendshipId);
+
+        if (error) {
+            console.error('Error removing friendship:', error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Block a player: ends any friendship or request with them, and they
+     * can't send us requests or invites
+     *
+     * @param {string} playerId - Player to block
+     * @returns {Promise<boolean>} Success status
+     */
+    async function blockPlayer(playerId) {
+        if (!supabaseClient || !playerId) return false;
+
+        const { error } = await supabaseClient.rpc('block_player', { p_player_id: playerId });
+
+        if (error) {
+            console.error('Error blocking player:', error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get a player's friends, requests and blocks
+     *
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} {friends, incoming, outgoing, blocked} (see groupFriendships)
+     */
+    async function getFriends(playerId) {
+        const empty = groupFriendships([], playerId);
+        if (!supabaseClient || !playerId) return empty;
+
+        const [sent, received] = await Promise.all([
+            supabaseClient
+                .from('friendships')
+                .select('id, requester_id, addressee_id, status, created_at, responded_at')
+                .eq('requester_id', playerId),
+            supabaseClient
+                .from('friendships')
+                .select('id, requester_id, addressee_id, status, created_at, responded_at')
+                .eq('addressee_id', playerId)
+        ]);
+
+        if (sent.error || received.error) {
+            console.error('Error fetching friends:', sent.error || received.error);
+            return empty;
+        }
+
+        const rows = [...(sent.data || []), ...(received.data || [])];
+        const usernames = await getUsernames(rows.map(row => (row.requester_id === playerId ? row.addressee_id : row.requester_id)));
+
+        return groupFriendships(rows.map(row => ({
+            ...row,
+            requester: { username: usernames.get(row.requester_id) },
+            addressee: { username: usernames.get(row.addressee_id) }
+        })), playerId);
+    }
+
+    /**
+     * Usernames by player id
+     * @returns {Promise<Map<string, string>>}
+     */
+    async function getUsernames(playerIds) {
+        const ids = [...new Set(playerIds)];
+        if (ids.length === 0) return new Map();
+
+        const { data, error } = await supabaseClient
+            .from('profiles')
+            .select('id, username')
+            .in('id', ids);
+
+        if (error) {
+            console.error('Error fetching usernames:', error);
+            return new Map();
+        }
+        return new Map((data || []).map(row => [row.id, row.username]));
+    }
+
+    /**
+     * Get the leaderboard of a player and their friends
+     *
+     * @param {string} playerId - Player ID (included in the ranking)
+     * @param {Object} [options] - Query options (see getLeaderboardPage: window, land, verifiedOnly)
+     * @param {number} [options.limit=10] - Max entries to return
+     * @returns {Promise<Array>} Leaderboard entries, best first
+     */
+    async function getFriendLeaderboard(playerId, { limit = 10, ...options } = {}) {
+        if (!supabaseClient || !playerId) return [];
+
+        const { friends } = await getFriends(playerId);
+        return getLeaderboard(limit, {
+            ...options,
+            players: [playerId, ...friends.map(friend => friend.player_id)]
+        });
+    }
+
+    /**
+     * Invite a friend to a lobby (their client offers to join it by code)
+     *
+     * @param {string} playerId - Inviting player
+     * @param {string} friendId - Friend to invite
+     * @param {Object} lobby - Lobby ({code, land})
+     * @returns {Promise<boolean>} Success status - false if they aren't friends
+     */
+    async function sendLobbyInvite(playerId, friendId, lobby) {
+        if (!supabaseClient || !playerId || !friendId || !lobby?.code) return false;
+
+        const { error } = await supabaseClient
+            .from('lobby_invites')
+            .upsert({
+                from_id: playerId,
+                to_id: friendId,
+                lobby_code: lobby.code,
+                land: lobby.land || null,
+                created_at: new Date().toISOString()
+            }, { onConflict: 'from_id,to_id,lobby_code' });
+
+        if (error) {
+            console.error('Error sending lobby invite:', error);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get the lobby invites sent to a player that can still be joined
+     *
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Array>} lobby_invites rows with the sender's `from_username`, newest first
+     */
+    async function getLobbyInvites(playerId) {
+        if (!supabaseClient || !playerId) return [];
+
+        const { data, error } = await supabaseClient
+            .from('lobby_invites')
+            .select('id, from_id, to_id, lobby_code, land, created_at')
+            .eq('to_id', playerId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching lobby invites:', error);
+            return [];
+        }
+
+        const invites = (data || []).filter(invite => isInviteFresh(invite));
+        const usernames = await getUsernames(invites.map(invite => invite.from_id));
+        return invites.map(invite => ({ ...invite, from_username: usernames.get(invite.from_id) || 'A friend' }));
+    }
+
+    /**
+     * Remove a lobby invite (joined, declined or expired)
+     *
+     * @param {string} inviteId - lobby_invites row id
+     * @returns {Promise<boolean>} Success status
+     */
+    async function dismissLobbyInvite(inviteId) {
+        if (!supabaseClient || !inviteId) return false;
+
+        const { error } = await supabaseClient
+            .from('lobby_invites')
+            .delete()
+            .eq('id', inviteId);
+
+        return !error;
+    }
+
+    // ============================================
+    // SEASONS
+    // ============================================
+
+    /**
+     * Get the season running now
+     *
+     * @returns {Promise<Object|null>} seasons row, or null between seasons
+     */
+    async function getCurrentSeason() {
+        if (!supabaseClient) return null;
+
+        const { data, error } = await supabaseClient
+            .from('seasons')
+            .select('*')
+            .is('finalized_at', null)
+            .gt('ends_at', new Date().toISOString());
+
+        if (error) {
+            console.error('Error fetching season:', error);
+            return null;
+        }
+
+        return getActiveSeason(data);
+    }
+
+    /**
+     * Get the final standings of a finished season
+     *
+     * @param {number} seasonId - Season ID
+     * @param {number} [limit=10] - Max entries to return
+     * @returns {Promise<Array>} season_standings rows with `username`, best first
+     */
+    async function getSeasonStandings(seasonId, limit = 10) {
+        if (!supabaseClient) return [];
+
+        const { data, error } = await supabaseClient
+            .from('season_standings')
+            .select('*')
+            .eq('season_id', seasonId)
+            .order('rank', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error fetching season standings:', error);
+            return [];
+        }
+
+        const usernames = await getUsernames((data || []).map(row => row.player_id));
+        return (data || []).map(row => ({ ...row, username: usernames.get(row.player_id) || 'Player' }));
+    }
+
+    /**
+     * Get a player's results in finished seasons (rank, rewards and badge)
+     *
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Array>} season_standings rows with `season_name`, newest season first
+     */
+    async function getSeasonResults(playerId) {
+        if (!supabaseClient || !playerId) return [];
+
+        const { data, error } = await supabaseClient
+            .from('season_standings')
+            .select('*')
+            .eq('player_id', playerId)
+            .order('season_id', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching season results:', error);
+            return [];
+        }
+        if (!data?.length) return [];
+
+        const { data: seasons } = await supabaseClient
+            .from('seasons')
+            .select('id, name')
+            .in('id', data.map(row => row.season_id));
+        const names = new Map((seasons || []).map(season => [season.id, season.name]));
+
+        return data.map(row => ({ ...row, season_name: names.get(row.season_id) || `Season ${row.season_id}` }));
+    }
+
+    /**
+     * Mark the signed-in player's season results as shown
+     *
+     * @returns {Promise<boolean>} Success status
+     */
+    async function markSeasonResultsSeen() {
+        if (!supabaseClient) return false;
+
+        const { error } = await supabaseClient.rpc('mark_season_results_seen');
+
+        if (error) {
+            console.error('Error marking season results seen:', error);
+            return false;
+        }
+
+        return true;
+    }
+
     return {
         saveScore,
+        getProfile,
         getLeaderboard,
+        getLeaderboardPage,
         getLandLeaderboard,
+        getPlayerRank,
+        getBestRuns,
+        getPersonalBestRun,
+        getDailyLeaderboard,
+        hasPlayedDaily,
         getGameOverStats,
         getPlayerSkins,
         unlockSkin,
+        purchaseSkin,
+        getWallet,
+        getTransactionHistory,
         getPlayerAchievements,
         unlockAchievement,
-        equipSkin
+        getAchievementProgress,
+        saveAchievementProgress,
+        equipSkin,
+        saveAudioSettings,
+        sendFriendRequest,
+        respondToFriendRequest,
+        removeFriendship,
+        blockPlayer,
+        getFriends,
+        getFriendLeaderboard,
+        sendLobbyInvite,
+        getLobbyInvites,
+        dismissLobbyInvite,
+        getCurrentSeason,
+        getSeasonStandings,
+        getSeasonResults,
+        markSeasonResultsSeen
     };
 }
 
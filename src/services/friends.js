@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Friends helpers for Banana Runner
+ *
+ * Friendships are one `friendships` row per pair of players:
+ * - 'pending' - requester_id asked addressee_id
+ * - 'accepted' - friends (either side can remove it)
+ * - 'blocked' - requester_id blocked addressee_id (only the blocker sees it)
+ *
+ * Requests, answers and blocks go through database functions
+ * (send_friend_request, respond_friend_request, block_player) so the rules
+ * hold server-side; the queries live on the database service. This module
+ * turns the raw rows into what the friends screen shows.
+ *
+ * @module services/friends
+ */
+
+import { LOBBY_INVITE_TTL_MS } from '../core/config.js';
+
+/**
+ * Friendship row status
+ * @constant {Object}
+ */
+export const FRIEND_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted',
+    BLOCKED: 'blocked'
+};
+
+// ============================================
+// FRIENDSHIPS
+// ============================================
+
+/**
+ * Sort friendship rows into the lists the friends screen shows
+ *
+ * Rows are expected with the usernames joined in as `requester.username`
+ * and `addressee.username` (see getFriends in services/database).
+ *
+ * @param {Array<Object>} rows - friendships rows involving the player
+ * @param {string} playerId - The signed-in player
+ * @returns {Object} {friends, incoming, outgoing, blocked} - each a list of
+ *     {id, player_id, username, status, since}, sorted by username
+ */
+export function groupFriendships(rows, playerId) {
+    const groups = { friends: [], incoming: [], outgoing: [], blocked: [] };
+
+    for (const row of rows || []) {
+        const sent = row.requester_id === playerId;
+        const entry = {
+            id: row.id,
+            player_id: sent ? row.addressee_id : row.requester_id,
+            username: (sent ? row.addressee?.username : row.requester?.username) || 'Player',
+            status: row.status,
+            since: row.responded_at || row.created_at || null
+        };
+
+        if (row.status === FRIEND_STATUS.ACCEPTED) {
+            groups.friends.push(entry);
+        } else if (row.status === FRIEND_STATUS.PENDING) {
+            groups[sent ? 'outgoing' : 'incoming'].push(entry);
+        } else if (row.status === FRIEND_STATUS.BLOCKED && sent) {
+            // The blocked side never gets these rows, but don't trust that here
+            groups.blocked.push(entry);
+        }
+    }
+
+    for (const list of Object.values(groups)) {
+        list.sort((a, b) => a.username.localeCompare(b.username));
+    }
+    return groups;
+}
+
+// ============================================
+// LOBBY INVITES
+// ============================================
+
+/**
+ * Is a lobby invite recent enough to join?
+ *
+ * @param {Object} invite - lobby_invites row
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {boolean}
+ */
+export function isInviteFresh(invite, now = Date.now()) {
+    if (!invite?.lobby_code || !invite.created_at) return false;
+    return now - new Date(invite.created_at).getTime() < LOBBY_INVITE_TTL_MS;
+}
+
+export default groupFriendships;
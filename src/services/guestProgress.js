@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Guest progress for Banana Runner
+ *
+ * Guests play without an account. Their progress is kept on the device in
+ * a local profile with the same shape as a `profiles` row, plus the
+ * sessions, unlocks and purchases that produced it.
+ *
+ * When the guest signs up or signs in, merge() moves it into the account:
+ * 1. claim_guest_progress() ties the guest id to the account - a guest id
+ *    already claimed by another account is refused, so the same guest data
+ *    can't be merged twice (from a copied browser profile, say)
+ * 2. sessions, achievement / skin unlocks and purchases go through the sync
+ *    queue in that order - the database credits run bananas and achievement
+ *    rewards once the score verifier has checked the runs, so a purchase the
+ *    verified balance can't cover yet is refused like any other
+ * 3. the local guest profile is cleared (the sync queue now owns the writes)
+ *
+ * Each step is safe to repeat: a merge interrupted after the claim resumes
+ * on the next sign-in to the same account, and sessions keep the client_id
+ * they were recorded with, so none is counted twice.
+ *
+ * @module services/guestProgress
+ */
+
+import { lands } from '../game/lands.js';
+import { POWERUP_COLUMNS, applySessionStats } from '../game/stats.js';
+import { SYNC_OPERATIONS, SYNC_STATUS, createLocalStore, createIdGenerator } from './offlineSync.js';
+
+/**
+ * Outcome of a merge
+ * @constant {Object}
+ */
+export const MERGE_STATUS = {
+    MERGED: 'merged',                   // uploaded (or queued) into the account
+    NOTHING: 'nothing',                 // no guest progress on this device
+    OFFLINE: 'offline',                 // couldn't claim - kept for the next sign-in
+    ALREADY_MERGED: 'already_merged',   // claimed by another account - discarded
+    OTHER_ACCOUNT: 'other_account'      // claimed by another account on this device - kept for it
+};
+
+/**
+ * Local store key for the guest record
+ * @constant {string}
+ */
+const STORE_KEY = 'guest-profile';
+
+/**
+ * claim_guest_progress() error for a guest id another account owns
+ * @constant {string}
+ */
+const ALREADY_MERGED_MESSAGE = 'Guest progress already merged';
+
+// ============================================
+// GUEST PROFILE
+// ============================================
+
+/**
+ * Build an empty guest profile shaped like a `profiles` row
+ *
+ * @param {string} guestId - Guest id (stands in for the profile id)
+ * @returns {Object} Profile with every stat at zero
+ */
+export function createGuestProfile(guestId) {
+    const profile = {
+        id: guestId,
+        username: 'Guest',
+        created_at: new Date().toISOString(),
+        high_score: 0,
+        total_games: 0,
+        total_bananas: 0,
+        total_score: 0,
+        total_time_played: 0,
+        spendable_bananas: 0,
+        equipped_skin: 'default',
+        audio_settings: null,
+        first_game_at: null,
+        last_game_at: null,
+        highest_level_reached: 0,
+        times_reached_rank_one: 0,
+        total_purchases: 0,
+        total_spent: 0,
+        multiplayer_games: 0,
+        multiplayer_wins: 0
+    };
+
+    for (const [, profileColumn] of Object.values(POWERUP_COLUMNS)) {
+        profile[profileColumn] = 0;
+    }
+    for (const land of Object.keys(lands)) {
+        profile[`${land}_games_played`] = 0;
+        profile[`${land}_best_score`] = 0;
+    }
+
+    return profile;
+}
+
+function hasProgress(record) {
+    return Boolean(record) && (
+        record.sessions.length > 0 ||
+        record.achievements.length > 0 ||
+        record.skins.length > 0 ||
+        record.purchases.length > 0
+    );
+}
+
+// ============================================
+// GUEST PROGRESS FACTORY
+// ============================================
+
+/**
+ * Creates the guest progress store
+ *
+ * @param {Object} options - Options
+ * @param {Function} options.getClient - Returns the Supabase client (or null while unavailable)
+ * @param {Object} options.syncQueue - From createSyncQueue(); merged writes go through it
+ * @param {Object} [options.store] - From createLocalStore()
+ * @param {Function} [options.generateId] - Guest id / session client_id generator
+ * @returns {Object} Guest progress with record* methods and merge()
+ *
+ * @example
+ * const guestProgress = createGuestProgress({ getClient: () => supabaseClient, syncQueue, store });
+ * userProfile = guestProgress.recordSession(sessionStats);
+ * // ...after sign-in
+ * const { status } = await guestProgress.merge(currentUser.id);
+ */
+export function createGuestProgress(options = {}) {
+    const {
+        getClient,
+        syncQueue,
+        store = createLocalStore(),
+        generateId = createIdGenerator()
+    } = options;
+
+    let merging = null;   // merge in progress
+
+    function load() {
+        return store.read(STORE_KEY, null);
+    }
+
+    function save(record) {
+        store.write(STORE_KEY, record);
+        return record;
+    }
+
+    /**
+     * The guest record, started on first use
+     * @returns {Object} {guestId, profile, sessions, achievements, skins, purchases, progress, claimedBy}
+     */
+    function get() {
+        const record = load();
+        if (record) return record;
+
+        const guestId = generateId();
+        return {
+            guestId,
+            profile: createGuestProfile(guestId),
+            sessions: [],
+            achievements: [],
+            skins: [],
+            purchases: [],
+            progress: {},
+            claimedBy: null
+        };
+    }
+
+    /**
+     * Add a finished run (game_sessions row) to the guest profile
+     *
+     * @param {Object} session - Session row (see buildSessionStats), plus challenge_date / seed / replay
+     * @returns {Object} Updated guest profile
+     */
+    function recordSession(session) {
+        const record = get();
+        const row = { ...session, client_id: session.client_id || generateId() };
+
+        record.sessions.push(row);
+        record.profile = {
+            ...applySessionStats(record.profile, row),
+            spendable_bananas: (record.profile.spendable_bananas || 0) + (row.bananas_collected || 0)
+        };
+        return save(record).profile;
+    }
+
+    /**
+     * Unlock an achievement and credit its reward
+     *
+     * @param {string} achievementId - Achievement id
+     * @param {number} [reward=0] - Banana reward
+     * @returns {Object} Updated guest profile
+     */
+    function recordAchievement(achievementId, reward = 0) {
+        const record = get();
+        if (record.achievements.includes(achievementId)) return record.profile;
+
+        record.achievements.push(achievementId);
+        record.profile.spendable_bananas = (record.profile.spendable_bananas || 0) + reward;
+        return save(record).profile;
+    }
+
+    /**
+     * Unlock an achievement skin
+     *
+     * @param {string} skinId - Skin id
+     * @returns {Object} Updated guest profile
+     */
+    function recordSkin(skinId) {
+        const record = get();
+        if (!record.skins.includes(skinId)) {
+            record.skins.push(skinId);
+            save(record);
+        }
+        return record.profile;
+    }
+
+    /**
+     * Buy a shop skin with the guest's bananas
+     *
+     * @param {string} skinId - Skin id
+     * @param {number} price - Price in bananas
+     * @returns {Object|null} Updated guest profile, or null if already owned / not affordable
+     */
+    function recordPurchase(skinId, price) {
+        const record = get();
+        const { profile } = record;
+        if (record.purchases.includes(skinId) || (profile.spendable_bananas || 0) < price) return null;
+
+        record.purchases.push(skinId);
+        profile.spendable_bananas -= price;
+        profile.total_purchases = (profile.total_purchases || 0) + 1;
+        profile.total_spent = (profile.total_spent || 0) + price;
+        return save(record).profile;
+    }
+
+    /**
+     * Equip a skin on the guest profile
+     * @param {string} skinId - Skin id
+     */
+    function equipSkin(skinId) {
+        const record = get();
+        record.profile.equipped_skin = skinId;
+        save(record);
+    }
+
+    /**
+     * Keep the guest's volume settings on the guest profile
+     * @param {Object} settings - {master, music, sfx, muted}
+     */
+    function setAudioSettings(settings) {
+        const record = get();
+        record.profile.audio_settings = settings;
+        save(record);
+    }
+
+    /**
+     * Keep run / streak achievement progress (see getStoredProgressUpdates)
+     * @param {Object} progress - Stored progress by achievement id
+     */
+    function saveProgress(progress) {
+        const record = get();
+        record.progress = { ...record.progress, ...progress };
+        save(record);
+    }
+
+    /**
+     * Unlocked skins and achievements
+     * @returns {Object} {skins, achievements}
+     */
+    function getUnlocks() {
+        const record = get();
+        return {
+            skins: ['default', ...record.skins, ...record.purchases],
+            achievements: [...record.achievements]
+        };
+    }
+
+    // ============================================
+    // MERGE
+    // ============================================
+
+    /**
+     * Merge the guest progress into a signed-in account
+     *
+     * Concurrent calls share one merge.
+     *
+     * @param {string} playerId - Account to merge into
+     * @returns {Promise<Object>} {status, sessions, achievements, skins, purchases, rejected} (see MERGE_STATUS)
+     */
+    function merge(playerId) {
+        if (!merging) {
+            merging = mergeInto(playerId).finally(() => {
+                merging = null;
+            });
+        }
+        return merging;
+    }
+
+    async function mergeInto(playerId) {
+        const record = load();
+        if (!hasProgress(record)) {
+            clear();
+            return { status: MERGE_STATUS.NOTHING };
+        }
+        if (record.claimedBy && record.claimedBy !== playerId) {
+            return { status: MERGE_STATUS.OTHER_ACCOUNT };
+        }
+
+        if (!record.claimedBy) {
+            const claimed = await claim(record.guestId);
+            if (claimed !== MERGE_STATUS.MERGED) {
+                if (claimed === MERGE_STATUS.ALREADY_MERGED) clear();
+                return { status: claimed };
+            }
+            record.claimedBy = playerId;
+            save(record);
+        }
+
+        // Runs and rewards first, so the bananas are there before purchases spend them
+        const writes = [
+            ...record.sessions.map(session => ['sessions', SYNC_OPERATIONS.SESSION, session]),
+            ...record.achievements.map(achievementId => ['achievements', SYNC_OPERATIONS.ACHIEVEMENT, { achievementId }]),
+            ...record.skins.map(skinId => ['skins', SYNC_OPERATIONS.SKIN, { skinId }]),
+            ...record.purchases.map(skinId => ['purchases', SYNC_OPERATIONS.PURCHASE, { skinId }])
+        ];
+        const summary = { status: MERGE_STATUS.MERGED, sessions: 0, achievements: 0, skins: 0, purchases: 0, rejected: 0 };
+
+        for (const [list, type, payload] of writes) {
+            const { status } = await syncQueue.submit(type, playerId, payload);
+            if (status === SYNC_STATUS.REJECTED) {
+                summary.rejected++;
+            } else {
+                summary[list]++;
+            }
+
+            // Handed to the sync queue - don't submit it again if the merge is interrupted
+            record[list].shift();
+            save(record);
+        }
+
+        clear();
+        return summary;
+    }
+
+    async function claim(guestId) {
+        const supabaseClient = getClient();
+        if (!supabaseClient) return MERGE_STATUS.OFFLINE;
+
+        try {
+            const { error } = await supabaseClient.rpc('claim_guest_progress', { p_guest_id: guestId });
+            if (!error) return MERGE_STATUS.MERGED;
+            if (error.message === ALREADY_MERGED_MESSAGE) return MERGE_STATUS.ALREADY_MERGED;
+
+            console.error('Error claiming guest progress:', error);
+            return MERGE_STATUS.OFFLINE;
+        } catch (err) {
+            console.error('Error claiming guest progress:', err);
+            return MERGE_STATUS.OFFLINE;
+        }
+    }
+
+    function clear() {
+        store.remove(STORE_KEY);
+    }
+
+    return {
+        getProfile: () => get().profile,
+        getProgress: () => ({ ...get().progress }),
+        getUnlocks,
+        hasProgress: () => hasProgress(load()),
+        recordSession,
+        recordAchievement,
+        recordSkin,
+        recordPurchase,
+        equipSkin,
+        setAudioSettings,
+        saveProgress,
+        merge,
+        clear
+    };
+}
+
+export default createGuestProgress;
@@ -0,0 +1,673 @@
+/**
+ * @fileoverview In-memory Supabase stand-in for Banana Runner
+ *
+ * Implements the slice of the supabase-js client the services use - auth
+ * (password sign-up / sign-in, sessions, email change, password reset),
+ * simple table queries, the account, friends, leaderboard and season RPCs
+ * and the username-sign-in edge function - on plain in-memory tables. The
+ * RPCs mirror their SQL versions in supabase-schema.sql, and only the ones
+ * granted to clients are offered (plus finalize_season(), which the
+ * season script runs with the service role). Sent emails land in an
+ * outbox, and confirmEmailChange() / openRecoveryLink() play the part of
+ * the player clicking the links, so account flows can run end to end in
+ * Node without a Supabase project.
+ *
+ * @module services/localSupabase
+ */
+
+import { isInternalEmail, usernameToEmail } from './auth.js';
+import { LEADERBOARD_WINDOWS, rankLeaderboard, pageLeaderboard, findPlayerRank } from '../game/leaderboard.js';
+import { getActiveSeason, buildSeasonStandings } from '../game/seasons.js';
+
+/**
+ * Tables that belong to a player (player_id column), cleared by delete_account
+ * @constant {Array<string>}
+ */
+const PLAYER_TABLES = [
+    'game_sessions', 'player_skins', 'player_achievements', 'achievement_progress',
+    'banana_transactions', 'matchmaking_queue', 'lobby_players', 'season_standings'
+];
+
+/**
+ * Columns that must be unique per table (Postgres unique_violation otherwise)
+ * @constant {Object}
+ */
+const UNIQUE_COLUMNS = {
+    profiles: ['id', 'username'],
+    game_sessions: ['client_id']
+};
+
+// ============================================
+// CLIENT FACTORY
+// ============================================
+
+/**
+ * Creates an in-memory Supabase client
+ *
+ * @param {Object} [options] - Options
+ * @param {Object} [options.tables] - Initial rows by table name
+ * @param {Object} [options.rpc] - Extra RPC handlers by name: (args, ctx) => {data, error}
+ * @param {Function} [options.generateId] - Row / user id generator
+ * @returns {Object} Client with auth, from(), rpc() and functions, plus outbox and link helpers
+ *
+ * @example
+ * const supabase = createLocalSupabase();
+ * const auth = createAuthService(supabase, callbacks);
+ * await auth.signUp('banana_fan', 'secret123');
+ * await auth.requestPasswordReset('fan@example.com');
+ * await supabase.openRecoveryLink('fan@example.com');
+ */
+export function createLocalSupabase(options = {}) {
+    let idCounter = 0;
+    const {
+        tables: initialTables = {},
+        rpc: extraRpc = {},
+        generateId = () => `local-${++idCounter}`
+    } = options;
+
+    const tables = {};
+    for (const [name, rows] of Object.entries(initialTables)) {
+        tables[name] = rows.map(row => ({ ...row }));
+    }
+
+    const users = new Map();   // id -> {id, email, password, new_email, user_metadata}
+    const listeners = new Set();
+    const outbox = [];         // {to, type, userId}
+    const issued = new Map();  // access_token -> session handed out (sign-ins, edge functions)
+    let session = null;
+
+    function table(name) {
+        tables[name] = tables[name] || [];
+        return tables[name];
+    }
+
+    // The user as supabase-js returns it (no password)
+    function publicUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            new_email: user.new_email,
+            user_metadata: { ...user.user_metadata }
+        };
+    }
+
+    function findUserByEmail(email) {
+        const address = String(email || '').toLowerCase();
+        return [...users.values()].find(user => user.email === address) || null;
+    }
+
+    function issueSession(user) {
+        const issuedSession = { access_token: generateId(), refresh_token: generateId(), user: publicUser(user) };
+        issued.set(issuedSession.access_token, issuedSession);
+        return issuedSession;
+    }
+
+    async function startSession(user, event = 'SIGNED_IN') {
+        session = issueSession(user);
+        await emit(event);
+        return session;
+    }
+
+    // Like supabase-js, auth calls resolve after the listeners have run
+    async function emit(event) {
+        await Promise.all([...listeners].map(listener => listener(event, session)));
+    }
+
+    function authError(message, status = 400) {
+        return { message, status };
+    }
+
+    function dbError(message, code = 'P0001') {
+        return { message, code };
+    }
+
+    function currentUserId() {
+        return session?.user.id || null;
+    }
+
+    // ============================================
+    // AUTH
+    // ============================================
+
+    const auth = {
+        async getSession() {
+            return { data: { session }, error: null };
+        },
+
+        onAuthStateChange(callback) {
+            listeners.add(callback);
+            return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+        },
+
+        async signUp({ email, password, options: signUpOptions = {} }) {
+            if (findUserByEmail(email)) {
+                return { data: { user: null, session: null }, error: authError('User already registered', 422) };
+            }
+
+            const user = {
+                id: generateId(),
+                email: email.toLowerCase(),
+                password,
+                new_email: null,
+                user_metadata: { ...(signUpOptions.data || {}) }
+            };
+            users.set(user.id, user);
+
+            // handle_new_user()
+            const username = user.user_metadata.username || email.split('@')[0];
+            if (!table('profiles').some(row => row.id === user.id)) {
+                table('profiles').push({ id: user.id, username });
+            }
+
+            await startSession(user);
+            return { data: { user: publicUser(user), session }, error: null };
+        },
+
+        async signInWithPassword({ email, password }) {
+            const user = findUserByEmail(email);
+            if (!user || user.password !== password) {
+                return { data: { user: null, session: null }, error: authError('Invalid login credentials') };
+            }
+            await startSession(user);
+            return { data: { user: publicUser(user), session }, error: null };
+        },
+
+        async setSession({ access_token: accessToken, refresh_token: refreshToken } = {}) {
+            const issuedSession = issued.get(accessToken);
+            const user = issuedSession && issuedSession.refresh_token === refreshToken && users.get(issuedSession.user.id);
+            if (!user) return { data: { user: null, session: null }, error: authError('Invalid Refresh Token', 401) };
+
+            session = { ...issuedSession, user: publicUser(user) };
+            await emit('SIGNED_IN');
+            return { data: { user: publicUser(user), session }, error: null };
+        },
+
+        async signOut() {
+            session = null;
+            await emit('SIGNED_OUT');
+            return { error: null };
+        },
+
+        async refreshSession() {
+            const user = session && users.get(session.user.id);
+            if (!user) return { data: { user: null, session: null }, error: authError('Not signed in', 401) };
+            await startSession(user, 'TOKEN_REFRESHED');
+            return { data: { user: publicUser(user), session }, error: null };
+        },
+
+        async updateUser(attributes = {}) {
+            const user = session && users.get(session.user.id);
+            if (!user) return { data: { user: null }, error: authError('Not signed in', 401) };
+
+            if (attributes.email) {
+                const email = attributes.email.toLowerCase();
+                const owner = findUserByEmail(email);
+                if (owner && owner.id !== user.id) {
+                    return { data: { user: null }, error: authError('A user with this email address has already been registered', 422) };
+                }
+                // Confirmed from the new inbox (see confirmEmailChange)
+                user.new_email = email;
+                outbox.push({ to: email, type: 'email_change', userId: user.id });
+            }
+            if (attributes.password) {
+                user.password = attributes.password;
+            }
+            if (attributes.data) {
+                user.user_metadata = { ...user.user_metadata, ...attributes.data };
+            }
+
+            session = { ...session, user: publicUser(user) };
+            await emit('USER_UPDATED');
+            return { data: { user: publicUser(user) }, error: null };
+        },
+
+        async resetPasswordForEmail(email) {
+            const user = findUserByEmail(email);
+            if (user) {
+                outbox.push({ to: user.email, type: 'recovery', userId: user.id });
+            }
+            return { data: {}, error: null };
+        }
+    };
+
+    /**
+     * Click the confirmation link of a pending email change
+     *
+     * @param {string} userId - User who asked for the change
+     * @returns {Promise<boolean>} True if there was a change to confirm
+     */
+    async function confirmEmailChange(userId) {
+        const user = users.get(userId);
+        if (!user?.new_email) return false;
+
+        user.email = user.new_email;
+        user.new_email = null;
+        if (session?.user.id === userId) {
+            session = { ...session, user: publicUser(user) };
+            await emit('USER_UPDATED');
+        }
+        return true;
+    }
+
+    /**
+     * Click the most recent password reset link sent to an address - signs
+     * in as its owner with a PASSWORD_RECOVERY event
+     *
+     * @param {string} email - Address the link was sent to
+     * @returns {Promise<boolean>} True if a link had been sent
+     */
+    async function openRecoveryLink(email) {
+        const address = email.toLowerCase();
+        const link = [...outbox].reverse().find(mail => mail.type === 'recovery' && mail.to === address);
+        const user = link && users.get(link.userId);
+        if (!user) return false;
+
+        await startSession(user, 'PASSWORD_RECOVERY');
+        return true;
+    }
+
+    // ============================================
+    // TABLES
+    // ============================================
+
+    /**
+     * Query builder for one table (awaitable like supabase-js)
+     */
+    function from(name) {
+        const filters = [];
+        let operation = { type: 'select' };
+        let single = null;   // 'single' | 'maybe'
+        let limit = null;
+        let order = null;
+
+        const builder = {
+            select() {
+                if (operation.type === 'select') operation = { type: 'select' };
+                return builder;
+            },
+            insert(rows) {
+                operation = { type: 'insert', rows: [].concat(rows) };
+                return builder;
+            },
+            upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+                operation = { type: 'upsert', rows: [].concat(rows), onConflict, ignoreDuplicates };
+                return builder;
+            },
+            update(values) {
+                operation = { type: 'update', values };
+                return builder;
+            },
+            delete() {
+                operation = { type: 'delete' };
+                return builder;
+            },
+            eq(column, value) {
+                filters.push(row => row[column] === value);
+                return builder;
+            },
+            in(column, values) {
+                filters.push(row => values.includes(row[column]));
+                return builder;
+            },
+            is(column, value) {
+                filters.push(row => (row[column] ?? null) === value);
+                return builder;
+            },
+            gt(column, value) {
+                filters.push(row => row[column] > value);
+                return builder;
+            },
+            order(column, { ascending = true } = {}) {
+                order = { column, ascending };
+                return builder;
+            },
+            limit(count) {
+                limit = count;
+                return builder;
+            },
+            single() {
+                single = 'single';
+                return builder;
+            },
+            maybeSingle() {
+                single = 'maybe';
+                return builder;
+            },
+            then(resolve, reject) {
+                return Promise.resolve().then(run).then(resolve, reject);
+            }
+        };
+
+        function matches(row) {
+            return filters.every(filter => filter(row));
+        }
+
+        function violation(row, ignore = null) {
+            return (UNIQUE_COLUMNS[name] || []).some(column =>
+                row[column] != null && table(name).some(other => other !== ignore && other[column] === row[column])
+            );
+        }
+
+        function run() {
+            const rows = table(name);
+            let result = [];
+
+            switch (operation.type) {
+                case 'insert':
+                    for (const row of operation.rows) {
+                        if (violation(row)) return { data: null, error: dbError('duplicate key value violates unique constraint', '23505') };
+                        const inserted = { id: generateId(), created_at: new Date().toISOString(), ...row };
+                        rows.push(inserted);
+                        result.push(inserted);
+                    }
+                    break;
+                case 'upsert':
+                    for (const row of operation.rows) {
+                        const existing = rows.find(other => operation.onConflict.split(',').every(column => other[column] === row[column]));
+                        if (existing) {
+                            if (operation.ignoreDuplicates) continue;
+                            if (violation({ ...existing, ...row }, existing)) return { data: null, error: dbError('duplicate key value violates unique constraint', '23505') };
+                            Object.assign(existing, row);
+                            result.push(existing);
+                        } else {
+                            if (violation(row)) return { data: null, error: dbError('duplicate key value violates unique constraint', '23505') };
+                            const inserted = { id: generateId(), created_at: new Date().toISOString(), ...row };
+                            rows.push(inserted);
+                            result.push(inserted);
+                        }
+                    }
+                    break;
+                case 'update':
+                    for (const row of rows.filter(matches)) {
+                        Object.assign(row, operation.values);
+                        result.push(row);
+                    }
+                    break;
+                case 'delete':
+                    result = rows.filter(matches);
+                    tables[name] = rows.filter(row => !matches(row));
+                    break;
+                default:
+                    result = rows.filter(matches);
+            }
+
+            if (order) {
+                const { column, ascending } = order;
+                result = [...result].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+            }
+            if (limit !== null) result = result.slice(0, limit);
+            result = result.map(row => ({ ...row }));
+
+            if (single) {
+                if (result.length === 1) return { data: result[0], error: null };
+                if (result.length === 0 && single === 'maybe') return { data: null, error: null };
+                return { data: null, error: dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116') };
+            }
+            return { data: result, error: null };
+        }
+
+        return builder;
+    }
+
+    // ============================================
+    // RPC (mirrors the SQL functions)
+    // ============================================
+
+    const rpcHandlers = {
+        change_username({ p_username }) {
+            const me = currentUserId();
+            if (!me) return { data: null, error: dbError('Not signed in') };
+            if (!p_username || p_username.length < 3 || !/^[a-zA-Z0-9_]+$/.test(p_username)) {
+                return { data: null, error: dbError('Invalid username') };
+            }
+
+            const internalEmail = usernameToEmail(p_username);
+            const taken = table('profiles').some(row => row.id !== me && row.username.toLowerCase() === p_username.toLowerCase())
+                || [...users.values()].some(user => user.id !== me && user.email === internalEmail);
+            if (taken) return { data: null, error: dbError('Username already taken') };
+
+            table('profiles').find(row => row.id === me).username = p_username;
+            const user = users.get(me);
+            user.user_metadata = { ...user.user_metadata, username: p_username };
+            if (isInternalEmail(user.email)) user.email = internalEmail;
+            return { data: p_username, error: null };
+        },
+
+        delete_account() {
+            const me = currentUserId();
+            if (!me) return { data: null, error: dbError('Not signed in') };
+
+            // remove_lobby_player() for each lobby: hand hosted lobbies on, drop empty ones
+            for (const { lobby_id: lobbyId } of table('lobby_players').filter(row => row.player_id === me)) {
+                tables.lobby_players = table('lobby_players').filter(row => !(row.lobby_id === lobbyId && row.player_id === me));
+                const nextHost = table('lobby_players').find(row => row.lobby_id === lobbyId);
+                const lobby = table('game_lobbies').find(row => row.id === lobbyId);
+                if (lobby && lobby.host_id === me && nextHost) lobby.host_id = nextHost.player_id;
+                if (!nextHost) tables.game_lobbies = table('game_lobbies').filter(row => row.id !== lobbyId);
+            }
+            tables.game_lobbies = table('game_lobbies').filter(row => row.host_id !== me);
+
+            for (const name of PLAYER_TABLES) {
+                tables[name] = table(name).filter(row => row.player_id !== me);
+            }
+            // Merged guest ids stay claimed
+            for (const row of table('guest_merges').filter(merge => merge.player_id === me)) {
+                row.player_id = null;
+            }
+            // ON DELETE CASCADE from profiles
+            tables.friendships = table('friendships').filter(row => row.requester_id !== me && row.addressee_id !== me);
+            tables.lobby_invites = table('lobby_invites').filter(row => row.from_id !== me && row.to_id !== me);
+            tables.profiles = table('profiles').filter(row => row.id !== me);
+            users.delete(me);
+            return { data: true, error: null };
+        },
+
+        send_friend_request({ p_username }) {
+            const me = currentUserId();
+            if (!me) return { data: null, error: dbError('Not signed in') };
+
+            const target = table('profiles').find(row => row.username.toLowerCase() === String(p_username).toLowerCase());
+            if (!target) return { data: null, error: dbError('Player not found') };
+            if (target.id === me) return { data: null, error: dbError('You can\'t add yourself') };
+
+            const existing = findFriendship(me, target.id);
+            if (!existing) {
+                table('friendships').push({
+                    id: generateId(),
+                    requester_id: me,
+                    addressee_id: target.id,
+                    status: 'pending',
+                    created_at: new Date().toISOString(),
+                    responded_at: null
+                });
+                return { data: 'pending', error: null };
+            }
+            if (existing.status === 'blocked') {
+                return { data: null, error: dbError(existing.requester_id === me ? 'Unblock this player first' : 'Player not found') };
+            }
+            if (existing.status === 'pending' && existing.addressee_id === me) {
+                Object.assign(existing, { status: 'accepted', responded_at: new Date().toISOString() });
+                return { data: 'accepted', error: null };
+            }
+            return { data: existing.status, error: null };
+        },
+
+        respond_friend_request({ p_friendship_id, p_accept }) {
+            const me = currentUserId();
+            if (!me) return { data: null, error: dbError('Not signed in') };
+
+            const request = table('friendships').find(row =>
+                row.id === p_friendship_id && row.addressee_id === me && row.status === 'pending'
+            );
+            if (!request) return { data: null, error: dbError('Friend request not found') };
+
+            if (p_accept) {
+                Object.assign(request, { status: 'accepted', responded_at: new Date().toISOString() });
+                return { data: 'accepted', error: null };
+            }
+            tables.friendships = table('friendships').filter(row => row !== request);
+            return { data: 'declined', error: null };
+        },
+
+        block_player({ p_player_id }) {
+            const me = currentUserId();
+            if (!me) return { data: null, error: dbError('Not signed in') };
+            if (p_player_id === me) return { data: null, error: dbError('You can\'t block yourself') };
+
+            const existing = findFriendship(me, p_player_id);
+            if (existing?.status === 'blocked' && existing.requester_id === p_player_id) {
+                return { data: 'blocked', error: null };
+            }
+
+            tables.friendships = table('friendships').filter(row => row !== existing);
+            table('friendships').push({
+                id: generateId(),
+                requester_id: me,
+                addressee_id: p_player_id,
+                status: 'blocked',
+                created_at: new Date().toISOString(),
+                responded_at: new Date().toISOString()
+            });
+            tables.lobby_invites = table('lobby_invites').filter(row =>
+                !((row.from_id === me && row.to_id === p_player_id) || (row.from_id === p_player_id && row.to_id === me))
+            );
+            return { data: 'blocked', error: null };
+        },
+
+        get_leaderboard({ p_window, p_land = null, p_verified = null, p_limit = 10, p_after_score = null, p_after_at = null, p_after_player = null, p_players = null }) {
+            const cursor = p_after_score === null ? null : { score: p_after_score, achievedAt: p_after_at, playerId: p_after_player };
+            const limit = Math.min(Math.max(p_limit, 1), 101);
+            return { data: pageLeaderboard(leaderboard(p_window, p_land, p_verified, p_players), { limit, cursor }), error: null };
+        },
+
+        get_leaderboard_rank({ p_player_id, p_window, p_land = null, p_verified = null, p_neighbors = 2, p_players = null }) {
+            const found = findPlayerRank(leaderboard(p_window, p_land, p_verified, p_players), p_player_id, Math.max(p_neighbors, 0));
+            if (!found) return { data: [], error: null };
+
+            const firstPosition = found.position - found.neighbors.indexOf(found.entry);
+            return {
+                data: found.neighbors.map((entry, i) => ({ ...entry, position: firstPosition + i, total: found.total })),
+                error: null
+            };
+        },
+
+        finalize_season({ p_season_id }) {
+            const season = table('seasons').find(row => row.id === p_season_id);
+            if (!season) return { data: null, error: dbError('Season not found') };
+            if (new Date(season.ends_at) > new Date()) return { data: null, error: dbError('Season has not ended') };
+            if (season.finalized_at) return { data: null, error: dbError('Season already finalized') };
+
+            const ranked = leaderboard(LEADERBOARD_WINDOWS.SEASON, null, true, null, season.id);
+            const standings = buildSeasonStandings(ranked, season.id);
+            for (const standing of standings) {
+                table('season_standings').push({ ...standing, seen_at: null });
+
+                // credit_bananas() and the skin unlock
+                const profile = table('profiles').find(row => row.id === standing.player_id);
+                if (standing.bananas > 0 && profile) {
+                    profile.spendable_bananas = (profile.spendable_bananas || 0) + standing.bananas;
+                    table('banana_transactions').push({
+                        id: generateId(),
+                        player_id: standing.player_id,
+                        amount: standing.bananas,
+                        reason: 'season_reward',
+                        reference: `season:${season.id}`,
+                        balance_after: profile.spendable_bananas,
+                        created_at: new Date().toISOString()
+                    });
+                }
+                const owned = table('player_skins').some(row => row.player_id === standing.player_id && row.skin_id === standing.skin_id);
+                if (standing.skin_id && !owned) {
+                    table('player_skins').push({ id: generateId(), player_id: standing.player_id, skin_id: standing.skin_id, unlocked_at: new Date().toISOString() });
+                }
+            }
+            season.finalized_at = new Date().toISOString();
+            return { data: standings.length, error: null };
+        },
+
+        mark_season_results_seen() {
+            const me = currentUserId();
+            if (!me) return { data: null, error: dbError('Not signed in') };
+
+            const unseen = table('season_standings').filter(row => row.player_id === me && !row.seen_at);
+            for (const row of unseen) row.seen_at = new Date().toISOString();
+            return { data: unseen.length, error: null };
+        },
+
+        ...extraRpc
+    };
+
+    // ranked_leaderboard() over the in-memory sessions ('season' = the
+    // current season unless one is given)
+    function leaderboard(window, land, verifiedOnly, players, season = getActiveSeason(table('seasons'))?.id ?? null) {
+        const usernames = new Map(table('profiles').map(row => [row.id, row.username]));
+        const sessions = table('game_sessions')
+            .filter(row => usernames.has(row.player_id))
+            .map(row => ({ ...row, username: usernames.get(row.player_id) }));
+        return rankLeaderboard(sessions, { window, land, verifiedOnly, players, season });
+    }
+
+    function findFriendship(a, b) {
+        return table('friendships').find(row =>
+            (row.requester_id === a && row.addressee_id === b) || (row.requester_id === b && row.addressee_id === a)
+        );
+    }
+
+    async function rpc(name, args = {}) {
+        const handler = rpcHandlers[name];
+        if (!handler) {
+            return { data: null, error: dbError(`Could not find the function ${name}`, 'PGRST202') };
+        }
+        return handler(args, { userId: currentUserId(), tables, table });
+    }
+
+    // ============================================
+    // EDGE FUNCTIONS (mirror supabase/functions)
+    // ============================================
+
+    const functionHandlers = {
+        // Signs in server-side, so a linked email never reaches the client
+        'username-sign-in'({ username, password } = {}) {
+            if (typeof username !== 'string' || typeof password !== 'string' || username.includes('@')) {
+                return { status: 400, body: { error: 'Invalid request' } };
+            }
+
+            const profile = table('profiles').find(row => row.username.toLowerCase() === username.toLowerCase());
+            const user = profile && users.get(profile.id);
+            if (!user || user.password !== password) {
+                return { status: 401, body: { error: 'Invalid login credentials' } };
+            }
+
+            const { access_token: accessToken, refresh_token: refreshToken } = issueSession(user);
+            return { status: 200, body: { session: { access_token: accessToken, refresh_token: refreshToken } } };
+        }
+    };
+
+    const functions = {
+        async invoke(name, { body } = {}) {
+            const handler = functionHandlers[name];
+            if (!handler) {
+                return { data: null, error: { name: 'FunctionsHttpError', message: 'Function not found' } };
+            }
+
+            const response = handler(body);
+            if (response.status >= 400) {
+                return { data: null, error: { name: 'FunctionsHttpError', message: response.body.error, status: response.status } };
+            }
+            return { data: response.body, error: null };
+        }
+    };
+
+    return {
+        auth,
+        from,
+        rpc,
+        functions,
+        tables,
+        outbox,
+        confirmEmailChange,
+        openRecoveryLink
+    };
+}
+
+export default createLocalSupabase;
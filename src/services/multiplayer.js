@@ -6,10 +6,27 @@
  * - Real-time player updates
  * - Game state synchronization
  * - Ready status management
+ * - Heartbeats and rejoining after a dropped connection
+ * - Joining from a friend's lobby invite
+ *
+ * The lobby logic here talks to a pluggable transport (see
+ * MultiplayerTransport in multiplayer/protocol.js):
+ * - 'supabase' (default) - lobby rows + Realtime; clients resolve rounds
+ * - 'websocket' - the authoritative room server in server/room-server.mjs
+ * - any transport object, e.g. createLoopbackHub().createTransport() to
+ *   run several clients in one process
  *
  * @module services/multiplayer
  */
 
+import { ROOM_SERVER_URL, PRESENCE_HEARTBEAT_MS, RECONNECT_GRACE_MS } from '../core/config.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, generateLobbyCode } from '../multiplayer/protocol.js';
+import { rankPlayers } from '../multiplayer/room.js';
+import { PRESENCE_STATUS } from '../multiplayer/presence.js';
+import { createSupabaseTransport } from '../multiplayer/supabaseTransport.js';
+import { createWebSocketTransport } from '../multiplayer/websocketTransport.js';
+import { isInviteFresh } from './friends.js';
+
 // ============================================
 // MULTIPLAYER SERVICE FACTORY
 // ============================================
@@ -17,241 +34,390 @@
 /**
  * Creates a multiplayer service instance
  *
- * @param {Object} supabaseClient - Initialized Supabase client
+ * @param {Object} supabaseClient - Initialized Supabase client (only needed for the supabase transport)
  * @param {Object} callbacks - Callback functions
  * @param {Function} callbacks.onLobbyUpdate - Called when lobby state changes
  * @param {Function} callbacks.onPlayersUpdate - Called when players change
- * @param {Function} callbacks.onGameStart - Called when game should start
- * @param {Function} callbacks.onOpponentScore - Called with opponent score updates
+ * @param {Function} callbacks.onGameStart - Called with {seed, round, resumed} when a round starts (resumed = rejoined mid-round)
+ * @param {Function} callbacks.onOpponentScore - Called with opponent state updates
+ * @param {Function} [callbacks.onCountdown] - Called with seconds left before a round starts (room transports)
+ * @param {Function} [callbacks.onRoundOver] - Called with {finalStates, ranking} when a round ends
+ * @param {Function} [callbacks.onError] - Called with an error message from the transport
+ * @param {Function} [callbacks.onQueueUpdate] - Called with the matchmaking status while queued
+ * @param {Function} [callbacks.onPresenceChange] - Called with {playerId, status} when another player drops, returns or expires
+ * @param {Function} [callbacks.onConnectionChange] - Called with 'reconnecting', 'connected' or 'lost' for our own connection
+ * @param {Object} [options] - Service options
+ * @param {string|Object} [options.transport='supabase'] - 'supabase', 'websocket' or a transport object
+ * @param {string} [options.serverUrl] - Room server URL for the websocket transport (ROOM_SERVER_URL)
+ * @param {Function} [options.getAccessToken] - Resolves the Supabase access token the websocket transport joins with
+ * @param {string} [options.username] - Display name sent when joining
  * @returns {Object} Multiplayer service with methods
  *
  * @example
  * const mp = createMultiplayerService(supabaseClient, {
  *     onLobbyUpdate: (lobby) => updateLobbyUI(lobby),
  *     onPlayersUpdate: (players) => updatePlayersUI(players),
- *     onGameStart: () => startGame(),
- *     onOpponentScore: (score) => updateOpponentScore(score)
+ *     onGameStart: ({ seed }) => startGame(seed),
+ *     onOpponentScore: (state) => updateOpponent(state)
  * });
+ *
+ * // Against the room server instead of Supabase Realtime
+ * const mp = createMultiplayerService(null, callbacks, { transport: 'websocket', username, getAccessToken });
+ *
+ * // Several clients in one process
+ * const hub = createLoopbackHub();
+ * const mp = createMultiplayerService(null, callbacks, { transport: hub.createTransport() });
  */
-export function createMultiplayerService(supabaseClient, callbacks = {}) {
+export function createMultiplayerService(supabaseClient, callbacks = {}, options = {}) {
     const {
         onLobbyUpdate = () => {},
         onPlayersUpdate = () => {},
         onGameStart = () => {},
-        onOpponentScore = () => {}
+        onOpponentScore = () => {},
+        onCountdown = () => {},
+        onRoundOver = () => {},
+        onError = () => {},
+        onQueueUpdate = () => {},
+        onPresenceChange = () => {},
+        onConnectionChange = () => {}
     } = callbacks;
 
+    const {
+        transport: transportOption = 'supabase',
+        serverUrl = ROOM_SERVER_URL,
+        getAccessToken,
+        username = 'Player'
+    } = options;
+
+    const transport = resolveTransport(transportOption, supabaseClient, { serverUrl, getAccessToken });
+    transport.onMessage(handleTransportMessage);
+
     // Internal state
     let currentLobby = null;
     let lobbyPlayers = [];
-    let lobbySubscription = null;
-    let playersSubscription = null;
     let isHost = false;
+    let localPlayerId = null;
+    let listeningForOpponents = false;
+
+    // Round in progress, tracked locally when the transport isn't
+    // authoritative (playerId -> {id, username, score, bananas, isAlive})
+    let roundStates = null;
+    let currentRound = 0;
+
+    // Presence
+    let heartbeatTimer = null;
+    let reconnecting = null;        // Promise while rejoining after a drop
+    let rejoinRefused = false;      // The lobby answered a rejoin with an error
+
+    // ============================================
+    // TRANSPORT MESSAGES
+    // ============================================
 
     /**
-     * Generate a random lobby code
-     * @returns {string} 6-character uppercase alphanumeric code
+     * Apply a message from the transport
+     *
+     * @param {string} event - SERVER_EVENTS value
+     * @param {Object} payload - Event payload
      */
-    function generateLobbyCode() {
-        return Math.random().toString(36).substring(2, 8).toUpperCase();
+    function handleTransportMessage(event, payload) {
+        switch (event) {
+            case SERVER_EVENTS.LOBBY_STATE:
+                applyLobbyState(payload);
+                break;
+            case SERVER_EVENTS.QUEUE_STATUS:
+                onQueueUpdate(payload);
+                break;
+            case SERVER_EVENTS.COUNTDOWN:
+                onCountdown(payload.remaining);
+                break;
+            case SERVER_EVENTS.ROUND_START: {
+                const sameRound = payload.resumed && payload.round === currentRound && roundStates;
+                currentRound = payload.round;
+                if (!transport.authoritative && !sameRound) {
+                    beginRoundTracking();
+                }
+                onGameStart(payload);
+                break;
+            }
+            case SERVER_EVENTS.PLAYER_UPDATE:
+                if (payload.playerId === localPlayerId) break;
+                if (listeningForOpponents) {
+                    onOpponentScore(payload);
+                }
+                if (!transport.authoritative) {
+                    trackPlayerState(payload.playerId, payload);
+                }
+                break;
+            case SERVER_EVENTS.ROUND_OVER:
+                handleRoundOver(payload);
+                break;
+            case SERVER_EVENTS.PRESENCE:
+                if (payload.status === PRESENCE_STATUS.EXPIRED && !transport.authoritative) {
+                    forfeitRoundPlayer(payload.playerId);
+                }
+                onPresenceChange(payload);
+                break;
+            case SERVER_EVENTS.CONNECTION_LOST:
+                reconnect();
+                break;
+            case SERVER_EVENTS.ERROR:
+                if (reconnecting) {
+                    rejoinRefused = true;
+                }
+                onError(payload.message);
+                break;
+            default:
+                // game_seed / play_again - the seed arrives again with round_start
+                break;
+        }
+    }
+
+    function applyLobbyState({ lobby, players }) {
+        currentLobby = lobby;
+        lobbyPlayers = players;
+        isHost = currentLobby.host_id === localPlayerId;
+        onLobbyUpdate(currentLobby);
+        onPlayersUpdate(lobbyPlayers);
+
+        // Players who left mid-round no longer hold the round open
+        if (roundStates) {
+            const present = new Set(players.map(p => p.player_id));
+            for (const id of roundStates.keys()) {
+                if (!present.has(id)) roundStates.delete(id);
+            }
+            checkRoundOver();
+        }
+    }
+
+    // ============================================
+    // ROUND RESOLUTION (NON-AUTHORITATIVE TRANSPORTS)
+    // ============================================
+
+    function beginRoundTracking() {
+        roundStates = new Map(lobbyPlayers.map(p => [p.player_id, {
+            id: p.player_id,
+            username: p.profiles?.username || 'Player',
+            score: 0,
+            bananas: 0,
+            isAlive: true,
+            seq: 0
+        }]));
     }
 
     /**
-     * Create a new lobby
-     *
-     * @param {string} hostId - Host player's user ID
-     * @param {string} land - Selected land/biome
-     * @returns {Promise<Object|null>} Created lobby or null on failure
+     * Record a player's latest state and end the round once everyone is dead
      */
-    async function createLobby(hostId, land) {
-        if (!supabaseClient || !hostId) return null;
-
-        const code = generateLobbyCode();
-
-        const { data, error } = await supabaseClient
-            .from('game_lobbies')
-            .insert({
-                code: code,
-                host_id: hostId,
-                land: land,
-                status: 'waiting'
-            })
-            .select()
-            .single();
-
-        if (error) {
-            console.error('Error creating lobby:', error);
-            return null;
+    function trackPlayerState(playerId, update) {
+        const state = roundStates?.get(playerId);
+        if (!state) return;
+
+        // Ignore packets older than one already seen
+        if (update.seq <= state.seq) return;
+        state.seq = update.seq;
+
+        state.score = Number(update.score) || 0;
+        state.bananas = Number(update.bananas) || 0;
+        if (update.isAlive === false) {
+            state.isAlive = false;
         }
+        checkRoundOver();
+    }
 
-        currentLobby = data;
-        isHost = true;
+    function checkRoundOver() {
+        if (!roundStates) return;
 
-        // Join the lobby as host
-        await joinLobby(data.id, hostId);
+        const states = [...roundStates.values()];
+        if (states.some(p => p.isAlive)) return;
 
-        // Subscribe to lobby updates
-        subscribeToLobby(data.id);
+        const finalStates = {};
+        for (const state of states) {
+            finalStates[state.id] = { ...state, isAlive: false };
+        }
+        const result = { finalStates, ranking: rankPlayers(states), round: currentRound };
 
-        onLobbyUpdate(currentLobby);
-        return data;
+        // Tell everyone, in case they missed the last update
+        roundStates = null;
+        transport.send(CLIENT_EVENTS.ROUND_OVER, result);
+        onRoundOver(result);
     }
 
     /**
-     * Find an available lobby to join, or create a new one
-     *
-     * @param {string} playerId - Player's user ID
-     * @param {string} land - Selected land
-     * @returns {Promise<Object|null>} Lobby or null
+     * A player's grace window ran out mid-round: they count as dead
      */
-    async function findOrCreateLobby(playerId, land) {
-        if (!supabaseClient || !playerId) return null;
-
-        // Try to find an existing waiting lobby
-        const { data: existingLobbies, error } = await supabaseClient
-            .from('game_lobbies')
-            .select('*')
-            .eq('status', 'waiting')
-            .neq('host_id', playerId)
-            .order('created_at', { ascending: true })
-            .limit(1);
-
-        if (existingLobbies && existingLobbies.length > 0) {
-            // Join existing lobby
-            const lobby = existingLobbies[0];
-            currentLobby = lobby;
-            isHost = false;
-
-            await joinLobby(lobby.id, playerId);
-            subscribeToLobby(lobby.id);
-
-            onLobbyUpdate(currentLobby);
-            return lobby;
+    function forfeitRoundPlayer(playerId) {
+        const state = roundStates?.get(playerId);
+        if (!state) return;
+
+        state.isAlive = false;
+        checkRoundOver();
+    }
+
+    function handleRoundOver(payload) {
+        if (transport.authoritative) {
+            onRoundOver(payload);
+            return;
         }
 
-        // No available lobby, create new one
-        return createLobby(playerId, land);
+        // Another client ended the round first
+        if (!roundStates) return;
+        roundStates = null;
+        onRoundOver({
+            ...payload,
+            ranking: payload.ranking || rankPlayers(Object.values(payload.finalStates || {}))
+        });
     }
 
+    // ============================================
+    // LOBBY
+    // ============================================
+
     /**
-     * Join a lobby by code
+     * Join (or create) a lobby through the transport
      *
-     * @param {string} code - Lobby code
-     * @param {string} playerId - Player's user ID
-     * @returns {Promise<Object|null>} Lobby or null
+     * @param {Object} joinPayload - CLIENT_EVENTS.JOIN payload
+     * @returns {Promise<Object|null>} Lobby or null on failure
      */
-    async function joinByCode(code, playerId) {
-        if (!supabaseClient || !playerId) return null;
-
-        const { data: lobby, error } = await supabaseClient
-            .from('game_lobbies')
-            .select('*')
-            .eq('code', code.toUpperCase())
-            .eq('status', 'waiting')
-            .single();
-
-        if (error || !lobby) {
-            console.error('Lobby not found:', code);
-            return null;
+    async function join(joinPayload) {
+        if (!joinPayload.playerId) return null;
+
+        currentLobby = null;
+        lobbyPlayers = [];
+        roundStates = null;
+        localPlayerId = joinPayload.playerId;
+
+        const state = await transport.connect({ username, ...joinPayload });
+        if (!state) return null;
+
+        // The transport usually delivered this as lobby_state already
+        if (!currentLobby) {
+            applyLobbyState(state);
         }
+        startHeartbeat();
+        return currentLobby;
+    }
 
-        currentLobby = lobby;
-        isHost = false;
+    // ============================================
+    // PRESENCE & RECONNECT
+    // ============================================
 
-        await joinLobby(lobby.id, playerId);
-        subscribeToLobby(lobby.id);
+    function startHeartbeat() {
+        stopHeartbeat();
+        heartbeatTimer = setInterval(() => transport.send(CLIENT_EVENTS.HEARTBEAT), PRESENCE_HEARTBEAT_MS);
+    }
 
-        onLobbyUpdate(currentLobby);
-        return lobby;
+    function stopHeartbeat() {
+        if (heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
     }
 
     /**
-     * Add player to lobby_players table
+     * Rejoin the current lobby after the connection dropped (or the tab
+     * woke up). The lobby keeps our place - and our runner, mid-round -
+     * for RECONNECT_GRACE_MS; we keep retrying until then.
+     *
+     * @returns {Promise<boolean>} True once back in the lobby
      */
-    async function joinLobby(lobbyId, playerId) {
-        const { error } = await supabaseClient
-            .from('lobby_players')
-            .insert({
-                lobby_id: lobbyId,
-                player_id: playerId,
-                is_ready: false
+    function reconnect() {
+        if (!currentLobby || !localPlayerId) return Promise.resolve(false);
+        if (!reconnecting) {
+            reconnecting = rejoinLobby(currentLobby).finally(() => {
+                reconnecting = null;
             });
+        }
+        return reconnecting;
+    }
 
-        if (error) {
-            console.error('Error joining lobby:', error);
+    async function rejoinLobby(lobby) {
+        const deadline = Date.now() + RECONNECT_GRACE_MS;
+        const stillInLobby = () => currentLobby?.id === lobby.id;
+        rejoinRefused = false;
+        onConnectionChange('reconnecting');
+
+        while (stillInLobby() && !rejoinRefused && Date.now() < deadline) {
+            const state = await transport.connect({ username, playerId: localPlayerId, code: lobby.code, rejoin: true });
+            if (state && stillInLobby()) {
+                applyLobbyState(state);
+                startHeartbeat();
+                onConnectionChange('connected');
+                return true;
+            }
+            if (!rejoinRefused) {
+                await new Promise(resolve => setTimeout(resolve, PRESENCE_HEARTBEAT_MS));
+            }
         }
+
+        // Out of time (or the lobby forgot us) - we're no longer in it
+        if (stillInLobby()) {
+            transport.disconnect();
+            resetLobby();
+        }
+        onConnectionChange('lost');
+        return false;
     }
 
     /**
-     * Subscribe to lobby and player updates
+     * Create a new lobby
+     *
+     * @param {string} hostId - Host player's user ID
+     * @param {string} land - Selected land/biome
+     * @param {string} [code] - Join code to ask for (random if omitted)
+     * @returns {Promise<Object|null>} Created lobby or null on failure
      */
-    function subscribeToLobby(lobbyId) {
-        // Clean up existing subscriptions
-        unsubscribe();
-
-        // Subscribe to lobby changes
-        lobbySubscription = supabaseClient
-            .channel(`lobby:${lobbyId}`)
-            .on('postgres_changes',
-                { event: '*', schema: 'public', table: 'game_lobbies', filter: `id=eq.${lobbyId}` },
-                (payload) => {
-                    if (payload.new) {
-                        currentLobby = payload.new;
-                        onLobbyUpdate(currentLobby);
-
-                        if (payload.new.status === 'playing') {
-                            onGameStart();
-                        }
-                    }
-                }
-            )
-            .subscribe();
-
-        // Subscribe to player changes
-        playersSubscription = supabaseClient
-            .channel(`lobby_players:${lobbyId}`)
-            .on('postgres_changes',
-                { event: '*', schema: 'public', table: 'lobby_players', filter: `lobby_id=eq.${lobbyId}` },
-                async () => {
-                    await refreshPlayers(lobbyId);
-                    checkAllReady();
-                }
-            )
-            .subscribe();
+    async function createLobby(hostId, land, code = generateLobbyCode()) {
+        if (!hostId) return null;
+        return join({ playerId: hostId, land, create: true, code });
+    }
+
+    /**
+     * Queue for a match with players of similar rating on a land
+     *
+     * Resolves once matched into a lobby; onQueueUpdate reports the
+     * estimated wait meanwhile.
+     *
+     * @param {string} playerId - Player's user ID
+     * @param {string} land - Selected land
+     * @param {Object} [rating] - Player's {rating, deviation} (see multiplayer/rating.js)
+     * @returns {Promise<Object|null>} Lobby, or null if cancelled or failed
+     */
+    async function findOrCreateLobby(playerId, land, rating = {}) {
+        if (!playerId) return null;
+        return join({ playerId, land, rating: rating.rating, deviation: rating.deviation });
+    }
 
-        // Initial player load
-        refreshPlayers(lobbyId);
+    /**
+     * Leave the matchmaking queue (findOrCreateLobby resolves null)
+     */
+    async function cancelMatchmaking() {
+        if (currentLobby) return;
+        await transport.send(CLIENT_EVENTS.LEAVE);
+        transport.disconnect();
     }
 
     /**
-     * Refresh players list from database
+     * Join a lobby by code
+     *
+     * @param {string} code - Lobby code
+     * @param {string} playerId - Player's user ID
+     * @returns {Promise<Object|null>} Lobby or null
      */
-    async function refreshPlayers(lobbyId) {
-        const { data, error } = await supabaseClient
-            .from('lobby_players')
-            .select('*, profiles(username)')
-            .eq('lobby_id', lobbyId);
-
-        if (!error && data) {
-            lobbyPlayers = data;
-            onPlayersUpdate(lobbyPlayers);
-        }
+    async function joinByCode(code, playerId) {
+        if (!playerId || !code) return null;
+        return join({ playerId, code: code.toUpperCase() });
     }
 
     /**
-     * Check if all players are ready and start game
+     * Join the lobby a friend invited us to (lobby_invites row, see
+     * sendLobbyInvite in services/database)
+     *
+     * @param {Object} invite - Invite with lobby_code and created_at
+     * @param {string} playerId - Player's user ID
+     * @returns {Promise<Object|null>} Lobby or null (expired invite, or the lobby is gone / full)
      */
-    async function checkAllReady() {
-        if (!isHost || lobbyPlayers.length < 2) return;
-
-        const allReady = lobbyPlayers.every(p => p.is_ready);
-        if (allReady) {
-            // Host starts the game
-            await supabaseClient
-                .from('game_lobbies')
-                .update({ status: 'playing' })
-                .eq('id', currentLobby.id);
-        }
+    async function joinFromInvite(invite, playerId) {
+        if (!isInviteFresh(invite)) return null;
+        return joinByCode(invite.lobby_code, playerId);
     }
 
     /**
@@ -266,92 +432,97 @@ export function createMultiplayerService(supabaseClient, callbacks = {}) {
         const currentPlayer = lobbyPlayers.find(p => p.player_id === playerId);
         const newReady = !currentPlayer?.is_ready;
 
-        await supabaseClient
-            .from('lobby_players')
-            .update({ is_ready: newReady })
-            .eq('lobby_id', currentLobby.id)
-            .eq('player_id', playerId);
-
+        await transport.send(CLIENT_EVENTS.READY, { isReady: newReady });
         return newReady;
     }
 
     /**
-     * Leave the current lobby
+     * Leave the current lobby (if we were host, the next player to have
+     * joined takes over)
      *
      * @param {string} playerId - Player's user ID
      */
     async function leaveLobby(playerId) {
         if (!currentLobby || !playerId) return;
 
-        // Remove from lobby_players
-        await supabaseClient
-            .from('lobby_players')
-            .delete()
-            .eq('lobby_id', currentLobby.id)
-            .eq('player_id', playerId);
-
-        // If host, delete the lobby
-        if (isHost) {
-            await supabaseClient
-                .from('game_lobbies')
-                .delete()
-                .eq('id', currentLobby.id);
-        }
+        await transport.send(CLIENT_EVENTS.LEAVE);
+        transport.disconnect();
+        resetLobby();
+    }
 
-        unsubscribe();
+    function resetLobby() {
+        stopHeartbeat();
         currentLobby = null;
         lobbyPlayers = [];
         isHost = false;
+        listeningForOpponents = false;
+        roundStates = null;
 
         onLobbyUpdate(null);
         onPlayersUpdate([]);
     }
 
+    // ============================================
+    // ROUNDS
+    // ============================================
+
     /**
-     * Broadcast game state to opponent
+     * Broadcast the local runner's state to the other players
      *
-     * @param {Object} state - Game state {score, bananas, gameOver}
+     * @param {Object} state - {seq, frame, yOffset, score, bananas, isAlive, skin, replay?} -
+     *     replay is the encoded replay, sent with the update reporting death
      */
     function broadcastGameState(state) {
         if (!currentLobby) return;
 
-        supabaseClient.channel(`game:${currentLobby.id}`).send({
-            type: 'broadcast',
-            event: 'game_state',
-            payload: state
-        });
+        // Only a room server checks replays; peers never see them
+        if (transport.authoritative) {
+            transport.send(CLIENT_EVENTS.PLAYER_UPDATE, state);
+            return;
+        }
+
+        const update = { ...state, replay: undefined };
+        transport.send(CLIENT_EVENTS.PLAYER_UPDATE, update);
+        trackPlayerState(localPlayerId, update);
     }
 
     /**
-     * Listen for opponent game state updates
+     * Start passing opponent updates to onOpponentScore
      *
-     * @param {string} playerId - Current player's ID (to filter out own updates)
+     * @param {string} playerId - Current player's ID (own updates are always filtered out)
      */
     function listenForOpponentState(playerId) {
         if (!currentLobby) return;
+        localPlayerId = playerId || localPlayerId;
+        listeningForOpponents = true;
+    }
 
-        supabaseClient
-            .channel(`game:${currentLobby.id}`)
-            .on('broadcast', { event: 'game_state' }, (payload) => {
-                if (payload.payload.playerId !== playerId) {
-                    onOpponentScore(payload.payload);
-                }
-            })
-            .subscribe();
+    /**
+     * Start the round (host only)
+     *
+     * The host's transport checks everyone is ready and picks the seed;
+     * onGameStart fires when the round actually begins.
+     */
+    function startGame() {
+        if (!currentLobby) return;
+        transport.send(CLIENT_EVENTS.START_GAME);
+    }
+
+    /**
+     * Start another round from the results screen (host only)
+     */
+    function playAgain() {
+        if (!currentLobby) return;
+        transport.send(CLIENT_EVENTS.PLAY_AGAIN);
     }
 
     /**
-     * Unsubscribe from all real-time channels
+     * Stop listening to the lobby without leaving it
      */
     function unsubscribe() {
-        if (lobbySubscription) {
-            supabaseClient.removeChannel(lobbySubscription);
-            lobbySubscription = null;
-        }
-        if (playersSubscription) {
-            supabaseClient.removeChannel(playersSubscription);
-            playersSubscription = null;
-        }
+        stopHeartbeat();
+        transport.disconnect();
+        listeningForOpponents = false;
     }
 
     /**
@@ -381,9 +552,14 @@ export function createMultiplayerService(supabaseClient, callbacks = {}) {
     return {
         createLobby,
         findOrCreateLobby,
+        cancelMatchmaking,
         joinByCode,
+        joinFromInvite,
+        reconnect,
         toggleReady,
         leaveLobby,
+        startGame,
+        playAgain,
         broadcastGameState,
         listenForOpponentState,
         unsubscribe,
@@ -393,4 +569,26 @@ export function createMultiplayerService(supabaseClient, callbacks = {}) {
     };
 }
 
+// ============================================
+// TRANSPORT SELECTION
+// ============================================
+
+/**
+ * Turn the transport option into a transport object
+ *
+ * @param {string|Object} transport - 'supabase', 'websocket' or a transport object
+ * @param {Object} supabaseClient - Supabase client for the supabase transport
+ * @param {Object} websocketOptions - {serverUrl, getAccessToken} for the websocket transport
+ * @returns {import('../multiplayer/protocol.js').MultiplayerTransport} Transport
+ */
+function resolveTransport(transport, supabaseClient, websocketOptions) {
+    if (typeof transport === 'object' && transport) {
+        return transport;
+    }
+    if (transport === 'websocket') {
+        return createWebSocketTransport(websocketOptions);
+    }
+    return createSupabaseTransport(supabaseClient);
+}
+
 export default createMultiplayerService;
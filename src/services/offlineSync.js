@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Offline persistence and sync queue for Banana Runner
+ *
+ * Writes that matter to a player - saved runs, achievement and skin
+ * unlocks, shop purchases - go through a sync queue. When Supabase can't
+ * be reached the write is kept in local storage and replayed, in order,
+ * once the client is back online (or on the next visit).
+ *
+ * Every replay is idempotent:
+ * - sessions carry a client-generated client_id, so a run that reached
+ *   the database before the response was lost isn't counted twice
+ * - a duplicate unlock (already unlocked on another device, or by an
+ *   earlier attempt) counts as synced - rewards are paid by the score
+ *   verifier, never by the unlock itself
+ * - a purchase of a skin already owned counts as synced; one the
+ *   database refuses (not enough bananas) is rejected and reported, so
+ *   the client can take back the local unlock
+ *
+ * Errors with a database error code are final; anything else (no
+ * client, network failure, thrown exception) means "offline, try later".
+ *
+ * @module services/offlineSync
+ */
+
+import { SYNC_RETRY_MS, OFFLINE_STORAGE_PREFIX } from '../core/config.js';
+
+/**
+ * Queued operation types
+ * @constant {Object}
+ */
+export const SYNC_OPERATIONS = {
+    SESSION: 'session',
+    ACHIEVEMENT: 'achievement',
+    SKIN: 'skin',
+    PURCHASE: 'purchase'
+};
+
+/**
+ * Outcome of a write
+ * @constant {Object}
+ */
+export const SYNC_STATUS = {
+    SYNCED: 'synced',           // written now
+    DUPLICATE: 'duplicate',     // already in the database - nothing to do
+    QUEUED: 'queued',           // kept locally, replayed later
+    REJECTED: 'rejected'        // refused by the database - dropped
+};
+
+/**
+ * Postgres unique_violation
+ * @constant {string}
+ */
+const UNIQUE_VIOLATION = '23505';
+
+// ============================================
+// LOCAL STORE
+// ============================================
+
+/**
+ * Creates a small JSON key/value store on localStorage (in memory where
+ * localStorage isn't available, e.g. in Node)
+ *
+ * @param {Object} [options] - Store options
+ * @param {Storage} [options.storage] - Storage backend (window.localStorage)
+ * @param {string} [options.prefix] - Key prefix (OFFLINE_STORAGE_PREFIX)
+ * @returns {Object} Store with read/write/remove
+ */
+export function createLocalStore(options = {}) {
+    const {
+        storage = getDefaultStorage(),
+        prefix = OFFLINE_STORAGE_PREFIX
+    } = options;
+
+    const memory = new Map();
+
+    function read(key, fallback = null) {
+        try {
+            const raw = storage ? storage.getItem(`${prefix}:${key}`) : memory.get(key);
+            return raw == null ? fallback : JSON.parse(raw);
+        } catch (err) {
+            console.error('Error reading offline data:', err);
+            return fallback;
+        }
+    }
+
+    function write(key, value) {
+        const raw = JSON.stringify(value);
+        try {
+            if (storage) {
+                storage.setItem(`${prefix}:${key}`, raw);
+            } else {
+                memory.set(key, raw);
+            }
+            return true;
+        } catch (err) {
+            // Quota exceeded or storage disabled - keep it for this visit
+            console.error('Error saving offline data:', err);
+            memory.set(key, raw);
+            return false;
+        }
+    }
+
+    function remove(key) {
+        memory.delete(key);
+        try {
+            storage?.removeItem(`${prefix}:${key}`);
+        } catch (err) {
+            console.error('Error removing offline data:', err);
+        }
+    }
+
+    return { read, write, remove };
+}
+
+function getDefaultStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+/**
+ * Send one queued operation to the database
+ *
+ * @param {Object|null} supabaseClient - Supabase client (null when unavailable)
+ * @param {Object} operation - Queued operation {type, playerId, payload}
+ * @returns {Promise<Object>} {status, data, error} - status is SYNCED, DUPLICATE, REJECTED or QUEUED (retry)
+ */
+export async function executeOperation(supabaseClient, operation) {
+    if (!supabaseClient) {
+        return { status: SYNC_STATUS.QUEUED, data: null, error: null };
+    }
+
+    const { type, playerId, payload } = operation;
+    let result;
+
+    try {
+        switch (type) {
+            case SYNC_OPERATIONS.SESSION:
+                result = await supabaseClient
+                    .from('game_sessions')
+                    .upsert({ ...payload, player_id: playerId }, { onConflict: 'client_id', ignoreDuplicates: true });
+                break;
+            case SYNC_OPERATIONS.ACHIEVEMENT:
+                result = await supabaseClient
+                    .from('player_achievements')
+                    .insert({ player_id: playerId, achievement_id: payload.achievementId });
+                break;
+            case SYNC_OPERATIONS.SKIN:
+                result = await supabaseClient
+                    .from('player_skins')
+                    .insert({ player_id: playerId, skin_id: payload.skinId });
+                break;
+            case SYNC_OPERATIONS.PURCHASE:
+                result = await supabaseClient.rpc('purchase_skin', { p_skin_id: payload.skinId });
+                if (result.error?.message === 'Skin already owned') {
+                    return { status: SYNC_STATUS.DUPLICATE, data: null, error: null };
+                }
+                break;
+            default:
+                return { status: SYNC_STATUS.REJECTED, data: null, error: { message: `Unknown operation: ${type}` } };
+        }
+    } catch (err) {
+        return { status: SYNC_STATUS.QUEUED, data: null, error: err };
+    }
+
+    const { data = null, error = null } = result || {};
+    if (!error) {
+        return { status: SYNC_STATUS.SYNCED, data, error: null };
+    }
+    if (error.code === UNIQUE_VIOLATION) {
+        return { status: SYNC_STATUS.DUPLICATE, data: null, error: null };
+    }
+    if (error.code) {
+        return { status: SYNC_STATUS.REJECTED, data: null, error };
+    }
+    return { status: SYNC_STATUS.QUEUED, data: null, error };
+}
+
+// ============================================
+// SYNC QUEUE FACTORY
+// ============================================
+
+/**
+ * Creates the sync queue
+ *
+ * @param {Object} options - Queue options
+ * @param {Function} options.getClient - Returns the Supabase client (or null while unavailable)
+ * @param {Function} [options.getPlayerId] - Returns the signed-in player; only their operations are replayed
+ * @param {Object} [options.store] - From createLocalStore()
+ * @param {number} [options.retryMs] - Retry interval once started (SYNC_RETRY_MS)
+ * @param {Function} [options.generateId] - Operation / session id generator
+ * @param {Object} [callbacks] - Callback functions
+ * @param {Function} [callbacks.onSynced] - Called with (operation, result) when a queued operation is written
+ * @param {Function} [callbacks.onRejected] - Called with (operation, error) when a queued operation is refused
+ * @param {Function} [callbacks.onFlushed] - Called with {synced, rejected, pending} after a replay that did something
+ * @returns {Object} Queue with submit/flush/start/stop and accessors
+ *
+ * @example
+ * const syncQueue = createSyncQueue({
+ *     getClient: () => supabaseClient,
+ *     getPlayerId: () => currentUser?.id
+ * }, {
+ *     onRejected: (operation, error) => showNotification(error.message)
+ * });
+ * const { status } = await syncQueue.submit(SYNC_OPERATIONS.ACHIEVEMENT, playerId, { achievementId });
+ */
+export function createSyncQueue(options = {}, callbacks = {}) {
+    const {
+        getClient,
+        getPlayerId = () => null,
+        store = createLocalStore(),
+        retryMs = SYNC_RETRY_MS,
+        generateId = createIdGenerator()
+    } = options;
+
+    const {
+        onSynced = () => {},
+        onRejected = () => {},
+        onFlushed = () => {}
+    } = callbacks;
+
+    const STORE_KEY = 'sync-queue';
+    let flushing = null;       // replay in progress
+    let flushAgain = null;     // replay requested while one was in progress
+    let retryTimer = null;
+
+    // The store is the source of truth, so several tabs share one queue
+    function load() {
+        return store.read(STORE_KEY, []);
+    }
+
+    function persist(operations) {
+        store.write(STORE_KEY, operations);
+    }
+
+    /**
+     * Write now if possible, otherwise queue for later
+     *
+     * Operations already waiting for the same player go first, so a new
+     * write is queued behind them rather than overtaking.
+     *
+     * @param {string} type - SYNC_OPERATIONS value
+     * @param {string} playerId - Player the write belongs to
+     * @param {Object} payload - Operation data (a session gets a client_id if it has none)
+     * @returns {Promise<Object>} {status, data, error} (see SYNC_STATUS)
+     */
+    async function submit(type, playerId, payload = {}) {
+        const operation = {
+            id: generateId(),
+            type,
+            playerId,
+            payload: type === SYNC_OPERATIONS.SESSION && !payload.client_id
+                ? { ...payload, client_id: generateId() }
+                : payload,
+            createdAt: new Date().toISOString()
+        };
+
+        if (hasPending(playerId)) {
+            enqueue(operation);
+            flush();
+            return { status: SYNC_STATUS.QUEUED, data: null, error: null };
+        }
+
+        const result = await executeOperation(getClient(), operation);
+        if (result.status === SYNC_STATUS.QUEUED) {
+            enqueue(operation);
+        }
+        return result;
+    }
+
+    function enqueue(operation) {
+        persist([...load(), operation]);
+    }
+
+    /**
+     * Replay the signed-in player's queued operations, oldest first,
+     * stopping at the first one that still can't reach the database
+     *
+     * A flush requested during a replay runs once that replay is done
+     * (the earlier one may have stopped while still offline).
+     *
+     * @returns {Promise<Object>} {synced, rejected, pending}
+     */
+    function flush() {
+        if (flushing) {
+            flushAgain = flushAgain || flushing.then(() => {
+                flushAgain = null;
+                return flush();
+            });
+            return flushAgain;
+        }
+
+        flushing = replay().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    }
+
+    async function replay() {
+        const playerId = getPlayerId();
+        const summary = { synced: 0, rejected: 0, pending: 0 };
+
+        for (const operation of getPending(playerId)) {
+            const result = await executeOperation(getClient(), operation);
+            if (result.status === SYNC_STATUS.QUEUED) break;
+
+            persist(load().filter(op => op.id !== operation.id));
+
+            if (result.status === SYNC_STATUS.REJECTED) {
+                summary.rejected++;
+                onRejected(operation, result.error);
+            } else {
+                summary.synced++;
+                onSynced(operation, result);
+            }
+        }
+
+        summary.pending = getPending(playerId).length;
+        if (summary.synced > 0 || summary.rejected > 0) {
+            onFlushed(summary);
+        }
+        return summary;
+    }
+
+    // ============================================
+    // RETRIES
+    // ============================================
+
+    /**
+     * Retry on an interval and whenever the browser comes back online
+     */
+    function start() {
+        if (retryTimer) return;
+        retryTimer = setInterval(() => {
+            if (hasPending(getPlayerId())) flush();
+        }, retryMs);
+        globalThis.addEventListener?.('online', flush);
+    }
+
+    function stop() {
+        clearInterval(retryTimer);
+        retryTimer = null;
+        globalThis.removeEventListener?.('online', flush);
+    }
+
+    function getPending(playerId) {
+        return load().filter(op => playerId === undefined || op.playerId === playerId);
+    }
+
+    function hasPending(playerId) {
+        return load().some(op => op.playerId === playerId);
+    }
+
+    return {
+        submit,
+        flush,
+        start,
+        stop,
+        getPending,
+        hasPending,
+        size: () => load().length
+    };
+}
+
+/**
+ * Default id generator - random UUID (sessions use it as client_id)
+ *
+ * @returns {Function} () => string
+ */
+export function createIdGenerator() {
+    return () => globalThis.crypto?.randomUUID?.()
+        || 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+        });
+}
+
+export default createSyncQueue;
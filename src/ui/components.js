@@ -6,6 +6,7 @@
  * - Panel/card containers
  * - Headers with back navigation
  * - Section titles
+ * - Progress bars
  *
  * All components follow the design system and return bounds
  * for click detection.
@@ -189,6 +190,40 @@ export function createUIComponents(ctx, canvas, DS) {
         return y + DS.fontSize('small') + DS.spacing.sm;
     }
 
+    /**
+     * Draw a progress bar
+     *
+     * @param {number} x - X position (left edge)
+     * @param {number} y - Y position
+     * @param {number} width - Bar width
+     * @param {number} height - Bar height
+     * @param {number} ratio - Filled fraction (clamped to 0-1)
+     * @param {Object} options - Bar options
+     * @param {string} [options.color] - Fill color (DS.colors.primary)
+     * @returns {Object} Bounds object {x, y, w, h}
+     */
+    function drawProgressBar(x, y, width, height, ratio, options = {}) {
+        const { color = DS.colors.primary } = options;
+        const filled = Math.max(0, Math.min(1, ratio || 0));
+        const r = height / 2;
+
+        // Track
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.beginPath();
+        ctx.roundRect(x, y, width, height, r);
+        ctx.fill();
+
+        // Fill (at least a full cap so small progress is still visible)
+        if (filled > 0) {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.roundRect(x, y, Math.max(height, width * filled), height, r);
+            ctx.fill();
+        }
+
+        return { x, y, w: width, h: height };
+    }
+
     /**
      * Draw a notification toast
      *
@@ -237,6 +272,7 @@ export function createUIComponents(ctx, canvas, DS) {
         drawHeader,
         drawPanel,
         drawSectionTitle,
+        drawProgressBar,
         drawNotification
     };
 }
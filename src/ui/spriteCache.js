@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Sprite atlas cache for Banana Runner
+ *
+ * Drawing a sprite pixel by pixel costs one fillRect per pixel - over a
+ * thousand for a 32x48 runner, every frame. The cache rasterizes each
+ * (sprite, palette, scale, outline) combination once into an atlas page
+ * (an offscreen canvas) and draws it afterwards with a single drawImage.
+ *
+ * Pages are packed in shelves (rows of sprites left to right). When the
+ * last page allowed is full the cache starts over, so palettes that change
+ * every frame can't grow it without bound. Call clear() when sprite sizes
+ * change (e.g. on canvas resize).
+ *
+ * @module ui/spriteCache
+ */
+
+import { SPRITE_ATLAS_SIZE, SPRITE_ATLAS_MAX_PAGES } from '../core/config.js';
+import { drawSprite, drawSpriteWithOutline } from '../core/utils.js';
+
+/**
+ * Gap between sprites on an atlas page (px), so neighbours never bleed in
+ * @constant {number}
+ */
+const ATLAS_PADDING = 1;
+
+// Offscreen canvas in the browser (OffscreenCanvas where supported)
+function createBrowserCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Create a sprite cache
+ *
+ * @param {Object} [options] - Cache options
+ * @param {Function} [options.createCanvas] - (width, height) => canvas for atlas pages
+ * @param {number} [options.pageSize=SPRITE_ATLAS_SIZE] - Atlas page width and height
+ * @param {number} [options.maxPages=SPRITE_ATLAS_MAX_PAGES] - Pages to fill before starting over
+ * @returns {Object} Sprite cache
+ *
+ * @example
+ * const spriteCache = createSpriteCache();
+ * spriteCache.draw(ctx, x, y, sprites.banana, 1.5, colors.banana);
+ * spriteCache.draw(ctx, x, y, sprites.cactus, 1.5, colors.cactus, { color: '#000', width: 1 });
+ */
+export function createSpriteCache(options = {}) {
+    const {
+        createCanvas = createBrowserCanvas,
+        pageSize = SPRITE_ATLAS_SIZE,
+        maxPages = SPRITE_ATLAS_MAX_PAGES
+    } = options;
+
+    // Sprites are keyed by identity (the pixel arrays in game/sprites)
+    const spriteIds = new WeakMap();
+    let nextSpriteId = 1;
+
+    let entries = new Map();
+    let pages = [];
+
+    // Shelf packing cursor on the newest page
+    let shelfX = 0;
+    let shelfY = 0;
+    let shelfHeight = 0;
+
+    const stats = { hits: 0, misses: 0, resets: 0, uncached: 0 };
+
+    // ============================================
+    // KEYS
+    // ============================================
+
+    function getSpriteId(pixels) {
+        let id = spriteIds.get(pixels);
+        if (!id) {
+            id = nextSpriteId++;
+            spriteIds.set(pixels, id);
+        }
+        return id;
+    }
+
+    // Palettes are compared by content: skin colors are merged into a new
+    // object every frame (see getSkinColors in index.html)
+    function getColorKey(colorMap) {
+        let key = '';
+        for (const colorId in colorMap) {
+            key += `${colorId}=${colorMap[colorId]};`;
+        }
+        return key;
+    }
+
+    // ============================================
+    // ATLAS PAGES
+    // ============================================
+
+    /**
+     * Reserve space on the newest page (adding a page if needed)
+     * @param {number} width - Raster width
+     * @param {number} height - Raster height
+     * @returns {Object|null} {page, x, y}, or null if it can never fit
+     */
+    function allocate(width, height) {
+        const w = width + ATLAS_PADDING;
+        const h = height + ATLAS_PADDING;
+        if (w > pageSize || h > pageSize) return null;
+
+        // Next shelf when this one is full
+        if (shelfX + w > pageSize) {
+            shelfY += shelfHeight;
+            shelfX = 0;
+            shelfHeight = 0;
+        }
+
+        // Next page when the shelves run out (or start over at the limit)
+        if (pages.length === 0 || shelfY + h > pageSize) {
+            if (pages.length >= maxPages) {
+                clear();
+                stats.resets++;
+            }
+            const canvas = createCanvas(pageSize, pageSize);
+            const pageCtx = canvas.getContext('2d');
+            pageCtx.imageSmoothingEnabled = false;
+            pages.push({ canvas, ctx: pageCtx });
+            shelfX = 0;
+            shelfY = 0;
+            shelfHeight = 0;
+        }
+
+        const slot = { page: pages[pages.length - 1], x: shelfX, y: shelfY };
+        shelfX += w;
+        shelfHeight = Math.max(shelfHeight, h);
+        return slot;
+    }
+
+    /**
+     * Draw a sprite onto an atlas page
+     * @returns {Object|null} Cache entry {canvas, sx, sy, width, height, offset}
+     */
+    function rasterize(pixels, scale, colorMap, outline) {
+        const cols = pixels.reduce((max, row) => Math.max(max, row.length), 0);
+        const offset = outline ? outline.width * scale : 0;
+        const width = Math.ceil(cols * scale + offset * 2);
+        const height = Math.ceil(pixels.length * scale + offset * 2);
+
+        const slot = allocate(width, height);
+        if (!slot) return null;
+
+        const x = slot.x + offset;
+        const y = slot.y + offset;
+        if (outline) {
+            drawSpriteWithOutline(slot.page.ctx, x, y, pixels, scale, colorMap, outline.color, outline.width);
+        } else {
+            drawSprite(slot.page.ctx, x, y, pixels, scale, colorMap);
+        }
+
+        return { canvas: slot.page.canvas, sx: slot.x, sy: slot.y, width, height, offset };
+    }
+
+    // ============================================
+    // DRAWING
+    // ============================================
+
+    /**
+     * Draw a sprite, rasterizing it on first use
+     *
+     * Same result as drawSprite / drawSpriteWithOutline in core/utils.
+     *
+     * @param {CanvasRenderingContext2D} ctx - Canvas to draw on
+     * @param {number} x - X position (top-left of the sprite, not the outline)
+     * @param {number} y - Y position
+     * @param {number[][]} pixels - 2D array of color indices
+     * @param {number} scale - Scale multiplier for pixel size
+     * @param {Object<number, string>} colorMap - Maps indices to CSS colors
+     * @param {Object} [outline] - Outline {color, width} (width in sprite pixels)
+     */
+    function draw(ctx, x, y, pixels, scale, colorMap, outline = null) {
+        if (!pixels || pixels.length === 0 || !(scale > 0)) return;
+
+        const key = `${getSpriteId(pixels)}|${scale}|${outline ? `${outline.color}/${outline.width}` : ''}|${getColorKey(colorMap)}`;
+        let entry = entries.get(key);
+
+        if (entry) {
+            stats.hits++;
+        } else {
+            stats.misses++;
+            entry = rasterize(pixels, scale, colorMap, outline);
+            if (!entry) {
+                // Bigger than a page - draw it the slow way
+                stats.uncached++;
+                if (outline) {
+                    drawSpriteWithOutline(ctx, x, y, pixels, scale, colorMap, outline.color, outline.width);
+                } else {
+                    drawSprite(ctx, x, y, pixels, scale, colorMap);
+                }
+                return;
+            }
+            entries.set(key, entry);
+        }
+
+        ctx.drawImage(
+            entry.canvas,
+            entry.sx, entry.sy, entry.width, entry.height,
+            x - entry.offset, y - entry.offset, entry.width, entry.height
+        );
+    }
+
+    /**
+     * Drop every cached raster (sizes changed, e.g. the canvas was resized)
+     */
+    function clear() {
+        entries = new Map();
+        pages = [];
+        shelfX = 0;
+        shelfY = 0;
+        shelfHeight = 0;
+    }
+
+    return {
+        draw,
+        clear,
+        getStats: () => ({ ...stats, entries: entries.size, pages: pages.length })
+    };
+}
+
+export default createSpriteCache;
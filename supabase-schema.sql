@@ -22,6 +22,7 @@ CREATE TABLE IF NOT EXISTS profiles (
 
     -- Customization
     equipped_skin TEXT DEFAULT 'default',
+    audio_settings JSONB, -- {master, music, sfx, muted} (see src/audio/sounds.js)
 
     -- Power-up Stats
     jetpacks_collected INTEGER DEFAULT 0,
@@ -38,10 +39,12 @@ CREATE TABLE IF NOT EXISTS profiles (
     desert_games_played INTEGER DEFAULT 0,
     jungle_games_played INTEGER DEFAULT 0,
     ocean_games_played INTEGER DEFAULT 0,
+    moon_games_played INTEGER DEFAULT 0,
     snow_best_score INTEGER DEFAULT 0,
     desert_best_score INTEGER DEFAULT 0,
     jungle_best_score INTEGER DEFAULT 0,
     ocean_best_score INTEGER DEFAULT 0,
+    moon_best_score INTEGER DEFAULT 0,
 
     -- Gameplay Milestones
     first_game_at TIMESTAMP WITH TIME ZONE,
@@ -51,9 +54,40 @@ CREATE TABLE IF NOT EXISTS profiles (
 
     -- Purchase Stats
     total_purchases INTEGER DEFAULT 0,
-    total_spent INTEGER DEFAULT 0
+    total_spent INTEGER DEFAULT 0,
+
+    -- Multiplayer Stats
+    multiplayer_games INTEGER DEFAULT 0,
+    multiplayer_wins INTEGER DEFAULT 0,
+
+    -- Multiplayer Skill Rating (Glicko, see src/multiplayer/rating.js)
+    rating INTEGER DEFAULT 1500,
+    rating_deviation INTEGER DEFAULT 350,
+    rated_games INTEGER DEFAULT 0,
+    rating_updated_at TIMESTAMP WITH TIME ZONE
 );
 
+-- ============================================
+-- SEASONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finalized_at TIMESTAMP WITH TIME ZONE,   -- standings archived and rewards granted
+    CHECK (ends_at > starts_at),
+    -- Seasons never overlap, so a session belongs to at most one
+    EXCLUDE USING gist (tstzrange(starts_at, ends_at) WITH &&)
+);
+
+-- The first season starts this week
+INSERT INTO seasons (name, starts_at, ends_at)
+SELECT 'Season 1',
+    date_trunc('week', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+    (date_trunc('week', NOW() AT TIME ZONE 'UTC') + INTERVAL '4 weeks') AT TIME ZONE 'UTC'
+WHERE NOT EXISTS (SELECT 1 FROM seasons);
+
 -- ============================================
 -- GAME_SESSIONS TABLE (Game history)
 -- ============================================
@@ -63,7 +97,8 @@ CREATE TABLE IF NOT EXISTS game_sessions (
     score INTEGER NOT NULL DEFAULT 0,
     bananas_collected INTEGER DEFAULT 0,
     land_played TEXT NOT NULL,
-    game_mode TEXT DEFAULT 'solo',
+    game_mode TEXT DEFAULT 'solo' CHECK (game_mode IN ('solo', 'multiplayer', 'daily_challenge')),
+    challenge_date DATE,
     duration INTEGER DEFAULT 0,
     highest_level INTEGER DEFAULT 0,
     jetpacks_used INTEGER DEFAULT 0,
@@ -74,11 +109,32 @@ CREATE TABLE IF NOT EXISTS game_sessions (
     turtles_used INTEGER DEFAULT 0,
     stars_used INTEGER DEFAULT 0,
     bubble_hits_absorbed INTEGER DEFAULT 0,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    did_win BOOLEAN DEFAULT FALSE,
+    season_id INTEGER REFERENCES seasons(id) ON DELETE SET NULL, -- set by tag_session_season()
+    client_id UUID, -- set by the client so offline replays are idempotent
+    seed BIGINT,
+    replay TEXT,
+    verified BOOLEAN DEFAULT FALSE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verification_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT game_sessions_challenge_date_check CHECK (game_mode <> 'daily_challenge' OR challenge_date IS NOT NULL)
 );
 
 CREATE INDEX IF NOT EXISTS idx_game_sessions_player ON game_sessions(player_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_sessions_client_id ON game_sessions(client_id);
 CREATE INDEX IF NOT EXISTS idx_game_sessions_score ON game_sessions(score DESC);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_replay_score ON game_sessions(score DESC) WHERE replay IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_game_sessions_verified_score ON game_sessions(score DESC) WHERE verified = TRUE;
+CREATE INDEX IF NOT EXISTS idx_game_sessions_pending ON game_sessions(created_at) WHERE replay IS NOT NULL AND verified_at IS NULL;
+-- Time-windowed and per-land leaderboards (ranked_leaderboard())
+CREATE INDEX IF NOT EXISTS idx_game_sessions_created ON game_sessions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_land_score ON game_sessions(land_played, score DESC);
+-- Season leaderboards and final standings (finalize_season())
+CREATE INDEX IF NOT EXISTS idx_game_sessions_season_score ON game_sessions(season_id, score DESC);
+-- Daily challenge: one scored attempt per player per day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_sessions_daily_attempt ON game_sessions(player_id, challenge_date) WHERE game_mode = 'daily_challenge';
+CREATE INDEX IF NOT EXISTS idx_game_sessions_daily_score ON game_sessions(challenge_date, score DESC) WHERE game_mode = 'daily_challenge';
 
 -- ============================================
 -- GAME_LOBBIES TABLE (Multiplayer rooms)
@@ -104,12 +160,28 @@ CREATE TABLE IF NOT EXISTS lobby_players (
     player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
     is_ready BOOLEAN DEFAULT FALSE,
     joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),  -- Last touch_lobby_player() heartbeat
 
     UNIQUE(lobby_id, player_id)
 );
 
 CREATE INDEX IF NOT EXISTS idx_lobby_players_lobby ON lobby_players(lobby_id);
 
+-- ============================================
+-- MATCHMAKING_QUEUE TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS matchmaking_queue (
+    player_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    land TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    enqueued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    lobby_id UUID REFERENCES game_lobbies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_waiting
+    ON matchmaking_queue(land, rating) WHERE lobby_id IS NULL;
+
 -- ============================================
 -- PLAYER_SKINS TABLE
 -- ============================================
@@ -130,10 +202,226 @@ CREATE TABLE IF NOT EXISTS player_achievements (
     player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
     achievement_id TEXT NOT NULL,
     unlocked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rewarded_at TIMESTAMP WITH TIME ZONE,  -- Reward paid by reward_achievement() (verifier only)
 
     UNIQUE(player_id, achievement_id)
 );
 
+-- ============================================
+-- ACHIEVEMENT_PROGRESS TABLE (run / streak requirement progress)
+-- ============================================
+CREATE TABLE IF NOT EXISTS achievement_progress (
+    player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    achievement_id TEXT NOT NULL,
+    progress INTEGER NOT NULL DEFAULT 0 CHECK (progress >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (player_id, achievement_id)
+);
+
+-- ============================================
+-- SHOP CATALOGS (mirror SKINS in index.html / ACHIEVEMENTS in src/game/achievementCatalog.js)
+-- ============================================
+CREATE TABLE IF NOT EXISTS skin_catalog (
+    skin_id TEXT PRIMARY KEY,
+    price INTEGER NOT NULL CHECK (price > 0)
+);
+
+INSERT INTO skin_catalog (skin_id, price) VALUES
+    ('ninja', 25),
+    ('pirate', 50),
+    ('astronaut', 75),
+    ('alien', 50),
+    ('santa', 75),
+    ('soccer', 50),
+    ('fatguy', 50),
+    ('flame', 100),
+    ('ice', 125),
+    ('neon', 150),
+    ('shadow', 175),
+    ('rainbow', 200),
+    ('banana', 150),
+    ('chicken', 150),
+    ('superhero', 175),
+    ('spiderman', 200),
+    ('robot', 300),
+    ('ghost', 350),
+    ('diamond', 500)
+ON CONFLICT (skin_id) DO UPDATE SET price = EXCLUDED.price;
+
+CREATE TABLE IF NOT EXISTS achievement_rewards (
+    achievement_id TEXT PRIMARY KEY,
+    reward INTEGER NOT NULL CHECK (reward >= 0)
+);
+
+INSERT INTO achievement_rewards (achievement_id, reward) VALUES
+    ('first_game', 5),
+    ('getting_started', 10),
+    ('regular_player', 15),
+    ('dedicated_runner', 25),
+    ('banana_master', 50),
+    ('true_champion', 100),
+    ('daily_runner', 20),
+    ('weekly_habit', 75),
+    ('first_hundred', 5),
+    ('making_progress', 10),
+    ('breaking_through', 15),
+    ('skilled_runner', 25),
+    ('expert_runner', 50),
+    ('master_runner', 100),
+    ('legendary_runner', 250),
+    ('first_banana', 1),
+    ('banana_bunch', 5),
+    ('banana_collector', 15),
+    ('banana_hoarder', 25),
+    ('banana_baron', 75),
+    ('banana_billionaire', 150),
+    ('banana_haul', 25),
+    ('banana_feast', 75),
+    ('first_flight', 10),
+    ('sky_high', 25),
+    ('rocket_man', 50),
+    ('first_stomp', 10),
+    ('dino_power', 25),
+    ('trex_king', 50),
+    ('bubble_first', 10),
+    ('bubble_collector', 25),
+    ('bubble_savior', 50),
+    ('pogo_first', 10),
+    ('pogo_collector', 25),
+    ('pogo_master', 50),
+    ('lion_first', 15),
+    ('lion_collector', 35),
+    ('turtle_first', 10),
+    ('turtle_collector', 25),
+    ('turtle_master', 50),
+    ('star_first', 10),
+    ('star_collector', 25),
+    ('star_master', 50),
+    ('level_one', 10),
+    ('level_five', 35),
+    ('level_ten', 75),
+    ('level_master', 200),
+    ('snow_explorer', 5),
+    ('desert_explorer', 5),
+    ('jungle_explorer', 5),
+    ('ocean_explorer', 5),
+    ('world_traveler', 25),
+    ('snow_master', 20),
+    ('desert_master', 20),
+    ('jungle_master', 20),
+    ('ocean_master', 20),
+    ('warming_up', 10),
+    ('getting_comfortable', 25),
+    ('time_flies', 50),
+    ('dedicated_player', 100),
+    ('hardcore_gamer', 200),
+    ('top_banana', 100),
+    ('first_purchase', 10),
+    ('collector', 25),
+    ('shopaholic', 75),
+    ('social_butterfly', 15),
+    ('first_win', 25),
+    ('champion', 100),
+    ('winning_streak', 50)
+ON CONFLICT (achievement_id) DO UPDATE SET reward = EXCLUDED.reward;
+
+-- ============================================
+-- BANANA_TRANSACTIONS TABLE (currency ledger)
+-- ============================================
+CREATE TABLE IF NOT EXISTS banana_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL,                  -- positive = credit, negative = debit
+    reason TEXT NOT NULL CHECK (reason IN ('opening_balance', 'run_earnings', 'achievement_reward', 'purchase', 'season_reward')),
+    reference TEXT,                           -- session id, achievement id, skin id or 'season:<id>'
+    balance_after BIGINT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_banana_transactions_player ON banana_transactions(player_id, created_at DESC);
+
+-- ============================================
+-- GUEST_MERGES TABLE (guest ids merged into an account)
+-- ============================================
+CREATE TABLE IF NOT EXISTS guest_merges (
+    guest_id UUID PRIMARY KEY,
+    player_id UUID REFERENCES profiles(id) ON DELETE SET NULL,  -- NULL once the account is deleted (id stays claimed)
+    merged_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_merges_player ON guest_merges(player_id);
+
+-- ============================================
+-- FRIENDSHIPS TABLE (one row per pair; for a block, requester_id is the blocker)
+-- ============================================
+CREATE TABLE IF NOT EXISTS friendships (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    requester_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    addressee_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'blocked')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    responded_at TIMESTAMP WITH TIME ZONE,
+    CHECK (requester_id <> addressee_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair
+    ON friendships(LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships(addressee_id);
+
+-- ============================================
+-- LOBBY_INVITES TABLE (lobby codes sent to friends)
+-- ============================================
+CREATE TABLE IF NOT EXISTS lobby_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    from_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    to_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    lobby_code TEXT NOT NULL,
+    land TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(from_id, to_id, lobby_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_invites_to ON lobby_invites(to_id, created_at DESC);
+
+-- ============================================
+-- SEASON_REWARD_TIERS TABLE (mirrors SEASON_REWARDS in src/game/seasons.js)
+-- ============================================
+-- A final rank gets the tier with the smallest max_rank at or above it
+CREATE TABLE IF NOT EXISTS season_reward_tiers (
+    max_rank INTEGER PRIMARY KEY CHECK (max_rank > 0),
+    bananas INTEGER NOT NULL DEFAULT 0 CHECK (bananas >= 0),
+    skin_id TEXT,
+    badge TEXT NOT NULL
+);
+
+INSERT INTO season_reward_tiers (max_rank, bananas, skin_id, badge) VALUES
+    (1, 500, 'season_champion', 'season_champion'),
+    (10, 250, 'season_champion', 'season_top_10'),
+    (100, 100, NULL, 'season_top_100')
+ON CONFLICT (max_rank) DO UPDATE SET bananas = EXCLUDED.bananas, skin_id = EXCLUDED.skin_id, badge = EXCLUDED.badge;
+
+-- ============================================
+-- SEASON_STANDINGS TABLE (final standings archive)
+-- ============================================
+CREATE TABLE IF NOT EXISTS season_standings (
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    player_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    session_id UUID,
+    bananas INTEGER NOT NULL DEFAULT 0,      -- rewards granted
+    skin_id TEXT,
+    badge TEXT,
+    seen_at TIMESTAMP WITH TIME ZONE,        -- the player has been shown their result
+
+    PRIMARY KEY (season_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_rank ON season_standings(season_id, rank);
+CREATE INDEX IF NOT EXISTS idx_season_standings_player ON season_standings(player_id);
+
 -- ============================================
 -- LEADERBOARD VIEW
 -- ============================================
@@ -148,6 +436,20 @@ FROM profiles p
 WHERE p.high_score > 0
 ORDER BY p.high_score DESC;
 
+-- Best verified score per player (sessions re-simulated by scripts/verify-scores.mjs)
+CREATE OR REPLACE VIEW verified_leaderboard AS
+SELECT
+    p.id as player_id,
+    p.username,
+    MAX(s.score) as high_score,
+    p.total_games,
+    p.total_bananas
+FROM game_sessions s
+JOIN profiles p ON p.id = s.player_id
+WHERE s.verified = TRUE
+GROUP BY p.id, p.username, p.total_games, p.total_bananas
+ORDER BY high_score DESC;
+
 -- ============================================
 -- ROW LEVEL SECURITY
 -- ============================================
@@ -155,8 +457,19 @@ ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE game_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE game_lobbies ENABLE ROW LEVEL SECURITY;
 ALTER TABLE lobby_players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE matchmaking_queue ENABLE ROW LEVEL SECURITY;
 ALTER TABLE player_skins ENABLE ROW LEVEL SECURITY;
 ALTER TABLE player_achievements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE achievement_progress ENABLE ROW LEVEL SECURITY;
+ALTER TABLE skin_catalog ENABLE ROW LEVEL SECURITY;
+ALTER TABLE achievement_rewards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE banana_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE guest_merges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE friendships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE lobby_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_reward_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
 
 -- PROFILES policies
 DROP POLICY IF EXISTS "Users can view all profiles" ON profiles;
@@ -172,8 +485,11 @@ CREATE POLICY "Users can update own profile" ON profiles FOR UPDATE USING (auth.
 DROP POLICY IF EXISTS "Anyone can view sessions" ON game_sessions;
 CREATE POLICY "Anyone can view sessions" ON game_sessions FOR SELECT USING (true);
 
+-- Multiplayer sessions (and so wins) are saved by the room server only
 DROP POLICY IF EXISTS "Users can insert own sessions" ON game_sessions;
-CREATE POLICY "Users can insert own sessions" ON game_sessions FOR INSERT WITH CHECK (auth.uid() = player_id);
+CREATE POLICY "Users can insert own sessions" ON game_sessions FOR INSERT
+    WITH CHECK (auth.uid() = player_id AND verified = FALSE AND verified_at IS NULL AND verification_error IS NULL
+                AND game_mode <> 'multiplayer' AND did_win IS NOT TRUE);
 
 -- GAME_LOBBIES policies
 DROP POLICY IF EXISTS "Anyone can view lobbies" ON game_lobbies;
@@ -201,19 +517,108 @@ CREATE POLICY "Users can update own status" ON lobby_players FOR UPDATE USING (a
 DROP POLICY IF EXISTS "Users can leave lobbies" ON lobby_players;
 CREATE POLICY "Users can leave lobbies" ON lobby_players FOR DELETE USING (auth.uid() = player_id);
 
+-- MATCHMAKING_QUEUE policies (rows are added and matched by matchmake())
+DROP POLICY IF EXISTS "Anyone can view matchmaking queue" ON matchmaking_queue;
+CREATE POLICY "Anyone can view matchmaking queue" ON matchmaking_queue FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Users can leave matchmaking queue" ON matchmaking_queue;
+CREATE POLICY "Users can leave matchmaking queue" ON matchmaking_queue FOR DELETE USING (auth.uid() = player_id);
+
 -- PLAYER_SKINS policies
 DROP POLICY IF EXISTS "Users can view own skins" ON player_skins;
 CREATE POLICY "Users can view own skins" ON player_skins FOR SELECT USING (auth.uid() = player_id);
 
+-- Shop skins can only be unlocked through purchase_skin(), season skins
+-- only through finalize_season()
 DROP POLICY IF EXISTS "Users can unlock skins" ON player_skins;
-CREATE POLICY "Users can unlock skins" ON player_skins FOR INSERT WITH CHECK (auth.uid() = player_id);
+CREATE POLICY "Users can unlock skins" ON player_skins FOR INSERT
+    WITH CHECK (
+        auth.uid() = player_id
+        AND NOT EXISTS (SELECT 1 FROM skin_catalog c WHERE c.skin_id = player_skins.skin_id)
+        AND NOT EXISTS (SELECT 1 FROM season_reward_tiers t WHERE t.skin_id = player_skins.skin_id)
+    );
 
 -- PLAYER_ACHIEVEMENTS policies
 DROP POLICY IF EXISTS "Users can view own achievements" ON player_achievements;
 CREATE POLICY "Users can view own achievements" ON player_achievements FOR SELECT USING (auth.uid() = player_id);
 
 DROP POLICY IF EXISTS "Users can unlock achievements" ON player_achievements;
-CREATE POLICY "Users can unlock achievements" ON player_achievements FOR INSERT WITH CHECK (auth.uid() = player_id);
+CREATE POLICY "Users can unlock achievements" ON player_achievements FOR INSERT
+    WITH CHECK (auth.uid() = player_id AND rewarded_at IS NULL);
+
+-- ACHIEVEMENT_PROGRESS policies
+DROP POLICY IF EXISTS "Users can view own achievement progress" ON achievement_progress;
+CREATE POLICY "Users can view own achievement progress" ON achievement_progress FOR SELECT USING (auth.uid() = player_id);
+
+DROP POLICY IF EXISTS "Users can save own achievement progress" ON achievement_progress;
+CREATE POLICY "Users can save own achievement progress" ON achievement_progress FOR INSERT WITH CHECK (auth.uid() = player_id);
+
+DROP POLICY IF EXISTS "Users can update own achievement progress" ON achievement_progress;
+CREATE POLICY "Users can update own achievement progress" ON achievement_progress FOR UPDATE USING (auth.uid() = player_id);
+
+-- CATALOG policies
+DROP POLICY IF EXISTS "Anyone can view skin catalog" ON skin_catalog;
+CREATE POLICY "Anyone can view skin catalog" ON skin_catalog FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view achievement rewards" ON achievement_rewards;
+CREATE POLICY "Anyone can view achievement rewards" ON achievement_rewards FOR SELECT USING (true);
+
+-- BANANA_TRANSACTIONS policies (written only by the ledger functions)
+DROP POLICY IF EXISTS "Users can view own transactions" ON banana_transactions;
+CREATE POLICY "Users can view own transactions" ON banana_transactions FOR SELECT USING (auth.uid() = player_id);
+
+-- GUEST_MERGES policies (rows are added by claim_guest_progress())
+DROP POLICY IF EXISTS "Users can view own guest merges" ON guest_merges;
+CREATE POLICY "Users can view own guest merges" ON guest_merges FOR SELECT USING (auth.uid() = player_id);
+
+-- FRIENDSHIPS policies (rows are added and updated by the friend functions;
+-- a blocked player doesn't see or remove the block)
+DROP POLICY IF EXISTS "Users can view own friendships" ON friendships;
+CREATE POLICY "Users can view own friendships" ON friendships FOR SELECT
+    USING (auth.uid() = requester_id OR (auth.uid() = addressee_id AND status <> 'blocked'));
+
+DROP POLICY IF EXISTS "Users can remove own friendships" ON friendships;
+CREATE POLICY "Users can remove own friendships" ON friendships FOR DELETE
+    USING (auth.uid() = requester_id OR (auth.uid() = addressee_id AND status <> 'blocked'));
+
+-- LOBBY_INVITES policies (friends only)
+DROP POLICY IF EXISTS "Users can view own lobby invites" ON lobby_invites;
+CREATE POLICY "Users can view own lobby invites" ON lobby_invites FOR SELECT
+    USING (auth.uid() = from_id OR auth.uid() = to_id);
+
+DROP POLICY IF EXISTS "Users can invite friends" ON lobby_invites;
+CREATE POLICY "Users can invite friends" ON lobby_invites FOR INSERT
+    WITH CHECK (auth.uid() = from_id AND EXISTS (
+        SELECT 1 FROM friendships f
+        WHERE f.status = 'accepted'
+        AND LEAST(f.requester_id, f.addressee_id) = LEAST(from_id, to_id)
+        AND GREATEST(f.requester_id, f.addressee_id) = GREATEST(from_id, to_id)
+    ));
+
+-- Inviting again to the same lobby refreshes the invite
+DROP POLICY IF EXISTS "Users can renew lobby invites" ON lobby_invites;
+CREATE POLICY "Users can renew lobby invites" ON lobby_invites FOR UPDATE
+    USING (auth.uid() = from_id)
+    WITH CHECK (auth.uid() = from_id AND EXISTS (
+        SELECT 1 FROM friendships f
+        WHERE f.status = 'accepted'
+        AND LEAST(f.requester_id, f.addressee_id) = LEAST(from_id, to_id)
+        AND GREATEST(f.requester_id, f.addressee_id) = GREATEST(from_id, to_id)
+    ));
+
+DROP POLICY IF EXISTS "Users can dismiss lobby invites" ON lobby_invites;
+CREATE POLICY "Users can dismiss lobby invites" ON lobby_invites FOR DELETE
+    USING (auth.uid() = from_id OR auth.uid() = to_id);
+
+-- SEASON policies (read-only; written by the service role and finalize_season())
+DROP POLICY IF EXISTS "Anyone can view seasons" ON seasons;
+CREATE POLICY "Anyone can view seasons" ON seasons FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view season rewards" ON season_reward_tiers;
+CREATE POLICY "Anyone can view season rewards" ON season_reward_tiers FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view season standings" ON season_standings;
+CREATE POLICY "Anyone can view season standings" ON season_standings FOR SELECT USING (true);
 
 -- ============================================
 -- REALTIME
@@ -232,6 +637,1038 @@ EXCEPTION WHEN duplicate_object THEN
     NULL;
 END $$;
 
+DO $$
+BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE lobby_invites;
+EXCEPTION WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- ============================================
+-- FUNCTION: Matchmaking (mirrors src/multiplayer/matchmaking.js)
+-- ============================================
+-- Called by a queued client every couple of seconds. Joins the queue on the
+-- first call, then tries to form a match anchored on the caller. Returns
+-- the lobby id once the caller has been matched (by their own call or
+-- someone else's), otherwise NULL.
+CREATE OR REPLACE FUNCTION matchmake(p_land TEXT)
+RETURNS UUID AS $$
+DECLARE
+    base_window CONSTANT INTEGER := 100;    -- MATCHMAKING_BASE_WINDOW
+    window_growth CONSTANT INTEGER := 10;   -- MATCHMAKING_WINDOW_GROWTH (per second)
+    max_window CONSTANT INTEGER := 600;     -- MATCHMAKING_MAX_WINDOW
+    max_players CONSTANT INTEGER := 7;      -- MAX_LOBBY_PLAYERS
+    stale_after CONSTANT INTERVAL := INTERVAL '10 seconds';
+    me matchmaking_queue%ROWTYPE;
+    matched_ids UUID[];
+    new_lobby UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    -- Join (or rejoin on a different land) using the stored rating
+    INSERT INTO matchmaking_queue (player_id, land, rating)
+    SELECT id, p_land, COALESCE(rating, 1500) FROM profiles WHERE id = auth.uid()
+    ON CONFLICT (player_id) DO UPDATE
+        SET last_seen_at = NOW(),
+            land = EXCLUDED.land,
+            enqueued_at = CASE WHEN matchmaking_queue.land = EXCLUDED.land
+                THEN matchmaking_queue.enqueued_at ELSE NOW() END;
+
+    SELECT * INTO me FROM matchmaking_queue WHERE player_id = auth.uid() FOR UPDATE;
+
+    -- Someone else already matched us
+    IF me.lobby_id IS NOT NULL THEN
+        DELETE FROM matchmaking_queue WHERE player_id = me.player_id;
+        RETURN me.lobby_id;
+    END IF;
+
+    -- Closest ratings in range of either player's window, skipping
+    -- players who stopped polling and rows another call is matching
+    SELECT ARRAY_AGG(player_id) INTO matched_ids FROM (
+        SELECT q.player_id
+        FROM matchmaking_queue q
+        WHERE q.land = me.land
+          AND q.lobby_id IS NULL
+          AND q.player_id <> me.player_id
+          AND q.last_seen_at > NOW() - stale_after
+          AND ABS(q.rating - me.rating) <= GREATEST(
+              LEAST(max_window, base_window + window_growth * EXTRACT(EPOCH FROM NOW() - me.enqueued_at)),
+              LEAST(max_window, base_window + window_growth * EXTRACT(EPOCH FROM NOW() - q.enqueued_at)))
+        ORDER BY ABS(q.rating - me.rating), q.enqueued_at
+        LIMIT max_players - 1
+        FOR UPDATE SKIP LOCKED
+    ) candidates;
+
+    IF matched_ids IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- The caller hosts; everyone joins ready
+    INSERT INTO game_lobbies (code, host_id, land, status)
+    VALUES (UPPER(SUBSTRING(MD5(RANDOM()::TEXT) FROM 1 FOR 6)), me.player_id, me.land, 'waiting')
+    RETURNING id INTO new_lobby;
+
+    INSERT INTO lobby_players (lobby_id, player_id, is_ready)
+    SELECT new_lobby, UNNEST(matched_ids || me.player_id), TRUE;
+
+    UPDATE matchmaking_queue SET lobby_id = new_lobby WHERE player_id = ANY(matched_ids);
+    DELETE FROM matchmaking_queue WHERE player_id = me.player_id;
+
+    RETURN new_lobby;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION matchmake(TEXT) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Lobby heartbeat
+-- ============================================
+-- Records that the caller is still in the lobby
+CREATE OR REPLACE FUNCTION touch_lobby_player(p_lobby_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE lobby_players
+    SET last_seen_at = NOW()
+    WHERE lobby_id = p_lobby_id AND player_id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION touch_lobby_player(UUID) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Leave / forfeit a lobby player (host migration)
+-- ============================================
+-- p_player_id defaults to the caller (leaving). Another player can be
+-- removed by the host, or by a fellow member once their last heartbeat is
+-- older than RECONNECT_GRACE_MS (src/core/config.js) - clients forfeit a
+-- player whose heartbeats stopped for that long.
+CREATE OR REPLACE FUNCTION remove_lobby_player(p_lobby_id UUID, p_player_id UUID DEFAULT NULL)
+RETURNS UUID AS $$
+DECLARE
+    reconnect_grace CONSTANT INTERVAL := INTERVAL '30 seconds';  -- RECONNECT_GRACE_MS
+    target UUID := COALESCE(p_player_id, auth.uid());
+    current_host UUID;
+    next_host UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    IF target <> auth.uid() AND NOT EXISTS (
+        SELECT 1 FROM lobby_players WHERE lobby_id = p_lobby_id AND player_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'Only lobby members can remove players';
+    END IF;
+
+    -- Lock the lobby so two clients forfeiting at once agree on the new host
+    SELECT host_id INTO current_host FROM game_lobbies WHERE id = p_lobby_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    IF target <> auth.uid() AND current_host <> auth.uid() AND EXISTS (
+        SELECT 1 FROM lobby_players
+        WHERE lobby_id = p_lobby_id AND player_id = target
+          AND last_seen_at > NOW() - reconnect_grace
+    ) THEN
+        RAISE EXCEPTION 'Player is still connected';
+    END IF;
+
+    DELETE FROM lobby_players WHERE lobby_id = p_lobby_id AND player_id = target;
+
+    SELECT player_id INTO next_host
+    FROM lobby_players
+    WHERE lobby_id = p_lobby_id
+    ORDER BY joined_at ASC
+    LIMIT 1;
+
+    IF next_host IS NULL THEN
+        DELETE FROM game_lobbies WHERE id = p_lobby_id;
+        RETURN NULL;
+    END IF;
+
+    IF current_host = target THEN
+        UPDATE game_lobbies SET host_id = next_host WHERE id = p_lobby_id;
+        RETURN next_host;
+    END IF;
+
+    RETURN current_host;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION remove_lobby_player(UUID, UUID) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Wallet guard (banana economy)
+-- ============================================
+-- "Users can update own profile" still covers stats and settings, but the
+-- wallet columns keep their old values (and start at 0 on a client insert)
+-- unless the write comes from one of the SECURITY DEFINER functions below,
+-- which don't run as a client role.
+CREATE OR REPLACE FUNCTION protect_profile_wallet()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.spendable_bananas := 0;
+            NEW.total_purchases := 0;
+            NEW.total_spent := 0;
+        ELSE
+            NEW.spendable_bananas := OLD.spendable_bananas;
+            NEW.total_purchases := OLD.total_purchases;
+            NEW.total_spent := OLD.total_spent;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_wallet ON profiles;
+CREATE TRIGGER protect_profile_wallet
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_wallet();
+
+-- ============================================
+-- FUNCTION: Rating guard (multiplayer ratings)
+-- ============================================
+-- Ratings are written only by the room server (server/room-server.mjs)
+-- with the service role key, from the rounds it ran. Client writes keep the
+-- old rating columns (and the defaults on a client insert).
+CREATE OR REPLACE FUNCTION protect_profile_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.rating := 1500;
+            NEW.rating_deviation := 350;
+            NEW.rated_games := 0;
+            NEW.rating_updated_at := NULL;
+        ELSE
+            NEW.rating := OLD.rating;
+            NEW.rating_deviation := OLD.rating_deviation;
+            NEW.rated_games := OLD.rated_games;
+            NEW.rating_updated_at := OLD.rating_updated_at;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_rating ON profiles;
+CREATE TRIGGER protect_profile_rating
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_rating();
+
+-- ============================================
+-- FUNCTION: Ledger credits (run earnings, achievement rewards)
+-- ============================================
+-- Internal: adds to a balance and records the ledger entry. Not granted to
+-- clients - credits only come from the functions below. Runs and
+-- achievements only pay once the score verifier (scripts/verify-scores.mjs)
+-- has checked the play behind them.
+CREATE OR REPLACE FUNCTION credit_bananas(p_player_id UUID, p_amount INTEGER, p_reason TEXT, p_reference TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    new_balance BIGINT;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        SELECT spendable_bananas INTO new_balance FROM profiles WHERE id = p_player_id;
+        RETURN new_balance;
+    END IF;
+
+    UPDATE profiles
+    SET spendable_bananas = COALESCE(spendable_bananas, 0) + p_amount
+    WHERE id = p_player_id
+    RETURNING spendable_bananas INTO new_balance;
+
+    IF FOUND THEN
+        INSERT INTO banana_transactions (player_id, amount, reason, reference, balance_after)
+        VALUES (p_player_id, p_amount, p_reason, p_reference, new_balance);
+    END IF;
+
+    RETURN new_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION credit_bananas(UUID, INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION credit_bananas(UUID, INTEGER, TEXT, TEXT) TO service_role;
+
+-- Run earnings: the bananas collected in a session, credited when the
+-- verifier marks it verified (at most once per session)
+CREATE OR REPLACE FUNCTION credit_run_earnings()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.verified AND OLD.verified IS DISTINCT FROM TRUE AND NOT EXISTS (
+        SELECT 1 FROM banana_transactions
+        WHERE player_id = NEW.player_id AND reason = 'run_earnings' AND reference = NEW.id::TEXT
+    ) THEN
+        PERFORM credit_bananas(NEW.player_id, NEW.bananas_collected, 'run_earnings', NEW.id::TEXT);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS credit_run_earnings ON game_sessions;
+CREATE TRIGGER credit_run_earnings
+    AFTER UPDATE OF verified ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION credit_run_earnings();
+
+-- Achievement rewards: the verifier re-evaluates achievements from verified
+-- sessions and calls this to unlock (if the client hasn't already) and pay
+-- each one once. Client-inserted unlocks pay nothing. Returns TRUE if the
+-- reward was paid now, FALSE if it was paid before; raises 'Unknown
+-- achievement'. Service role only.
+CREATE OR REPLACE FUNCTION reward_achievement(p_player_id UUID, p_achievement_id TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    reward_amount INTEGER;
+BEGIN
+    SELECT reward INTO reward_amount FROM achievement_rewards WHERE achievement_id = p_achievement_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Unknown achievement';
+    END IF;
+
+    INSERT INTO player_achievements (player_id, achievement_id, rewarded_at)
+    VALUES (p_player_id, p_achievement_id, NOW())
+    ON CONFLICT (player_id, achievement_id) DO UPDATE SET rewarded_at = NOW()
+    WHERE player_achievements.rewarded_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM credit_bananas(p_player_id, reward_amount, 'achievement_reward', p_achievement_id);
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION reward_achievement(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reward_achievement(UUID, TEXT) TO service_role;
+
+-- ============================================
+-- FUNCTION: Purchase a skin (atomic debit + unlock)
+-- ============================================
+-- Debit + unlock in one transaction. The price comes from skin_catalog,
+-- never from the client. Returns the new balance; raises 'Unknown skin',
+-- 'Profile not found', 'Skin already owned' or 'Not enough bananas'.
+CREATE OR REPLACE FUNCTION purchase_skin(p_skin_id TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    skin_price INTEGER;
+    balance BIGINT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    SELECT price INTO skin_price FROM skin_catalog WHERE skin_id = p_skin_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Unknown skin';
+    END IF;
+
+    -- Lock the wallet so two purchases can't both spend the same bananas
+    SELECT COALESCE(spendable_bananas, 0) INTO balance FROM profiles WHERE id = auth.uid() FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM player_skins WHERE player_id = auth.uid() AND skin_id = p_skin_id) THEN
+        RAISE EXCEPTION 'Skin already owned';
+    END IF;
+    IF balance < skin_price THEN
+        RAISE EXCEPTION 'Not enough bananas';
+    END IF;
+
+    UPDATE profiles
+    SET spendable_bananas = balance - skin_price,
+        total_purchases = COALESCE(total_purchases, 0) + 1,
+        total_spent = COALESCE(total_spent, 0) + skin_price
+    WHERE id = auth.uid();
+
+    INSERT INTO player_skins (player_id, skin_id) VALUES (auth.uid(), p_skin_id);
+
+    INSERT INTO banana_transactions (player_id, amount, reason, reference, balance_after)
+    VALUES (auth.uid(), -skin_price, 'purchase', p_skin_id, balance - skin_price);
+
+    RETURN balance - skin_price;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION purchase_skin(TEXT) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Session stats (profile aggregates)
+-- ============================================
+-- Every saved game session is folded into the player's profile totals
+-- (mirrored client-side by src/game/stats.js).
+CREATE OR REPLACE FUNCTION apply_session_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+    land TEXT := LOWER(NEW.land_played);
+BEGIN
+    UPDATE profiles SET
+        total_games = COALESCE(total_games, 0) + 1,
+        total_bananas = COALESCE(total_bananas, 0) + COALESCE(NEW.bananas_collected, 0),
+        total_score = COALESCE(total_score, 0) + NEW.score,
+        total_time_played = COALESCE(total_time_played, 0) + COALESCE(NEW.duration, 0),
+        high_score = GREATEST(COALESCE(high_score, 0), NEW.score),
+        highest_level_reached = GREATEST(COALESCE(highest_level_reached, 0), COALESCE(NEW.highest_level, 0)),
+
+        jetpacks_collected = COALESCE(jetpacks_collected, 0) + COALESCE(NEW.jetpacks_used, 0),
+        dino_stomps_collected = COALESCE(dino_stomps_collected, 0) + COALESCE(NEW.dino_stomps_used, 0),
+        bubbles_collected = COALESCE(bubbles_collected, 0) + COALESCE(NEW.bubbles_used, 0),
+        bubble_hits_absorbed = COALESCE(bubble_hits_absorbed, 0) + COALESCE(NEW.bubble_hits_absorbed, 0),
+        pogos_collected = COALESCE(pogos_collected, 0) + COALESCE(NEW.pogos_used, 0),
+        lions_collected = COALESCE(lions_collected, 0) + COALESCE(NEW.lions_used, 0),
+        turtles_collected = COALESCE(turtles_collected, 0) + COALESCE(NEW.turtles_used, 0),
+        stars_collected = COALESCE(stars_collected, 0) + COALESCE(NEW.stars_used, 0),
+
+        snow_games_played = COALESCE(snow_games_played, 0) + (land = 'snow')::INT,
+        desert_games_played = COALESCE(desert_games_played, 0) + (land = 'desert')::INT,
+        jungle_games_played = COALESCE(jungle_games_played, 0) + (land = 'jungle')::INT,
+        ocean_games_played = COALESCE(ocean_games_played, 0) + (land = 'ocean')::INT,
+        moon_games_played = COALESCE(moon_games_played, 0) + (land = 'moon')::INT,
+        snow_best_score = CASE WHEN land = 'snow' THEN GREATEST(COALESCE(snow_best_score, 0), NEW.score) ELSE snow_best_score END,
+        desert_best_score = CASE WHEN land = 'desert' THEN GREATEST(COALESCE(desert_best_score, 0), NEW.score) ELSE desert_best_score END,
+        jungle_best_score = CASE WHEN land = 'jungle' THEN GREATEST(COALESCE(jungle_best_score, 0), NEW.score) ELSE jungle_best_score END,
+        ocean_best_score = CASE WHEN land = 'ocean' THEN GREATEST(COALESCE(ocean_best_score, 0), NEW.score) ELSE ocean_best_score END,
+        moon_best_score = CASE WHEN land = 'moon' THEN GREATEST(COALESCE(moon_best_score, 0), NEW.score) ELSE moon_best_score END,
+
+        multiplayer_games = COALESCE(multiplayer_games, 0) + (NEW.game_mode = 'multiplayer')::INT,
+        multiplayer_wins = COALESCE(multiplayer_wins, 0) + (NEW.game_mode = 'multiplayer' AND COALESCE(NEW.did_win, FALSE))::INT,
+
+        first_game_at = COALESCE(first_game_at, NEW.created_at),
+        last_game_at = GREATEST(last_game_at, NEW.created_at)
+    WHERE id = NEW.player_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apply_session_stats ON game_sessions;
+CREATE TRIGGER apply_session_stats
+    AFTER INSERT ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION apply_session_stats();
+
+-- "Users can update own profile" still covers settings and the
+-- leaderboard milestone, but session-derived totals keep their old values
+-- (and start at zero on a client insert) unless apply_session_stats()
+-- (which doesn't run as a client role) writes them.
+CREATE OR REPLACE FUNCTION protect_profile_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.total_games := 0;
+            NEW.total_bananas := 0;
+            NEW.total_score := 0;
+            NEW.total_time_played := 0;
+            NEW.high_score := 0;
+            NEW.highest_level_reached := 0;
+            NEW.jetpacks_collected := 0;
+            NEW.dino_stomps_collected := 0;
+            NEW.bubbles_collected := 0;
+            NEW.bubble_hits_absorbed := 0;
+            NEW.pogos_collected := 0;
+            NEW.lions_collected := 0;
+            NEW.turtles_collected := 0;
+            NEW.stars_collected := 0;
+            NEW.snow_games_played := 0;
+            NEW.desert_games_played := 0;
+            NEW.jungle_games_played := 0;
+            NEW.ocean_games_played := 0;
+            NEW.moon_games_played := 0;
+            NEW.snow_best_score := 0;
+            NEW.desert_best_score := 0;
+            NEW.jungle_best_score := 0;
+            NEW.ocean_best_score := 0;
+            NEW.moon_best_score := 0;
+            NEW.multiplayer_games := 0;
+            NEW.multiplayer_wins := 0;
+            NEW.first_game_at := NULL;
+            NEW.last_game_at := NULL;
+        ELSE
+            NEW.total_games := OLD.total_games;
+            NEW.total_bananas := OLD.total_bananas;
+            NEW.total_score := OLD.total_score;
+            NEW.total_time_played := OLD.total_time_played;
+            NEW.high_score := OLD.high_score;
+            NEW.highest_level_reached := OLD.highest_level_reached;
+            NEW.jetpacks_collected := OLD.jetpacks_collected;
+            NEW.dino_stomps_collected := OLD.dino_stomps_collected;
+            NEW.bubbles_collected := OLD.bubbles_collected;
+            NEW.bubble_hits_absorbed := OLD.bubble_hits_absorbed;
+            NEW.pogos_collected := OLD.pogos_collected;
+            NEW.lions_collected := OLD.lions_collected;
+            NEW.turtles_collected := OLD.turtles_collected;
+            NEW.stars_collected := OLD.stars_collected;
+            NEW.snow_games_played := OLD.snow_games_played;
+            NEW.desert_games_played := OLD.desert_games_played;
+            NEW.jungle_games_played := OLD.jungle_games_played;
+            NEW.ocean_games_played := OLD.ocean_games_played;
+            NEW.moon_games_played := OLD.moon_games_played;
+            NEW.snow_best_score := OLD.snow_best_score;
+            NEW.desert_best_score := OLD.desert_best_score;
+            NEW.jungle_best_score := OLD.jungle_best_score;
+            NEW.ocean_best_score := OLD.ocean_best_score;
+            NEW.moon_best_score := OLD.moon_best_score;
+            NEW.multiplayer_games := OLD.multiplayer_games;
+            NEW.multiplayer_wins := OLD.multiplayer_wins;
+            NEW.first_game_at := OLD.first_game_at;
+            NEW.last_game_at := OLD.last_game_at;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_stats ON profiles;
+CREATE TRIGGER protect_profile_stats
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_stats();
+
+-- ============================================
+-- FUNCTION: Claim guest progress (guest-to-account merge)
+-- ============================================
+-- Claims a guest id for the caller before its local progress is uploaded.
+-- Claiming it again from the same account succeeds (resuming an
+-- interrupted merge); raises 'Guest progress already merged' if another
+-- account claimed it first.
+CREATE OR REPLACE FUNCTION claim_guest_progress(p_guest_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    owner UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    INSERT INTO guest_merges (guest_id, player_id)
+    VALUES (p_guest_id, auth.uid())
+    ON CONFLICT (guest_id) DO NOTHING;
+
+    SELECT player_id INTO owner FROM guest_merges WHERE guest_id = p_guest_id;
+    IF owner IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Guest progress already merged';
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION claim_guest_progress(UUID) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Username guard (account management)
+-- ============================================
+-- "Users can update own profile" doesn't cover the username: it changes
+-- together with the login address, in change_username().
+CREATE OR REPLACE FUNCTION protect_profile_username()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.username := OLD.username;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_username ON profiles;
+CREATE TRIGGER protect_profile_username
+    BEFORE UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_username();
+
+-- ============================================
+-- FUNCTION: Resolve a username to its login address
+-- ============================================
+-- Sign-in by username for accounts whose login address is a linked email.
+-- Returns the account's login address (the internal one when no email is
+-- linked), or NULL for an unknown username. Service role only: the
+-- username-sign-in edge function signs in with the address, so linked
+-- emails never reach clients.
+CREATE OR REPLACE FUNCTION resolve_login_email(p_username TEXT)
+RETURNS TEXT AS $$
+    SELECT u.email
+    FROM auth.users u
+    JOIN profiles p ON p.id = u.id
+    WHERE LOWER(p.username) = LOWER(p_username);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION resolve_login_email(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_login_email(TEXT) TO service_role;
+
+-- ============================================
+-- FUNCTION: Change username
+-- ============================================
+-- Renames the caller. The leaderboards read usernames from profiles, so
+-- they follow; the internal login address (if no email is linked) and the
+-- auth metadata are renamed too, so the new name signs in and the old one
+-- is free again. Raises 'Invalid username' or 'Username already taken'.
+CREATE OR REPLACE FUNCTION change_username(p_username TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    internal_email TEXT := LOWER(p_username) || '@banana-jump.local';
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+    IF p_username IS NULL OR LENGTH(p_username) < 3 OR p_username !~ '^[a-zA-Z0-9_]+$' THEN
+        RAISE EXCEPTION 'Invalid username';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM profiles WHERE LOWER(username) = LOWER(p_username) AND id <> auth.uid())
+        OR EXISTS (SELECT 1 FROM auth.users WHERE email = internal_email AND id <> auth.uid()) THEN
+        RAISE EXCEPTION 'Username already taken';
+    END IF;
+
+    UPDATE profiles SET username = p_username WHERE id = auth.uid();
+
+    UPDATE auth.users SET
+        raw_user_meta_data = COALESCE(raw_user_meta_data, '{}'::JSONB) || jsonb_build_object('username', p_username),
+        email = CASE WHEN email LIKE '%@banana-jump.local' THEN internal_email ELSE email END
+    WHERE id = auth.uid();
+
+    UPDATE auth.identities SET
+        identity_data = identity_data || jsonb_build_object('email', internal_email)
+    WHERE user_id = auth.uid() AND provider = 'email' AND identity_data->>'email' LIKE '%@banana-jump.local';
+
+    RETURN p_username;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION change_username(TEXT) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Delete account
+-- ============================================
+-- Deletes the caller's account and everything they own. Lobbies are left
+-- through remove_lobby_player() first, so other players keep their lobby
+-- (with a new host) instead of losing it with the host's profile. Guest
+-- merges are kept without the player, so the merged guest ids stay claimed.
+CREATE OR REPLACE FUNCTION delete_account()
+RETURNS BOOLEAN AS $$
+DECLARE
+    me UUID := auth.uid();
+    lobby UUID;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    FOR lobby IN SELECT lobby_id FROM lobby_players WHERE player_id = me LOOP
+        PERFORM remove_lobby_player(lobby, me);
+    END LOOP;
+    DELETE FROM game_lobbies WHERE host_id = me;
+    DELETE FROM matchmaking_queue WHERE player_id = me;
+
+    DELETE FROM game_sessions WHERE player_id = me;
+    DELETE FROM player_skins WHERE player_id = me;
+    DELETE FROM player_achievements WHERE player_id = me;
+    DELETE FROM achievement_progress WHERE player_id = me;
+    DELETE FROM banana_transactions WHERE player_id = me;
+    UPDATE guest_merges SET player_id = NULL WHERE player_id = me;
+
+    DELETE FROM profiles WHERE id = me;
+    DELETE FROM auth.users WHERE id = me;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION delete_account() TO authenticated;
+
+-- ============================================
+-- FUNCTION: Send a friend request
+-- ============================================
+-- Returns the friendship status: 'pending', or 'accepted' when the other
+-- player had already asked (or you're already friends). A player who
+-- blocked the caller looks like an unknown username.
+CREATE OR REPLACE FUNCTION send_friend_request(p_username TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    me UUID := auth.uid();
+    target UUID;
+    existing friendships%ROWTYPE;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    SELECT id INTO target FROM profiles WHERE LOWER(username) = LOWER(p_username);
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Player not found';
+    END IF;
+    IF target = me THEN
+        RAISE EXCEPTION 'You can''t add yourself';
+    END IF;
+
+    SELECT * INTO existing FROM friendships
+    WHERE LEAST(requester_id, addressee_id) = LEAST(me, target)
+    AND GREATEST(requester_id, addressee_id) = GREATEST(me, target)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        INSERT INTO friendships (requester_id, addressee_id) VALUES (me, target);
+        RETURN 'pending';
+    END IF;
+
+    IF existing.status = 'blocked' THEN
+        IF existing.requester_id = me THEN
+            RAISE EXCEPTION 'Unblock this player first';
+        END IF;
+        RAISE EXCEPTION 'Player not found';
+    END IF;
+
+    -- They asked first - asking back accepts
+    IF existing.status = 'pending' AND existing.addressee_id = me THEN
+        UPDATE friendships SET status = 'accepted', responded_at = NOW() WHERE id = existing.id;
+        RETURN 'accepted';
+    END IF;
+
+    RETURN existing.status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION send_friend_request(TEXT) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Accept / decline a friend request
+-- ============================================
+-- Accept or decline a request sent to the caller. Returns 'accepted' or
+-- 'declined'; raises 'Friend request not found'.
+CREATE OR REPLACE FUNCTION respond_friend_request(p_friendship_id UUID, p_accept BOOLEAN)
+RETURNS TEXT AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    IF p_accept THEN
+        UPDATE friendships SET status = 'accepted', responded_at = NOW()
+        WHERE id = p_friendship_id AND addressee_id = auth.uid() AND status = 'pending';
+    ELSE
+        DELETE FROM friendships
+        WHERE id = p_friendship_id AND addressee_id = auth.uid() AND status = 'pending';
+    END IF;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Friend request not found';
+    END IF;
+
+    RETURN CASE WHEN p_accept THEN 'accepted' ELSE 'declined' END;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION respond_friend_request(UUID, BOOLEAN) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Block a player
+-- ============================================
+-- Replaces any friendship or request with a block and drops invites
+-- between the two players. Unblocking deletes the row (see the FRIENDSHIPS policies).
+CREATE OR REPLACE FUNCTION block_player(p_player_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+    me UUID := auth.uid();
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+    IF p_player_id = me THEN
+        RAISE EXCEPTION 'You can''t block yourself';
+    END IF;
+
+    -- Already blocked by them: contact is cut either way, keep their block
+    IF EXISTS (SELECT 1 FROM friendships WHERE requester_id = p_player_id AND addressee_id = me AND status = 'blocked') THEN
+        RETURN 'blocked';
+    END IF;
+
+    DELETE FROM friendships
+    WHERE LEAST(requester_id, addressee_id) = LEAST(me, p_player_id)
+    AND GREATEST(requester_id, addressee_id) = GREATEST(me, p_player_id);
+
+    INSERT INTO friendships (requester_id, addressee_id, status, responded_at)
+    VALUES (me, p_player_id, 'blocked', NOW());
+
+    DELETE FROM lobby_invites
+    WHERE (from_id = me AND to_id = p_player_id) OR (from_id = p_player_id AND to_id = me);
+
+    RETURN 'blocked';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION block_player(UUID) TO authenticated;
+
+-- ============================================
+-- FUNCTION: Current season (mirrors src/game/seasons.js)
+-- ============================================
+-- The season running now (NULL between seasons)
+CREATE OR REPLACE FUNCTION current_season_id()
+RETURNS INTEGER AS $$
+    SELECT id FROM seasons
+    WHERE starts_at <= NOW() AND ends_at > NOW() AND finalized_at IS NULL
+    ORDER BY starts_at DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION current_season_id() TO anon, authenticated;
+
+-- ============================================
+-- TRIGGER: Tag sessions with the current season
+-- ============================================
+-- Always set server-side: a run counts for the season it's saved in (runs
+-- synced after a season ends don't reach back into it)
+CREATE OR REPLACE FUNCTION tag_session_season()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.season_id := current_season_id();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tag_session_season ON game_sessions;
+CREATE TRIGGER tag_session_season
+    BEFORE INSERT ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION tag_session_season();
+
+-- ============================================
+-- FUNCTION: Leaderboard time windows (mirrors src/game/leaderboard.js)
+-- ============================================
+-- 'daily' -> start of today (UTC), 'weekly' -> Monday of this week (UTC),
+-- anything else -> NULL (all time)
+CREATE OR REPLACE FUNCTION leaderboard_window_start(p_window TEXT)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+    SELECT CASE p_window
+        WHEN 'daily' THEN date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+        WHEN 'weekly' THEN date_trunc('week', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+        ELSE NULL
+    END;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- FUNCTION: Ranked leaderboard (best run per player)
+-- ============================================
+-- Best run per player, ordered by score, then earliest run, then player id
+-- (a stable order for cursors). Tied scores share a rank. The 'season'
+-- window is the current season's runs. p_verified NULL means the window's
+-- default: verified runs only for 'season' (what finalize_season() ranks),
+-- all runs otherwise.
+CREATE OR REPLACE FUNCTION ranked_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT NULL,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id)
+            s.player_id, s.score, s.created_at, s.id, s.land_played, s.verified
+        FROM game_sessions s
+        WHERE s.score > 0
+        AND (p_land IS NULL OR s.land_played = p_land)
+        AND (NOT COALESCE(p_verified, p_window = 'season') OR s.verified = TRUE)
+        AND (p_players IS NULL OR s.player_id = ANY(p_players))
+        AND s.created_at >= COALESCE(leaderboard_window_start(p_window), '-infinity'::TIMESTAMP WITH TIME ZONE)
+        AND (p_window <> 'season' OR s.season_id = current_season_id())
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    )
+    SELECT
+        RANK() OVER (ORDER BY b.score DESC),
+        b.player_id,
+        p.username,
+        b.score,
+        b.created_at,
+        b.id,
+        b.land_played,
+        COALESCE(b.verified, FALSE)
+    FROM best b
+    JOIN profiles p ON p.id = b.player_id
+    ORDER BY b.score DESC, b.created_at ASC, b.player_id ASC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- FUNCTION: Leaderboard page (cursor pagination)
+-- ============================================
+-- One page of a leaderboard. Pass the last entry of the previous page as
+-- the cursor (p_after_score / p_after_at / p_after_player), or NULLs for
+-- the first page. At most 101 entries (a page of 100 plus one to tell
+-- whether there's another page).
+CREATE OR REPLACE FUNCTION get_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT NULL,
+    p_limit INTEGER DEFAULT 10,
+    p_after_score INTEGER DEFAULT NULL,
+    p_after_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_player UUID DEFAULT NULL,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    SELECT r.*
+    FROM ranked_leaderboard(p_window, p_land, p_verified, p_players) r
+    WHERE p_after_score IS NULL
+        OR r.score < p_after_score
+        OR (r.score = p_after_score AND (r.achieved_at, r.player_id) > (p_after_at, p_after_player))
+    ORDER BY r.score DESC, r.achieved_at ASC, r.player_id ASC
+    LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- FUNCTION: Player rank with neighbors
+-- ============================================
+-- A player's entry with p_neighbors entries above and below it (no rows if
+-- the player has no run in the window). `position` is the place in the
+-- ordered list, `total` the number of players on the leaderboard.
+CREATE OR REPLACE FUNCTION get_leaderboard_rank(
+    p_player_id UUID,
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT NULL,
+    p_neighbors INTEGER DEFAULT 2,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN,
+    "position" BIGINT,
+    total BIGINT
+) AS $$
+    WITH ranked AS (
+        SELECT r.*,
+            ROW_NUMBER() OVER (ORDER BY r.score DESC, r.achieved_at ASC, r.player_id ASC) AS place,
+            COUNT(*) OVER () AS player_count
+        FROM ranked_leaderboard(p_window, p_land, p_verified, p_players) r
+    ),
+    me AS (
+        SELECT ranked.place FROM ranked WHERE ranked.player_id = p_player_id
+    )
+    SELECT ranked.rank, ranked.player_id, ranked.username, ranked.score, ranked.achieved_at,
+        ranked.session_id, ranked.land_played, ranked.verified, ranked.place, ranked.player_count
+    FROM ranked, me
+    WHERE ranked.place BETWEEN me.place - GREATEST(p_neighbors, 0) AND me.place + GREATEST(p_neighbors, 0)
+    ORDER BY ranked.place;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION leaderboard_window_start(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION ranked_leaderboard(TEXT, TEXT, BOOLEAN, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard(TEXT, TEXT, BOOLEAN, INTEGER, INTEGER, TIMESTAMP WITH TIME ZONE, UUID, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard_rank(UUID, TEXT, TEXT, BOOLEAN, INTEGER, UUID[]) TO anon, authenticated;
+
+-- ============================================
+-- FUNCTION: Finalize a season (standings archive + rewards)
+-- ============================================
+-- Archives an ended season's standings (best verified run per player, tied
+-- scores share a rank) and grants each player their reward tier. Runs once per
+-- season; returns the number of players ranked. Raises 'Season not found',
+-- 'Season has not ended' or 'Season already finalized'. Not granted to
+-- clients.
+CREATE OR REPLACE FUNCTION finalize_season(p_season_id INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    season seasons%ROWTYPE;
+    standing season_standings%ROWTYPE;
+    ranked_count INTEGER;
+BEGIN
+    SELECT * INTO season FROM seasons WHERE id = p_season_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Season not found';
+    END IF;
+    IF season.ends_at > NOW() THEN
+        RAISE EXCEPTION 'Season has not ended';
+    END IF;
+    IF season.finalized_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Season already finalized';
+    END IF;
+
+    INSERT INTO season_standings (season_id, player_id, rank, score, session_id, bananas, skin_id, badge)
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id) s.player_id, s.score, s.created_at, s.id
+        FROM game_sessions s
+        WHERE s.season_id = p_season_id AND s.score > 0 AND s.verified = TRUE
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    ),
+    ranked AS (
+        SELECT best.*, RANK() OVER (ORDER BY best.score DESC)::INTEGER AS final_rank
+        FROM best
+    )
+    SELECT p_season_id, r.player_id, r.final_rank, r.score, r.id,
+        COALESCE(t.bananas, 0), t.skin_id, t.badge
+    FROM ranked r
+    LEFT JOIN LATERAL (
+        SELECT * FROM season_reward_tiers
+        WHERE season_reward_tiers.max_rank >= r.final_rank
+        ORDER BY season_reward_tiers.max_rank
+        LIMIT 1
+    ) t ON TRUE;
+
+    GET DIAGNOSTICS ranked_count = ROW_COUNT;
+
+    FOR standing IN SELECT * FROM season_standings WHERE season_id = p_season_id AND (bananas > 0 OR skin_id IS NOT NULL) LOOP
+        PERFORM credit_bananas(standing.player_id, standing.bananas, 'season_reward', 'season:' || p_season_id);
+        IF standing.skin_id IS NOT NULL THEN
+            INSERT INTO player_skins (player_id, skin_id) VALUES (standing.player_id, standing.skin_id)
+            ON CONFLICT (player_id, skin_id) DO NOTHING;
+        END IF;
+    END LOOP;
+
+    UPDATE seasons SET finalized_at = NOW() WHERE id = p_season_id;
+
+    RETURN ranked_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION finalize_season(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION finalize_season(INTEGER) TO service_role;
+
+-- ============================================
+-- FUNCTION: Mark season results seen
+-- ============================================
+-- The client shows a finished season's result once, then marks it seen
+CREATE OR REPLACE FUNCTION mark_season_results_seen()
+RETURNS INTEGER AS $$
+DECLARE
+    marked INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    UPDATE season_standings SET seen_at = NOW()
+    WHERE player_id = auth.uid() AND seen_at IS NULL;
+    GET DIAGNOSTICS marked = ROW_COUNT;
+
+    RETURN marked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION mark_season_results_seen() TO authenticated;
+
 -- ============================================
 -- TRIGGER: Auto-create profile on signup
 -- ============================================
@@ -261,10 +1698,12 @@ CREATE TRIGGER on_auth_user_created
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS desert_games_played INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS jungle_games_played INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS ocean_games_played INTEGER DEFAULT 0;
+-- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS moon_games_played INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS snow_best_score INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS desert_best_score INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS jungle_best_score INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS ocean_best_score INTEGER DEFAULT 0;
+-- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS moon_best_score INTEGER DEFAULT 0;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS first_game_at TIMESTAMP WITH TIME ZONE;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS last_game_at TIMESTAMP WITH TIME ZONE;
 -- ALTER TABLE profiles ADD COLUMN IF NOT EXISTS highest_level_reached INTEGER DEFAULT 0;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Username sign-in for accounts with a linked email
+ *
+ * Players sign in with their username, but an account that linked a real
+ * email has that email as its login address. This edge function looks the
+ * address up with the service role (resolve_login_email()) and signs in
+ * with it here, so the address never reaches the client. The game tries
+ * the internal username@banana-jump.local address first and only calls
+ * this when that fails (see signIn() in src/services/auth.js):
+ *
+ *   supabase functions deploy username-sign-in --no-verify-jwt
+ *
+ *   POST { username, password } -> 200 { session: { access_token, refresh_token } }
+ *                               -> 401 { error: 'Invalid login credentials' }
+ *
+ * @module supabase/functions/username-sign-in
+ */
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+
+// ============================================
+// RESPONSES
+// ============================================
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+/**
+ * JSON response with the CORS headers
+ *
+ * @param {Object} body - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Response} Response
+ */
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+// Same answer for an unknown username and a wrong password
+const INVALID_LOGIN = { error: 'Invalid login credentials' };
+
+// ============================================
+// HANDLER
+// ============================================
+
+Deno.serve(async (request) => {
+    if (request.method === 'OPTIONS') {
+        return new Response('ok', { headers: CORS_HEADERS });
+    }
+    if (request.method !== 'POST') {
+        return json({ error: 'Method not allowed' }, 405);
+    }
+
+    const { username, password } = await request.json().catch(() => ({}));
+    if (typeof username !== 'string' || typeof password !== 'string' || username.includes('@')) {
+        return json({ error: 'Invalid request' }, 400);
+    }
+
+    const url = Deno.env.get('SUPABASE_URL');
+    const options = { auth: { persistSession: false, autoRefreshToken: false } };
+    const admin = createClient(url, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY'), options);
+
+    const { data: email, error } = await admin.rpc('resolve_login_email', { p_username: username });
+    if (error) {
+        console.error('Error resolving login email:', error.message);
+        return json({ error: 'Sign in failed' }, 500);
+    }
+    if (!email) {
+        return json(INVALID_LOGIN, 401);
+    }
+
+    // Signed in as the player (anon key), so Auth's own checks and limits apply
+    const auth = createClient(url, Deno.env.get('SUPABASE_ANON_KEY'), options);
+    const { data, error: signInError } = await auth.auth.signInWithPassword({ email, password });
+    if (signInError || !data.session) {
+        return json(INVALID_LOGIN, 401);
+    }
+
+    return json({
+        session: {
+            access_token: data.session.access_token,
+            refresh_token: data.session.refresh_token
+        }
+    });
+});
@@ -0,0 +1,11 @@
+-- Add replay recording columns to game_sessions table
+-- A replay stores the seed and input log of a run (see src/game/replay.js)
+
+-- Simulation seed for the run
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS seed BIGINT;
+
+-- Encoded replay (BR1;... compact text format)
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS replay TEXT;
+
+-- Partial index for the "best runs" leaderboard section
+CREATE INDEX IF NOT EXISTS idx_game_sessions_replay_score ON game_sessions(score DESC) WHERE replay IS NOT NULL;
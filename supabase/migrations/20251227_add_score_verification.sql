@@ -0,0 +1,30 @@
+-- Server-side score verification
+-- Sessions are re-simulated from their replay by scripts/verify-scores.mjs
+-- (service role) and marked verified when the recomputed score matches.
+
+-- Verification state on game_sessions
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT FALSE;
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS verification_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_verified_score ON game_sessions(score DESC) WHERE verified = TRUE;
+CREATE INDEX IF NOT EXISTS idx_game_sessions_pending ON game_sessions(created_at) WHERE replay IS NOT NULL AND verified_at IS NULL;
+
+-- Clients may only insert unverified sessions (the verifier bypasses RLS)
+DROP POLICY IF EXISTS "Users can insert own sessions" ON game_sessions;
+CREATE POLICY "Users can insert own sessions" ON game_sessions FOR INSERT
+    WITH CHECK (auth.uid() = player_id AND verified = FALSE AND verified_at IS NULL AND verification_error IS NULL);
+
+-- Best verified score per player (same columns as the leaderboard view)
+CREATE OR REPLACE VIEW verified_leaderboard AS
+SELECT
+    p.id as player_id,
+    p.username,
+    MAX(s.score) as high_score,
+    p.total_games,
+    p.total_bananas
+FROM game_sessions s
+JOIN profiles p ON p.id = s.player_id
+WHERE s.verified = TRUE
+GROUP BY p.id, p.username, p.total_games, p.total_bananas
+ORDER BY high_score DESC;
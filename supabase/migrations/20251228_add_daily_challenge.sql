@@ -0,0 +1,22 @@
+-- Daily challenge mode
+-- Everyone plays the same seed/land/modifier each UTC day (see src/game/daily.js)
+-- and only the first attempt of the day is scored.
+
+-- UTC date of the challenge a session was played for (daily_challenge sessions only)
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS challenge_date DATE;
+
+-- Known game modes
+ALTER TABLE game_sessions DROP CONSTRAINT IF EXISTS game_sessions_game_mode_check;
+ALTER TABLE game_sessions ADD CONSTRAINT game_sessions_game_mode_check
+    CHECK (game_mode IN ('solo', 'multiplayer', 'daily_challenge'));
+
+-- Daily sessions must say which day they were for
+ALTER TABLE game_sessions DROP CONSTRAINT IF EXISTS game_sessions_challenge_date_check;
+ALTER TABLE game_sessions ADD CONSTRAINT game_sessions_challenge_date_check
+    CHECK (game_mode <> 'daily_challenge' OR challenge_date IS NOT NULL);
+
+-- One scored attempt per player per day (also serves the daily leaderboard)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_sessions_daily_attempt
+    ON game_sessions(player_id, challenge_date) WHERE game_mode = 'daily_challenge';
+CREATE INDEX IF NOT EXISTS idx_game_sessions_daily_score
+    ON game_sessions(challenge_date, score DESC) WHERE game_mode = 'daily_challenge';
@@ -0,0 +1,116 @@
+-- Skill rating and matchmaking queue
+-- Players get a Glicko rating (see src/multiplayer/rating.js), updated after
+-- each multiplayer round. Quick match queues players per land and pairs
+-- similar ratings, widening the window the longer they wait
+-- (see src/multiplayer/matchmaking.js - the constants below must match).
+
+-- ============================================
+-- RATINGS
+-- ============================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS rating INTEGER DEFAULT 1500;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS rating_deviation INTEGER DEFAULT 350;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS rated_games INTEGER DEFAULT 0;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS rating_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- MATCHMAKING_QUEUE TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS matchmaking_queue (
+    player_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    land TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    enqueued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    lobby_id UUID REFERENCES game_lobbies(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_matchmaking_queue_waiting
+    ON matchmaking_queue(land, rating) WHERE lobby_id IS NULL;
+
+ALTER TABLE matchmaking_queue ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can see the queue (for wait estimates); rows are only added
+-- or matched through matchmake(), but players can leave
+DROP POLICY IF EXISTS "Anyone can view matchmaking queue" ON matchmaking_queue;
+CREATE POLICY "Anyone can view matchmaking queue" ON matchmaking_queue FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Users can leave matchmaking queue" ON matchmaking_queue;
+CREATE POLICY "Users can leave matchmaking queue" ON matchmaking_queue FOR DELETE USING (auth.uid() = player_id);
+
+-- ============================================
+-- MATCHMAKE FUNCTION
+-- ============================================
+-- Called by a queued client every couple of seconds. Joins the queue on the
+-- first call, then tries to form a match anchored on the caller. Returns
+-- the lobby id once the caller has been matched (by their own call or
+-- someone else's), otherwise NULL.
+CREATE OR REPLACE FUNCTION matchmake(p_land TEXT)
+RETURNS UUID AS $$
+DECLARE
+    base_window CONSTANT INTEGER := 100;    -- MATCHMAKING_BASE_WINDOW
+    window_growth CONSTANT INTEGER := 10;   -- MATCHMAKING_WINDOW_GROWTH (per second)
+    max_window CONSTANT INTEGER := 600;     -- MATCHMAKING_MAX_WINDOW
+    max_players CONSTANT INTEGER := 7;      -- MAX_LOBBY_PLAYERS
+    stale_after CONSTANT INTERVAL := INTERVAL '10 seconds';
+    me matchmaking_queue%ROWTYPE;
+    matched_ids UUID[];
+    new_lobby UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    -- Join (or rejoin on a different land) using the stored rating
+    INSERT INTO matchmaking_queue (player_id, land, rating)
+    SELECT id, p_land, COALESCE(rating, 1500) FROM profiles WHERE id = auth.uid()
+    ON CONFLICT (player_id) DO UPDATE
+        SET last_seen_at = NOW(),
+            land = EXCLUDED.land,
+            enqueued_at = CASE WHEN matchmaking_queue.land = EXCLUDED.land
+                THEN matchmaking_queue.enqueued_at ELSE NOW() END;
+
+    SELECT * INTO me FROM matchmaking_queue WHERE player_id = auth.uid() FOR UPDATE;
+
+    -- Someone else already matched us
+    IF me.lobby_id IS NOT NULL THEN
+        DELETE FROM matchmaking_queue WHERE player_id = me.player_id;
+        RETURN me.lobby_id;
+    END IF;
+
+    -- Closest ratings in range of either player's window, skipping
+    -- players who stopped polling and rows another call is matching
+    SELECT ARRAY_AGG(player_id) INTO matched_ids FROM (
+        SELECT q.player_id
+        FROM matchmaking_queue q
+        WHERE q.land = me.land
+          AND q.lobby_id IS NULL
+          AND q.player_id <> me.player_id
+          AND q.last_seen_at > NOW() - stale_after
+          AND ABS(q.rating - me.rating) <= GREATEST(
+              LEAST(max_window, base_window + window_growth * EXTRACT(EPOCH FROM NOW() - me.enqueued_at)),
+              LEAST(max_window, base_window + window_growth * EXTRACT(EPOCH FROM NOW() - q.enqueued_at)))
+        ORDER BY ABS(q.rating - me.rating), q.enqueued_at
+        LIMIT max_players - 1
+        FOR UPDATE SKIP LOCKED
+    ) candidates;
+
+    IF matched_ids IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- The caller hosts; everyone joins ready
+    INSERT INTO game_lobbies (code, host_id, land, status)
+    VALUES (UPPER(SUBSTRING(MD5(RANDOM()::TEXT) FROM 1 FOR 6)), me.player_id, me.land, 'waiting')
+    RETURNING id INTO new_lobby;
+
+    INSERT INTO lobby_players (lobby_id, player_id, is_ready)
+    SELECT new_lobby, UNNEST(matched_ids || me.player_id), TRUE;
+
+    UPDATE matchmaking_queue SET lobby_id = new_lobby WHERE player_id = ANY(matched_ids);
+    DELETE FROM matchmaking_queue WHERE player_id = me.player_id;
+
+    RETURN new_lobby;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION matchmake(TEXT) TO authenticated;
@@ -0,0 +1,60 @@
+-- Lobby leave / forfeit with host migration
+-- A player leaving (or forfeited after the reconnect grace window) no
+-- longer takes the lobby down with them when they were host: the next
+-- player to have joined takes over, and the lobby is only deleted once
+-- it is empty. Runs as the table owner because lobby_players RLS only
+-- lets players delete their own row and game_lobbies only lets the host
+-- update it.
+
+-- ============================================
+-- REMOVE_LOBBY_PLAYER FUNCTION
+-- ============================================
+-- p_player_id defaults to the caller (leaving). Removing someone else is
+-- allowed for fellow lobby members - clients forfeit a player whose
+-- heartbeats stopped for longer than RECONNECT_GRACE_MS (src/core/config.js).
+CREATE OR REPLACE FUNCTION remove_lobby_player(p_lobby_id UUID, p_player_id UUID DEFAULT NULL)
+RETURNS UUID AS $$
+DECLARE
+    target UUID := COALESCE(p_player_id, auth.uid());
+    current_host UUID;
+    next_host UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    IF target <> auth.uid() AND NOT EXISTS (
+        SELECT 1 FROM lobby_players WHERE lobby_id = p_lobby_id AND player_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'Only lobby members can remove players';
+    END IF;
+
+    -- Lock the lobby so two clients forfeiting at once agree on the new host
+    SELECT host_id INTO current_host FROM game_lobbies WHERE id = p_lobby_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    DELETE FROM lobby_players WHERE lobby_id = p_lobby_id AND player_id = target;
+
+    SELECT player_id INTO next_host
+    FROM lobby_players
+    WHERE lobby_id = p_lobby_id
+    ORDER BY joined_at ASC
+    LIMIT 1;
+
+    IF next_host IS NULL THEN
+        DELETE FROM game_lobbies WHERE id = p_lobby_id;
+        RETURN NULL;
+    END IF;
+
+    IF current_host = target THEN
+        UPDATE game_lobbies SET host_id = next_host WHERE id = p_lobby_id;
+        RETURN next_host;
+    END IF;
+
+    RETURN current_host;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION remove_lobby_player(UUID, UUID) TO authenticated;
@@ -0,0 +1,292 @@
+-- Banana economy ledger
+-- Spendable bananas only move through the database now: run earnings and
+-- achievement rewards are credited by triggers, and skins are bought with
+-- purchase_skin(), which checks the price against skin_catalog and debits
+-- + unlocks in one transaction. Every movement is recorded in
+-- banana_transactions. Clients can no longer write their own balance.
+
+-- ============================================
+-- CATALOGS (mirror SKINS / ACHIEVEMENTS in index.html)
+-- ============================================
+CREATE TABLE IF NOT EXISTS skin_catalog (
+    skin_id TEXT PRIMARY KEY,
+    price INTEGER NOT NULL CHECK (price > 0)
+);
+
+INSERT INTO skin_catalog (skin_id, price) VALUES
+    ('ninja', 25),
+    ('pirate', 50),
+    ('astronaut', 75),
+    ('alien', 50),
+    ('santa', 75),
+    ('soccer', 50),
+    ('fatguy', 50),
+    ('flame', 100),
+    ('ice', 125),
+    ('neon', 150),
+    ('shadow', 175),
+    ('rainbow', 200),
+    ('banana', 150),
+    ('chicken', 150),
+    ('superhero', 175),
+    ('spiderman', 200),
+    ('robot', 300),
+    ('ghost', 350),
+    ('diamond', 500)
+ON CONFLICT (skin_id) DO UPDATE SET price = EXCLUDED.price;
+
+CREATE TABLE IF NOT EXISTS achievement_rewards (
+    achievement_id TEXT PRIMARY KEY,
+    reward INTEGER NOT NULL CHECK (reward >= 0)
+);
+
+INSERT INTO achievement_rewards (achievement_id, reward) VALUES
+    ('first_game', 5),
+    ('getting_started', 10),
+    ('regular_player', 15),
+    ('dedicated_runner', 25),
+    ('banana_master', 50),
+    ('true_champion', 100),
+    ('first_hundred', 5),
+    ('making_progress', 10),
+    ('breaking_through', 15),
+    ('skilled_runner', 25),
+    ('expert_runner', 50),
+    ('master_runner', 100),
+    ('legendary_runner', 250),
+    ('first_banana', 1),
+    ('banana_bunch', 5),
+    ('banana_collector', 15),
+    ('banana_hoarder', 25),
+    ('banana_baron', 75),
+    ('banana_billionaire', 150),
+    ('first_flight', 10),
+    ('sky_high', 25),
+    ('rocket_man', 50),
+    ('first_stomp', 10),
+    ('dino_power', 25),
+    ('trex_king', 50),
+    ('bubble_first', 10),
+    ('bubble_collector', 25),
+    ('bubble_savior', 50),
+    ('pogo_first', 10),
+    ('pogo_collector', 25),
+    ('pogo_master', 50),
+    ('lion_first', 15),
+    ('lion_collector', 35),
+    ('turtle_first', 10),
+    ('turtle_collector', 25),
+    ('turtle_master', 50),
+    ('star_first', 10),
+    ('star_collector', 25),
+    ('star_master', 50),
+    ('level_one', 10),
+    ('level_five', 35),
+    ('level_ten', 75),
+    ('level_master', 200),
+    ('snow_explorer', 5),
+    ('desert_explorer', 5),
+    ('jungle_explorer', 5),
+    ('ocean_explorer', 5),
+    ('world_traveler', 25),
+    ('snow_master', 20),
+    ('desert_master', 20),
+    ('jungle_master', 20),
+    ('ocean_master', 20),
+    ('warming_up', 10),
+    ('getting_comfortable', 25),
+    ('time_flies', 50),
+    ('dedicated_player', 100),
+    ('hardcore_gamer', 200),
+    ('top_banana', 100),
+    ('first_purchase', 10),
+    ('collector', 25),
+    ('shopaholic', 75),
+    ('social_butterfly', 15),
+    ('first_win', 25),
+    ('champion', 100)
+ON CONFLICT (achievement_id) DO UPDATE SET reward = EXCLUDED.reward;
+
+ALTER TABLE skin_catalog ENABLE ROW LEVEL SECURITY;
+ALTER TABLE achievement_rewards ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view skin catalog" ON skin_catalog;
+CREATE POLICY "Anyone can view skin catalog" ON skin_catalog FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view achievement rewards" ON achievement_rewards;
+CREATE POLICY "Anyone can view achievement rewards" ON achievement_rewards FOR SELECT USING (true);
+
+-- ============================================
+-- BANANA_TRANSACTIONS TABLE (ledger)
+-- ============================================
+CREATE TABLE IF NOT EXISTS banana_transactions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL,                  -- positive = credit, negative = debit
+    reason TEXT NOT NULL CHECK (reason IN ('opening_balance', 'run_earnings', 'achievement_reward', 'purchase')),
+    reference TEXT,                           -- session id, achievement id or skin id
+    balance_after BIGINT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_banana_transactions_player ON banana_transactions(player_id, created_at DESC);
+
+ALTER TABLE banana_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for players; rows are only written by the functions below
+DROP POLICY IF EXISTS "Users can view own transactions" ON banana_transactions;
+CREATE POLICY "Users can view own transactions" ON banana_transactions FOR SELECT USING (auth.uid() = player_id);
+
+-- Shop skins can only be unlocked through purchase_skin()
+DROP POLICY IF EXISTS "Users can unlock skins" ON player_skins;
+CREATE POLICY "Users can unlock skins" ON player_skins FOR INSERT
+    WITH CHECK (auth.uid() = player_id AND NOT EXISTS (SELECT 1 FROM skin_catalog c WHERE c.skin_id = player_skins.skin_id));
+
+-- Existing balances become the opening entry of each ledger
+INSERT INTO banana_transactions (player_id, amount, reason, balance_after)
+SELECT p.id, p.spendable_bananas, 'opening_balance', p.spendable_bananas
+FROM profiles p
+WHERE p.spendable_bananas > 0
+  AND NOT EXISTS (SELECT 1 FROM banana_transactions t WHERE t.player_id = p.id);
+
+-- ============================================
+-- WALLET GUARD
+-- ============================================
+-- "Users can update own profile" still covers stats and settings, but the
+-- wallet columns keep their old values (and start at 0 on a client insert)
+-- unless the write comes from one of the SECURITY DEFINER functions below,
+-- which don't run as a client role.
+CREATE OR REPLACE FUNCTION protect_profile_wallet()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.spendable_bananas := 0;
+            NEW.total_purchases := 0;
+            NEW.total_spent := 0;
+        ELSE
+            NEW.spendable_bananas := OLD.spendable_bananas;
+            NEW.total_purchases := OLD.total_purchases;
+            NEW.total_spent := OLD.total_spent;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_wallet ON profiles;
+CREATE TRIGGER protect_profile_wallet
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_wallet();
+
+-- ============================================
+-- CREDIT_BANANAS FUNCTION
+-- ============================================
+-- Internal: adds to a balance and records the ledger entry. Not granted to
+-- clients - credits only come from the triggers below.
+CREATE OR REPLACE FUNCTION credit_bananas(p_player_id UUID, p_amount INTEGER, p_reason TEXT, p_reference TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    new_balance BIGINT;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        SELECT spendable_bananas INTO new_balance FROM profiles WHERE id = p_player_id;
+        RETURN new_balance;
+    END IF;
+
+    UPDATE profiles
+    SET spendable_bananas = COALESCE(spendable_bananas, 0) + p_amount
+    WHERE id = p_player_id
+    RETURNING spendable_bananas INTO new_balance;
+
+    IF FOUND THEN
+        INSERT INTO banana_transactions (player_id, amount, reason, reference, balance_after)
+        VALUES (p_player_id, p_amount, p_reason, p_reference, new_balance);
+    END IF;
+
+    RETURN new_balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION credit_bananas(UUID, INTEGER, TEXT, TEXT) FROM PUBLIC;
+
+-- Run earnings: the bananas collected in a saved game session
+CREATE OR REPLACE FUNCTION credit_run_earnings()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM credit_bananas(NEW.player_id, NEW.bananas_collected, 'run_earnings', NEW.id::TEXT);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS credit_run_earnings ON game_sessions;
+CREATE TRIGGER credit_run_earnings
+    AFTER INSERT ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION credit_run_earnings();
+
+-- Achievement rewards: paid once, when the achievement row is first inserted
+CREATE OR REPLACE FUNCTION credit_achievement_reward()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM credit_bananas(
+        NEW.player_id,
+        (SELECT reward FROM achievement_rewards WHERE achievement_id = NEW.achievement_id),
+        'achievement_reward',
+        NEW.achievement_id
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS credit_achievement_reward ON player_achievements;
+CREATE TRIGGER credit_achievement_reward
+    AFTER INSERT ON player_achievements
+    FOR EACH ROW EXECUTE FUNCTION credit_achievement_reward();
+
+-- ============================================
+-- PURCHASE_SKIN FUNCTION
+-- ============================================
+-- Debit + unlock in one transaction. The price comes from skin_catalog,
+-- never from the client. Returns the new balance; raises 'Unknown skin',
+-- 'Skin already owned' or 'Not enough bananas'.
+CREATE OR REPLACE FUNCTION purchase_skin(p_skin_id TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    skin_price INTEGER;
+    balance BIGINT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    SELECT price INTO skin_price FROM skin_catalog WHERE skin_id = p_skin_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Unknown skin';
+    END IF;
+
+    -- Lock the wallet so two purchases can't both spend the same bananas
+    SELECT COALESCE(spendable_bananas, 0) INTO balance FROM profiles WHERE id = auth.uid() FOR UPDATE;
+
+    IF EXISTS (SELECT 1 FROM player_skins WHERE player_id = auth.uid() AND skin_id = p_skin_id) THEN
+        RAISE EXCEPTION 'Skin already owned';
+    END IF;
+    IF balance < skin_price THEN
+        RAISE EXCEPTION 'Not enough bananas';
+    END IF;
+
+    UPDATE profiles
+    SET spendable_bananas = balance - skin_price,
+        total_purchases = COALESCE(total_purchases, 0) + 1,
+        total_spent = COALESCE(total_spent, 0) + skin_price
+    WHERE id = auth.uid();
+
+    INSERT INTO player_skins (player_id, skin_id) VALUES (auth.uid(), p_skin_id);
+
+    INSERT INTO banana_transactions (player_id, amount, reason, reference, balance_after)
+    VALUES (auth.uid(), -skin_price, 'purchase', p_skin_id, balance - skin_price);
+
+    RETURN balance - skin_price;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION purchase_skin(TEXT) TO authenticated;
@@ -0,0 +1,33 @@
+-- Achievement progress
+-- Lifetime requirements show progress straight from profile stats, but
+-- run-scoped ("score 5000 in one game") and streak requirements have
+-- nothing in the profile to measure against. The client stores the best
+-- run value / latest streak for those here so the achievements screen can
+-- show how close a player is (see getCatalogProgress in
+-- src/game/achievements.js).
+
+-- ============================================
+-- ACHIEVEMENT_PROGRESS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS achievement_progress (
+    player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    achievement_id TEXT NOT NULL,
+    progress INTEGER NOT NULL DEFAULT 0 CHECK (progress >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (player_id, achievement_id)
+);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+ALTER TABLE achievement_progress ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own achievement progress" ON achievement_progress;
+CREATE POLICY "Users can view own achievement progress" ON achievement_progress FOR SELECT USING (auth.uid() = player_id);
+
+DROP POLICY IF EXISTS "Users can save own achievement progress" ON achievement_progress;
+CREATE POLICY "Users can save own achievement progress" ON achievement_progress FOR INSERT WITH CHECK (auth.uid() = player_id);
+
+DROP POLICY IF EXISTS "Users can update own achievement progress" ON achievement_progress;
+CREATE POLICY "Users can update own achievement progress" ON achievement_progress FOR UPDATE USING (auth.uid() = player_id);
@@ -0,0 +1,175 @@
+-- Profile stats aggregated by the database
+-- saveScore() used to read totals from the client's copy of the profile,
+-- add the run and write them back, so a stale copy (two tabs) or a lost
+-- response dropped games. Now every inserted game_sessions row is folded
+-- into the profile by apply_session_stats(), and clients just read the
+-- profile back. src/game/stats.js mirrors the same rules client-side.
+
+-- ============================================
+-- GAME_SESSIONS: multiplayer result
+-- ============================================
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS did_win BOOLEAN DEFAULT FALSE;
+
+-- ============================================
+-- APPLY_SESSION_STATS TRIGGER
+-- ============================================
+CREATE OR REPLACE FUNCTION apply_session_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+    land TEXT := LOWER(NEW.land_played);
+BEGIN
+    UPDATE profiles SET
+        total_games = COALESCE(total_games, 0) + 1,
+        total_bananas = COALESCE(total_bananas, 0) + COALESCE(NEW.bananas_collected, 0),
+        total_score = COALESCE(total_score, 0) + NEW.score,
+        total_time_played = COALESCE(total_time_played, 0) + COALESCE(NEW.duration, 0),
+        high_score = GREATEST(COALESCE(high_score, 0), NEW.score),
+        highest_level_reached = GREATEST(COALESCE(highest_level_reached, 0), COALESCE(NEW.highest_level, 0)),
+
+        jetpacks_collected = COALESCE(jetpacks_collected, 0) + COALESCE(NEW.jetpacks_used, 0),
+        dino_stomps_collected = COALESCE(dino_stomps_collected, 0) + COALESCE(NEW.dino_stomps_used, 0),
+        bubbles_collected = COALESCE(bubbles_collected, 0) + COALESCE(NEW.bubbles_used, 0),
+        bubble_hits_absorbed = COALESCE(bubble_hits_absorbed, 0) + COALESCE(NEW.bubble_hits_absorbed, 0),
+        pogos_collected = COALESCE(pogos_collected, 0) + COALESCE(NEW.pogos_used, 0),
+        lions_collected = COALESCE(lions_collected, 0) + COALESCE(NEW.lions_used, 0),
+        turtles_collected = COALESCE(turtles_collected, 0) + COALESCE(NEW.turtles_used, 0),
+        stars_collected = COALESCE(stars_collected, 0) + COALESCE(NEW.stars_used, 0),
+
+        snow_games_played = COALESCE(snow_games_played, 0) + (land = 'snow')::INT,
+        desert_games_played = COALESCE(desert_games_played, 0) + (land = 'desert')::INT,
+        jungle_games_played = COALESCE(jungle_games_played, 0) + (land = 'jungle')::INT,
+        ocean_games_played = COALESCE(ocean_games_played, 0) + (land = 'ocean')::INT,
+        snow_best_score = CASE WHEN land = 'snow' THEN GREATEST(COALESCE(snow_best_score, 0), NEW.score) ELSE snow_best_score END,
+        desert_best_score = CASE WHEN land = 'desert' THEN GREATEST(COALESCE(desert_best_score, 0), NEW.score) ELSE desert_best_score END,
+        jungle_best_score = CASE WHEN land = 'jungle' THEN GREATEST(COALESCE(jungle_best_score, 0), NEW.score) ELSE jungle_best_score END,
+        ocean_best_score = CASE WHEN land = 'ocean' THEN GREATEST(COALESCE(ocean_best_score, 0), NEW.score) ELSE ocean_best_score END,
+
+        multiplayer_games = COALESCE(multiplayer_games, 0) + (NEW.game_mode = 'multiplayer')::INT,
+        multiplayer_wins = COALESCE(multiplayer_wins, 0) + (NEW.game_mode = 'multiplayer' AND COALESCE(NEW.did_win, FALSE))::INT,
+
+        first_game_at = COALESCE(first_game_at, NEW.created_at),
+        last_game_at = GREATEST(last_game_at, NEW.created_at)
+    WHERE id = NEW.player_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apply_session_stats ON game_sessions;
+CREATE TRIGGER apply_session_stats
+    AFTER INSERT ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION apply_session_stats();
+
+-- ============================================
+-- BACKFILL
+-- ============================================
+-- Rebuild totals from session history. A total never goes down: profiles
+-- may count games whose session insert failed under the old client code.
+WITH history AS (
+    SELECT
+        player_id,
+        COUNT(*) AS games,
+        SUM(COALESCE(bananas_collected, 0)) AS bananas,
+        SUM(score) AS score_total,
+        SUM(COALESCE(duration, 0)) AS seconds,
+        MAX(score) AS best_score,
+        MAX(COALESCE(highest_level, 0)) AS best_level,
+        SUM(COALESCE(jetpacks_used, 0)) AS jetpacks,
+        SUM(COALESCE(dino_stomps_used, 0)) AS dino_stomps,
+        SUM(COALESCE(bubbles_used, 0)) AS bubbles,
+        SUM(COALESCE(bubble_hits_absorbed, 0)) AS bubble_hits,
+        SUM(COALESCE(pogos_used, 0)) AS pogos,
+        SUM(COALESCE(lions_used, 0)) AS lions,
+        SUM(COALESCE(turtles_used, 0)) AS turtles,
+        SUM(COALESCE(stars_used, 0)) AS stars,
+        COUNT(*) FILTER (WHERE LOWER(land_played) = 'snow') AS snow_games,
+        COUNT(*) FILTER (WHERE LOWER(land_played) = 'desert') AS desert_games,
+        COUNT(*) FILTER (WHERE LOWER(land_played) = 'jungle') AS jungle_games,
+        COUNT(*) FILTER (WHERE LOWER(land_played) = 'ocean') AS ocean_games,
+        MAX(score) FILTER (WHERE LOWER(land_played) = 'snow') AS snow_best,
+        MAX(score) FILTER (WHERE LOWER(land_played) = 'desert') AS desert_best,
+        MAX(score) FILTER (WHERE LOWER(land_played) = 'jungle') AS jungle_best,
+        MAX(score) FILTER (WHERE LOWER(land_played) = 'ocean') AS ocean_best,
+        COUNT(*) FILTER (WHERE game_mode = 'multiplayer') AS mp_games,
+        COUNT(*) FILTER (WHERE game_mode = 'multiplayer' AND did_win) AS mp_wins,
+        MIN(created_at) AS first_at,
+        MAX(created_at) AS last_at
+    FROM game_sessions
+    GROUP BY player_id
+)
+UPDATE profiles p SET
+    total_games = GREATEST(COALESCE(p.total_games, 0), h.games),
+    total_bananas = GREATEST(COALESCE(p.total_bananas, 0), h.bananas),
+    total_score = GREATEST(COALESCE(p.total_score, 0), h.score_total),
+    total_time_played = GREATEST(COALESCE(p.total_time_played, 0), h.seconds),
+    high_score = GREATEST(COALESCE(p.high_score, 0), h.best_score),
+    highest_level_reached = GREATEST(COALESCE(p.highest_level_reached, 0), h.best_level),
+    jetpacks_collected = GREATEST(COALESCE(p.jetpacks_collected, 0), h.jetpacks),
+    dino_stomps_collected = GREATEST(COALESCE(p.dino_stomps_collected, 0), h.dino_stomps),
+    bubbles_collected = GREATEST(COALESCE(p.bubbles_collected, 0), h.bubbles),
+    bubble_hits_absorbed = GREATEST(COALESCE(p.bubble_hits_absorbed, 0), h.bubble_hits),
+    pogos_collected = GREATEST(COALESCE(p.pogos_collected, 0), h.pogos),
+    lions_collected = GREATEST(COALESCE(p.lions_collected, 0), h.lions),
+    turtles_collected = GREATEST(COALESCE(p.turtles_collected, 0), h.turtles),
+    stars_collected = GREATEST(COALESCE(p.stars_collected, 0), h.stars),
+    snow_games_played = GREATEST(COALESCE(p.snow_games_played, 0), h.snow_games),
+    desert_games_played = GREATEST(COALESCE(p.desert_games_played, 0), h.desert_games),
+    jungle_games_played = GREATEST(COALESCE(p.jungle_games_played, 0), h.jungle_games),
+    ocean_games_played = GREATEST(COALESCE(p.ocean_games_played, 0), h.ocean_games),
+    snow_best_score = GREATEST(COALESCE(p.snow_best_score, 0), COALESCE(h.snow_best, 0)),
+    desert_best_score = GREATEST(COALESCE(p.desert_best_score, 0), COALESCE(h.desert_best, 0)),
+    jungle_best_score = GREATEST(COALESCE(p.jungle_best_score, 0), COALESCE(h.jungle_best, 0)),
+    ocean_best_score = GREATEST(COALESCE(p.ocean_best_score, 0), COALESCE(h.ocean_best, 0)),
+    multiplayer_games = GREATEST(COALESCE(p.multiplayer_games, 0), h.mp_games),
+    multiplayer_wins = GREATEST(COALESCE(p.multiplayer_wins, 0), h.mp_wins),
+    first_game_at = LEAST(COALESCE(p.first_game_at, h.first_at), h.first_at),
+    last_game_at = GREATEST(COALESCE(p.last_game_at, h.last_at), h.last_at)
+FROM history h
+WHERE p.id = h.player_id;
+
+-- ============================================
+-- STATS GUARD
+-- ============================================
+-- "Users can update own profile" still covers settings, rating and the
+-- leaderboard milestone, but session-derived totals keep their old values
+-- unless apply_session_stats() (which doesn't run as a client role)
+-- writes them.
+CREATE OR REPLACE FUNCTION protect_profile_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.total_games := OLD.total_games;
+        NEW.total_bananas := OLD.total_bananas;
+        NEW.total_score := OLD.total_score;
+        NEW.total_time_played := OLD.total_time_played;
+        NEW.high_score := OLD.high_score;
+        NEW.highest_level_reached := OLD.highest_level_reached;
+        NEW.jetpacks_collected := OLD.jetpacks_collected;
+        NEW.dino_stomps_collected := OLD.dino_stomps_collected;
+        NEW.bubbles_collected := OLD.bubbles_collected;
+        NEW.bubble_hits_absorbed := OLD.bubble_hits_absorbed;
+        NEW.pogos_collected := OLD.pogos_collected;
+        NEW.lions_collected := OLD.lions_collected;
+        NEW.turtles_collected := OLD.turtles_collected;
+        NEW.stars_collected := OLD.stars_collected;
+        NEW.snow_games_played := OLD.snow_games_played;
+        NEW.desert_games_played := OLD.desert_games_played;
+        NEW.jungle_games_played := OLD.jungle_games_played;
+        NEW.ocean_games_played := OLD.ocean_games_played;
+        NEW.snow_best_score := OLD.snow_best_score;
+        NEW.desert_best_score := OLD.desert_best_score;
+        NEW.jungle_best_score := OLD.jungle_best_score;
+        NEW.ocean_best_score := OLD.ocean_best_score;
+        NEW.multiplayer_games := OLD.multiplayer_games;
+        NEW.multiplayer_wins := OLD.multiplayer_wins;
+        NEW.first_game_at := OLD.first_game_at;
+        NEW.last_game_at := OLD.last_game_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_stats ON profiles;
+CREATE TRIGGER protect_profile_stats
+    BEFORE UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_stats();
@@ -0,0 +1,10 @@
+-- Idempotent session saves for offline play
+-- Runs finished offline are queued on the client and replayed later
+-- (src/services/offlineSync.js). Each session carries a client-generated
+-- id, and replays upsert on it with "ignore duplicates", so a save that
+-- reached the database before its response was lost isn't counted twice
+-- by apply_session_stats() or the ledger.
+
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS client_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_game_sessions_client_id ON game_sessions(client_id);
@@ -0,0 +1,54 @@
+-- Guest progress merges
+-- Guests keep their progress in a local profile (src/services/guestProgress.js)
+-- identified by a random guest id. On sign-up / sign-in the client claims
+-- that guest id for the account with claim_guest_progress(), then uploads
+-- the guest's sessions, unlocks and purchases through the sync queue.
+-- A guest id can only ever be claimed by one account, so the same guest
+-- data (e.g. a copied browser profile) can't be merged into several.
+
+-- ============================================
+-- GUEST_MERGES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS guest_merges (
+    guest_id UUID PRIMARY KEY,
+    player_id UUID REFERENCES profiles(id) ON DELETE CASCADE,
+    merged_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_guest_merges_player ON guest_merges(player_id);
+
+ALTER TABLE guest_merges ENABLE ROW LEVEL SECURITY;
+
+-- Rows are only added through claim_guest_progress()
+DROP POLICY IF EXISTS "Users can view own guest merges" ON guest_merges;
+CREATE POLICY "Users can view own guest merges" ON guest_merges FOR SELECT USING (auth.uid() = player_id);
+
+-- ============================================
+-- CLAIM_GUEST_PROGRESS FUNCTION
+-- ============================================
+-- Claims a guest id for the caller. Claiming it again from the same account
+-- succeeds (resuming an interrupted merge); raises 'Guest progress already
+-- merged' if another account claimed it first.
+CREATE OR REPLACE FUNCTION claim_guest_progress(p_guest_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    owner UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    INSERT INTO guest_merges (guest_id, player_id)
+    VALUES (p_guest_id, auth.uid())
+    ON CONFLICT (guest_id) DO NOTHING;
+
+    SELECT player_id INTO owner FROM guest_merges WHERE guest_id = p_guest_id;
+    IF owner IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Guest progress already merged';
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION claim_guest_progress(UUID) TO authenticated;
@@ -0,0 +1,175 @@
+-- Account recovery, username changes and account deletion
+-- Accounts sign in with an internal address derived from the username
+-- (username@banana-jump.local, see src/services/auth.js). Players can now
+-- link a real email (a normal Supabase Auth email change, confirmed by a
+-- link sent to the new address) and reset a forgotten password through it.
+-- Username changes and account deletion go through the functions below, so
+-- the profile, the login address and everything owned by the player stay
+-- consistent.
+--
+-- Supabase Auth settings: turn off "Secure email change" - the old,
+-- internal address can't receive the confirmation link.
+
+-- ============================================
+-- USERNAME GUARD
+-- ============================================
+-- "Users can update own profile" no longer covers the username: it has to
+-- change together with the login address, in change_username().
+CREATE OR REPLACE FUNCTION protect_profile_username()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.username := OLD.username;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_username ON profiles;
+CREATE TRIGGER protect_profile_username
+    BEFORE UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_username();
+
+-- ============================================
+-- LOGIN_THROTTLE TABLE
+-- ============================================
+-- Failed password checks in resolve_login_email(), per account. Only read
+-- and written by that function (no policies).
+CREATE TABLE IF NOT EXISTS login_throttle (
+    player_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    failures INTEGER NOT NULL DEFAULT 0,
+    window_started TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE login_throttle ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- RESOLVE_LOGIN_EMAIL FUNCTION
+-- ============================================
+-- Sign-in by username for accounts whose login address is a linked email.
+-- Returns the internal address when no email is linked (it can be derived
+-- from the username anyway); a linked email is only returned with the
+-- right password, so usernames don't reveal email addresses. Raises
+-- 'Too many attempts' after 5 wrong passwords in 15 minutes.
+CREATE OR REPLACE FUNCTION resolve_login_email(p_username TEXT, p_password TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    max_failures CONSTANT INTEGER := 5;
+    throttle_window CONSTANT INTERVAL := INTERVAL '15 minutes';
+    account auth.users%ROWTYPE;
+    attempts login_throttle%ROWTYPE;
+BEGIN
+    SELECT u.* INTO account
+    FROM auth.users u
+    JOIN profiles p ON p.id = u.id
+    WHERE LOWER(p.username) = LOWER(p_username);
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+    IF account.email LIKE '%@banana-jump.local' THEN
+        RETURN account.email;
+    END IF;
+
+    SELECT * INTO attempts FROM login_throttle WHERE player_id = account.id FOR UPDATE;
+    IF FOUND AND attempts.window_started > NOW() - throttle_window AND attempts.failures >= max_failures THEN
+        RAISE EXCEPTION 'Too many attempts';
+    END IF;
+
+    IF account.encrypted_password = crypt(p_password, account.encrypted_password) THEN
+        DELETE FROM login_throttle WHERE player_id = account.id;
+        RETURN account.email;
+    END IF;
+
+    INSERT INTO login_throttle (player_id, failures, window_started)
+    VALUES (account.id, 1, NOW())
+    ON CONFLICT (player_id) DO UPDATE SET
+        failures = CASE WHEN login_throttle.window_started > NOW() - throttle_window
+            THEN login_throttle.failures + 1 ELSE 1 END,
+        window_started = CASE WHEN login_throttle.window_started > NOW() - throttle_window
+            THEN login_throttle.window_started ELSE NOW() END;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, extensions;
+
+GRANT EXECUTE ON FUNCTION resolve_login_email(TEXT, TEXT) TO anon, authenticated;
+
+-- ============================================
+-- CHANGE_USERNAME FUNCTION
+-- ============================================
+-- Renames the caller. The leaderboards read usernames from profiles, so
+-- they follow; the internal login address (if no email is linked) and the
+-- auth metadata are renamed too, so the new name signs in and the old one
+-- is free again. Raises 'Invalid username' or 'Username already taken'.
+CREATE OR REPLACE FUNCTION change_username(p_username TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    internal_email TEXT := LOWER(p_username) || '@banana-jump.local';
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+    IF p_username IS NULL OR LENGTH(p_username) < 3 OR p_username !~ '^[a-zA-Z0-9_]+$' THEN
+        RAISE EXCEPTION 'Invalid username';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM profiles WHERE LOWER(username) = LOWER(p_username) AND id <> auth.uid())
+        OR EXISTS (SELECT 1 FROM auth.users WHERE email = internal_email AND id <> auth.uid()) THEN
+        RAISE EXCEPTION 'Username already taken';
+    END IF;
+
+    UPDATE profiles SET username = p_username WHERE id = auth.uid();
+
+    UPDATE auth.users SET
+        raw_user_meta_data = COALESCE(raw_user_meta_data, '{}'::JSONB) || jsonb_build_object('username', p_username),
+        email = CASE WHEN email LIKE '%@banana-jump.local' THEN internal_email ELSE email END
+    WHERE id = auth.uid();
+
+    UPDATE auth.identities SET
+        identity_data = identity_data || jsonb_build_object('email', internal_email)
+    WHERE user_id = auth.uid() AND provider = 'email' AND identity_data->>'email' LIKE '%@banana-jump.local';
+
+    RETURN p_username;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION change_username(TEXT) TO authenticated;
+
+-- ============================================
+-- DELETE_ACCOUNT FUNCTION
+-- ============================================
+-- Deletes the caller's account and everything they own. Lobbies are left
+-- through remove_lobby_player() first, so other players keep their lobby
+-- (with a new host) instead of losing it with the host's profile.
+CREATE OR REPLACE FUNCTION delete_account()
+RETURNS BOOLEAN AS $$
+DECLARE
+    me UUID := auth.uid();
+    lobby UUID;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    FOR lobby IN SELECT lobby_id FROM lobby_players WHERE player_id = me LOOP
+        PERFORM remove_lobby_player(lobby, me);
+    END LOOP;
+    DELETE FROM game_lobbies WHERE host_id = me;
+    DELETE FROM matchmaking_queue WHERE player_id = me;
+
+    DELETE FROM game_sessions WHERE player_id = me;
+    DELETE FROM player_skins WHERE player_id = me;
+    DELETE FROM player_achievements WHERE player_id = me;
+    DELETE FROM achievement_progress WHERE player_id = me;
+    DELETE FROM banana_transactions WHERE player_id = me;
+    DELETE FROM guest_merges WHERE player_id = me;
+    DELETE FROM login_throttle WHERE player_id = me;
+
+    DELETE FROM profiles WHERE id = me;
+    DELETE FROM auth.users WHERE id = me;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION delete_account() TO authenticated;
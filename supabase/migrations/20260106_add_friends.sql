@@ -0,0 +1,213 @@
+-- Friends and lobby invites
+-- Players send friend requests by username, accept / decline / block them,
+-- see friends-only leaderboards and invite friends to a lobby (the invite
+-- carries the lobby code, which the friend's client pre-fills to join).
+-- Friendship rows are written only by the functions below, so the rules
+-- (no requests to or from a blocked player, only the addressee accepts)
+-- hold regardless of the client.
+
+-- ============================================
+-- FRIENDSHIPS TABLE
+-- ============================================
+-- One row per pair of players. For a block, requester_id is the blocker.
+CREATE TABLE IF NOT EXISTS friendships (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    requester_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    addressee_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'blocked')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    responded_at TIMESTAMP WITH TIME ZONE,
+    CHECK (requester_id <> addressee_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair
+    ON friendships(LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships(addressee_id);
+
+ALTER TABLE friendships ENABLE ROW LEVEL SECURITY;
+
+-- A blocked player doesn't see (or remove) the block
+DROP POLICY IF EXISTS "Users can view own friendships" ON friendships;
+CREATE POLICY "Users can view own friendships" ON friendships FOR SELECT
+    USING (auth.uid() = requester_id OR (auth.uid() = addressee_id AND status <> 'blocked'));
+
+-- Decline, cancel, unfriend and unblock
+DROP POLICY IF EXISTS "Users can remove own friendships" ON friendships;
+CREATE POLICY "Users can remove own friendships" ON friendships FOR DELETE
+    USING (auth.uid() = requester_id OR (auth.uid() = addressee_id AND status <> 'blocked'));
+
+-- ============================================
+-- LOBBY_INVITES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS lobby_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    from_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    to_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    lobby_code TEXT NOT NULL,
+    land TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(from_id, to_id, lobby_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lobby_invites_to ON lobby_invites(to_id, created_at DESC);
+
+ALTER TABLE lobby_invites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own lobby invites" ON lobby_invites;
+CREATE POLICY "Users can view own lobby invites" ON lobby_invites FOR SELECT
+    USING (auth.uid() = from_id OR auth.uid() = to_id);
+
+-- Friends only
+DROP POLICY IF EXISTS "Users can invite friends" ON lobby_invites;
+CREATE POLICY "Users can invite friends" ON lobby_invites FOR INSERT
+    WITH CHECK (auth.uid() = from_id AND EXISTS (
+        SELECT 1 FROM friendships f
+        WHERE f.status = 'accepted'
+        AND LEAST(f.requester_id, f.addressee_id) = LEAST(from_id, to_id)
+        AND GREATEST(f.requester_id, f.addressee_id) = GREATEST(from_id, to_id)
+    ));
+
+-- Inviting again to the same lobby refreshes the invite
+DROP POLICY IF EXISTS "Users can renew lobby invites" ON lobby_invites;
+CREATE POLICY "Users can renew lobby invites" ON lobby_invites FOR UPDATE
+    USING (auth.uid() = from_id)
+    WITH CHECK (auth.uid() = from_id AND EXISTS (
+        SELECT 1 FROM friendships f
+        WHERE f.status = 'accepted'
+        AND LEAST(f.requester_id, f.addressee_id) = LEAST(from_id, to_id)
+        AND GREATEST(f.requester_id, f.addressee_id) = GREATEST(from_id, to_id)
+    ));
+
+DROP POLICY IF EXISTS "Users can dismiss lobby invites" ON lobby_invites;
+CREATE POLICY "Users can dismiss lobby invites" ON lobby_invites FOR DELETE
+    USING (auth.uid() = from_id OR auth.uid() = to_id);
+
+DO $$
+BEGIN
+    ALTER PUBLICATION supabase_realtime ADD TABLE lobby_invites;
+EXCEPTION WHEN duplicate_object THEN
+    NULL;
+END $$;
+
+-- ============================================
+-- SEND_FRIEND_REQUEST FUNCTION
+-- ============================================
+-- Returns the friendship status: 'pending', or 'accepted' when the other
+-- player had already asked (or you're already friends). A player who
+-- blocked the caller looks like an unknown username.
+CREATE OR REPLACE FUNCTION send_friend_request(p_username TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    me UUID := auth.uid();
+    target UUID;
+    existing friendships%ROWTYPE;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    SELECT id INTO target FROM profiles WHERE LOWER(username) = LOWER(p_username);
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Player not found';
+    END IF;
+    IF target = me THEN
+        RAISE EXCEPTION 'You can''t add yourself';
+    END IF;
+
+    SELECT * INTO existing FROM friendships
+    WHERE LEAST(requester_id, addressee_id) = LEAST(me, target)
+    AND GREATEST(requester_id, addressee_id) = GREATEST(me, target)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        INSERT INTO friendships (requester_id, addressee_id) VALUES (me, target);
+        RETURN 'pending';
+    END IF;
+
+    IF existing.status = 'blocked' THEN
+        IF existing.requester_id = me THEN
+            RAISE EXCEPTION 'Unblock this player first';
+        END IF;
+        RAISE EXCEPTION 'Player not found';
+    END IF;
+
+    -- They asked first - asking back accepts
+    IF existing.status = 'pending' AND existing.addressee_id = me THEN
+        UPDATE friendships SET status = 'accepted', responded_at = NOW() WHERE id = existing.id;
+        RETURN 'accepted';
+    END IF;
+
+    RETURN existing.status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION send_friend_request(TEXT) TO authenticated;
+
+-- ============================================
+-- RESPOND_FRIEND_REQUEST FUNCTION
+-- ============================================
+-- Accept or decline a request sent to the caller. Returns 'accepted' or
+-- 'declined'; raises 'Friend request not found'.
+CREATE OR REPLACE FUNCTION respond_friend_request(p_friendship_id UUID, p_accept BOOLEAN)
+RETURNS TEXT AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    IF p_accept THEN
+        UPDATE friendships SET status = 'accepted', responded_at = NOW()
+        WHERE id = p_friendship_id AND addressee_id = auth.uid() AND status = 'pending';
+    ELSE
+        DELETE FROM friendships
+        WHERE id = p_friendship_id AND addressee_id = auth.uid() AND status = 'pending';
+    END IF;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Friend request not found';
+    END IF;
+
+    RETURN CASE WHEN p_accept THEN 'accepted' ELSE 'declined' END;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION respond_friend_request(UUID, BOOLEAN) TO authenticated;
+
+-- ============================================
+-- BLOCK_PLAYER FUNCTION
+-- ============================================
+-- Replaces any friendship or request with a block and drops invites
+-- between the two players. Unblocking deletes the row (policy above).
+CREATE OR REPLACE FUNCTION block_player(p_player_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+    me UUID := auth.uid();
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+    IF p_player_id = me THEN
+        RAISE EXCEPTION 'You can''t block yourself';
+    END IF;
+
+    -- Already blocked by them: contact is cut either way, keep their block
+    IF EXISTS (SELECT 1 FROM friendships WHERE requester_id = p_player_id AND addressee_id = me AND status = 'blocked') THEN
+        RETURN 'blocked';
+    END IF;
+
+    DELETE FROM friendships
+    WHERE LEAST(requester_id, addressee_id) = LEAST(me, p_player_id)
+    AND GREATEST(requester_id, addressee_id) = GREATEST(me, p_player_id);
+
+    INSERT INTO friendships (requester_id, addressee_id, status, responded_at)
+    VALUES (me, p_player_id, 'blocked', NOW());
+
+    DELETE FROM lobby_invites
+    WHERE (from_id = me AND to_id = p_player_id) OR (from_id = p_player_id AND to_id = me);
+
+    RETURN 'blocked';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION block_player(UUID) TO authenticated;
@@ -0,0 +1,153 @@
+-- Time-windowed leaderboards
+-- Leaderboards are now built from game_sessions: one entry per player (their
+-- best run in the window), for today, this week (UTC, from Monday) or all
+-- time, overall or per land, optionally verified runs only or only some
+-- players (friends). Pages are fetched with a cursor (the last entry of the
+-- previous page) and get_leaderboard_rank() finds any player's position
+-- with the entries around it. Mirrored by src/game/leaderboard.js.
+
+CREATE INDEX IF NOT EXISTS idx_game_sessions_created ON game_sessions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_game_sessions_land_score ON game_sessions(land_played, score DESC);
+
+-- ============================================
+-- LEADERBOARD_WINDOW_START FUNCTION
+-- ============================================
+-- 'daily' -> start of today (UTC), 'weekly' -> Monday of this week (UTC),
+-- anything else -> NULL (all time)
+CREATE OR REPLACE FUNCTION leaderboard_window_start(p_window TEXT)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+    SELECT CASE p_window
+        WHEN 'daily' THEN date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+        WHEN 'weekly' THEN date_trunc('week', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+        ELSE NULL
+    END;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- RANKED_LEADERBOARD FUNCTION
+-- ============================================
+-- Best run per player, ordered by score, then earliest run, then player id
+-- (a stable order for cursors). Tied scores share a rank.
+CREATE OR REPLACE FUNCTION ranked_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT FALSE,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id)
+            s.player_id, s.score, s.created_at, s.id, s.land_played, s.verified
+        FROM game_sessions s
+        WHERE s.score > 0
+        AND (p_land IS NULL OR s.land_played = p_land)
+        AND (NOT p_verified OR s.verified = TRUE)
+        AND (p_players IS NULL OR s.player_id = ANY(p_players))
+        AND s.created_at >= COALESCE(leaderboard_window_start(p_window), '-infinity'::TIMESTAMP WITH TIME ZONE)
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    )
+    SELECT
+        RANK() OVER (ORDER BY b.score DESC),
+        b.player_id,
+        p.username,
+        b.score,
+        b.created_at,
+        b.id,
+        b.land_played,
+        COALESCE(b.verified, FALSE)
+    FROM best b
+    JOIN profiles p ON p.id = b.player_id
+    ORDER BY b.score DESC, b.created_at ASC, b.player_id ASC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- GET_LEADERBOARD FUNCTION
+-- ============================================
+-- One page of a leaderboard. Pass the last entry of the previous page as
+-- the cursor (p_after_score / p_after_at / p_after_player), or NULLs for
+-- the first page. At most 101 entries (a page of 100 plus one to tell
+-- whether there's another page).
+CREATE OR REPLACE FUNCTION get_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT FALSE,
+    p_limit INTEGER DEFAULT 10,
+    p_after_score INTEGER DEFAULT NULL,
+    p_after_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_player UUID DEFAULT NULL,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    SELECT r.*
+    FROM ranked_leaderboard(p_window, p_land, p_verified, p_players) r
+    WHERE p_after_score IS NULL
+        OR r.score < p_after_score
+        OR (r.score = p_after_score AND (r.achieved_at, r.player_id) > (p_after_at, p_after_player))
+    ORDER BY r.score DESC, r.achieved_at ASC, r.player_id ASC
+    LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- GET_LEADERBOARD_RANK FUNCTION
+-- ============================================
+-- A player's entry with p_neighbors entries above and below it (no rows if
+-- the player has no run in the window). `position` is the place in the
+-- ordered list, `total` the number of players on the leaderboard.
+CREATE OR REPLACE FUNCTION get_leaderboard_rank(
+    p_player_id UUID,
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT FALSE,
+    p_neighbors INTEGER DEFAULT 2,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN,
+    "position" BIGINT,
+    total BIGINT
+) AS $$
+    WITH ranked AS (
+        SELECT r.*,
+            ROW_NUMBER() OVER (ORDER BY r.score DESC, r.achieved_at ASC, r.player_id ASC) AS place,
+            COUNT(*) OVER () AS player_count
+        FROM ranked_leaderboard(p_window, p_land, p_verified, p_players) r
+    ),
+    me AS (
+        SELECT ranked.place FROM ranked WHERE ranked.player_id = p_player_id
+    )
+    SELECT ranked.rank, ranked.player_id, ranked.username, ranked.score, ranked.achieved_at,
+        ranked.session_id, ranked.land_played, ranked.verified, ranked.place, ranked.player_count
+    FROM ranked, me
+    WHERE ranked.place BETWEEN me.place - GREATEST(p_neighbors, 0) AND me.place + GREATEST(p_neighbors, 0)
+    ORDER BY ranked.place;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION leaderboard_window_start(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION ranked_leaderboard(TEXT, TEXT, BOOLEAN, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard(TEXT, TEXT, BOOLEAN, INTEGER, INTEGER, TIMESTAMP WITH TIME ZONE, UUID, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard_rank(UUID, TEXT, TEXT, BOOLEAN, INTEGER, UUID[]) TO anon, authenticated;
@@ -0,0 +1,265 @@
+-- Competitive seasons
+-- A season runs from starts_at to ends_at. Saved sessions are tagged with
+-- the season active when they're saved, and the leaderboard gets a
+-- 'season' window. When a season ends, finalize_season() (run by
+-- scripts/end-season.mjs with the service role key) archives the final
+-- standings and grants rewards by rank: bananas through the ledger, the
+-- exclusive season skin and a badge. Mirrored by src/game/seasons.js.
+
+-- ============================================
+-- SEASONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    finalized_at TIMESTAMP WITH TIME ZONE,   -- standings archived and rewards granted
+    CHECK (ends_at > starts_at),
+    -- Seasons never overlap, so a session belongs to at most one
+    EXCLUDE USING gist (tstzrange(starts_at, ends_at) WITH &&)
+);
+
+-- ============================================
+-- SEASON_REWARD_TIERS TABLE (mirrors SEASON_REWARDS in src/game/seasons.js)
+-- ============================================
+-- A final rank gets the tier with the smallest max_rank at or above it
+CREATE TABLE IF NOT EXISTS season_reward_tiers (
+    max_rank INTEGER PRIMARY KEY CHECK (max_rank > 0),
+    bananas INTEGER NOT NULL DEFAULT 0 CHECK (bananas >= 0),
+    skin_id TEXT,
+    badge TEXT NOT NULL
+);
+
+INSERT INTO season_reward_tiers (max_rank, bananas, skin_id, badge) VALUES
+    (1, 500, 'season_champion', 'season_champion'),
+    (10, 250, 'season_champion', 'season_top_10'),
+    (100, 100, NULL, 'season_top_100')
+ON CONFLICT (max_rank) DO UPDATE SET bananas = EXCLUDED.bananas, skin_id = EXCLUDED.skin_id, badge = EXCLUDED.badge;
+
+-- ============================================
+-- SEASON_STANDINGS TABLE (final standings archive)
+-- ============================================
+CREATE TABLE IF NOT EXISTS season_standings (
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    player_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    session_id UUID,
+    bananas INTEGER NOT NULL DEFAULT 0,      -- rewards granted
+    skin_id TEXT,
+    badge TEXT,
+    seen_at TIMESTAMP WITH TIME ZONE,        -- the player has been shown their result
+
+    PRIMARY KEY (season_id, player_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_rank ON season_standings(season_id, rank);
+CREATE INDEX IF NOT EXISTS idx_season_standings_player ON season_standings(player_id);
+
+-- ============================================
+-- SESSION SEASON TAG
+-- ============================================
+ALTER TABLE game_sessions ADD COLUMN IF NOT EXISTS season_id INTEGER REFERENCES seasons(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_game_sessions_season_score ON game_sessions(season_id, score DESC);
+
+ALTER TABLE banana_transactions DROP CONSTRAINT IF EXISTS banana_transactions_reason_check;
+ALTER TABLE banana_transactions ADD CONSTRAINT banana_transactions_reason_check
+    CHECK (reason IN ('opening_balance', 'run_earnings', 'achievement_reward', 'purchase', 'season_reward'));
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_reward_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for players; written by the service role and finalize_season()
+DROP POLICY IF EXISTS "Anyone can view seasons" ON seasons;
+CREATE POLICY "Anyone can view seasons" ON seasons FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view season rewards" ON season_reward_tiers;
+CREATE POLICY "Anyone can view season rewards" ON season_reward_tiers FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view season standings" ON season_standings;
+CREATE POLICY "Anyone can view season standings" ON season_standings FOR SELECT USING (true);
+
+-- Shop skins can only be unlocked through purchase_skin(), season skins
+-- only through finalize_season()
+DROP POLICY IF EXISTS "Users can unlock skins" ON player_skins;
+CREATE POLICY "Users can unlock skins" ON player_skins FOR INSERT
+    WITH CHECK (
+        auth.uid() = player_id
+        AND NOT EXISTS (SELECT 1 FROM skin_catalog c WHERE c.skin_id = player_skins.skin_id)
+        AND NOT EXISTS (SELECT 1 FROM season_reward_tiers t WHERE t.skin_id = player_skins.skin_id)
+    );
+
+-- The first season starts this week
+INSERT INTO seasons (name, starts_at, ends_at)
+SELECT 'Season 1',
+    date_trunc('week', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+    (date_trunc('week', NOW() AT TIME ZONE 'UTC') + INTERVAL '4 weeks') AT TIME ZONE 'UTC'
+WHERE NOT EXISTS (SELECT 1 FROM seasons);
+
+-- ============================================
+-- CURRENT_SEASON_ID FUNCTION
+-- ============================================
+-- The season running now (NULL between seasons)
+CREATE OR REPLACE FUNCTION current_season_id()
+RETURNS INTEGER AS $$
+    SELECT id FROM seasons
+    WHERE starts_at <= NOW() AND ends_at > NOW() AND finalized_at IS NULL
+    ORDER BY starts_at DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION current_season_id() TO anon, authenticated;
+
+-- ============================================
+-- TAG_SESSION_SEASON TRIGGER
+-- ============================================
+-- Always set server-side: a run counts for the season it's saved in (runs
+-- synced after a season ends don't reach back into it)
+CREATE OR REPLACE FUNCTION tag_session_season()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.season_id := current_season_id();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tag_session_season ON game_sessions;
+CREATE TRIGGER tag_session_season
+    BEFORE INSERT ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION tag_session_season();
+
+-- ============================================
+-- RANKED_LEADERBOARD FUNCTION ('season' window)
+-- ============================================
+-- Unchanged, plus the 'season' window: the current season's runs
+CREATE OR REPLACE FUNCTION ranked_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT FALSE,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id)
+            s.player_id, s.score, s.created_at, s.id, s.land_played, s.verified
+        FROM game_sessions s
+        WHERE s.score > 0
+        AND (p_land IS NULL OR s.land_played = p_land)
+        AND (NOT p_verified OR s.verified = TRUE)
+        AND (p_players IS NULL OR s.player_id = ANY(p_players))
+        AND s.created_at >= COALESCE(leaderboard_window_start(p_window), '-infinity'::TIMESTAMP WITH TIME ZONE)
+        AND (p_window <> 'season' OR s.season_id = current_season_id())
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    )
+    SELECT
+        RANK() OVER (ORDER BY b.score DESC),
+        b.player_id,
+        p.username,
+        b.score,
+        b.created_at,
+        b.id,
+        b.land_played,
+        COALESCE(b.verified, FALSE)
+    FROM best b
+    JOIN profiles p ON p.id = b.player_id
+    ORDER BY b.score DESC, b.created_at ASC, b.player_id ASC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- FINALIZE_SEASON FUNCTION
+-- ============================================
+-- Archives an ended season's standings (best run per player, tied scores
+-- share a rank) and grants each player their reward tier. Runs once per
+-- season; returns the number of players ranked. Raises 'Season not found',
+-- 'Season has not ended' or 'Season already finalized'. Not granted to
+-- clients.
+CREATE OR REPLACE FUNCTION finalize_season(p_season_id INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    season seasons%ROWTYPE;
+    standing season_standings%ROWTYPE;
+    ranked_count INTEGER;
+BEGIN
+    SELECT * INTO season FROM seasons WHERE id = p_season_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Season not found';
+    END IF;
+    IF season.ends_at > NOW() THEN
+        RAISE EXCEPTION 'Season has not ended';
+    END IF;
+    IF season.finalized_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Season already finalized';
+    END IF;
+
+    INSERT INTO season_standings (season_id, player_id, rank, score, session_id, bananas, skin_id, badge)
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id) s.player_id, s.score, s.created_at, s.id
+        FROM game_sessions s
+        WHERE s.season_id = p_season_id AND s.score > 0
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    ),
+    ranked AS (
+        SELECT best.*, RANK() OVER (ORDER BY best.score DESC)::INTEGER AS final_rank
+        FROM best
+    )
+    SELECT p_season_id, r.player_id, r.final_rank, r.score, r.id,
+        COALESCE(t.bananas, 0), t.skin_id, t.badge
+    FROM ranked r
+    LEFT JOIN LATERAL (
+        SELECT * FROM season_reward_tiers
+        WHERE season_reward_tiers.max_rank >= r.final_rank
+        ORDER BY season_reward_tiers.max_rank
+        LIMIT 1
+    ) t ON TRUE;
+
+    GET DIAGNOSTICS ranked_count = ROW_COUNT;
+
+    FOR standing IN SELECT * FROM season_standings WHERE season_id = p_season_id AND (bananas > 0 OR skin_id IS NOT NULL) LOOP
+        PERFORM credit_bananas(standing.player_id, standing.bananas, 'season_reward', 'season:' || p_season_id);
+        IF standing.skin_id IS NOT NULL THEN
+            INSERT INTO player_skins (player_id, skin_id) VALUES (standing.player_id, standing.skin_id)
+            ON CONFLICT (player_id, skin_id) DO NOTHING;
+        END IF;
+    END LOOP;
+
+    UPDATE seasons SET finalized_at = NOW() WHERE id = p_season_id;
+
+    RETURN ranked_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION finalize_season(INTEGER) FROM PUBLIC;
+
+-- ============================================
+-- MARK_SEASON_RESULTS_SEEN FUNCTION
+-- ============================================
+-- The client shows a finished season's result once, then marks it seen
+CREATE OR REPLACE FUNCTION mark_season_results_seen()
+RETURNS INTEGER AS $$
+DECLARE
+    marked INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    UPDATE season_standings SET seen_at = NOW()
+    WHERE player_id = auth.uid() AND seen_at IS NULL;
+    GET DIAGNOSTICS marked = ROW_COUNT;
+
+    RETURN marked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION mark_season_results_seen() TO authenticated;
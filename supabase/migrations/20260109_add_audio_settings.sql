@@ -0,0 +1,7 @@
+-- Add per-profile audio settings
+-- Volume settings for the procedural audio engine (src/audio/audioEngine.js):
+-- {"master": 0.8, "music": 0.5, "sfx": 0.8, "muted": false}. NULL until the
+-- player changes them; the client fills in defaults (normalizeAudioSettings).
+-- Players update it themselves like equipped_skin.
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS audio_settings JSONB;
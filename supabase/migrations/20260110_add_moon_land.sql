@@ -0,0 +1,98 @@
+-- Moon land
+-- The fifth land (src/game/lands.js) is defined only through the land
+-- schema. Its games and best score get their own profile columns, kept by
+-- apply_session_stats() and guarded by protect_profile_stats() like the
+-- other lands. No backfill: there are no moon sessions before this.
+
+-- ============================================
+-- PROFILES: moon stats
+-- ============================================
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS moon_games_played INTEGER DEFAULT 0;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS moon_best_score INTEGER DEFAULT 0;
+
+-- ============================================
+-- APPLY_SESSION_STATS
+-- ============================================
+CREATE OR REPLACE FUNCTION apply_session_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+    land TEXT := LOWER(NEW.land_played);
+BEGIN
+    UPDATE profiles SET
+        total_games = COALESCE(total_games, 0) + 1,
+        total_bananas = COALESCE(total_bananas, 0) + COALESCE(NEW.bananas_collected, 0),
+        total_score = COALESCE(total_score, 0) + NEW.score,
+        total_time_played = COALESCE(total_time_played, 0) + COALESCE(NEW.duration, 0),
+        high_score = GREATEST(COALESCE(high_score, 0), NEW.score),
+        highest_level_reached = GREATEST(COALESCE(highest_level_reached, 0), COALESCE(NEW.highest_level, 0)),
+
+        jetpacks_collected = COALESCE(jetpacks_collected, 0) + COALESCE(NEW.jetpacks_used, 0),
+        dino_stomps_collected = COALESCE(dino_stomps_collected, 0) + COALESCE(NEW.dino_stomps_used, 0),
+        bubbles_collected = COALESCE(bubbles_collected, 0) + COALESCE(NEW.bubbles_used, 0),
+        bubble_hits_absorbed = COALESCE(bubble_hits_absorbed, 0) + COALESCE(NEW.bubble_hits_absorbed, 0),
+        pogos_collected = COALESCE(pogos_collected, 0) + COALESCE(NEW.pogos_used, 0),
+        lions_collected = COALESCE(lions_collected, 0) + COALESCE(NEW.lions_used, 0),
+        turtles_collected = COALESCE(turtles_collected, 0) + COALESCE(NEW.turtles_used, 0),
+        stars_collected = COALESCE(stars_collected, 0) + COALESCE(NEW.stars_used, 0),
+
+        snow_games_played = COALESCE(snow_games_played, 0) + (land = 'snow')::INT,
+        desert_games_played = COALESCE(desert_games_played, 0) + (land = 'desert')::INT,
+        jungle_games_played = COALESCE(jungle_games_played, 0) + (land = 'jungle')::INT,
+        ocean_games_played = COALESCE(ocean_games_played, 0) + (land = 'ocean')::INT,
+        moon_games_played = COALESCE(moon_games_played, 0) + (land = 'moon')::INT,
+        snow_best_score = CASE WHEN land = 'snow' THEN GREATEST(COALESCE(snow_best_score, 0), NEW.score) ELSE snow_best_score END,
+        desert_best_score = CASE WHEN land = 'desert' THEN GREATEST(COALESCE(desert_best_score, 0), NEW.score) ELSE desert_best_score END,
+        jungle_best_score = CASE WHEN land = 'jungle' THEN GREATEST(COALESCE(jungle_best_score, 0), NEW.score) ELSE jungle_best_score END,
+        ocean_best_score = CASE WHEN land = 'ocean' THEN GREATEST(COALESCE(ocean_best_score, 0), NEW.score) ELSE ocean_best_score END,
+        moon_best_score = CASE WHEN land = 'moon' THEN GREATEST(COALESCE(moon_best_score, 0), NEW.score) ELSE moon_best_score END,
+
+        multiplayer_games = COALESCE(multiplayer_games, 0) + (NEW.game_mode = 'multiplayer')::INT,
+        multiplayer_wins = COALESCE(multiplayer_wins, 0) + (NEW.game_mode = 'multiplayer' AND COALESCE(NEW.did_win, FALSE))::INT,
+
+        first_game_at = COALESCE(first_game_at, NEW.created_at),
+        last_game_at = GREATEST(last_game_at, NEW.created_at)
+    WHERE id = NEW.player_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ============================================
+-- STATS GUARD
+-- ============================================
+CREATE OR REPLACE FUNCTION protect_profile_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.total_games := OLD.total_games;
+        NEW.total_bananas := OLD.total_bananas;
+        NEW.total_score := OLD.total_score;
+        NEW.total_time_played := OLD.total_time_played;
+        NEW.high_score := OLD.high_score;
+        NEW.highest_level_reached := OLD.highest_level_reached;
+        NEW.jetpacks_collected := OLD.jetpacks_collected;
+        NEW.dino_stomps_collected := OLD.dino_stomps_collected;
+        NEW.bubbles_collected := OLD.bubbles_collected;
+        NEW.bubble_hits_absorbed := OLD.bubble_hits_absorbed;
+        NEW.pogos_collected := OLD.pogos_collected;
+        NEW.lions_collected := OLD.lions_collected;
+        NEW.turtles_collected := OLD.turtles_collected;
+        NEW.stars_collected := OLD.stars_collected;
+        NEW.snow_games_played := OLD.snow_games_played;
+        NEW.desert_games_played := OLD.desert_games_played;
+        NEW.jungle_games_played := OLD.jungle_games_played;
+        NEW.ocean_games_played := OLD.ocean_games_played;
+        NEW.moon_games_played := OLD.moon_games_played;
+        NEW.snow_best_score := OLD.snow_best_score;
+        NEW.desert_best_score := OLD.desert_best_score;
+        NEW.jungle_best_score := OLD.jungle_best_score;
+        NEW.ocean_best_score := OLD.ocean_best_score;
+        NEW.moon_best_score := OLD.moon_best_score;
+        NEW.multiplayer_games := OLD.multiplayer_games;
+        NEW.multiplayer_wins := OLD.multiplayer_wins;
+        NEW.first_game_at := OLD.first_game_at;
+        NEW.last_game_at := OLD.last_game_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,34 @@
+-- Server-side multiplayer ratings
+-- Ratings are now written only by the room server (server/room-server.mjs),
+-- which rates each round it ran from its own final ranking and saves the
+-- result with the service role key. Clients can still update their own
+-- profile row, but the rating columns keep their old values (and start
+-- at the defaults on a client insert).
+
+-- ============================================
+-- RATING GUARD
+-- ============================================
+CREATE OR REPLACE FUNCTION protect_profile_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.rating := 1500;
+            NEW.rating_deviation := 350;
+            NEW.rated_games := 0;
+            NEW.rating_updated_at := NULL;
+        ELSE
+            NEW.rating := OLD.rating;
+            NEW.rating_deviation := OLD.rating_deviation;
+            NEW.rated_games := OLD.rated_games;
+            NEW.rating_updated_at := OLD.rating_updated_at;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_rating ON profiles;
+CREATE TRIGGER protect_profile_rating
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_rating();
@@ -0,0 +1,90 @@
+-- Restrict removing other lobby players
+-- remove_lobby_player() let any lobby member remove any other member (and
+-- so take the host role). A player can now remove someone else only as the
+-- host, or once that player has been quiet for the reconnect grace window.
+-- "Quiet" is judged by the database: clients note their heartbeat on their
+-- lobby_players row with touch_lobby_player() (every 10 seconds, see
+-- src/multiplayer/supabaseTransport.js).
+
+-- ============================================
+-- LOBBY_PLAYERS: last heartbeat
+-- ============================================
+ALTER TABLE lobby_players ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- ============================================
+-- TOUCH_LOBBY_PLAYER FUNCTION
+-- ============================================
+-- Records that the caller is still in the lobby
+CREATE OR REPLACE FUNCTION touch_lobby_player(p_lobby_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE lobby_players
+    SET last_seen_at = NOW()
+    WHERE lobby_id = p_lobby_id AND player_id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION touch_lobby_player(UUID) TO authenticated;
+
+-- ============================================
+-- REMOVE_LOBBY_PLAYER FUNCTION
+-- ============================================
+-- p_player_id defaults to the caller (leaving). Another player can be
+-- removed by the host, or by a fellow member once their last heartbeat is
+-- older than RECONNECT_GRACE_MS (src/core/config.js) - clients forfeit a
+-- player whose heartbeats stopped for that long.
+CREATE OR REPLACE FUNCTION remove_lobby_player(p_lobby_id UUID, p_player_id UUID DEFAULT NULL)
+RETURNS UUID AS $$
+DECLARE
+    reconnect_grace CONSTANT INTERVAL := INTERVAL '30 seconds';  -- RECONNECT_GRACE_MS
+    target UUID := COALESCE(p_player_id, auth.uid());
+    current_host UUID;
+    next_host UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    IF target <> auth.uid() AND NOT EXISTS (
+        SELECT 1 FROM lobby_players WHERE lobby_id = p_lobby_id AND player_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'Only lobby members can remove players';
+    END IF;
+
+    -- Lock the lobby so two clients forfeiting at once agree on the new host
+    SELECT host_id INTO current_host FROM game_lobbies WHERE id = p_lobby_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    IF target <> auth.uid() AND current_host <> auth.uid() AND EXISTS (
+        SELECT 1 FROM lobby_players
+        WHERE lobby_id = p_lobby_id AND player_id = target
+          AND last_seen_at > NOW() - reconnect_grace
+    ) THEN
+        RAISE EXCEPTION 'Player is still connected';
+    END IF;
+
+    DELETE FROM lobby_players WHERE lobby_id = p_lobby_id AND player_id = target;
+
+    SELECT player_id INTO next_host
+    FROM lobby_players
+    WHERE lobby_id = p_lobby_id
+    ORDER BY joined_at ASC
+    LIMIT 1;
+
+    IF next_host IS NULL THEN
+        DELETE FROM game_lobbies WHERE id = p_lobby_id;
+        RETURN NULL;
+    END IF;
+
+    IF current_host = target THEN
+        UPDATE game_lobbies SET host_id = next_host WHERE id = p_lobby_id;
+        RETURN next_host;
+    END IF;
+
+    RETURN current_host;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION remove_lobby_player(UUID, UUID) TO authenticated;
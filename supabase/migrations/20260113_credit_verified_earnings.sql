@@ -0,0 +1,137 @@
+-- Pay bananas for verified play only
+-- Run earnings were credited when a client inserted a game_sessions row
+-- and achievement rewards when a client inserted a player_achievements
+-- row, so a hand-made insert paid out. Now:
+-- - run earnings are credited when the score verifier
+--   (scripts/verify-scores.mjs) marks the session verified
+-- - achievement rewards are paid by reward_achievement(), which only the
+--   verifier can call, after it re-evaluates the player's achievements from
+--   their verified sessions
+-- Clients still record unlocks in player_achievements (the achievements
+-- screen), but those rows pay nothing by themselves.
+
+-- ============================================
+-- RUN EARNINGS: credited on verification
+-- ============================================
+-- A session is paid at most once: sessions credited on insert before this
+-- migration already have their ledger entry.
+CREATE OR REPLACE FUNCTION credit_run_earnings()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.verified AND OLD.verified IS DISTINCT FROM TRUE AND NOT EXISTS (
+        SELECT 1 FROM banana_transactions
+        WHERE player_id = NEW.player_id AND reason = 'run_earnings' AND reference = NEW.id::TEXT
+    ) THEN
+        PERFORM credit_bananas(NEW.player_id, NEW.bananas_collected, 'run_earnings', NEW.id::TEXT);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS credit_run_earnings ON game_sessions;
+CREATE TRIGGER credit_run_earnings
+    AFTER UPDATE OF verified ON game_sessions
+    FOR EACH ROW EXECUTE FUNCTION credit_run_earnings();
+
+-- ============================================
+-- ACHIEVEMENT REWARDS: paid by the verifier
+-- ============================================
+ALTER TABLE player_achievements ADD COLUMN IF NOT EXISTS rewarded_at TIMESTAMP WITH TIME ZONE;
+
+-- Unlocks paid by the old insert trigger count as rewarded
+UPDATE player_achievements a
+SET rewarded_at = a.unlocked_at
+WHERE a.rewarded_at IS NULL
+  AND EXISTS (
+      SELECT 1 FROM banana_transactions t
+      WHERE t.player_id = a.player_id AND t.reason = 'achievement_reward' AND t.reference = a.achievement_id
+  );
+
+DROP TRIGGER IF EXISTS credit_achievement_reward ON player_achievements;
+DROP FUNCTION IF EXISTS credit_achievement_reward();
+
+-- Clients may only record unpaid unlocks
+DROP POLICY IF EXISTS "Users can unlock achievements" ON player_achievements;
+CREATE POLICY "Users can unlock achievements" ON player_achievements FOR INSERT
+    WITH CHECK (auth.uid() = player_id AND rewarded_at IS NULL);
+
+-- Unlocks an achievement (if the client hasn't already) and pays its reward
+-- once. Returns TRUE if the reward was paid now, FALSE if it was paid
+-- before; raises 'Unknown achievement'. Service role only.
+CREATE OR REPLACE FUNCTION reward_achievement(p_player_id UUID, p_achievement_id TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    reward_amount INTEGER;
+BEGIN
+    SELECT reward INTO reward_amount FROM achievement_rewards WHERE achievement_id = p_achievement_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Unknown achievement';
+    END IF;
+
+    INSERT INTO player_achievements (player_id, achievement_id, rewarded_at)
+    VALUES (p_player_id, p_achievement_id, NOW())
+    ON CONFLICT (player_id, achievement_id) DO UPDATE SET rewarded_at = NOW()
+    WHERE player_achievements.rewarded_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM credit_bananas(p_player_id, reward_amount, 'achievement_reward', p_achievement_id);
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION reward_achievement(UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION reward_achievement(UUID, TEXT) TO service_role;
+
+-- ============================================
+-- PURCHASE_SKIN FUNCTION
+-- ============================================
+-- Debit + unlock in one transaction. The price comes from skin_catalog,
+-- never from the client. Returns the new balance; raises 'Unknown skin',
+-- 'Profile not found', 'Skin already owned' or 'Not enough bananas'.
+CREATE OR REPLACE FUNCTION purchase_skin(p_skin_id TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    skin_price INTEGER;
+    balance BIGINT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    SELECT price INTO skin_price FROM skin_catalog WHERE skin_id = p_skin_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Unknown skin';
+    END IF;
+
+    -- Lock the wallet so two purchases can't both spend the same bananas
+    SELECT COALESCE(spendable_bananas, 0) INTO balance FROM profiles WHERE id = auth.uid() FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM player_skins WHERE player_id = auth.uid() AND skin_id = p_skin_id) THEN
+        RAISE EXCEPTION 'Skin already owned';
+    END IF;
+    IF balance < skin_price THEN
+        RAISE EXCEPTION 'Not enough bananas';
+    END IF;
+
+    UPDATE profiles
+    SET spendable_bananas = balance - skin_price,
+        total_purchases = COALESCE(total_purchases, 0) + 1,
+        total_spent = COALESCE(total_spent, 0) + skin_price
+    WHERE id = auth.uid();
+
+    INSERT INTO player_skins (player_id, skin_id) VALUES (auth.uid(), p_skin_id);
+
+    INSERT INTO banana_transactions (player_id, amount, reason, reference, balance_after)
+    VALUES (auth.uid(), -skin_price, 'purchase', p_skin_id, balance - skin_price);
+
+    RETURN balance - skin_price;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION purchase_skin(TEXT) TO authenticated;
@@ -0,0 +1,12 @@
+-- Run and streak achievements
+-- The first achievements with single-run and streak requirements (see
+-- src/game/achievementCatalog.js); their progress is kept in
+-- achievement_progress like any other stored requirement.
+
+INSERT INTO achievement_rewards (achievement_id, reward) VALUES
+    ('daily_runner', 20),
+    ('weekly_habit', 75),
+    ('banana_haul', 25),
+    ('banana_feast', 75),
+    ('winning_streak', 50)
+ON CONFLICT (achievement_id) DO UPDATE SET reward = EXCLUDED.reward;
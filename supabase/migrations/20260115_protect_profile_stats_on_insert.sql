@@ -0,0 +1,81 @@
+-- Guard profile stats on insert too
+-- protect_profile_stats() only ran on UPDATE, so a client creating its
+-- profile row could start it with any totals (games, high score, per-land
+-- bests, ...). Like the wallet and rating guards, it now also runs on
+-- INSERT and starts those columns at zero for client writes.
+
+-- ============================================
+-- STATS GUARD
+-- ============================================
+CREATE OR REPLACE FUNCTION protect_profile_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.total_games := 0;
+            NEW.total_bananas := 0;
+            NEW.total_score := 0;
+            NEW.total_time_played := 0;
+            NEW.high_score := 0;
+            NEW.highest_level_reached := 0;
+            NEW.jetpacks_collected := 0;
+            NEW.dino_stomps_collected := 0;
+            NEW.bubbles_collected := 0;
+            NEW.bubble_hits_absorbed := 0;
+            NEW.pogos_collected := 0;
+            NEW.lions_collected := 0;
+            NEW.turtles_collected := 0;
+            NEW.stars_collected := 0;
+            NEW.snow_games_played := 0;
+            NEW.desert_games_played := 0;
+            NEW.jungle_games_played := 0;
+            NEW.ocean_games_played := 0;
+            NEW.moon_games_played := 0;
+            NEW.snow_best_score := 0;
+            NEW.desert_best_score := 0;
+            NEW.jungle_best_score := 0;
+            NEW.ocean_best_score := 0;
+            NEW.moon_best_score := 0;
+            NEW.multiplayer_games := 0;
+            NEW.multiplayer_wins := 0;
+            NEW.first_game_at := NULL;
+            NEW.last_game_at := NULL;
+        ELSE
+            NEW.total_games := OLD.total_games;
+            NEW.total_bananas := OLD.total_bananas;
+            NEW.total_score := OLD.total_score;
+            NEW.total_time_played := OLD.total_time_played;
+            NEW.high_score := OLD.high_score;
+            NEW.highest_level_reached := OLD.highest_level_reached;
+            NEW.jetpacks_collected := OLD.jetpacks_collected;
+            NEW.dino_stomps_collected := OLD.dino_stomps_collected;
+            NEW.bubbles_collected := OLD.bubbles_collected;
+            NEW.bubble_hits_absorbed := OLD.bubble_hits_absorbed;
+            NEW.pogos_collected := OLD.pogos_collected;
+            NEW.lions_collected := OLD.lions_collected;
+            NEW.turtles_collected := OLD.turtles_collected;
+            NEW.stars_collected := OLD.stars_collected;
+            NEW.snow_games_played := OLD.snow_games_played;
+            NEW.desert_games_played := OLD.desert_games_played;
+            NEW.jungle_games_played := OLD.jungle_games_played;
+            NEW.ocean_games_played := OLD.ocean_games_played;
+            NEW.moon_games_played := OLD.moon_games_played;
+            NEW.snow_best_score := OLD.snow_best_score;
+            NEW.desert_best_score := OLD.desert_best_score;
+            NEW.jungle_best_score := OLD.jungle_best_score;
+            NEW.ocean_best_score := OLD.ocean_best_score;
+            NEW.moon_best_score := OLD.moon_best_score;
+            NEW.multiplayer_games := OLD.multiplayer_games;
+            NEW.multiplayer_wins := OLD.multiplayer_wins;
+            NEW.first_game_at := OLD.first_game_at;
+            NEW.last_game_at := OLD.last_game_at;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_stats ON profiles;
+CREATE TRIGGER protect_profile_stats
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_stats();
@@ -0,0 +1,75 @@
+-- Username sign-in and account deletion fixes
+-- resolve_login_email() checked the password itself and throttled failures
+-- per account, so anyone could lock a player out by guessing wrong five
+-- times. It now only maps a username to its login address; the password is
+-- checked by Supabase Auth's signInWithPassword(), which has its own rate
+-- limits.
+-- delete_account() deleted the player's guest_merges rows, which freed the
+-- merged guest ids to be claimed (and their progress merged) again. The
+-- rows are now kept with the player id cleared.
+
+-- ============================================
+-- RESOLVE_LOGIN_EMAIL FUNCTION
+-- ============================================
+-- Sign-in by username for accounts whose login address is a linked email.
+-- Returns the account's login address (the internal one when no email is
+-- linked), or NULL for an unknown username.
+DROP FUNCTION IF EXISTS resolve_login_email(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION resolve_login_email(p_username TEXT)
+RETURNS TEXT AS $$
+    SELECT u.email
+    FROM auth.users u
+    JOIN profiles p ON p.id = u.id
+    WHERE LOWER(p.username) = LOWER(p_username);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION resolve_login_email(TEXT) TO anon, authenticated;
+
+DROP TABLE IF EXISTS login_throttle;
+
+-- ============================================
+-- GUEST_MERGES: outlive the account
+-- ============================================
+ALTER TABLE guest_merges DROP CONSTRAINT IF EXISTS guest_merges_player_id_fkey;
+ALTER TABLE guest_merges ADD CONSTRAINT guest_merges_player_id_fkey
+    FOREIGN KEY (player_id) REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- ============================================
+-- DELETE_ACCOUNT FUNCTION
+-- ============================================
+-- Deletes the caller's account and everything they own. Lobbies are left
+-- through remove_lobby_player() first, so other players keep their lobby
+-- (with a new host) instead of losing it with the host's profile. Guest
+-- merges are kept without the player, so the merged guest ids stay claimed.
+CREATE OR REPLACE FUNCTION delete_account()
+RETURNS BOOLEAN AS $$
+DECLARE
+    me UUID := auth.uid();
+    lobby UUID;
+BEGIN
+    IF me IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    FOR lobby IN SELECT lobby_id FROM lobby_players WHERE player_id = me LOOP
+        PERFORM remove_lobby_player(lobby, me);
+    END LOOP;
+    DELETE FROM game_lobbies WHERE host_id = me;
+    DELETE FROM matchmaking_queue WHERE player_id = me;
+
+    DELETE FROM game_sessions WHERE player_id = me;
+    DELETE FROM player_skins WHERE player_id = me;
+    DELETE FROM player_achievements WHERE player_id = me;
+    DELETE FROM achievement_progress WHERE player_id = me;
+    DELETE FROM banana_transactions WHERE player_id = me;
+    UPDATE guest_merges SET player_id = NULL WHERE player_id = me;
+
+    DELETE FROM profiles WHERE id = me;
+    DELETE FROM auth.users WHERE id = me;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION delete_account() TO authenticated;
@@ -0,0 +1,203 @@
+-- Seasons count verified runs only
+-- finalize_season() ranked (and rewarded) every session of the season,
+-- including runs the score verifier never checked or rejected. Standings
+-- now come from verified runs only, and the leaderboard's 'season' window
+-- shows the same by default: p_verified is NULL unless the player picks a
+-- filter, and NULL means verified-only for 'season'.
+
+-- ============================================
+-- RANKED_LEADERBOARD FUNCTION
+-- ============================================
+-- Best run per player, ordered by score, then earliest run, then player id
+-- (a stable order for cursors). Tied scores share a rank. The 'season'
+-- window is the current season's runs. p_verified NULL means the window's
+-- default: verified runs only for 'season' (what finalize_season() ranks),
+-- all runs otherwise.
+CREATE OR REPLACE FUNCTION ranked_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT NULL,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id)
+            s.player_id, s.score, s.created_at, s.id, s.land_played, s.verified
+        FROM game_sessions s
+        WHERE s.score > 0
+        AND (p_land IS NULL OR s.land_played = p_land)
+        AND (NOT COALESCE(p_verified, p_window = 'season') OR s.verified = TRUE)
+        AND (p_players IS NULL OR s.player_id = ANY(p_players))
+        AND s.created_at >= COALESCE(leaderboard_window_start(p_window), '-infinity'::TIMESTAMP WITH TIME ZONE)
+        AND (p_window <> 'season' OR s.season_id = current_season_id())
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    )
+    SELECT
+        RANK() OVER (ORDER BY b.score DESC),
+        b.player_id,
+        p.username,
+        b.score,
+        b.created_at,
+        b.id,
+        b.land_played,
+        COALESCE(b.verified, FALSE)
+    FROM best b
+    JOIN profiles p ON p.id = b.player_id
+    ORDER BY b.score DESC, b.created_at ASC, b.player_id ASC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- GET_LEADERBOARD FUNCTION
+-- ============================================
+-- One page of a leaderboard. Pass the last entry of the previous page as
+-- the cursor (p_after_score / p_after_at / p_after_player), or NULLs for
+-- the first page. At most 101 entries (a page of 100 plus one to tell
+-- whether there's another page).
+CREATE OR REPLACE FUNCTION get_leaderboard(
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT NULL,
+    p_limit INTEGER DEFAULT 10,
+    p_after_score INTEGER DEFAULT NULL,
+    p_after_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_player UUID DEFAULT NULL,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN
+) AS $$
+    SELECT r.*
+    FROM ranked_leaderboard(p_window, p_land, p_verified, p_players) r
+    WHERE p_after_score IS NULL
+        OR r.score < p_after_score
+        OR (r.score = p_after_score AND (r.achieved_at, r.player_id) > (p_after_at, p_after_player))
+    ORDER BY r.score DESC, r.achieved_at ASC, r.player_id ASC
+    LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- GET_LEADERBOARD_RANK FUNCTION
+-- ============================================
+-- A player's entry with p_neighbors entries above and below it (no rows if
+-- the player has no run in the window). `position` is the place in the
+-- ordered list, `total` the number of players on the leaderboard.
+CREATE OR REPLACE FUNCTION get_leaderboard_rank(
+    p_player_id UUID,
+    p_window TEXT DEFAULT 'all',
+    p_land TEXT DEFAULT NULL,
+    p_verified BOOLEAN DEFAULT NULL,
+    p_neighbors INTEGER DEFAULT 2,
+    p_players UUID[] DEFAULT NULL
+)
+RETURNS TABLE (
+    rank BIGINT,
+    player_id UUID,
+    username TEXT,
+    score INTEGER,
+    achieved_at TIMESTAMP WITH TIME ZONE,
+    session_id UUID,
+    land_played TEXT,
+    verified BOOLEAN,
+    "position" BIGINT,
+    total BIGINT
+) AS $$
+    WITH ranked AS (
+        SELECT r.*,
+            ROW_NUMBER() OVER (ORDER BY r.score DESC, r.achieved_at ASC, r.player_id ASC) AS place,
+            COUNT(*) OVER () AS player_count
+        FROM ranked_leaderboard(p_window, p_land, p_verified, p_players) r
+    ),
+    me AS (
+        SELECT ranked.place FROM ranked WHERE ranked.player_id = p_player_id
+    )
+    SELECT ranked.rank, ranked.player_id, ranked.username, ranked.score, ranked.achieved_at,
+        ranked.session_id, ranked.land_played, ranked.verified, ranked.place, ranked.player_count
+    FROM ranked, me
+    WHERE ranked.place BETWEEN me.place - GREATEST(p_neighbors, 0) AND me.place + GREATEST(p_neighbors, 0)
+    ORDER BY ranked.place;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION ranked_leaderboard(TEXT, TEXT, BOOLEAN, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard(TEXT, TEXT, BOOLEAN, INTEGER, INTEGER, TIMESTAMP WITH TIME ZONE, UUID, UUID[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_leaderboard_rank(UUID, TEXT, TEXT, BOOLEAN, INTEGER, UUID[]) TO anon, authenticated;
+
+-- ============================================
+-- FINALIZE_SEASON FUNCTION
+-- ============================================
+-- Archives an ended season's standings (best verified run per player, tied
+-- scores share a rank) and grants each player their reward tier. Runs once per
+-- season; returns the number of players ranked. Raises 'Season not found',
+-- 'Season has not ended' or 'Season already finalized'. Not granted to
+-- clients.
+CREATE OR REPLACE FUNCTION finalize_season(p_season_id INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    season seasons%ROWTYPE;
+    standing season_standings%ROWTYPE;
+    ranked_count INTEGER;
+BEGIN
+    SELECT * INTO season FROM seasons WHERE id = p_season_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Season not found';
+    END IF;
+    IF season.ends_at > NOW() THEN
+        RAISE EXCEPTION 'Season has not ended';
+    END IF;
+    IF season.finalized_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Season already finalized';
+    END IF;
+
+    INSERT INTO season_standings (season_id, player_id, rank, score, session_id, bananas, skin_id, badge)
+    WITH best AS (
+        SELECT DISTINCT ON (s.player_id) s.player_id, s.score, s.created_at, s.id
+        FROM game_sessions s
+        WHERE s.season_id = p_season_id AND s.score > 0 AND s.verified = TRUE
+        ORDER BY s.player_id, s.score DESC, s.created_at ASC
+    ),
+    ranked AS (
+        SELECT best.*, RANK() OVER (ORDER BY best.score DESC)::INTEGER AS final_rank
+        FROM best
+    )
+    SELECT p_season_id, r.player_id, r.final_rank, r.score, r.id,
+        COALESCE(t.bananas, 0), t.skin_id, t.badge
+    FROM ranked r
+    LEFT JOIN LATERAL (
+        SELECT * FROM season_reward_tiers
+        WHERE season_reward_tiers.max_rank >= r.final_rank
+        ORDER BY season_reward_tiers.max_rank
+        LIMIT 1
+    ) t ON TRUE;
+
+    GET DIAGNOSTICS ranked_count = ROW_COUNT;
+
+    FOR standing IN SELECT * FROM season_standings WHERE season_id = p_season_id AND (bananas > 0 OR skin_id IS NOT NULL) LOOP
+        PERFORM credit_bananas(standing.player_id, standing.bananas, 'season_reward', 'season:' || p_season_id);
+        IF standing.skin_id IS NOT NULL THEN
+            INSERT INTO player_skins (player_id, skin_id) VALUES (standing.player_id, standing.skin_id)
+            ON CONFLICT (player_id, skin_id) DO NOTHING;
+        END IF;
+    END LOOP;
+
+    UPDATE seasons SET finalized_at = NOW() WHERE id = p_season_id;
+
+    RETURN ranked_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION finalize_season(INTEGER) FROM PUBLIC;
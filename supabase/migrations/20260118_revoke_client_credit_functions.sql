@@ -0,0 +1,13 @@
+-- Keep banana crediting server-side
+-- Revoking EXECUTE from PUBLIC doesn't remove Supabase's default grants to
+-- anon and authenticated on public-schema functions, so any client could
+-- call credit_bananas() or reward_achievement() (both SECURITY DEFINER)
+-- through rpc() and pay any player. Only the service role (the score
+-- verifier) may call them now; triggers still call credit_bananas() as the
+-- function owner.
+
+REVOKE EXECUTE ON FUNCTION credit_bananas(UUID, INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION credit_bananas(UUID, INTEGER, TEXT, TEXT) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION reward_achievement(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reward_achievement(UUID, TEXT) TO service_role;
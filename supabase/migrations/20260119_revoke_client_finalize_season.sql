@@ -0,0 +1,8 @@
+-- Only the season rollover may end a season
+-- Revoking EXECUTE from PUBLIC doesn't remove Supabase's default grants to
+-- anon and authenticated, so any client could call finalize_season()
+-- (SECURITY DEFINER) through rpc() and archive a season early. Only the
+-- service role (scripts/end-season.mjs) may call it now.
+
+REVOKE EXECUTE ON FUNCTION finalize_season(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION finalize_season(INTEGER) TO service_role;
@@ -0,0 +1,10 @@
+-- Multiplayer sessions come from the room server
+-- A client could save any run as a multiplayer win, and a replay can't
+-- show who won a round. The room server (server/room-server.mjs) now saves
+-- each round's replay-verified runs with the winner, using the service
+-- role key; clients may only save solo and daily challenge runs.
+
+DROP POLICY IF EXISTS "Users can insert own sessions" ON game_sessions;
+CREATE POLICY "Users can insert own sessions" ON game_sessions FOR INSERT
+    WITH CHECK (auth.uid() = player_id AND verified = FALSE AND verified_at IS NULL AND verification_error IS NULL
+                AND game_mode <> 'multiplayer' AND did_win IS NOT TRUE);
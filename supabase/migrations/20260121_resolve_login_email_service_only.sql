@@ -0,0 +1,9 @@
+-- Keep linked emails private
+-- resolve_login_email() was callable by anyone, so any username could be
+-- turned into the account's linked email address. Only the service role
+-- may call it now: the username-sign-in edge function
+-- (supabase/functions/username-sign-in) looks the address up and signs in
+-- with it server-side, returning just the session.
+
+REVOKE EXECUTE ON FUNCTION resolve_login_email(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_login_email(TEXT) TO service_role;
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    buildStatsSnapshot,
+    advanceStreaks,
+    evaluateRules,
+    meetsRequirement,
+    getCatalogProgress,
+    getClosestToUnlock,
+    getStoredProgressUpdates
+} from '../src/game/achievements.js';
+import { ACHIEVEMENTS } from '../src/game/achievementCatalog.js';
+import { SKINS } from '../src/game/skins.js';
+
+// A profile after a handful of games (the shape of a profiles row)
+const PROFILE = {
+    username: 'fixture',
+    total_games: 12,
+    high_score: 1200,
+    total_bananas: 60,
+    highest_level_reached: 4,
+    jetpacks_collected: 17,
+    snow_games_played: 10,
+    snow_best_score: 1200,
+    desert_games_played: 2,
+    desert_best_score: 300,
+    multiplayer_wins: 0
+};
+
+const earnedIds = (catalog, snapshot, options) => evaluateRules(catalog, snapshot, options).earned.map(e => e.id);
+
+// ============================================
+// SNAPSHOT
+// ============================================
+
+test('the snapshot keeps numeric profile stats and splits out per-land stats', () => {
+    const snapshot = buildStatsSnapshot(PROFILE);
+
+    assert.equal(snapshot.lifetime.total_games, 12);
+    assert.equal('username' in snapshot.lifetime, false);
+    assert.deepEqual(snapshot.lands.snow, { games_played: 10, best_score: 1200 });
+    assert.deepEqual(snapshot.lands.jungle, { games_played: 0, best_score: 0 });
+    assert.deepEqual(snapshot.run, {});
+});
+
+test('a run folds its best-of stats into the snapshot without adding its totals', () => {
+    const run = { score: 2600, bananas: 30, level: 6, land: 'desert' };
+    const snapshot = buildStatsSnapshot(PROFILE, run);
+
+    assert.equal(snapshot.lifetime.high_score, 2600);
+    assert.equal(snapshot.lifetime.highest_level_reached, 6);
+    assert.equal(snapshot.lifetime.total_bananas, 60);
+    assert.equal(snapshot.lands.desert.best_score, 2600);
+    assert.equal(snapshot.run, run);
+});
+
+// ============================================
+// STREAKS
+// ============================================
+
+test('win streaks count multiplayer wins in a row and ignore solo runs', () => {
+    let streaks = {};
+    streaks = advanceStreaks(streaks, { isMultiplayer: true, didWin: true }, '2026-03-01');
+    streaks = advanceStreaks(streaks, { isMultiplayer: false }, '2026-03-01');
+    streaks = advanceStreaks(streaks, { isMultiplayer: true, didWin: true }, '2026-03-01');
+    assert.equal(streaks.win_streak, 2);
+
+    streaks = advanceStreaks(streaks, { isMultiplayer: true, didWin: false }, '2026-03-01');
+    assert.equal(streaks.win_streak, 0);
+});
+
+test('play streaks grow on consecutive days and restart after a gap', () => {
+    let streaks = advanceStreaks({}, {}, '2026-02-27');
+    streaks = advanceStreaks(streaks, {}, '2026-02-28');
+    streaks = advanceStreaks(streaks, {}, '2026-02-28');
+    streaks = advanceStreaks(streaks, {}, '2026-03-01');
+    assert.deepEqual(streaks, { win_streak: 0, play_streak: 3, last_played_on: '2026-03-01' });
+
+    streaks = advanceStreaks(streaks, {}, '2026-03-03');
+    assert.equal(streaks.play_streak, 1);
+});
+
+// ============================================
+// EVALUATION
+// ============================================
+
+test('requirement forms are checked against the right part of the snapshot', () => {
+    const snapshot = buildStatsSnapshot(PROFILE, { bananas: 30 }, { streaks: { win_streak: 3 } });
+
+    assert.equal(meetsRequirement({ type: 'total_games', value: 12 }, snapshot), true);
+    assert.equal(meetsRequirement({ type: 'total_games', value: 13 }, snapshot), false);
+    assert.equal(meetsRequirement({ type: 'bananas', scope: 'run', value: 25 }, snapshot), true);
+    assert.equal(meetsRequirement({ type: 'win_streak', scope: 'streak', value: 3 }, snapshot), true);
+    assert.equal(meetsRequirement({ type: 'games_played', land: 'snow', value: 10 }, snapshot), true);
+    assert.equal(meetsRequirement({ type: 'games_played', land: 'any', value: 10 }, snapshot), true);
+    assert.equal(meetsRequirement({ type: 'games_played', lands: ['snow', 'desert'], value: 2 }, snapshot), true);
+    assert.equal(meetsRequirement({ type: 'games_played', lands: ['snow', 'jungle'], value: 1 }, snapshot), false);
+    assert.equal(meetsRequirement({ all: [{ type: 'total_games', value: 1 }, { type: 'high_score', value: 5000 }] }, snapshot), false);
+    assert.equal(meetsRequirement({ any: [{ type: 'total_games', value: 1 }, { type: 'high_score', value: 5000 }] }, snapshot), true);
+    assert.equal(meetsRequirement(null, snapshot), false);
+});
+
+test('the achievement catalog unlocks what a fixture profile has earned', () => {
+    const snapshot = buildStatsSnapshot(PROFILE);
+    const earned = earnedIds(ACHIEVEMENTS, snapshot);
+
+    for (const id of ['first_game', 'regular_player', 'breaking_through', 'banana_collector', 'sky_high', 'snow_master']) {
+        assert.ok(earned.includes(id), `${id} should be earned`);
+    }
+    for (const id of ['dedicated_runner', 'skilled_runner', 'rocket_man', 'world_traveler', 'banana_haul', 'first_win']) {
+        assert.ok(!earned.includes(id), `${id} should not be earned`);
+    }
+});
+
+test('owned entries are skipped and rewards come from the catalog', () => {
+    const snapshot = buildStatsSnapshot({ total_games: 5 });
+    const result = evaluateRules(ACHIEVEMENTS, snapshot, { owned: ['first_game'] });
+
+    assert.deepEqual(result.earned, [{ id: 'getting_started', reward: ACHIEVEMENTS.getting_started.reward }]);
+    assert.equal(result.totalReward, ACHIEVEMENTS.getting_started.reward);
+});
+
+test('run- and streak-scoped achievements need the run or streak that earns them', () => {
+    const run = { score: 400, bananas: 50, level: 3, land: 'ocean', isMultiplayer: true, didWin: true };
+    const snapshot = buildStatsSnapshot(PROFILE, run, { streaks: { win_streak: 3, play_streak: 7 } });
+    const earned = earnedIds(ACHIEVEMENTS, snapshot);
+
+    for (const id of ['banana_haul', 'banana_feast', 'winning_streak', 'daily_runner', 'weekly_habit']) {
+        assert.ok(earned.includes(id), `${id} should be earned`);
+    }
+    assert.ok(!earnedIds(ACHIEVEMENTS, buildStatsSnapshot(PROFILE)).includes('banana_haul'));
+});
+
+test('achievement skins unlock through the same rules', () => {
+    const snapshot = buildStatsSnapshot({ ...PROFILE, total_bananas: 100 });
+    const skins = evaluateRules(SKINS, snapshot, { requirementKey: 'unlockReq' });
+
+    assert.deepEqual(skins.earned.map(s => s.id), ['golden']);
+    assert.deepEqual(earnedIds(SKINS, snapshot, { owned: ['golden'], requirementKey: 'unlockReq' }), []);
+});
+
+// ============================================
+// PROGRESS
+// ============================================
+
+test('progress reports counts toward each rule and the closest locked ones', () => {
+    const snapshot = buildStatsSnapshot(PROFILE);
+    const progress = getCatalogProgress(ACHIEVEMENTS, snapshot, { owned: ['first_game'] });
+
+    assert.deepEqual(progress.rocket_man, { current: 17, target: 25, ratio: 0.68, unlocked: false, stored: false });
+    assert.equal(progress.first_game.ratio, 1);
+    assert.equal(progress.first_game.unlocked, true);
+    assert.equal(progress.world_traveler.current, 0);
+
+    const closest = getClosestToUnlock(progress, 2);
+    assert.equal(closest.length, 2);
+    assert.ok(closest[0].ratio >= closest[1].ratio);
+    assert.ok(closest.every(entry => entry.ratio < 1 && !entry.unlocked));
+});
+
+test('stored progress keeps the best run and only reports changes', () => {
+    const snapshot = buildStatsSnapshot(PROFILE, { bananas: 12 });
+    const saved = { banana_haul: 20, banana_feast: 12 };
+    const progress = getCatalogProgress(ACHIEVEMENTS, snapshot, { saved });
+
+    assert.equal(progress.banana_haul.current, 20);
+    assert.equal(progress.banana_haul.stored, true);
+
+    const updates = getStoredProgressUpdates(progress, saved);
+    assert.ok(!updates.some(u => u.id === 'banana_haul' || u.id === 'banana_feast'));
+
+    const better = getCatalogProgress(ACHIEVEMENTS, buildStatsSnapshot(PROFILE, { bananas: 22 }), { saved });
+    assert.ok(getStoredProgressUpdates(better, saved).some(u => u.id === 'banana_haul' && u.progress === 22));
+});
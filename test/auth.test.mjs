@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthService, usernameToEmail } from '../src/services/auth.js';
+import { createLocalSupabase } from '../src/services/localSupabase.js';
+
+/**
+ * An auth service on a fresh stand-in that records what its callbacks saw
+ */
+async function createAuth(options = {}) {
+    const supabase = createLocalSupabase(options);
+    const seen = { errors: [], recoveries: 0, user: null, profile: null };
+    const auth = createAuthService(supabase, {
+        onUserChange: user => { seen.user = user; },
+        onProfileChange: profile => { seen.profile = profile; },
+        onAuthError: message => seen.errors.push(message),
+        onPasswordRecovery: () => { seen.recoveries++; }
+    });
+    await auth.initialize();
+    return { supabase, auth, seen };
+}
+
+async function signUpLinked(username = 'banana_fan', email = 'fan@example.com') {
+    const setup = await createAuth();
+    await setup.auth.signUp(username, 'secret123');
+    await setup.auth.linkEmail(email);
+    await setup.supabase.confirmEmailChange(setup.auth.getUser().id);
+    return setup;
+}
+
+// ============================================
+// SIGN UP & SIGN IN
+// ============================================
+
+test('signing up creates the account and its profile and signs in', async () => {
+    const { auth, seen } = await createAuth();
+
+    assert.equal(await auth.signUp('banana_fan', 'secret123'), true);
+    assert.equal(auth.isAuthenticated(), true);
+    assert.equal(auth.getUser().email, usernameToEmail('banana_fan'));
+    assert.equal(seen.profile.username, 'banana_fan');
+    assert.equal(auth.getLinkedEmail(), null);
+});
+
+test('usernames are validated and must be unique', async () => {
+    const { auth, seen } = await createAuth();
+
+    assert.equal(await auth.signUp('ab', 'secret123'), false);
+    assert.equal(await auth.signUp('bad name!', 'secret123'), false);
+    await auth.signUp('banana_fan', 'secret123');
+    assert.equal(await auth.signUp('Banana_Fan', 'secret123'), false);
+    assert.equal(seen.errors.at(-1), 'Username already taken');
+});
+
+test('signing in by username checks the password', async () => {
+    const { auth, seen } = await createAuth();
+    await auth.signUp('banana_fan', 'secret123');
+    await auth.signOut();
+    assert.equal(auth.isAuthenticated(), false);
+
+    assert.equal(await auth.signIn('banana_fan', 'wrong-password'), false);
+    assert.equal(seen.errors.at(-1), 'Invalid username or password');
+    assert.equal(await auth.signIn('Banana_Fan', 'secret123'), true);
+    assert.equal(seen.profile.username, 'banana_fan');
+});
+
+// ============================================
+// LINKED EMAIL
+// ============================================
+
+test('a linked email replaces the internal address once confirmed', async () => {
+    const { supabase, auth, seen } = await createAuth();
+    await auth.signUp('banana_fan', 'secret123');
+
+    assert.equal(await auth.linkEmail('not-an-email'), false);
+    assert.equal(await auth.linkEmail(usernameToEmail('someone')), false);
+    assert.equal(seen.errors.at(-1), 'Enter a real email address');
+
+    assert.equal(await auth.linkEmail('Fan@Example.com'), true);
+    assert.deepEqual(supabase.outbox.at(-1), { to: 'fan@example.com', type: 'email_change', userId: auth.getUser().id });
+    assert.equal(auth.getLinkedEmail(), null);
+
+    await supabase.confirmEmailChange(auth.getUser().id);
+    assert.equal(auth.getLinkedEmail(), 'fan@example.com');
+});
+
+test('an email linked to another account is refused', async () => {
+    const { supabase, auth, seen } = await signUpLinked();
+    await auth.signOut();
+    await auth.signUp('other_fan', 'secret123');
+
+    assert.equal(await auth.linkEmail('fan@example.com'), false);
+    assert.equal(seen.errors.at(-1), 'That email is already linked to an account');
+    assert.equal(supabase.outbox.filter(mail => mail.type === 'email_change').length, 1);
+});
+
+test('an account with a linked email still signs in by username, server-side', async () => {
+    const { supabase, auth, seen } = await signUpLinked();
+    await auth.signOut();
+
+    assert.equal(await auth.signIn('banana_fan', 'wrong-password'), false);
+    assert.equal(seen.errors.at(-1), 'Invalid username or password');
+
+    assert.equal(await auth.signIn('banana_fan', 'secret123'), true);
+    assert.equal(auth.getLinkedEmail(), 'fan@example.com');
+    assert.equal(seen.profile.username, 'banana_fan');
+
+    // ...and by the email itself
+    await auth.signOut();
+    assert.equal(await auth.signIn('fan@example.com', 'secret123'), true);
+
+    // The address is only ever resolved server-side
+    const { error } = await supabase.rpc('resolve_login_email', { p_username: 'banana_fan' });
+    assert.equal(error.code, 'PGRST202');
+});
+
+// ============================================
+// PASSWORD RESET
+// ============================================
+
+test('a password reset goes to the linked email and the link lets the player set a new password', async () => {
+    const { supabase, auth, seen } = await signUpLinked();
+    await auth.signOut();
+
+    assert.equal(await auth.requestPasswordReset('nobody@example.com'), true);
+    assert.equal(supabase.outbox.some(mail => mail.type === 'recovery'), false);
+    assert.equal(await auth.requestPasswordReset('not-an-email'), false);
+    assert.equal(seen.errors.at(-1), 'Enter the email linked to your account');
+
+    assert.equal(await auth.requestPasswordReset('fan@example.com'), true);
+    assert.equal(await supabase.openRecoveryLink('fan@example.com'), true);
+    assert.equal(seen.recoveries, 1);
+    assert.equal(auth.isAuthenticated(), true);
+
+    assert.equal(await auth.updatePassword('short'), false);
+    assert.equal(await auth.updatePassword('new-secret'), true);
+    await auth.signOut();
+
+    assert.equal(await auth.signIn('banana_fan', 'secret123'), false);
+    assert.equal(await auth.signIn('banana_fan', 'new-secret'), true);
+});
+
+// ============================================
+// USERNAME CHANGE & DELETION
+// ============================================
+
+test('changing the username renames the profile and the login', async () => {
+    const { auth, seen } = await createAuth();
+    await auth.signUp('other_fan', 'secret123');
+    await auth.signOut();
+    await auth.signUp('banana_fan', 'secret123');
+
+    assert.equal(await auth.changeUsername('x'), false);
+    assert.equal(await auth.changeUsername('other_fan'), false);
+    assert.equal(seen.errors.at(-1), 'Username already taken');
+
+    assert.equal(await auth.changeUsername('monkey_king'), true);
+    assert.equal(seen.profile.username, 'monkey_king');
+    assert.equal(auth.getUser().email, usernameToEmail('monkey_king'));
+    await auth.signOut();
+
+    assert.equal(await auth.signIn('banana_fan', 'secret123'), false);
+    assert.equal(await auth.signIn('monkey_king', 'secret123'), true);
+});
+
+test('a linked email survives a username change', async () => {
+    const { auth } = await signUpLinked();
+
+    assert.equal(await auth.changeUsername('monkey_king'), true);
+    assert.equal(auth.getLinkedEmail(), 'fan@example.com');
+    await auth.signOut();
+    assert.equal(await auth.signIn('monkey_king', 'secret123'), true);
+});
+
+test('deleting the account removes what it owns and keeps merged guest ids claimed', async () => {
+    const { supabase, auth, seen } = await createAuth();
+    await auth.signUp('banana_fan', 'secret123');
+    const me = auth.getUser().id;
+    supabase.tables.game_sessions = [{ id: 's1', player_id: me, score: 100 }, { id: 's2', player_id: 'other', score: 50 }];
+    supabase.tables.player_skins = [{ player_id: me, skin_id: 'ninja' }];
+    supabase.tables.guest_merges = [{ guest_id: 'guest-1', player_id: me }];
+
+    assert.equal(await auth.deleteAccount(), true);
+    assert.equal(auth.isAuthenticated(), false);
+    assert.equal(seen.profile, null);
+
+    assert.deepEqual(supabase.tables.game_sessions.map(row => row.id), ['s2']);
+    assert.deepEqual(supabase.tables.player_skins, []);
+    assert.deepEqual(supabase.tables.guest_merges, [{ guest_id: 'guest-1', player_id: null }]);
+    assert.equal(supabase.tables.profiles.some(row => row.id === me), false);
+
+    assert.equal(await auth.signIn('banana_fan', 'secret123'), false);
+    assert.equal(await auth.signUp('banana_fan', 'secret123'), true);
+});
+
+test('account changes need a signed-in player', async () => {
+    const { auth } = await createAuth();
+
+    assert.equal(await auth.linkEmail('fan@example.com'), false);
+    assert.equal(await auth.updatePassword('new-secret'), false);
+    assert.equal(await auth.changeUsername('monkey_king'), false);
+    assert.equal(await auth.deleteAccount(), false);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAILY_MODIFIER_SKINS, getDailyChallenge, getDailyDate, getDailySeed } from '../src/game/daily.js';
+import { lands } from '../src/game/lands.js';
+
+/**
+ * Every date from start (inclusive) to end (exclusive), as YYYY-MM-DD
+ */
+function datesBetween(start, end) {
+    const dates = [];
+    for (let day = new Date(`${start}T00:00:00Z`); getDailyDate(day) < end; day.setUTCDate(day.getUTCDate() + 1)) {
+        dates.push(getDailyDate(day));
+    }
+    return dates;
+}
+
+test('the challenge date is the UTC date', () => {
+    assert.equal(getDailyDate(new Date('2026-03-14T23:30:00-05:00')), '2026-03-15');
+    assert.equal(getDailyDate(new Date('2026-03-15T00:00:00Z')), '2026-03-15');
+});
+
+test('seeds are derived from the date alone', () => {
+    // Pinned: changing the derivation would change every past challenge
+    assert.equal(getDailySeed('2026-01-01'), 1735739199);
+    assert.equal(getDailySeed('2026-03-14'), 92017168);
+    assert.deepEqual(getDailyChallenge('2026-11-01'), {
+        date: '2026-11-01',
+        seed: 326529593,
+        land: 'moon',
+        skin: 'speedster'
+    });
+});
+
+test('every date gets a valid challenge, and the same one each time', () => {
+    const seeds = new Set();
+    for (const date of datesBetween('2026-01-01', '2027-01-01')) {
+        const challenge = getDailyChallenge(date);
+
+        assert.deepEqual(getDailyChallenge(date), challenge);
+        assert.ok(Number.isInteger(challenge.seed) && challenge.seed >= 1 && challenge.seed < 2147483647);
+        assert.ok(lands[challenge.land], challenge.land);
+        assert.ok(DAILY_MODIFIER_SKINS.includes(challenge.skin), challenge.skin);
+        seeds.add(challenge.seed);
+    }
+
+    assert.equal(seeds.size, 365);
+});
+
+test('a land is never the daily before its dailyFrom date', () => {
+    for (const [id, land] of Object.entries(lands)) {
+        if (!land.dailyFrom) continue;
+
+        const before = datesBetween('2025-01-01', land.dailyFrom).map(date => getDailyChallenge(date).land);
+        assert.ok(!before.includes(id), `${id} picked before ${land.dailyFrom}`);
+    }
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Shared fixtures for the Node test suite
+ *
+ * Builds deterministic runs the way the game does: an input stream played
+ * through the headless simulation, recorded as a replay.
+ *
+ * @module test/fixtures
+ */
+
+import { runSimulation } from '../src/game/simulation.js';
+import { createReplayRecorder, encodeReplay } from '../src/game/replay.js';
+import { buildSessionStats } from '../src/game/stats.js';
+
+/**
+ * A steady jump rhythm - enough to clear a few obstacles before dying
+ *
+ * @param {number} [every=45] - Frames between jumps
+ * @param {number} [until=3000] - Last frame to jump on
+ * @returns {Array<Object>} Input events
+ */
+export function jumpInputs(every = 45, until = 3000) {
+    const inputs = [];
+    for (let frame = 30; frame < until; frame += every) {
+        inputs.push({ frame, type: 'jump' }, { frame: frame + 10, type: 'release' });
+    }
+    return inputs;
+}
+
+/**
+ * Play a run to the end and record it
+ *
+ * @param {Object} [meta] - {seed, land, skin, viewport, inputs}
+ * @returns {Object} {result, replay, encoded, session} - the simulation
+ *     summary, the replay object, its encoded text and a game_sessions row
+ */
+export function recordRun({
+    seed = 1234,
+    land = 'snow',
+    skin = 'default',
+    viewport = { width: 1280, height: 720 },
+    inputs = jumpInputs()
+} = {}) {
+    const result = runSimulation({ seed, land, skin, viewport, inputs });
+
+    // Only inputs made while the runner was alive are recorded
+    const recorder = createReplayRecorder({ seed, land, skin, viewport });
+    for (const { frame, type, ...extra } of inputs) {
+        if (frame < result.frames) recorder.record(frame, type, extra);
+    }
+    const replay = recorder.finish(result);
+    const encoded = encodeReplay(replay);
+    const session = { ...buildSessionStats({ ...result, land }), seed, replay: encoded };
+
+    return { result, replay, encoded, session };
+}
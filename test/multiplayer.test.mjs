@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoopbackHub } from '../src/multiplayer/loopbackTransport.js';
+import { createRoom, rankPlayers } from '../src/multiplayer/room.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, LOBBY_STATUS } from '../src/multiplayer/protocol.js';
+import { createMultiplayerService } from '../src/services/multiplayer.js';
+
+const SEED = 424242;
+
+// Loopback messages are delivered on microtasks, so one macrotask turn
+// lets every queued message (and the replies it triggers) arrive
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * A multiplayer service on the hub that records what its callbacks saw
+ */
+function createClient(hub, username) {
+    const seen = { starts: [], opponents: [], results: [], errors: [] };
+    const service = createMultiplayerService(null, {
+        onGameStart: start => seen.starts.push(start),
+        onOpponentScore: state => seen.opponents.push(state),
+        onRoundOver: result => seen.results.push(result),
+        onError: message => seen.errors.push(message)
+    }, {
+        transport: hub.createTransport(),
+        username
+    });
+    return { service, seen };
+}
+
+function createTestRoom(sent = [], callbacks = {}) {
+    return createRoom({ id: 'room-1', code: 'ROOM01', countdownSeconds: 0, generateSeed: () => SEED }, {
+        send: (playerId, event, payload) => sent.push({ playerId, event, payload }),
+        ...callbacks
+    });
+}
+
+// ============================================
+// LOOPBACK LOBBY FLOW
+// ============================================
+
+test('two loopback clients play a full lobby -> round -> results flow', async () => {
+    const hub = createLoopbackHub({ roomOptions: { countdownSeconds: 0, generateSeed: () => SEED } });
+    const host = createClient(hub, 'Host');
+    const guest = createClient(hub, 'Guest');
+
+    try {
+        const lobby = await host.service.createLobby('host', 'jungle', 'ABC123');
+        assert.equal(lobby.code, 'ABC123');
+        assert.equal(lobby.land, 'jungle');
+        assert.equal(host.service.isLobbyHost(), true);
+
+        const joined = await guest.service.joinByCode('abc123', 'guest');
+        assert.equal(joined.id, lobby.id);
+        assert.equal(guest.service.isLobbyHost(), false);
+        await settle();
+        assert.deepEqual(host.service.getPlayers().map(p => p.profiles.username), ['Host', 'Guest']);
+
+        host.service.startGame();
+        await settle();
+        assert.deepEqual(host.seen.starts, [{ seed: SEED, round: 1 }]);
+        assert.deepEqual(guest.seen.starts, [{ seed: SEED, round: 1 }]);
+        assert.equal(hub.getRoomForPlayer('host').getStatus(), LOBBY_STATUS.PLAYING);
+
+        host.service.listenForOpponentState('host');
+        guest.service.broadcastGameState({ seq: 1, frame: 60, yOffset: 10, score: 120, bananas: 3, isAlive: true });
+        await settle();
+        assert.equal(host.seen.opponents.at(-1).playerId, 'guest');
+        assert.equal(host.seen.opponents.at(-1).score, 120);
+
+        host.service.broadcastGameState({ seq: 1, frame: 90, yOffset: 0, score: 80, bananas: 1, isAlive: false, replay: 'host-replay' });
+        guest.service.broadcastGameState({ seq: 2, frame: 120, yOffset: 0, score: 150, bananas: 4, isAlive: false, replay: 'guest-replay' });
+        await settle();
+
+        assert.equal(host.seen.results.length, 1);
+        assert.deepEqual(host.seen.results[0], guest.seen.results[0]);
+        const { ranking, round } = host.seen.results[0];
+        assert.equal(round, 1);
+        assert.deepEqual(ranking.map(r => [r.playerId, r.score, r.rank]), [['guest', 150, 1], ['host', 80, 2]]);
+        assert.equal(hub.getRoomForPlayer('host').getStatus(), LOBBY_STATUS.RESULTS);
+
+        host.service.playAgain();
+        await settle();
+        assert.deepEqual(guest.seen.starts.at(-1), { seed: SEED, round: 2 });
+    } finally {
+        await host.service.leaveLobby('host');
+        await guest.service.leaveLobby('guest');
+    }
+
+    assert.equal(hub.getRoomCount(), 0);
+});
+
+test('only the host can start, and only once everyone is in', async () => {
+    const hub = createLoopbackHub({ roomOptions: { countdownSeconds: 0, generateSeed: () => SEED } });
+    const host = createClient(hub, 'Host');
+    const guest = createClient(hub, 'Guest');
+
+    try {
+        await host.service.createLobby('host', 'snow', 'SOLO01');
+        host.service.startGame();
+        await settle();
+        assert.equal(host.seen.errors.length, 1);
+        assert.match(host.seen.errors[0], /^Need at least/);
+
+        await guest.service.joinByCode('SOLO01', 'guest');
+        guest.service.startGame();
+        await settle();
+        assert.deepEqual(guest.seen.errors, ['Only the host can start the game']);
+        assert.equal(guest.seen.starts.length, 0);
+    } finally {
+        await host.service.leaveLobby('host');
+        await guest.service.leaveLobby('guest');
+    }
+});
+
+test('the next player to have joined takes over when the host leaves', async () => {
+    const hub = createLoopbackHub({ roomOptions: { countdownSeconds: 0 } });
+    const host = createClient(hub, 'Host');
+    const guest = createClient(hub, 'Guest');
+
+    try {
+        await host.service.createLobby('host', 'snow', 'HAND01');
+        await guest.service.joinByCode('HAND01', 'guest');
+        await host.service.leaveLobby('host');
+        await settle();
+
+        assert.equal(guest.service.getLobby().host_id, 'guest');
+        assert.equal(guest.service.isLobbyHost(), true);
+        assert.equal(guest.service.getPlayers().length, 1);
+    } finally {
+        await guest.service.leaveLobby('guest');
+    }
+});
+
+test('joining an unknown code fails', async () => {
+    const hub = createLoopbackHub();
+    const guest = createClient(hub, 'Guest');
+
+    assert.equal(await guest.service.joinByCode('NOPE00', 'guest'), null);
+    assert.equal(hub.getRoomCount(), 0);
+});
+
+// ============================================
+// ROOM
+// ============================================
+
+test('the room hands each death replay to onRoundOver and never relays it', () => {
+    const sent = [];
+    let roundOver = null;
+    const room = createTestRoom(sent, { onRoundOver: result => { roundOver = result; } });
+
+    try {
+        room.addPlayer({ playerId: 'a', username: 'A' });
+        room.addPlayer({ playerId: 'b', username: 'B' });
+        room.handleMessage('a', CLIENT_EVENTS.START_GAME);
+
+        room.handleMessage('a', CLIENT_EVENTS.PLAYER_UPDATE, { score: 50, bananas: 2, isAlive: false, replay: 'replay-a' });
+        room.handleMessage('b', CLIENT_EVENTS.PLAYER_UPDATE, { score: 70, bananas: 1, isAlive: false, replay: 42 });
+
+        const relayed = sent.filter(m => m.event === SERVER_EVENTS.PLAYER_UPDATE);
+        assert.equal(relayed.length, 2);
+        assert.ok(relayed.every(m => !('replay' in m.payload)));
+
+        assert.equal(roundOver.round, 1);
+        assert.equal(roundOver.seed, SEED);
+        assert.deepEqual(roundOver.replays, { a: 'replay-a', b: null });
+        assert.deepEqual(roundOver.ranking.map(r => r.playerId), ['b', 'a']);
+    } finally {
+        room.destroy();
+    }
+});
+
+test('the dead stay dead and scores never go down', () => {
+    const room = createTestRoom();
+
+    try {
+        room.addPlayer({ playerId: 'a', username: 'A' });
+        room.addPlayer({ playerId: 'b', username: 'B' });
+        room.handleMessage('a', CLIENT_EVENTS.START_GAME);
+
+        room.handleMessage('a', CLIENT_EVENTS.PLAYER_UPDATE, { score: 90, bananas: 3, isAlive: true });
+        room.handleMessage('a', CLIENT_EVENTS.PLAYER_UPDATE, { score: 10, bananas: 0, isAlive: false });
+        room.handleMessage('a', CLIENT_EVENTS.PLAYER_UPDATE, { score: 500, bananas: 9, isAlive: true });
+
+        const a = room.getState().players.find(p => p.player_id === 'a');
+        assert.equal(a.score, 90);
+        assert.equal(a.bananas, 3);
+        assert.equal(a.is_alive, false);
+        assert.equal(room.getStatus(), LOBBY_STATUS.PLAYING);
+    } finally {
+        room.destroy();
+    }
+});
+
+test('rankPlayers orders by score then bananas and shares tied ranks', () => {
+    const ranking = rankPlayers([
+        { id: 'a', username: 'A', score: 100, bananas: 2 },
+        { id: 'b', username: 'B', score: 300, bananas: 0 },
+        { id: 'c', username: 'C', score: 100, bananas: 5 },
+        { id: 'd', username: 'D', score: 100, bananas: 2 }
+    ]);
+
+    assert.deepEqual(ranking.map(r => [r.playerId, r.rank]), [['b', 1], ['c', 2], ['a', 3], ['d', 3]]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPLAY_VERSION, createReplayPlayback, decodeReplay, encodeReplay, getReplayFilename } from '../src/game/replay.js';
+import { recordRun } from './fixtures.mjs';
+
+test('a replay survives encode and decode unchanged', () => {
+    const { replay, encoded } = recordRun();
+
+    assert.deepEqual(decodeReplay(encoded), replay);
+    assert.equal(encodeReplay(decodeReplay(encoded)), encoded);
+});
+
+test('resize events keep their size', () => {
+    // 1024 is 'sg' in base36 - a size starting with a type letter
+    const inputs = [
+        { frame: 30, type: 'jump' },
+        { frame: 40, type: 'release' },
+        { frame: 50, type: 'resize', width: 1024, height: 768 }
+    ];
+    const { replay, encoded } = recordRun({ inputs });
+
+    assert.deepEqual(decodeReplay(encoded).inputs, replay.inputs);
+    assert.deepEqual(replay.inputs[2], { frame: 50, type: 'resize', width: 1024, height: 768 });
+});
+
+test('version 1 replays still decode', () => {
+    const replay = decodeReplay('BR1;1234;snow;default;1280x720;300;64;1;uj.ar.ks9ox6o');
+
+    assert.equal(replay.version, 1);
+    assert.deepEqual(replay.inputs, [
+        { frame: 30, type: 'jump' },
+        { frame: 40, type: 'release' },
+        { frame: 60, type: 'resize', width: 348, height: 240 }
+    ]);
+});
+
+test('whitespace around a pasted replay is ignored', () => {
+    const { replay, encoded } = recordRun();
+
+    assert.deepEqual(decodeReplay(`\n  ${encoded}\n`), replay);
+});
+
+test('malformed replays decode to null', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { encoded } = recordRun();
+
+    assert.equal(decodeReplay(''), null);
+    assert.equal(decodeReplay(encoded.replace(`BR${REPLAY_VERSION}`, 'BR9')), null);
+    assert.equal(decodeReplay(encoded.replace(';snow;', ';../snow;')), null);
+    assert.equal(decodeReplay(`${encoded}.zz`), null);
+    assert.equal(decodeReplay(encoded.split(';').slice(0, 8).join(';')), null);
+});
+
+test('playback reproduces the recorded run', () => {
+    const { replay, result } = recordRun({ seed: 4242, land: 'desert' });
+    const playback = createReplayPlayback(replay);
+
+    while (!playback.isFinished()) playback.step();
+
+    assert.equal(playback.state.frame, result.frames);
+    assert.equal(playback.state.score, result.score);
+    assert.equal(playback.state.bananasCollected, result.bananas);
+    assert.equal(playback.getProgress(), 1);
+});
+
+test('replay files are named after land and score', () => {
+    const { replay } = recordRun();
+
+    assert.equal(getReplayFilename(replay), `banana-runner-snow-${replay.score}.replay`);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, runSimulation } from '../src/game/simulation.js';
+import { lands } from '../src/game/lands.js';
+import { jumpInputs } from './fixtures.mjs';
+
+const viewport = { width: 1280, height: 720 };
+
+test('the same seed, land, skin and inputs always play the same run', () => {
+    const options = { seed: 1234, land: 'snow', skin: 'default', viewport, inputs: jumpInputs() };
+
+    const first = runSimulation(options);
+    const second = runSimulation(options);
+
+    assert.deepEqual(second, first);
+    assert.equal(first.alive, false);
+    assert.ok(first.frames > 0);
+});
+
+test('every land plays deterministically', () => {
+    for (const land of Object.keys(lands)) {
+        const options = { seed: 99, land, viewport, inputs: jumpInputs(40) };
+        assert.deepEqual(runSimulation(options), runSimulation(options), land);
+    }
+});
+
+test('different seeds play different worlds', () => {
+    const runs = [1, 2, 3, 4].map(seed => runSimulation({ seed, land: 'jungle', viewport, inputs: jumpInputs() }));
+    const outcomes = new Set(runs.map(run => `${run.frames}:${run.score}:${run.bananas}`));
+
+    assert.ok(outcomes.size > 1);
+});
+
+test('stepping by hand matches runSimulation', () => {
+    const inputs = jumpInputs();
+    const expected = runSimulation({ seed: 77, land: 'desert', viewport, inputs });
+
+    const sim = createSimulation({ seed: 77, land: 'desert', viewport });
+    let cursor = 0;
+    while (sim.state.alive) {
+        while (cursor < inputs.length && inputs[cursor].frame <= sim.state.frame) {
+            sim.applyInput(inputs[cursor++]);
+        }
+        sim.step();
+    }
+
+    assert.deepEqual(sim.getSummary(), expected);
+});
+
+test('a run stops at maxFrames while the runner is still alive', () => {
+    const result = runSimulation({ seed: 5, land: 'snow', viewport, maxFrames: 30 });
+
+    assert.equal(result.alive, true);
+    assert.equal(result.frames, 30);
+    assert.equal(result.durationSeconds, 0);
+});
+
+test('a jump lifts the runner off the ground', () => {
+    const sim = createSimulation({ seed: 5, land: 'snow', viewport });
+    sim.step();
+    const groundY = sim.state.player.y;
+
+    sim.applyInput({ type: 'jump' });
+    for (let i = 0; i < 5; i++) sim.step();
+
+    assert.ok(sim.state.player.y < groundY);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyRun, MAX_VERIFY_FRAMES } from '../src/game/verification.js';
+import { getDailyChallenge } from '../src/game/daily.js';
+import { SKINS } from '../src/game/skins.js';
+import { recordRun } from './fixtures.mjs';
+
+const paidSkin = Object.keys(SKINS).find(id => SKINS[id].type === 'purchasable');
+
+test('an honest run is verified', () => {
+    const { session, result } = recordRun();
+    const outcome = verifyRun(session);
+
+    assert.equal(outcome.verified, true);
+    assert.equal(outcome.reason, null);
+    assert.equal(outcome.result.score, result.score);
+});
+
+test('claimed score and bananas must match the simulation', () => {
+    const { session } = recordRun();
+
+    assert.match(verifyRun({ ...session, score: session.score + 1 }).reason, /^Score mismatch/);
+    assert.match(verifyRun({ ...session, bananas_collected: session.bananas_collected + 1 }).reason, /^Banana mismatch/);
+});
+
+test('claimed duration, level and power-up counts must match the simulation', () => {
+    const { session } = recordRun();
+
+    assert.match(verifyRun({ ...session, duration: session.duration + 60 }).reason, /^duration mismatch/);
+    assert.match(verifyRun({ ...session, highest_level: session.highest_level + 3 }).reason, /^highest_level mismatch/);
+    assert.match(verifyRun({ ...session, jetpacks_used: 5 }).reason, /^jetpacks_used mismatch/);
+    assert.match(verifyRun({ ...session, bubble_hits_absorbed: 2 }).reason, /^bubble_hits_absorbed mismatch/);
+});
+
+test('only multiplayer sessions may claim a win', () => {
+    const { session } = recordRun();
+
+    assert.equal(verifyRun({ ...session, did_win: true }).reason, 'Only multiplayer runs can be wins');
+    assert.equal(verifyRun({ ...session, game_mode: 'multiplayer', did_win: true }).verified, true);
+});
+
+test('a run must use a skin the player owns', () => {
+    const { session } = recordRun({ skin: paidSkin });
+
+    assert.equal(verifyRun(session, { ownedSkins: [] }).reason, 'Skin not owned');
+    assert.equal(verifyRun(session, { ownedSkins: [paidSkin] }).verified, true);
+    assert.equal(verifyRun(recordRun().session, { ownedSkins: [] }).verified, true);
+});
+
+test('the replay must match the session it was submitted with', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { session } = recordRun();
+
+    assert.equal(verifyRun({ ...session, replay: null }).reason, 'No replay submitted');
+    assert.equal(verifyRun({ ...session, replay: 'nonsense' }).reason, 'Replay could not be decoded');
+    assert.equal(verifyRun({ ...session, seed: session.seed + 1 }).reason, 'Seed does not match replay');
+    assert.equal(verifyRun({ ...session, land_played: 'desert' }).reason, 'Land does not match replay');
+});
+
+test('a replay cut short of the recorded death is rejected', () => {
+    const { replay, session } = recordRun();
+    const parts = session.replay.split(';');
+    parts[5] = String(replay.frames + 100);
+
+    assert.equal(verifyRun({ ...session, replay: parts.join(';') }).reason, 'Run did not end on the recorded frame');
+});
+
+test('viewports and run lengths outside the limits are rejected', () => {
+    const tiny = recordRun({ viewport: { width: 100, height: 100 } }).session;
+    const resized = recordRun({ inputs: [{ frame: 10, type: 'resize', width: 20000, height: 720 }] }).session;
+    const { session } = recordRun();
+    const parts = session.replay.split(';');
+    parts[5] = String(MAX_VERIFY_FRAMES + 1);
+
+    assert.equal(verifyRun(tiny).reason, 'Viewport out of range');
+    assert.equal(verifyRun(resized).reason, 'Viewport out of range');
+    assert.equal(verifyRun({ ...session, replay: parts.join(';') }).reason, 'Run length out of range');
+});
+
+test('a daily challenge run must play the seed, land and modifier of its date', () => {
+    const challenge = getDailyChallenge('2026-03-14');
+    const daily = recordRun({ seed: challenge.seed, land: challenge.land, skin: challenge.skin });
+    const session = { ...daily.session, game_mode: 'daily_challenge', challenge_date: challenge.date };
+
+    // The modifier skin is lent for the day, owned or not
+    assert.equal(verifyRun(session, { ownedSkins: [] }).verified, true);
+    assert.equal(verifyRun({ ...session, challenge_date: '2026-03-15' }).reason, 'Run does not match the daily challenge');
+
+    const practice = recordRun({ seed: challenge.seed + 1, land: challenge.land, skin: challenge.skin }).session;
+    assert.equal(verifyRun({ ...practice, game_mode: 'daily_challenge', challenge_date: challenge.date }).reason,
+        'Run does not match the daily challenge');
+});